@@ -57,6 +57,7 @@ CREATE TABLE projects (
 
     -- Metadata
     status VARCHAR(20) NOT NULL DEFAULT 'active',
+    custom_fields JSONB NOT NULL DEFAULT '{}',  -- Workspace-defined fields (see DATA_MODEL.md)
 
     -- Audit
     created_by UUID NOT NULL REFERENCES users(id),
@@ -74,6 +75,9 @@ CREATE INDEX idx_projects_created_by ON projects(created_by);
 CREATE INDEX idx_projects_created_at ON projects(created_at DESC);
 CREATE INDEX idx_projects_name ON projects(name);
 
+-- Full-text search index (PostgreSQL)
+CREATE INDEX idx_projects_fts ON projects USING GIN(to_tsvector('english', name || ' ' || coalesce(description, '')));
+
 -- Prevent circular project nesting (enforced in application logic + trigger)
 CREATE OR REPLACE FUNCTION prevent_circular_projects()
 RETURNS TRIGGER AS $$
@@ -132,15 +136,20 @@ CREATE TABLE tasks (
     updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
     due_date TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE,
+    recurrence JSONB,  -- Repeat rule (see DATA_MODEL.md)
+    log_date DATE NOT NULL DEFAULT CURRENT_DATE,  -- Daily log page
 
     -- Relationships
     project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    parent_task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,  -- Subtasks
+    position INTEGER NOT NULL DEFAULT 0,  -- Order among siblings
     assignee_id UUID REFERENCES users(id) ON DELETE SET NULL,
 
     -- Metadata
     status VARCHAR(20) NOT NULL DEFAULT 'active',
     priority VARCHAR(10),
     tags TEXT[],  -- Array of strings
+    custom_fields JSONB NOT NULL DEFAULT '{}',  -- Workspace-defined fields (see DATA_MODEL.md)
 
     -- Audit
     created_by UUID NOT NULL REFERENCES users(id),
@@ -163,8 +172,10 @@ CREATE INDEX idx_tasks_status ON tasks(status);
 CREATE INDEX idx_tasks_created_at ON tasks(created_at DESC);
 CREATE INDEX idx_tasks_updated_at ON tasks(updated_at DESC);
 CREATE INDEX idx_tasks_due_date ON tasks(due_date) WHERE due_date IS NOT NULL;
+CREATE INDEX idx_tasks_log_date ON tasks(log_date);
 CREATE INDEX idx_tasks_created_by ON tasks(created_by);
 CREATE INDEX idx_tasks_tags ON tasks USING GIN(tags);  -- GIN index for array searches
+CREATE INDEX idx_tasks_custom_fields ON tasks USING GIN(custom_fields);
 
 -- Full-text search index (PostgreSQL)
 CREATE INDEX idx_tasks_content_fts ON tasks USING GIN(to_tsvector('english', content));
@@ -172,6 +183,7 @@ CREATE INDEX idx_tasks_description_fts ON tasks USING GIN(to_tsvector('english',
 
 -- Composite indexes for common query patterns
 CREATE INDEX idx_tasks_status_project ON tasks(status, project_id);
+CREATE INDEX idx_tasks_parent_task_id ON tasks(parent_task_id, position);
 CREATE INDEX idx_tasks_status_assignee ON tasks(status, assignee_id);
 
 -- ============================================================================
@@ -218,6 +230,44 @@ CREATE INDEX idx_links_target_source ON links(target_id, source_id);
 CREATE INDEX idx_links_type_source ON links(link_type, source_id);
 CREATE INDEX idx_links_type_target ON links(link_type, target_id);
 
+-- Full-text search index on labels (PostgreSQL)
+CREATE INDEX idx_links_label_fts ON links USING GIN(to_tsvector('english', coalesce(label, '')));
+
+-- ============================================================================
+-- VIEWS TABLE
+-- ============================================================================
+
+-- Saved views: a named task filter, sort and grouping
+CREATE TABLE views (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Display
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    icon VARCHAR(20),
+    position INTEGER NOT NULL DEFAULT 0,
+
+    -- Definition (filters as taken by the task list, e.g. {"query": "status:waiting"})
+    filters JSONB NOT NULL DEFAULT '{}',
+    sort JSONB,  -- {"field": "dueDate", "order": "asc"}
+    group_by VARCHAR(100),
+
+    -- Temporal
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    -- Audit
+    created_by UUID NOT NULL REFERENCES users(id),
+    updated_by UUID NOT NULL REFERENCES users(id),
+
+    -- Constraints
+    CONSTRAINT views_name_not_empty CHECK (LENGTH(TRIM(name)) > 0),
+    CONSTRAINT views_position_check CHECK (position >= 0)
+);
+
+CREATE UNIQUE INDEX idx_views_name ON views(LOWER(name));
+CREATE INDEX idx_views_position ON views(position);
+
 -- ============================================================================
 -- AUDIT_LOGS TABLE
 -- ============================================================================
@@ -275,6 +325,9 @@ CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks
 CREATE TRIGGER update_links_updated_at BEFORE UPDATE ON links
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_views_updated_at BEFORE UPDATE ON views
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Auto-populate audit logs
 CREATE OR REPLACE FUNCTION log_task_changes()
 RETURNS TRIGGER AS $$
@@ -535,7 +588,7 @@ VALUES (
 -- 4. Replace TIMESTAMP WITH TIME ZONE with TEXT (ISO 8601)
 -- 5. Replace INET with TEXT
 -- 6. Triggers and functions have different syntax
--- 7. No native full-text search (use FTS5 extension)
+-- 7. No native full-text search (use FTS5 extension; see the search_index table in src/storage/sqlite.js)
 -- 8. No GIN indexes (use standard indexes)
 
 -- Example SQLite conversion for tasks table:
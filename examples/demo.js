@@ -5,7 +5,8 @@
  * Run with: node examples/demo.js
  */
 
-import { TaskStore, ProjectStore, LinkStore, Storage } from '../src/storage/localStorage.js';
+import { TaskStore, ProjectStore, LinkStore, Storage, configureStorage } from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
 import { GraphQueries, GraphUtils } from '../src/storage/graphQueries.js';
 import { parseNaturalDate, formatDate } from '../src/utils/dateParser.js';
 
@@ -17,6 +18,9 @@ console.log('='.repeat(60));
 console.log('Dash-Plus Notes - Demo');
 console.log('='.repeat(60));
 
+// Keep demo data in memory (no browser localStorage in Node)
+configureStorage(new MemoryAdapter());
+
 // Clear existing data for clean demo
 Storage.clearAll();
 
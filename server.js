@@ -1,20 +1,90 @@
 import express from 'express';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  AuditLogger,
+  UserManager,
+  UserStore,
+  VocabularyStore,
+  SearchStore,
+  ViewStore,
+  DailyLogStore,
+  configureStorage,
+} from './src/storage/localStorage.js';
+import { JsonFileAdapter, defaultDataFile } from './src/storage/jsonFileAdapter.js';
+import { createSQLiteStores } from './src/storage/sqlite.js';
+import { configureGraphStores } from './src/storage/graphQueries.js';
+import { createApiRouter } from './src/api/index.js';
+import { createFrontendRouter, isServedPath } from './src/frontend.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+const DATA_FILE = process.env.DATA_FILE || defaultDataFile();
+const DATABASE_FILE = process.env.DATABASE_FILE;
+const TOKEN_TTL = Number(process.env.TOKEN_TTL) || undefined;
 
-// Serve static files from the current directory
-app.use(express.static(__dirname));
+// Audit log retention (unset keeps every entry)
+const AUDIT_RETENTION = {
+  maxAgeDays: Number(process.env.AUDIT_MAX_AGE_DAYS) || null,
+  maxEntries: Number(process.env.AUDIT_MAX_ENTRIES) || null,
+};
 
-// Serve index.html for the root route
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
+// Secret used to sign API bearer tokens
+let AUTH_SECRET = process.env.AUTH_SECRET;
+if (!AUTH_SECRET) {
+  AUTH_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('AUTH_SECRET is not set; using a random secret (tokens will not survive restarts)');
+}
+
+// Select the persistence backend: SQLite when DATABASE_FILE is set,
+// otherwise the JSON-file adapter behind the localStorage stores
+function createStores() {
+  // The data holds every user's password hash: never where it is served
+  const dataFile = DATABASE_FILE || DATA_FILE;
+  if (isServedPath(__dirname, dataFile)) {
+    throw new Error(`Data file ${dataFile} would be served: keep it outside the front-end files`);
+  }
+
+  if (DATABASE_FILE) {
+    const stores = createSQLiteStores(DATABASE_FILE, { auditRetention: AUDIT_RETENTION });
+    configureGraphStores(stores);
+    return stores;
+  }
+
+  configureStorage(new JsonFileAdapter(DATA_FILE));
+  AuditLogger.configureRetention(AUDIT_RETENTION);
+  return {
+    tasks: TaskStore,
+    projects: ProjectStore,
+    links: LinkStore,
+    audit: AuditLogger,
+    users: UserStore,
+    session: UserManager,
+    vocabulary: VocabularyStore,
+    search: SearchStore,
+    views: ViewStore,
+    dailyLog: DailyLogStore,
+  };
+}
+
+app.locals.stores = createStores();
+
+// REST API (see API_DESIGN.md); resolves the current user from each
+// request's bearer token
+app.use('/v1', createApiRouter(app.locals.stores, {
+  secret: AUTH_SECRET,
+  expiresIn: TOKEN_TTL,
+}));
+
+// The front end (index.html and the modules it loads, nothing else)
+app.use(createFrontendRouter(__dirname));
 
 // Health check endpoint for Fly.io
 app.get('/health', (req, res) => {
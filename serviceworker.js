@@ -1,18 +1,41 @@
 /* Dash-Plus Notes Service Worker */
-const CACHE_NAME = 'dashplus-v1';
+// Change the name when FILES_TO_CACHE changes, to drop the old cache. Edits
+// to the files themselves need no change: they are fetched network first
+const CACHE_NAME = 'dashplus-v2';
+// Every module index.html loads, so the app works offline on first load
 const FILES_TO_CACHE = [
   '/',
   '/index.html',
-  '/manifest.json'
+  '/manifest.json',
+  '/src/storage/adapters.js',
+  '/src/storage/backup.js',
+  '/src/storage/graphQueries.js',
+  '/src/storage/legacyTasks.js',
+  '/src/storage/localStorage.js',
+  '/src/storage/undo.js',
+  '/src/utils/customFields.js',
+  '/src/utils/dailyLog.js',
+  '/src/utils/dashPlus.js',
+  '/src/utils/dateParser.js',
+  '/src/utils/errors.js',
+  '/src/utils/query.js',
+  '/src/utils/search.js',
+  '/src/utils/views.js',
+  '/src/utils/vocabulary.js',
+  '/src/vendor/uuid/index.js',
+  '/src/vendor/uuid/native.js',
+  '/src/vendor/uuid/regex.js',
+  '/src/vendor/uuid/rng.js',
+  '/src/vendor/uuid/stringify.js',
+  '/src/vendor/uuid/v4.js',
+  '/src/vendor/uuid/validate.js'
 ];
 
 // Install event
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
-      .then(cache => {
-        cache.addAll(FILES_TO_CACHE);
-      })
+      .then(cache => cache.addAll(FILES_TO_CACHE))
       .catch(err => console.log('Cache install error:', err))
   );
   self.skipWaiting();
@@ -35,29 +58,35 @@ self.addEventListener('activate', event => {
   self.clients.claim();
 });
 
-// Fetch event - Cache first, fallback to network
+// Fetch event - the app's own files network first, falling back to the
+// cache offline; other files (the versioned CDN icons) cache first
 self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.pathname.startsWith('/v1/')) {
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      fetch(event.request)
+        .then(response => cacheResponse(event.request, response))
+        .catch(() => caches.match(event.request))
+    );
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
-      .then(response => {
-        if (response) {
-          return response;
-        }
-        return fetch(event.request)
-          .then(response => {
-            if (!response || response.status !== 200 || response.type === 'error') {
-              return response;
-            }
-            const responseToCache = response.clone();
-            caches.open(CACHE_NAME)
-              .then(cache => {
-                cache.put(event.request, responseToCache);
-              });
-            return response;
-          });
-      })
-      .catch(err => {
-        console.log('Fetch error:', err);
-      })
+      .then(cached => cached || fetch(event.request).then(response => cacheResponse(event.request, response)))
   );
 });
+
+// Keep a copy of a successful response for offline use
+function cacheResponse(request, response) {
+  if (response && response.status === 200 && response.type !== 'error') {
+    const responseToCache = response.clone();
+    caches.open(CACHE_NAME)
+      .then(cache => cache.put(request, responseToCache));
+  }
+  return response;
+}
@@ -0,0 +1,158 @@
+/**
+ * Authentication for the REST API
+ *
+ * Passwords are hashed with scrypt. Tokens are HS256 JWTs carrying the
+ * claims listed in API_DESIGN.md (userId, username, iat, exp). The user
+ * resolved from a request's bearer token is kept in an AsyncLocalStorage
+ * context, so the stores record them in createdBy/updatedBy and audit logs.
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { ApiError } from './responses.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const DEFAULT_TOKEN_TTL = 7 * 24 * 60 * 60; // seconds
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+const requestContext = new AsyncLocalStorage();
+
+// ============================================================================
+// PASSWORDS
+// ============================================================================
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>"
+ */
+export function hashPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || !storedHash) return false;
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decode(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function signature(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a token for a user
+ *
+ * @param {object} user - { id, username }
+ * @param {string} secret - HMAC secret
+ * @param {object} options - { expiresIn } in seconds
+ * @returns {string} Signed JWT
+ */
+export function signToken(user, secret, { expiresIn = DEFAULT_TOKEN_TTL } = {}) {
+  const iat = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({ userId: user.id, username: user.username, iat, exp: iat + expiresIn });
+
+  return `${header}.${payload}.${signature(`${header}.${payload}`, secret)}`;
+}
+
+/**
+ * Verify a token and return its claims
+ */
+export function verifyToken(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new ApiError('UNAUTHORIZED', 'Invalid token');
+  }
+
+  const [header, payload, sig] = parts;
+  const expected = Buffer.from(signature(`${header}.${payload}`, secret));
+  const actual = Buffer.from(sig);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new ApiError('UNAUTHORIZED', 'Invalid token');
+  }
+
+  let claims;
+  try {
+    if (decode(header).alg !== 'HS256') {
+      throw new Error('Unsupported algorithm');
+    }
+    claims = decode(payload);
+  } catch (error) {
+    throw new ApiError('UNAUTHORIZED', 'Invalid token');
+  }
+
+  if (!claims.userId || typeof claims.exp !== 'number') {
+    throw new ApiError('UNAUTHORIZED', 'Invalid token');
+  }
+
+  if (claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new ApiError('UNAUTHORIZED', 'Token expired');
+  }
+
+  return claims;
+}
+
+// ============================================================================
+// REQUEST CONTEXT
+// ============================================================================
+
+/**
+ * ID of the user authenticated for the current request (or null)
+ */
+export function getRequestUserId() {
+  const context = requestContext.getStore();
+  return context ? context.userId : null;
+}
+
+/**
+ * Middleware that requires a bearer token and runs the rest of the
+ * request as its user
+ */
+export function authenticate(stores, { secret }) {
+  stores.session.setCurrentUserResolver(getRequestUserId);
+
+  return (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new ApiError('UNAUTHORIZED', 'Missing bearer token');
+    }
+
+    const claims = verifyToken(token, secret);
+
+    try {
+      req.user = stores.users.getById(claims.userId);
+    } catch (error) {
+      throw new ApiError('UNAUTHORIZED', 'Token user no longer exists');
+    }
+
+    requestContext.run({ userId: req.user.id }, next);
+  };
+}
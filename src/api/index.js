@@ -0,0 +1,63 @@
+/**
+ * Dash-Plus Notes REST API (v1)
+ *
+ * Mounts the routes described in API_DESIGN.md on top of a set of stores
+ * ({ tasks, projects, links, audit, users, session, vocabulary, search, views,
+ * dailyLog }), so the same router serves the localStorage-backed and
+ * SQLite-backed backends. Every route except /auth requires a bearer token.
+ */
+
+import express from 'express';
+import { ApiError, requestId, errorHandler } from './responses.js';
+import { authenticate } from './auth.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createTaskRouter } from './routes/tasks.js';
+import { createGraphRouter } from './routes/graph.js';
+import { createProjectRouter } from './routes/projects.js';
+import { createLinkRouter } from './routes/links.js';
+import { createUserRouter } from './routes/users.js';
+import { createAuditRouter } from './routes/audit.js';
+import { createDateRouter } from './routes/dates.js';
+import { createJournalRouter } from './routes/journal.js';
+import { createVocabularyRouter } from './routes/vocabulary.js';
+import { createSearchRouter } from './routes/search.js';
+import { createViewRouter } from './routes/views.js';
+import { createDailyLogRouter } from './routes/dailyLog.js';
+
+/**
+ * @param {object} stores - Store backend
+ * @param {object} options - { secret, expiresIn } for bearer tokens
+ */
+export function createApiRouter(stores, options = {}) {
+  if (!options.secret) {
+    throw new Error('An auth secret is required to create the API router');
+  }
+
+  const router = express.Router();
+
+  router.use(requestId);
+  router.use(express.json());
+
+  router.use('/auth', createAuthRouter(stores, options));
+  router.use(authenticate(stores, options));
+
+  router.use('/tasks', createGraphRouter(stores));
+  router.use('/tasks', createTaskRouter(stores));
+  router.use('/projects', createProjectRouter(stores));
+  router.use('/links', createLinkRouter(stores));
+  router.use('/users', createUserRouter(stores));
+  router.use('/audit', createAuditRouter(stores));
+  router.use('/dates', createDateRouter());
+  router.use('/journal', createJournalRouter(stores));
+  router.use('/vocabulary', createVocabularyRouter(stores));
+  router.use('/search', createSearchRouter(stores));
+  router.use('/views', createViewRouter(stores));
+  router.use('/daily-log', createDailyLogRouter(stores));
+
+  router.use((req, res, next) => {
+    next(new ApiError('NOT_FOUND', `Route ${req.method} ${req.path} not found`));
+  });
+  router.use(errorHandler);
+
+  return router;
+}
@@ -0,0 +1,213 @@
+/**
+ * Response envelopes and error handling for the REST API
+ *
+ * Implements the success, error and pagination formats and the error
+ * codes specified in API_DESIGN.md.
+ */
+
+import crypto from 'crypto';
+import { StoreError } from '../utils/errors.js';
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  SELF_LINK: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  CIRCULAR_REFERENCE: 409,
+  RATE_LIMIT: 429,
+  INTERNAL_ERROR: 500,
+};
+
+export class ApiError extends Error {
+  /**
+   * @param {string} code - Error code from API_DESIGN.md
+   * @param {string} message - Human-readable message
+   * @param {object} details - Optional structured details
+   */
+  constructor(code, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+/**
+ * Map errors to API errors: store errors (see utils/errors.js) by their
+ * code, anything else is an internal error
+ */
+export function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError('VALIDATION_ERROR', 'Request body is not valid JSON');
+  }
+  if (error instanceof StoreError) {
+    return new ApiError(error.code, error.message);
+  }
+
+  return new ApiError('INTERNAL_ERROR', 'Internal server error');
+}
+
+// ============================================================================
+// ENVELOPES
+// ============================================================================
+
+/**
+ * Assign a request ID used in every response's meta
+ */
+export function requestId(req, res, next) {
+  req.id = `req_${crypto.randomBytes(6).toString('hex')}`;
+  next();
+}
+
+function buildMeta(req, extra = {}) {
+  return {
+    timestamp: new Date().toISOString(),
+    requestId: req.id,
+    ...extra,
+  };
+}
+
+/**
+ * Send a success response: { data, meta }
+ */
+export function sendData(req, res, data, status = 200) {
+  res.status(status).json({ data, meta: buildMeta(req) });
+}
+
+/**
+ * Send a paginated list: { data, meta: { pagination } }
+ */
+export function sendPage(req, res, { data, meta }) {
+  res.status(200).json({
+    data,
+    meta: buildMeta(req, {
+      pagination: {
+        page: meta.page,
+        pageSize: meta.pageSize,
+        totalPages: meta.totalPages,
+        totalItems: meta.totalItems,
+        hasNext: meta.hasNext,
+        hasPrevious: meta.hasPrevious,
+      },
+    }),
+  });
+}
+
+/**
+ * Paginate an in-memory list the same way TaskStore.getAll does
+ */
+export function paginate(items, { page = 1, pageSize = 50 } = {}) {
+  const size = Math.min(pageSize, 200);
+  const start = (page - 1) * size;
+  const end = start + size;
+
+  return {
+    data: items.slice(start, end),
+    meta: {
+      page,
+      pageSize: size,
+      totalItems: items.length,
+      totalPages: Math.ceil(items.length / size),
+      hasNext: end < items.length,
+      hasPrevious: page > 1,
+    },
+  };
+}
+
+/**
+ * Express error handler producing the error envelope
+ */
+export function errorHandler(error, req, res, _next) {
+  const apiError = toApiError(error);
+
+  if (apiError.code === 'INTERNAL_ERROR') {
+    console.error(`Unhandled error in ${req.method} ${req.originalUrl}:`, error);
+  }
+
+  const body = {
+    error: {
+      code: apiError.code,
+      message: apiError.message,
+    },
+    meta: buildMeta(req),
+  };
+
+  if (apiError.details) {
+    body.error.details = apiError.details;
+  }
+
+  res.status(apiError.status).json(body);
+}
+
+// ============================================================================
+// BODY PARSING
+// ============================================================================
+
+// Fields the stores set themselves, never taken from a request body
+const SERVER_FIELDS = ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+
+/**
+ * A PATCH body's updates, without the server-owned fields (so a client
+ * can't rewrite who created or last changed a record)
+ */
+export function parseUpdates(body) {
+  const updates = { ...body };
+  SERVER_FIELDS.forEach(field => delete updates[field]);
+  return updates;
+}
+
+// ============================================================================
+// QUERY PARSING
+// ============================================================================
+
+/**
+ * Parse a boolean query parameter ("true"/"false"/"1"/"0")
+ */
+export function parseBoolean(value, defaultValue = false) {
+  if (value === undefined) return defaultValue;
+  return value === 'true' || value === '1' || value === true;
+}
+
+/**
+ * Parse a positive integer query parameter
+ */
+export function parseInteger(value, name, { defaultValue, min = 1, max = Infinity } = {}) {
+  if (value === undefined || value === '') return defaultValue;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min) {
+    throw new ApiError('VALIDATION_ERROR', `Invalid ${name}: ${value}`, {
+      field: name,
+      expected: `integer >= ${min}`,
+    });
+  }
+  return Math.min(parsed, max);
+}
+
+/**
+ * Parse a comma-separated list query parameter
+ */
+export function parseList(value) {
+  if (value === undefined || value === '') return undefined;
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an ID query parameter where the string "null" means null
+ */
+export function parseNullable(value) {
+  if (value === undefined) return undefined;
+  return value === 'null' ? null : value;
+}
@@ -0,0 +1,126 @@
+/**
+ * /v1/audit routes
+ */
+
+import express from 'express';
+import { ApiError, sendData, sendPage, parseInteger, parseList } from '../responses.js';
+import { HistoryService } from '../../storage/history.js';
+
+const ENTITY_TYPES = ['task', 'project', 'link', 'user'];
+const HISTORY_ENTITY_TYPES = ['task', 'project', 'link'];
+
+/**
+ * Read a required timestamp from a query or body value
+ */
+function requireTimestamp(value, name) {
+  if (!value) {
+    throw new ApiError('VALIDATION_ERROR', `${name} is required`, { field: name });
+  }
+  if (isNaN(new Date(value).getTime())) {
+    throw new ApiError('VALIDATION_ERROR', `Invalid timestamp: ${value}`, {
+      field: name,
+      expected: 'ISO 8601 timestamp',
+    });
+  }
+  return value;
+}
+
+export function createAuditRouter(stores) {
+  const router = express.Router();
+  const history = new HistoryService(stores);
+
+  // Audit entries across entities (userId=me for the current user)
+  router.get('/', (req, res) => {
+    const { query } = req;
+
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+      throw new ApiError('VALIDATION_ERROR', `Invalid order: ${query.order}`, {
+        field: 'order',
+        expected: 'asc|desc',
+      });
+    }
+
+    sendPage(req, res, stores.audit.query({
+      userId: query.userId === 'me' ? stores.session.getCurrentUser().id : query.userId,
+      action: parseList(query.action),
+      entityType: parseList(query.entityType),
+      entityId: query.entityId,
+      from: query.from,
+      to: query.to,
+      order: query.order,
+      page: parseInteger(query.page, 'page', { defaultValue: 1 }),
+      pageSize: parseInteger(query.pageSize, 'pageSize', { defaultValue: 50, max: 200 }),
+    }));
+  });
+
+  // Whole workspace as of a timestamp
+  router.get('/workspace', (req, res) => {
+    sendData(req, res, history.getWorkspaceAt(requireTimestamp(req.query.timestamp, 'timestamp')));
+  });
+
+  // Workspace changes between two timestamps
+  router.get('/workspace/diff', (req, res) => {
+    const from = requireTimestamp(req.query.from, 'from');
+    const to = req.query.to ? requireTimestamp(req.query.to, 'to') : undefined;
+    sendData(req, res, history.diffWorkspace(from, to));
+  });
+
+  /**
+   * Check an entity type supports point-in-time history and that the entity has it
+   */
+  function checkHistoryEntity(entityType, entityId) {
+    if (!HISTORY_ENTITY_TYPES.includes(entityType)) {
+      throw new ApiError('VALIDATION_ERROR', `Invalid entity type: ${entityType}`, {
+        field: 'entityType',
+        expected: HISTORY_ENTITY_TYPES.join('|'),
+      });
+    }
+    if (history.getEntityType(entityId) !== entityType) {
+      throw new ApiError('NOT_FOUND', `Entity ${entityId} not found`);
+    }
+  }
+
+  // Entity history
+  router.get('/:entityType/:entityId', (req, res) => {
+    const { entityType, entityId } = req.params;
+
+    if (!ENTITY_TYPES.includes(entityType)) {
+      throw new ApiError('VALIDATION_ERROR', `Invalid entity type: ${entityType}`, {
+        field: 'entityType',
+        expected: ENTITY_TYPES.join('|'),
+      });
+    }
+
+    sendData(req, res, stores.audit.getHistory(entityType, entityId));
+  });
+
+  // Entity as of a timestamp
+  router.get('/:entityType/:entityId/at', (req, res) => {
+    const { entityType, entityId } = req.params;
+    const timestamp = requireTimestamp(req.query.timestamp, 'timestamp');
+    checkHistoryEntity(entityType, entityId);
+
+    sendData(req, res, history.getEntityAt(entityId, timestamp));
+  });
+
+  // Entity changes between two timestamps
+  router.get('/:entityType/:entityId/diff', (req, res) => {
+    const { entityType, entityId } = req.params;
+    const from = requireTimestamp(req.query.from, 'from');
+    const to = req.query.to ? requireTimestamp(req.query.to, 'to') : undefined;
+    checkHistoryEntity(entityType, entityId);
+
+    sendData(req, res, history.diff(entityId, from, to));
+  });
+
+  // Restore an entity's fields as of a timestamp
+  router.post('/:entityType/:entityId/revert', (req, res) => {
+    const { entityType, entityId } = req.params;
+    const timestamp = requireTimestamp((req.body || {}).timestamp, 'timestamp');
+    checkHistoryEntity(entityType, entityId);
+
+    sendData(req, res, history.revertTo(entityId, timestamp));
+  });
+
+  return router;
+}
@@ -0,0 +1,46 @@
+/**
+ * /v1/auth routes (public)
+ */
+
+import express from 'express';
+import { ApiError, sendData } from '../responses.js';
+import { hashPassword, verifyPassword, signToken, DEFAULT_TOKEN_TTL } from '../auth.js';
+
+export function createAuthRouter(stores, { secret, expiresIn = DEFAULT_TOKEN_TTL }) {
+  const router = express.Router();
+
+  const session = (user) => ({
+    user,
+    token: signToken(user, secret, { expiresIn }),
+    expiresIn,
+  });
+
+  // Register a new account
+  router.post('/register', (req, res) => {
+    const { username, email, displayName, password, preferences } = req.body || {};
+
+    const user = stores.users.create({
+      username,
+      email,
+      displayName,
+      preferences,
+      passwordHash: hashPassword(password),
+    });
+
+    sendData(req, res, session(user), 201);
+  });
+
+  // Exchange username (or email) and password for a token
+  router.post('/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const credentials = stores.users.getCredentials(username);
+
+    if (!credentials || !verifyPassword(password, credentials.passwordHash)) {
+      throw new ApiError('UNAUTHORIZED', 'Invalid username or password');
+    }
+
+    sendData(req, res, session(stores.users.recordLogin(credentials.id)));
+  });
+
+  return router;
+}
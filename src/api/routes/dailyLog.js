@@ -0,0 +1,48 @@
+/**
+ * /v1/daily-log routes
+ */
+
+import express from 'express';
+import { ApiError, sendData } from '../responses.js';
+import { DailyLogStore } from '../../storage/localStorage.js';
+
+export function createDailyLogRouter(stores) {
+  const router = express.Router();
+  const dailyLog = stores.dailyLog || DailyLogStore;
+
+  // Days that have tasks, newest first
+  router.get('/', (req, res) => {
+    sendData(req, res, dailyLog.getDays());
+  });
+
+  // Open tasks from earlier days, waiting to be migrated (?date, default today)
+  router.get('/pending', (req, res) => {
+    sendData(req, res, req.query.date ? dailyLog.getPending(req.query.date) : dailyLog.getPending());
+  });
+
+  // Carry forward, schedule or cancel tasks: one { taskId, action, date }
+  // or { migrations: [...] }, applied together
+  router.post('/migrations', (req, res) => {
+    const { migrations } = req.body;
+    if (migrations !== undefined) {
+      if (!Array.isArray(migrations) || migrations.length === 0) {
+        throw new ApiError('VALIDATION_ERROR', 'migrations must be a non-empty array', { field: 'migrations' });
+      }
+      sendData(req, res, dailyLog.migrateAll(migrations));
+      return;
+    }
+
+    const { taskId, ...options } = req.body;
+    if (!taskId) {
+      throw new ApiError('VALIDATION_ERROR', 'taskId is required', { field: 'taskId' });
+    }
+    sendData(req, res, dailyLog.migrate(taskId, options));
+  });
+
+  // A day's page (YYYY-MM-DD, or today)
+  router.get('/:date', (req, res) => {
+    sendData(req, res, req.params.date === 'today' ? dailyLog.getDay() : dailyLog.getDay(req.params.date));
+  });
+
+  return router;
+}
@@ -0,0 +1,52 @@
+/**
+ * /v1/dates routes
+ */
+
+import express from 'express';
+import { parseNaturalDate, getRelativeTime, getDateSuggestions } from '../../utils/dateParser.js';
+import { ApiError, sendData } from '../responses.js';
+
+const ABSOLUTE_DATE = /^\d{4}-\d{2}-\d{2}|^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+export function createDateRouter() {
+  const router = express.Router();
+
+  // Parse a natural language date
+  router.post('/parse', (req, res) => {
+    const { input, referenceDate } = req.body || {};
+
+    if (typeof input !== 'string' || input.trim() === '') {
+      throw new ApiError('VALIDATION_ERROR', 'input is required', { field: 'input' });
+    }
+
+    const reference = referenceDate ? new Date(referenceDate) : new Date();
+    if (isNaN(reference.getTime())) {
+      throw new ApiError('VALIDATION_ERROR', `Invalid referenceDate: ${referenceDate}`, {
+        field: 'referenceDate',
+      });
+    }
+
+    const parsed = parseNaturalDate(input, reference);
+    if (!parsed || isNaN(parsed.getTime())) {
+      throw new ApiError('VALIDATION_ERROR', `Could not parse date: ${input}`, {
+        field: 'input',
+        suggestions: getDateSuggestions(input),
+      });
+    }
+
+    const relative = getRelativeTime(parsed, reference);
+
+    sendData(req, res, {
+      input,
+      parsed: parsed.toISOString(),
+      iso: parsed.toISOString(),
+      relative: {
+        days: relative.days,
+        hours: relative.hours,
+      },
+      confidence: ABSOLUTE_DATE.test(input.trim()) ? 1 : 0.9,
+    });
+  });
+
+  return router;
+}
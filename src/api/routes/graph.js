@@ -0,0 +1,82 @@
+/**
+ * Graph query routes (mounted under /v1/tasks)
+ */
+
+import express from 'express';
+import { GraphQueries } from '../../storage/graphQueries.js';
+import { sendData, parseBoolean, parseInteger, parseList } from '../responses.js';
+
+const MAX_DEPTH = 5;
+const MAX_PATHS = 10;
+
+export function createGraphRouter(stores) {
+  const router = express.Router();
+
+  // Graph queries on a missing task return empty results, so check first
+  router.param('id', (req, res, next, id) => {
+    stores.tasks.getById(id);
+    next();
+  });
+  router.param('targetId', (req, res, next, id) => {
+    stores.tasks.getById(id);
+    next();
+  });
+
+  const linkOptions = (query) => ({
+    linkType: query.linkType || null,
+    depth: parseInteger(query.depth, 'depth', { defaultValue: 1, max: MAX_DEPTH }),
+    includeIndirect: parseBoolean(query.includeIndirect),
+  });
+
+  // Tasks linking TO this task
+  router.get('/:id/backlinks', (req, res) => {
+    sendData(req, res, GraphQueries.getBacklinks(req.params.id, linkOptions(req.query)));
+  });
+
+  // Tasks this task links TO
+  router.get('/:id/forwardlinks', (req, res) => {
+    sendData(req, res, GraphQueries.getForwardLinks(req.params.id, linkOptions(req.query)));
+  });
+
+  // Related graph (both directions)
+  router.get('/:id/graph', (req, res) => {
+    sendData(req, res, GraphQueries.getRelatedGraph(req.params.id, {
+      depth: parseInteger(req.query.depth, 'depth', { defaultValue: 2, max: MAX_DEPTH }),
+      linkTypes: parseList(req.query.linkTypes) || null,
+      includeProjects: parseBoolean(req.query.includeProjects),
+    }));
+  });
+
+  // Cycles involving this task
+  router.get('/:id/cycles', (req, res) => {
+    sendData(req, res, GraphQueries.detectCycles(req.params.id));
+  });
+
+  // Paths from this task to another: the shortest, the k shortest (?k=) or
+  // every path up to ?depth= links (?all=true)
+  router.get('/:id/paths/:targetId', (req, res) => {
+    const { id, targetId } = req.params;
+    const options = {
+      linkTypes: parseList(req.query.linkTypes) || null,
+      direction: req.query.direction || 'outgoing',
+      weighted: parseBoolean(req.query.weighted),
+    };
+
+    if (parseBoolean(req.query.all)) {
+      const result = GraphQueries.findAllPaths(id, targetId, {
+        ...options,
+        maxDepth: parseInteger(req.query.depth, 'depth', { defaultValue: MAX_DEPTH, max: MAX_DEPTH }),
+      });
+      sendData(req, res, { sourceId: id, targetId, ...result });
+      return;
+    }
+
+    const paths = req.query.k === undefined
+      ? [GraphQueries.findShortestPath(id, targetId, options)].filter(Boolean)
+      : GraphQueries.findKShortestPaths(id, targetId,
+        parseInteger(req.query.k, 'k', { max: MAX_PATHS }), options);
+    sendData(req, res, { sourceId: id, targetId, paths, count: paths.length });
+  });
+
+  return router;
+}
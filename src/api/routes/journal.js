@@ -0,0 +1,37 @@
+/**
+ * /v1/journal routes
+ */
+
+import express from 'express';
+import { ApiError, sendData, parseBoolean } from '../responses.js';
+import { MarkdownJournal } from '../../storage/markdown.js';
+
+export function createJournalRouter(stores) {
+  const router = express.Router();
+  const journal = new MarkdownJournal(stores);
+
+  // Workspace (or one project) as Markdown
+  router.get('/', (req, res) => {
+    const markdown = journal.export({ projectId: req.query.projectId });
+    res.type('text/markdown').send(markdown);
+  });
+
+  // Import a Markdown journal (dryRun=true only reports what would be created)
+  router.post('/import', (req, res) => {
+    const { markdown } = req.body || {};
+    if (typeof markdown !== 'string') {
+      throw new ApiError('VALIDATION_ERROR', 'markdown is required', { field: 'markdown' });
+    }
+
+    const report = journal.import(markdown, { dryRun: parseBoolean(req.query.dryRun, false) });
+    if (!report.dryRun && report.errors.length > 0) {
+      throw new ApiError('VALIDATION_ERROR', 'Invalid journal: nothing was imported', {
+        errors: report.errors,
+        warnings: report.warnings,
+      });
+    }
+    sendData(req, res, report, report.dryRun ? 200 : 201);
+  });
+
+  return router;
+}
@@ -0,0 +1,77 @@
+/**
+ * /v1/links routes
+ */
+
+import express from 'express';
+import { ApiError, sendData, parseList } from '../responses.js';
+
+export function createLinkRouter(stores) {
+  const router = express.Router();
+
+  // List links
+  router.get('/', (req, res) => {
+    const { sourceId, targetId, linkType, entityId } = req.query;
+    const filters = { sourceId, targetId, linkType, entityId };
+    Object.keys(filters).forEach(key => {
+      if (filters[key] === undefined) delete filters[key];
+    });
+
+    sendData(req, res, stores.links.getAll(filters).data);
+  });
+
+  // Batch create links
+  router.post('/batch', (req, res) => {
+    const { links } = req.body || {};
+
+    if (!Array.isArray(links) || links.length === 0) {
+      throw new ApiError('VALIDATION_ERROR', 'links must be a non-empty array', { field: 'links' });
+    }
+
+    sendData(req, res, stores.links.batchCreate(links.map(link => ({ ...link }))), 201);
+  });
+
+  // Get link (optionally with source/target tasks)
+  router.get('/:id', (req, res) => {
+    const link = { ...stores.links.getById(req.params.id) };
+    const include = parseList(req.query.include) || [];
+
+    if (include.includes('source')) {
+      link.source = stores.tasks.getById(link.sourceId);
+    }
+
+    if (include.includes('target')) {
+      link.target = stores.tasks.getById(link.targetId);
+    }
+
+    sendData(req, res, link);
+  });
+
+  // Create link (idempotent if an identical link already exists)
+  router.post('/', (req, res) => {
+    const { sourceId, targetId, linkType } = req.body || {};
+
+    if (sourceId && targetId && linkType) {
+      const existing = stores.links.getAll({ sourceId, targetId, linkType }).data[0];
+      if (existing) {
+        const matches = ['label', 'strength'].every(
+          field => req.body[field] === undefined || req.body[field] === existing[field]
+        );
+
+        if (matches) {
+          sendData(req, res, existing, 200);
+          return;
+        }
+      }
+    }
+
+    sendData(req, res, stores.links.create({ ...req.body }), 201);
+  });
+
+  // Delete link
+  router.delete('/:id', (req, res) => {
+    stores.links.delete(req.params.id);
+    res.status(204).send();
+  });
+
+  return router;
+}
@@ -0,0 +1,155 @@
+/**
+ * /v1/projects routes
+ */
+
+import express from 'express';
+import { GraphQueries } from '../../storage/graphQueries.js';
+import {
+  ApiError,
+  sendData,
+  sendPage,
+  parseUpdates,
+  paginate,
+  parseBoolean,
+  parseInteger,
+  parseList,
+  parseNullable,
+} from '../responses.js';
+
+const PROJECT_SORT_FIELDS = ['name', 'status', 'createdAt', 'updatedAt', 'startDate', 'endDate'];
+
+/**
+ * Sort projects in memory (nulls last, like TaskStore.getAll)
+ */
+function sortProjects(projects, sort = 'createdAt', order = 'desc') {
+  if (!PROJECT_SORT_FIELDS.includes(sort)) {
+    throw new ApiError('VALIDATION_ERROR', `Invalid sort field: ${sort}`, {
+      field: 'sort',
+      expected: PROJECT_SORT_FIELDS.join('|'),
+    });
+  }
+
+  return [...projects].sort((a, b) => {
+    const aVal = a[sort];
+    const bVal = b[sort];
+
+    if (aVal === null || aVal === undefined) return 1;
+    if (bVal === null || bVal === undefined) return -1;
+
+    const comparison = aVal < bVal ? -1 : (aVal > bVal ? 1 : 0);
+    return order === 'desc' ? -comparison : comparison;
+  });
+}
+
+export function createProjectRouter(stores) {
+  const router = express.Router();
+
+  // List projects
+  router.get('/', (req, res) => {
+    const filters = {
+      status: req.query.status,
+      parentId: parseNullable(req.query.parentId),
+      search: req.query.search,
+    };
+    Object.keys(filters).forEach(key => {
+      if (filters[key] === undefined) delete filters[key];
+    });
+
+    const projects = sortProjects(
+      stores.projects.getAll(filters).data,
+      req.query.sort,
+      req.query.order
+    );
+
+    sendPage(req, res, paginate(projects, {
+      page: parseInteger(req.query.page, 'page', { defaultValue: 1 }),
+      pageSize: parseInteger(req.query.pageSize, 'pageSize', { defaultValue: 50, max: 200 }),
+    }));
+  });
+
+  // Suggested projects: clusters of linked tasks not in a project yet
+  router.get('/suggestions', (req, res) => {
+    sendData(req, res, GraphQueries.suggestProjects({
+      linkTypes: parseList(req.query.linkTypes) || null,
+      minSize: parseInteger(req.query.minSize, 'minSize', { defaultValue: 2 }),
+    }));
+  });
+
+  // Create a project from a group of tasks ({ taskIds, ...project })
+  router.post('/from-tasks', (req, res) => {
+    const { taskIds, ...projectData } = req.body;
+    sendData(req, res, GraphQueries.createProjectFromTasks(taskIds, projectData), 201);
+  });
+
+  // Get project (optionally with relations and stats)
+  router.get('/:id', (req, res) => {
+    const project = { ...stores.projects.getById(req.params.id) };
+    const include = parseList(req.query.include) || [];
+
+    if (include.includes('tasks')) {
+      project.tasks = stores.tasks.getAll({ projectId: project.id, pageSize: 200 }).data;
+    }
+
+    if (include.includes('children')) {
+      project.children = stores.projects.getAll({ parentId: project.id }).data;
+    }
+
+    if (include.includes('parent')) {
+      project.parent = project.parentId ? stores.projects.getById(project.parentId) : null;
+    }
+
+    if (parseBoolean(req.query.includeTaskStats)) {
+      project.stats = stores.projects.getStats(project.id);
+    }
+
+    sendData(req, res, project);
+  });
+
+  // Project tree
+  router.get('/:id/tree', (req, res) => {
+    sendData(req, res, stores.projects.getTree(req.params.id));
+  });
+
+  // Project statistics
+  router.get('/:id/stats', (req, res) => {
+    stores.projects.getById(req.params.id);
+    sendData(req, res, stores.projects.getStats(req.params.id));
+  });
+
+  // Critical path schedule of the project's open tasks
+  router.get('/:id/schedule', (req, res) => {
+    stores.projects.getById(req.params.id);
+    sendData(req, res, GraphQueries.getSchedule(req.params.id, {
+      ...(req.query.startDate ? { startDate: req.query.startDate } : {}),
+      ...(req.query.estimateField ? { estimateField: req.query.estimateField } : {}),
+      ...(req.query.estimateUnit ? { estimateUnit: req.query.estimateUnit } : {}),
+    }));
+  });
+
+  // Create project
+  router.post('/', (req, res) => {
+    sendData(req, res, stores.projects.create({ ...req.body }), 201);
+  });
+
+  // Update project
+  router.patch('/:id', (req, res) => {
+    const updates = parseUpdates(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError('VALIDATION_ERROR', 'No fields to update');
+    }
+
+    sendData(req, res, stores.projects.update(req.params.id, updates));
+  });
+
+  // Delete project
+  router.delete('/:id', (req, res) => {
+    stores.projects.delete(req.params.id, {
+      deleteChildren: parseBoolean(req.query.deleteChildren),
+      deleteTasks: parseBoolean(req.query.deleteTasks),
+    });
+    res.status(204).send();
+  });
+
+  return router;
+}
@@ -0,0 +1,28 @@
+/**
+ * /v1/search routes
+ */
+
+import express from 'express';
+import { ApiError, sendData, parseInteger, parseList } from '../responses.js';
+import { SearchStore } from '../../storage/localStorage.js';
+
+export function createSearchRouter(stores) {
+  const router = express.Router();
+  const search = stores.search || SearchStore;
+
+  // Tasks, projects and link labels matching q, best first, with snippets
+  router.get('/', (req, res) => {
+    const { q } = req.query;
+    if (typeof q !== 'string' || q.trim() === '') {
+      throw new ApiError('VALIDATION_ERROR', 'q is required', { field: 'q' });
+    }
+
+    const results = search.search(q, {
+      types: parseList(req.query.types),
+      limit: parseInteger(req.query.limit, 'limit', { defaultValue: 20, max: 100 }),
+    });
+    sendData(req, res, results);
+  });
+
+  return router;
+}
@@ -0,0 +1,173 @@
+/**
+ * /v1/tasks routes
+ */
+
+import express from 'express';
+import {
+  ApiError,
+  sendData,
+  sendPage,
+  parseUpdates,
+  parseBoolean,
+  parseInteger,
+  parseList,
+  parseNullable,
+} from '../responses.js';
+import { CUSTOM_FIELD_PREFIX } from '../../utils/customFields.js';
+
+const BULK_ACTIONS = ['update', 'delete', 'complete'];
+
+/**
+ * Build TaskStore.getAll filters from query parameters
+ * (customFields.<name>=value filters on a custom field, query takes a
+ * query such as status:active AND due<friday, see utils/query.js)
+ */
+export function parseTaskFilters(query) {
+  const customFields = {};
+  Object.keys(query)
+    .filter(key => key.startsWith(CUSTOM_FIELD_PREFIX))
+    .forEach(key => {
+      customFields[key.slice(CUSTOM_FIELD_PREFIX.length)] = query[key];
+    });
+
+  const filters = {
+    projectId: parseNullable(query.projectId),
+    parentTaskId: parseNullable(query.parentTaskId),
+    assigneeId: parseNullable(query.assigneeId),
+    status: query.status,
+    symbol: query.symbol,
+    tags: parseList(query.tags),
+    search: query.search,
+    query: query.query,
+    customFields: Object.keys(customFields).length > 0 ? customFields : undefined,
+    sort: query.sort,
+    order: query.order,
+    page: parseInteger(query.page, 'page', { defaultValue: 1 }),
+    pageSize: parseInteger(query.pageSize, 'pageSize', { defaultValue: 50, max: 200 }),
+  };
+
+  if (filters.order && !['asc', 'desc'].includes(filters.order)) {
+    throw new ApiError('VALIDATION_ERROR', `Invalid order: ${filters.order}`, {
+      field: 'order',
+      expected: 'asc|desc',
+    });
+  }
+
+  Object.keys(filters).forEach(key => {
+    if (filters[key] === undefined) delete filters[key];
+  });
+
+  return filters;
+}
+
+export function createTaskRouter(stores) {
+  const router = express.Router();
+
+  // List tasks
+  router.get('/', (req, res) => {
+    sendPage(req, res, stores.tasks.getAll(parseTaskFilters(req.query)));
+  });
+
+  // Bulk operations
+  router.post('/bulk', (req, res) => {
+    const { action, ids, data = {} } = req.body || {};
+
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new ApiError('VALIDATION_ERROR', `Invalid bulk action: ${action}`, {
+        field: 'action',
+        expected: BULK_ACTIONS.join('|'),
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new ApiError('VALIDATION_ERROR', 'ids must be a non-empty array', { field: 'ids' });
+    }
+
+    let results;
+    if (action === 'update') {
+      results = stores.tasks.bulkUpdate(ids, parseUpdates(data));
+    } else {
+      results = { success: [], failed: [], errors: [] };
+      ids.forEach(id => {
+        try {
+          if (action === 'delete') {
+            stores.tasks.delete(id);
+          } else {
+            stores.tasks.complete(id);
+          }
+          results.success.push(id);
+        } catch (error) {
+          results.failed.push(id);
+          results.errors.push({ id, error: error.message });
+        }
+      });
+    }
+
+    sendData(req, res, results);
+  });
+
+  // Get task (optionally with related entities)
+  router.get('/:id', (req, res) => {
+    const task = { ...stores.tasks.getById(req.params.id) };
+    const include = parseList(req.query.include) || [];
+
+    if (include.includes('project')) {
+      task.project = task.projectId ? stores.projects.getById(task.projectId) : null;
+    }
+
+    if (include.includes('assignee')) {
+      task.assignee = task.assigneeId ? stores.users.getById(task.assigneeId) : null;
+    }
+
+    if (include.includes('links')) {
+      task.links = stores.links.getAll({ entityId: task.id }).data;
+    }
+
+    if (include.includes('subtasks')) {
+      task.subtasks = stores.tasks.getSubtasks(task.id);
+    }
+
+    if (include.includes('progress')) {
+      task.progress = stores.tasks.getProgress(task.id);
+    }
+
+    sendData(req, res, task);
+  });
+
+  // Create task
+  router.post('/', (req, res) => {
+    sendData(req, res, stores.tasks.create({ ...req.body }), 201);
+  });
+
+  // Update task
+  router.patch('/:id', (req, res) => {
+    const updates = parseUpdates(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError('VALIDATION_ERROR', 'No fields to update');
+    }
+
+    // Completing goes through complete() so recurring tasks regenerate
+    const task = stores.tasks.getById(req.params.id);
+    if (updates.status === 'completed' && task.status !== 'completed') {
+      delete updates.status;
+      sendData(req, res, stores.tasks.complete(req.params.id, updates, {
+        completeSubtasks: parseBoolean(req.query.completeSubtasks, false),
+      }));
+      return;
+    }
+
+    sendData(req, res, stores.tasks.update(req.params.id, updates));
+  });
+
+  // Delete task
+  router.delete('/:id', (req, res) => {
+    stores.tasks.delete(req.params.id, {
+      cascade: parseBoolean(req.query.cascade, true),
+      deleteSubtasks: parseBoolean(req.query.deleteSubtasks, false),
+    });
+    res.status(204).send();
+  });
+
+  return router;
+}
@@ -0,0 +1,57 @@
+/**
+ * /v1/users routes
+ */
+
+import express from 'express';
+import { ApiError, sendData } from '../responses.js';
+
+const UPDATABLE_FIELDS = ['displayName', 'email', 'preferences'];
+
+export function createUserRouter(stores) {
+  const router = express.Router();
+
+  // List users (for delegation and assignment)
+  router.get('/', (req, res) => {
+    sendData(req, res, stores.users.getAll({ search: req.query.search }).data);
+  });
+
+  // Current user
+  router.get('/me', (req, res) => {
+    sendData(req, res, stores.session.getCurrentUser());
+  });
+
+  // Update current user
+  router.patch('/me', (req, res) => {
+    const updates = {};
+    Object.keys(req.body || {}).forEach(field => {
+      if (!UPDATABLE_FIELDS.includes(field)) {
+        throw new ApiError('VALIDATION_ERROR', `Invalid field: ${field}`, {
+          field,
+          expected: UPDATABLE_FIELDS.join('|'),
+        });
+      }
+      updates[field] = req.body[field];
+    });
+
+    if (updates.preferences !== undefined) {
+      if (typeof updates.preferences !== 'object' || updates.preferences === null) {
+        throw new ApiError('VALIDATION_ERROR', 'preferences must be an object', {
+          field: 'preferences',
+        });
+      }
+      updates.preferences = {
+        ...stores.session.getCurrentUser().preferences,
+        ...updates.preferences,
+      };
+    }
+
+    sendData(req, res, stores.session.updateCurrentUser(updates));
+  });
+
+  // Get user
+  router.get('/:id', (req, res) => {
+    sendData(req, res, stores.users.getById(req.params.id));
+  });
+
+  return router;
+}
@@ -0,0 +1,70 @@
+/**
+ * /v1/views routes
+ */
+
+import express from 'express';
+import { ApiError, sendData, sendPage, parseUpdates, parseBoolean, parseInteger } from '../responses.js';
+import { ViewStore } from '../../storage/localStorage.js';
+
+export function createViewRouter(stores) {
+  const router = express.Router();
+  const views = stores.views || ViewStore;
+
+  // List views (optionally with task stats, for sidebar counts)
+  router.get('/', (req, res) => {
+    const list = views.getAll().data;
+    const withStats = parseBoolean(req.query.includeTaskStats);
+    sendData(req, res, withStats ? list.map(view => ({ ...view, stats: views.getStats(view.id) })) : list);
+  });
+
+  // Get view
+  router.get('/:id', (req, res) => {
+    const view = { ...views.getById(req.params.id) };
+    if (parseBoolean(req.query.includeTaskStats)) {
+      view.stats = views.getStats(view.id);
+    }
+    sendData(req, res, view);
+  });
+
+  // The view's tasks, in its sort order
+  router.get('/:id/tasks', (req, res) => {
+    sendPage(req, res, views.getTasks(req.params.id, {
+      page: parseInteger(req.query.page, 'page', { defaultValue: 1 }),
+      pageSize: parseInteger(req.query.pageSize, 'pageSize', { defaultValue: 50, max: 200 }),
+    }));
+  });
+
+  // The view's tasks by its groupBy field
+  router.get('/:id/groups', (req, res) => {
+    sendData(req, res, views.getGroups(req.params.id));
+  });
+
+  // View statistics
+  router.get('/:id/stats', (req, res) => {
+    sendData(req, res, views.getStats(req.params.id));
+  });
+
+  // Create view
+  router.post('/', (req, res) => {
+    sendData(req, res, views.create({ ...req.body }), 201);
+  });
+
+  // Update view
+  router.patch('/:id', (req, res) => {
+    const updates = parseUpdates(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError('VALIDATION_ERROR', 'No fields to update');
+    }
+
+    sendData(req, res, views.update(req.params.id, updates));
+  });
+
+  // Delete view
+  router.delete('/:id', (req, res) => {
+    views.delete(req.params.id);
+    res.status(204).send();
+  });
+
+  return router;
+}
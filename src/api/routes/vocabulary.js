@@ -0,0 +1,28 @@
+/**
+ * /v1/vocabulary routes
+ */
+
+import express from 'express';
+import { sendData } from '../responses.js';
+import { VocabularyStore } from '../../storage/localStorage.js';
+
+export function createVocabularyRouter(stores) {
+  const router = express.Router();
+  const vocabulary = stores.vocabulary || VocabularyStore;
+
+  router.get('/', (req, res) => {
+    sendData(req, res, vocabulary.get());
+  });
+
+  // Replace the sections given in the body ({ symbols, cycle, ... })
+  router.patch('/', (req, res) => {
+    sendData(req, res, vocabulary.update(req.body || {}));
+  });
+
+  // Back to the default vocabulary
+  router.post('/reset', (req, res) => {
+    sendData(req, res, vocabulary.reset());
+  });
+
+  return router;
+}
@@ -0,0 +1,54 @@
+/**
+ * Front-end files served by the Dash-Plus Notes server
+ *
+ * Only the files the app loads are served, never the project directory as a
+ * whole: it also holds package.json, the tests and, in development, the data
+ * file.
+ */
+
+import express from 'express';
+import path from 'path';
+
+// Files at the project root the app loads
+export const FRONTEND_FILES = ['index.html', 'manifest.json', 'serviceworker.js'];
+
+// Module directories index.html imports from (the server-side modules in
+// src/api are not served)
+export const FRONTEND_DIRS = ['src/storage', 'src/utils', 'src/vendor'];
+
+/**
+ * Router serving the front end from a project directory
+ *
+ * @param {string} rootDir - Project directory (holding index.html)
+ */
+export function createFrontendRouter(rootDir) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.sendFile(path.join(rootDir, 'index.html'));
+  });
+
+  FRONTEND_FILES.forEach(file => {
+    router.get(`/${file}`, (req, res) => {
+      res.sendFile(path.join(rootDir, file));
+    });
+  });
+
+  FRONTEND_DIRS.forEach(dir => {
+    router.use(`/${dir}`, express.static(path.join(rootDir, dir), { index: false }));
+  });
+
+  return router;
+}
+
+/**
+ * Whether the router would serve a file (data files, which hold every
+ * user's password hash, must never be)
+ *
+ * @param {string} rootDir - Project directory
+ * @param {string} filePath - File to check
+ */
+export function isServedPath(rootDir, filePath) {
+  const relative = path.relative(path.resolve(rootDir), path.resolve(filePath)).split(path.sep).join('/');
+  return FRONTEND_FILES.includes(relative) || FRONTEND_DIRS.some(dir => relative.startsWith(`${dir}/`));
+}
@@ -0,0 +1,113 @@
+/**
+ * Storage adapters for Dash-Plus Notes
+ *
+ * The stores in localStorage.js never touch a storage backend directly.
+ * They read and write whole collections through an adapter, which makes
+ * it possible to run the same TaskStore/ProjectStore/LinkStore code in the
+ * browser, in tests, in Node scripts and on the server.
+ *
+ * Adapter interface:
+ * - get(key)          Returns the stored value for key, or null
+ * - set(key, value)   Stores a JSON-serializable value under key
+ * - remove(key)       Removes key
+ * - keys()            Returns all stored keys
+ *
+ * Values must be returned as copies: callers are free to mutate them.
+ */
+
+// ============================================================================
+// MEMORY ADAPTER
+// ============================================================================
+
+/**
+ * Keeps data in memory for the lifetime of the process.
+ * Used for tests and Node scripts such as examples/demo.js.
+ */
+export class MemoryAdapter {
+  constructor(initialData = {}) {
+    this.store = new Map();
+
+    Object.entries(initialData).forEach(([key, value]) => {
+      this.set(key, value);
+    });
+  }
+
+  get(key) {
+    const data = this.store.get(key);
+    return data === undefined ? null : JSON.parse(data);
+  }
+
+  set(key, value) {
+    this.store.set(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.store.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.store.keys());
+  }
+}
+
+// ============================================================================
+// BROWSER ADAPTER
+// ============================================================================
+
+/**
+ * Persists data to a Web Storage object (window.localStorage by default).
+ */
+export class BrowserStorageAdapter {
+  constructor(storage = globalThis.localStorage) {
+    if (!storage) {
+      throw new Error('Web Storage is not available in this environment');
+    }
+    this.storage = storage;
+  }
+
+  get(key) {
+    const data = this.storage.getItem(key);
+    if (data === null || data === undefined) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      // Values written before the adapter layer (e.g. the current user id)
+      // were stored as plain strings
+      return data;
+    }
+  }
+
+  set(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.storage.removeItem(key);
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < (this.storage.length || 0); i++) {
+      keys.push(this.storage.key(i));
+    }
+    return keys;
+  }
+}
+
+// ============================================================================
+// DEFAULT ADAPTER
+// ============================================================================
+
+/**
+ * Pick an adapter for the current environment: the browser's localStorage
+ * when it exists, otherwise an in-memory store.
+ */
+export function createDefaultAdapter() {
+  if (typeof globalThis.localStorage !== 'undefined' && globalThis.localStorage !== null) {
+    return new BrowserStorageAdapter(globalThis.localStorage);
+  }
+  return new MemoryAdapter();
+}
@@ -0,0 +1,592 @@
+/**
+ * JSON backup and restore for Dash-Plus Notes
+ *
+ * A backup bundles the workspace vocabulary and every localStorage
+ * collection - users, projects, tasks, links, saved views and audit logs
+ * (the dashplus:* keys) plus index.html's dashplus-tasks list - so data can
+ * be moved between browsers:
+ *
+ *   {
+ *     "format": "dash-plus-backup",
+ *     "version": 2,
+ *     "createdAt": "2025-01-15T10:00:00.000Z",
+ *     "data": { "vocabulary": {}, "users": [], "projects": [], "tasks": [],
+ *               "links": [], "views": [], "auditLogs": [], "legacyTasks": [] }
+ *   }
+ *
+ * Older backups are upgraded one version at a time (BACKUP_UPGRADES) before
+ * they are restored. Restores are all-or-nothing: if any restored record
+ * fails its store's validate(), the previous data is put back.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+  STORAGE_KEYS,
+  Storage,
+  UserStore,
+  ProjectStore,
+  TaskStore,
+  LinkStore,
+  ViewStore,
+  VocabularyStore,
+  SearchStore,
+} from './localStorage.js';
+import { getFieldDefinitions, validateCustomFields } from '../utils/customFields.js';
+import { normalizeVocabulary, checkVocabularyUsage } from '../utils/vocabulary.js';
+import { LEGACY_TASKS_KEY, LEGACY_STATUSES } from './legacyTasks.js';
+import { ValidationError } from '../utils/errors.js';
+
+// ============================================================================
+// FORMAT
+// ============================================================================
+
+export const BACKUP_FORMAT = 'dash-plus-backup';
+export const BACKUP_VERSION = 2;
+
+export { LEGACY_TASKS_KEY };
+
+/**
+ * Backup collections and their storage keys, in restore order
+ * (the vocabulary, a single value, is restored before them)
+ */
+const COLLECTIONS = {
+  users: STORAGE_KEYS.USERS,
+  projects: STORAGE_KEYS.PROJECTS,
+  tasks: STORAGE_KEYS.TASKS,
+  links: STORAGE_KEYS.LINKS,
+  views: STORAGE_KEYS.VIEWS,
+  auditLogs: STORAGE_KEYS.AUDIT_LOGS,
+  legacyTasks: LEGACY_TASKS_KEY,
+};
+
+const RESTORE_MODES = ['merge', 'replace'];
+const CONFLICT_MODES = ['skip', 'overwrite', 'duplicate'];
+
+const AUDIT_ENTITY_TYPES = { task: 'tasks', project: 'projects', link: 'links', user: 'users' };
+
+// Vocabulary sections merged entry by entry, and the property naming each entry
+const VOCABULARY_SECTIONS = {
+  symbols: 'symbol',
+  statuses: 'status',
+  priorities: null,
+  linkTypes: 'linkType',
+  projectStatuses: null,
+  fields: 'name',
+};
+
+/**
+ * Upgrade functions keyed by the version they upgrade from; each returns
+ * a backup of the next version
+ */
+export const BACKUP_UPGRADES = {
+  // Version 0: a bare copy of the dashplus-tasks value (the manual backup
+  // described in the README before versioned backups existed)
+  0: legacyTasks => ({
+    format: BACKUP_FORMAT,
+    version: 1,
+    createdAt: null,
+    data: { legacyTasks },
+  }),
+
+  // Version 1 had no vocabulary: restoring it keeps the current one
+  1: backup => ({
+    ...backup,
+    version: 2,
+    data: { ...backup.data, vocabulary: null },
+  }),
+};
+
+// ============================================================================
+// BACKUP
+// ============================================================================
+
+/**
+ * Bundle every collection into a backup of the current version
+ *
+ * @returns {object}
+ */
+export function createBackup() {
+  const data = { vocabulary: VocabularyStore.get() };
+  Object.entries(COLLECTIONS).forEach(([name, key]) => {
+    data[name] = readCollection(key);
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Upgrade a backup (parsed JSON) to the current version
+ *
+ * @returns {object} A copy of the backup at BACKUP_VERSION, with every collection present
+ */
+export function upgradeBackup(backup) {
+  let upgraded = JSON.parse(JSON.stringify(backup ?? null));
+  let version = Array.isArray(upgraded) ? 0 : upgraded?.version;
+
+  if (version !== 0 && upgraded?.format !== BACKUP_FORMAT) {
+    throw new ValidationError('Invalid backup: not a Dash-Plus backup');
+  }
+
+  if (!Number.isInteger(version) || version < 0 || version > BACKUP_VERSION) {
+    throw new ValidationError(`Invalid backup version: ${version} (newest supported is ${BACKUP_VERSION})`);
+  }
+
+  while (version < BACKUP_VERSION) {
+    upgraded = BACKUP_UPGRADES[version](upgraded);
+    version = upgraded.version;
+  }
+
+  const data = upgraded.data || {};
+  Object.keys(COLLECTIONS).forEach(name => {
+    if (data[name] === undefined) {
+      data[name] = [];
+    } else if (!Array.isArray(data[name])) {
+      throw new ValidationError(`Invalid backup: ${name} must be an array`);
+    }
+  });
+
+  if (data.vocabulary === undefined) {
+    data.vocabulary = null;
+  } else if (data.vocabulary !== null && (typeof data.vocabulary !== 'object' || Array.isArray(data.vocabulary))) {
+    throw new ValidationError('Invalid backup: vocabulary must be an object');
+  }
+
+  return { ...upgraded, data };
+}
+
+// ============================================================================
+// RESTORE
+// ============================================================================
+
+/**
+ * Restore a backup
+ *
+ * @param {object|Array} backup - Parsed backup JSON (any supported version)
+ * @param {object} options - { mode, conflict }
+ *   mode: 'merge' (default) adds the backup's records to the current data;
+ *     'replace' discards the current data first
+ *   conflict: what merge does with a record whose ID already exists -
+ *     'skip' (default) keeps the current record, 'overwrite' takes the
+ *     backup's, 'duplicate' restores it under a new ID (references to it
+ *     are updated). Users with the same ID, username or email are always
+ *     treated as the same user; views with the same name conflict like
+ *     views with the same ID (a duplicate gets a numbered name).
+ *     Vocabulary values are merged as described in mergeVocabulary().
+ * @returns {object} { mode, conflict, version, restored, conflicts }
+ */
+export function restoreBackup(backup, options = {}) {
+  const { mode = 'merge', conflict = 'skip' } = options;
+
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new ValidationError(`Invalid restore mode: ${mode}`);
+  }
+
+  if (!CONFLICT_MODES.includes(conflict)) {
+    throw new ValidationError(`Invalid conflict mode: ${conflict}`);
+  }
+
+  const version = Array.isArray(backup) ? 0 : backup?.version;
+  const { data } = upgradeBackup(backup);
+
+  const current = {};
+  Object.entries(COLLECTIONS).forEach(([name, key]) => {
+    current[name] = readCollection(key);
+  });
+  const currentVocabulary = Storage.getAdapter().get(STORAGE_KEYS.VOCABULARY);
+
+  // A backup without a vocabulary keeps the current one
+  const vocabularyResult = !data.vocabulary
+    ? { vocabulary: VocabularyStore.get(), conflicts: [], changedFields: [] }
+    : mode === 'replace'
+      ? { vocabulary: normalizeVocabulary(data.vocabulary), conflicts: [], changedFields: [] }
+      : mergeVocabulary(VocabularyStore.get(), normalizeVocabulary(data.vocabulary), conflict);
+  const { vocabulary } = vocabularyResult;
+
+  const result = mode === 'replace'
+    ? { collections: data, restored: data, conflicts: [] }
+    : mergeCollections(current, data, conflict, vocabulary);
+
+  // The vocabulary first: records are validated against it
+  if (data.vocabulary) {
+    writeVocabulary(vocabulary);
+  }
+  writeCollections(result.collections);
+  try {
+    checkVocabularyUsage(vocabulary, VocabularyStore.getUsage());
+    validateRestored(result.restored, result.collections, vocabulary, vocabularyResult.changedFields);
+  } catch (error) {
+    writeVocabulary(currentVocabulary);
+    writeCollections(current);
+    throw error;
+  }
+
+  // The signed-in user may not exist in a replaced user list
+  const adapter = Storage.getAdapter();
+  const currentUserId = adapter.get(STORAGE_KEYS.CURRENT_USER);
+  if (currentUserId && !result.collections.users.some(user => user.id === currentUserId)) {
+    adapter.remove(STORAGE_KEYS.CURRENT_USER);
+  }
+
+  const restored = {};
+  Object.keys(COLLECTIONS).forEach(name => {
+    restored[name] = result.restored[name].length;
+  });
+
+  return {
+    mode,
+    conflict,
+    version,
+    restored,
+    conflicts: [...vocabularyResult.conflicts, ...result.conflicts],
+  };
+}
+
+/**
+ * Merge a backup's vocabulary into the current one. Values missing from the
+ * current vocabulary are added; a value both define (a field, status,
+ * symbol... with the same name) is the same value, so 'overwrite' takes the
+ * backup's definition and any other conflict mode keeps the current one.
+ * The cycle is always kept.
+ *
+ * @returns {object} { vocabulary, conflicts, changedFields } - changedFields
+ *   names the current fields whose definition was overwritten
+ */
+function mergeVocabulary(current, backup, conflict) {
+  const conflicts = [];
+  const changedFields = [];
+  const merged = { cycle: current.cycle };
+
+  Object.entries(VOCABULARY_SECTIONS).forEach(([section, key]) => {
+    const entryName = entry => (key ? entry[key] : entry);
+    const entries = [...current[section]];
+
+    backup[section].forEach(entry => {
+      const index = entries.findIndex(existing => entryName(existing) === entryName(entry));
+      if (index === -1) {
+        entries.push(entry);
+        return;
+      }
+      if (JSON.stringify(entries[index]) === JSON.stringify(entry)) return;
+
+      const overwrite = conflict === 'overwrite';
+      if (overwrite) {
+        entries[index] = entry;
+        if (section === 'fields') changedFields.push(entry.name);
+      }
+      conflicts.push({
+        collection: 'vocabulary',
+        id: `${section}.${entryName(entry)}`,
+        resolution: overwrite ? 'overwritten' : 'skipped',
+      });
+    });
+
+    merged[section] = entries;
+  });
+
+  return { vocabulary: normalizeVocabulary(merged), conflicts, changedFields };
+}
+
+/**
+ * Merge backup records into the current collections
+ *
+ * @returns {object} { collections, restored, conflicts } - restored holds the
+ *   backup records that were written (after any ID changes)
+ */
+function mergeCollections(current, data, conflict, vocabulary) {
+  const idMaps = {};
+  const conflicts = [];
+  const collections = {};
+  const restored = {};
+
+  Object.keys(COLLECTIONS).forEach(name => {
+    idMaps[name] = new Map();
+    collections[name] = [...current[name]];
+    restored[name] = [];
+  });
+
+  // Users are identities: a matching user is the same person
+  data.users.forEach(user => {
+    const match = current.users.find(existing =>
+      existing.id === user.id ||
+      existing.username.toLowerCase() === user.username?.toLowerCase() ||
+      existing.email === user.email
+    );
+
+    if (!match) {
+      collections.users.push(user);
+      restored.users.push(user);
+    } else if (match.id === user.id && conflict === 'overwrite') {
+      collections.users[collections.users.indexOf(match)] = user;
+      restored.users.push(user);
+      conflicts.push({ collection: 'users', id: user.id, resolution: 'overwritten' });
+    } else {
+      idMaps.users.set(user.id, match.id);
+      conflicts.push({ collection: 'users', id: user.id, resolution: 'matched', newId: match.id });
+    }
+  });
+
+  // Decide every record's ID first, so references can be remapped in one pass
+  const plans = {};
+  ['projects', 'tasks', 'links', 'views', 'legacyTasks'].forEach(name => {
+    const existingIds = new Set(current[name].map(record => record.id));
+    let nextLegacyId = Math.max(0, ...current[name].map(record => Number(record.id) || 0),
+      ...data[name].map(record => Number(record.id) || 0)) + 1;
+
+    // View names are unique too
+    const viewNames = new Set(name === 'views' ? current.views.map(view => viewName(view)) : []);
+    const findMatch = record => {
+      if (existingIds.has(record.id)) return record.id;
+      const match = name === 'views' && current.views.find(view => viewName(view) === viewName(record));
+      return match ? match.id : null;
+    };
+
+    plans[name] = data[name].map(record => {
+      const matchId = findMatch(record);
+      if (matchId === null) {
+        if (name === 'views') viewNames.add(viewName(record));
+        return { record, action: 'add' };
+      }
+
+      if (conflict === 'duplicate') {
+        const newId = name === 'legacyTasks' ? nextLegacyId++ : uuidv4();
+        idMaps[name].set(record.id, newId);
+        conflicts.push({ collection: name, id: record.id, resolution: 'duplicated', newId });
+        if (name === 'views') {
+          const rename = numberedName(record.name, viewNames);
+          viewNames.add(viewName({ name: rename }));
+          return { record: { ...record, name: rename }, action: 'add' };
+        }
+        return { record, action: 'add' };
+      }
+
+      conflicts.push({
+        collection: name,
+        id: record.id,
+        resolution: conflict === 'overwrite' ? 'overwritten' : 'skipped',
+      });
+      return { record, action: conflict, matchId };
+    });
+  });
+
+  Object.entries(plans).forEach(([name, plan]) => {
+    plan.forEach(({ record, action, matchId }) => {
+      if (action === 'skip') return;
+
+      const remapped = remapRecord(name, record, idMaps, vocabulary);
+      if (action === 'overwrite') {
+        const index = collections[name].findIndex(existing => existing.id === matchId);
+        collections[name][index] = remapped;
+      } else {
+        collections[name].push(remapped);
+      }
+      restored[name].push(remapped);
+    });
+  });
+
+  // Audit entries: keep one copy of shared history, re-key entries of duplicated entities
+  const auditIds = new Set(current.auditLogs.map(entry => entry.id));
+  data.auditLogs.forEach(entry => {
+    const entityMap = idMaps[AUDIT_ENTITY_TYPES[entry.entityType]];
+    const duplicated = entityMap && entityMap.has(entry.entityId) && entry.entityType !== 'user';
+    if (auditIds.has(entry.id) && !duplicated) return;
+
+    const remapped = {
+      ...entry,
+      id: auditIds.has(entry.id) ? uuidv4() : entry.id,
+      entityId: entityMap ? mapId(entityMap, entry.entityId) : entry.entityId,
+      userId: mapId(idMaps.users, entry.userId),
+    };
+    collections.auditLogs.push(remapped);
+    restored.auditLogs.push(remapped);
+  });
+  collections.auditLogs.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+  return { collections, restored, conflicts };
+}
+
+/**
+ * Apply ID changes to a record and the references it holds
+ * (including user custom fields)
+ */
+function remapRecord(name, record, idMaps, vocabulary) {
+  const users = idMaps.users;
+  const remapped = { ...record, id: mapId(idMaps[name], record.id) };
+
+  const references = {
+    projects: { parentId: idMaps.projects, createdBy: users, updatedBy: users },
+    tasks: {
+      projectId: idMaps.projects,
+      parentTaskId: idMaps.tasks,
+      assigneeId: users,
+      createdBy: users,
+      updatedBy: users,
+    },
+    links: { sourceId: idMaps.tasks, targetId: idMaps.tasks, createdBy: users },
+    views: { createdBy: users, updatedBy: users },
+    legacyTasks: { parentId: idMaps.legacyTasks },
+  }[name];
+
+  Object.entries(references).forEach(([field, map]) => {
+    if (remapped[field] !== undefined && remapped[field] !== null) {
+      remapped[field] = mapId(map, remapped[field]);
+    }
+  });
+
+  // A view's filters can name a project and an assignee
+  if (name === 'views' && remapped.filters && typeof remapped.filters === 'object') {
+    const filters = { ...remapped.filters };
+    if (filters.projectId) filters.projectId = mapId(idMaps.projects, filters.projectId);
+    if (filters.assigneeId) filters.assigneeId = mapId(users, filters.assigneeId);
+    remapped.filters = filters;
+  }
+
+  const entity = { tasks: 'task', projects: 'project' }[name];
+  if (entity && remapped.customFields && typeof remapped.customFields === 'object') {
+    const customFields = { ...remapped.customFields };
+    getFieldDefinitions(vocabulary, entity)
+      .filter(field => field.type === 'user' && customFields[field.name] !== undefined)
+      .forEach(field => {
+        customFields[field.name] = mapId(users, customFields[field.name]);
+      });
+    remapped.customFields = customFields;
+  }
+
+  return remapped;
+}
+
+function mapId(map, id) {
+  return map.has(id) ? map.get(id) : id;
+}
+
+function viewName(view) {
+  return String(view.name ?? '').trim().toLowerCase();
+}
+
+/**
+ * The first of "name (2)", "name (3)", ... not taken
+ */
+function numberedName(name, taken) {
+  let number = 2;
+  while (taken.has(viewName({ name: `${name} (${number})` }))) number++;
+  return `${name} (${number})`;
+}
+
+/**
+ * Validate restored records against the restored data
+ * (the collections are already written, so cross-record checks see them).
+ * Records kept from the current data are checked again for the custom
+ * fields whose definition the backup changed.
+ */
+function validateRestored(restored, collections, vocabulary, changedFields) {
+  const check = (name, record, validate) => {
+    try {
+      validate(record);
+    } catch (error) {
+      throw new ValidationError(`Invalid backup record in ${name} (${record?.id}): ${error.message}`);
+    }
+  };
+
+  restored.users.forEach(user => {
+    check('users', user, () => UserStore.validate(user, collections.users.filter(u => u !== user)));
+  });
+  restored.projects.forEach(project => check('projects', project, () => ProjectStore.validate(project)));
+  restored.tasks.forEach(task => check('tasks', task, () => TaskStore.validate(task)));
+  restored.links.forEach(link => check('links', link, () => LinkStore.validate(link)));
+  restored.views.forEach(view => check('views', view, () => ViewStore.validate(view, collections.views)));
+  restored.auditLogs.forEach(entry => check('auditLogs', entry, () => validateAuditEntry(entry)));
+  restored.legacyTasks.forEach(task => check('legacyTasks', task, () => validateLegacyTask(task)));
+
+  if (changedFields.length > 0) {
+    [['tasks', 'task'], ['projects', 'project']].forEach(([name, entity]) => {
+      collections[name]
+        .filter(record => changedFields.some(field => record.customFields?.[field] !== undefined))
+        .forEach(record => check(name, record, () => validateCustomFields(record.customFields, entity, vocabulary)));
+    });
+  }
+
+  ['users', 'projects', 'tasks', 'links', 'views', 'legacyTasks'].forEach(name => {
+    const ids = new Set();
+    collections[name].forEach(record => {
+      if (ids.has(record.id)) {
+        throw new ValidationError(`Invalid backup: duplicate ${name} ID ${record.id}`);
+      }
+      ids.add(record.id);
+    });
+  });
+}
+
+function validateAuditEntry(entry) {
+  if (!entry.id || !entry.entityId || !entry.action) {
+    throw new ValidationError('Audit entry must have an id, entityId and action');
+  }
+
+  if (!AUDIT_ENTITY_TYPES[entry.entityType]) {
+    throw new ValidationError(`Invalid entity type: ${entry.entityType}`);
+  }
+
+  if (isNaN(new Date(entry.timestamp).getTime())) {
+    throw new ValidationError(`Invalid timestamp: ${entry.timestamp}`);
+  }
+}
+
+/**
+ * index.html tasks have no store; check the fields it relies on
+ */
+function validateLegacyTask(task) {
+  if (task.id === undefined || task.id === null) {
+    throw new ValidationError('Task must have an id');
+  }
+
+  if (typeof task.content !== 'string') {
+    throw new ValidationError('Task content must be a string');
+  }
+
+  if (!LEGACY_STATUSES.includes(task.status)) {
+    throw new ValidationError(`Invalid status: ${task.status}`);
+  }
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+function readCollection(key) {
+  const data = Storage.getAdapter().get(key);
+  return Array.isArray(data) ? data : [];
+}
+
+function writeVocabulary(vocabulary) {
+  const adapter = Storage.getAdapter();
+  if (vocabulary) {
+    adapter.set(STORAGE_KEYS.VOCABULARY, vocabulary);
+  } else {
+    adapter.remove(STORAGE_KEYS.VOCABULARY);
+  }
+}
+
+function writeCollections(collections) {
+  const adapter = Storage.getAdapter();
+  Object.entries(COLLECTIONS).forEach(([name, key]) => {
+    adapter.set(key, collections[name]);
+  });
+  SearchStore.reset();
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BACKUP_UPGRADES,
+  LEGACY_TASKS_KEY,
+  createBackup,
+  upgradeBackup,
+  restoreBackup,
+};
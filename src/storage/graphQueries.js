@@ -5,7 +5,396 @@
  * detect cycles, and build visual representations of the graph.
  */
 
-import { TaskStore, LinkStore } from './localStorage.js';
+import { TaskStore, ProjectStore, LinkStore, VocabularyStore, AuditLogger } from './localStorage.js';
+import { ValidationError, CircularReferenceError } from '../utils/errors.js';
+
+// Stores traversed by the queries (the localStorage stores unless configured)
+const stores = {
+  tasks: TaskStore,
+  projects: ProjectStore,
+  links: LinkStore,
+  vocabulary: VocabularyStore,
+  audit: AuditLogger,
+  database: null,
+};
+
+// Whole-graph metrics, kept until a link changes or a task is added or
+// removed (see getGraphMetrics)
+const metricsCache = {
+  metrics: null,
+  unsubscribe: null,
+};
+
+/**
+ * Point graph queries at another store backend (e.g. the SQLite stores)
+ *
+ * @param {object} backend - { tasks, projects, links, vocabulary, audit }
+ *   with the TaskStore/ProjectStore/LinkStore/VocabularyStore/AuditLogger
+ *   surface, and the SQLite database (for transactions)
+ */
+export function configureGraphStores(backend = {}) {
+  stores.tasks = backend.tasks || TaskStore;
+  stores.projects = backend.projects || ProjectStore;
+  stores.links = backend.links || LinkStore;
+  stores.vocabulary = backend.vocabulary || VocabularyStore;
+  stores.audit = backend.audit || AuditLogger;
+  stores.database = backend.database || null;
+  clearGraphMetrics();
+}
+
+/**
+ * Drop the cached graph metrics (for changes the audit trail does not
+ * record, such as restoring a backup)
+ */
+export function clearGraphMetrics() {
+  if (metricsCache.unsubscribe) {
+    metricsCache.unsubscribe();
+  }
+  metricsCache.metrics = null;
+  metricsCache.unsubscribe = null;
+}
+
+// Link types that order tasks: a `blocks` link's source comes before its
+// target, a `waiting` link's target before its source
+const DEPENDENCY_LINK_TYPES = ['blocks', 'waiting'];
+
+const DAY = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+// A date's day as the time of its UTC midnight (NaN when invalid): plain
+// dates ('2025-03-07', stored as UTC midnight) keep their day in every
+// timezone, other times are on their local day
+function toDayTime(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime()) || date.toISOString().endsWith('T00:00:00.000Z')) {
+    return date.getTime();
+  }
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Every task matching the filters (task lists are paginated)
+function getAllTasks(filters = {}) {
+  const tasks = [];
+  for (let page = 1; ; page++) {
+    const result = stores.tasks.getAll({ ...filters, page, pageSize: 200 });
+    tasks.push(...result.data);
+    if (!result.meta.hasNext) return tasks;
+  }
+}
+
+// Dependency edges between the given tasks, each from a task to one that
+// has to wait for it
+function getDependencyEdges(taskIds) {
+  return stores.links.getAll().data
+    .filter(link => DEPENDENCY_LINK_TYPES.includes(link.linkType))
+    .map(link => ({
+      id: link.id,
+      source: link.linkType === 'blocks' ? link.sourceId : link.targetId,
+      target: link.linkType === 'blocks' ? link.targetId : link.sourceId,
+      linkType: link.linkType,
+    }))
+    .filter(edge => taskIds.has(edge.source) && taskIds.has(edge.target));
+}
+
+const INFLUENCE_METRICS = ['pageRank', 'betweenness', 'inDegree', 'outDegree'];
+const PAGE_RANK_DAMPING = 0.85;
+const PAGE_RANK_TOLERANCE = 1e-8;
+const PAGE_RANK_MAX_ITERATIONS = 100;
+
+/**
+ * Influence edges between tasks: importance flows along links to the task
+ * linked to, except that a blocked task passes it to its blocker, and
+ * undirected link types (see the vocabulary) flow both ways. Each edge
+ * weighs its link's strength (1 without one).
+ */
+function getInfluenceEdges(tasks, links, vocabulary) {
+  const taskIds = new Set(tasks.map(task => task.id));
+  const undirected = new Set(vocabulary.linkTypes.filter(t => t.directional === false).map(t => t.linkType));
+
+  return links
+    .filter(link => taskIds.has(link.sourceId) && taskIds.has(link.targetId))
+    .flatMap(link => {
+      const weight = typeof link.strength === 'number' ? link.strength : 1;
+      const edge = link.linkType === 'blocks'
+        ? { source: link.targetId, target: link.sourceId, weight }
+        : { source: link.sourceId, target: link.targetId, weight };
+      return undirected.has(link.linkType)
+        ? [edge, { source: edge.target, target: edge.source, weight }]
+        : [edge];
+    });
+}
+
+/**
+ * Weighted PageRank (power iteration; tasks without outgoing weight share
+ * theirs with every task). Ranks add up to 1.
+ */
+function computePageRank(nodeIds, edges) {
+  const n = nodeIds.length;
+  const outgoing = new Map(nodeIds.map(id => [id, []]));
+  const outWeight = new Map(nodeIds.map(id => [id, 0]));
+  edges.forEach(edge => {
+    if (edge.weight <= 0) return;
+    outgoing.get(edge.source).push(edge);
+    outWeight.set(edge.source, outWeight.get(edge.source) + edge.weight);
+  });
+
+  let rank = new Map(nodeIds.map(id => [id, 1 / n]));
+  for (let iteration = 0; iteration < PAGE_RANK_MAX_ITERATIONS; iteration++) {
+    const dangling = nodeIds
+      .filter(id => outWeight.get(id) === 0)
+      .reduce((sum, id) => sum + rank.get(id), 0);
+    const base = (1 - PAGE_RANK_DAMPING) / n + PAGE_RANK_DAMPING * dangling / n;
+
+    const next = new Map(nodeIds.map(id => [id, base]));
+    nodeIds.forEach(id => {
+      outgoing.get(id).forEach(edge => {
+        next.set(edge.target, next.get(edge.target) +
+          PAGE_RANK_DAMPING * rank.get(id) * edge.weight / outWeight.get(id));
+      });
+    });
+
+    const change = nodeIds.reduce((sum, id) => sum + Math.abs(next.get(id) - rank.get(id)), 0);
+    rank = next;
+    if (change < PAGE_RANK_TOLERANCE) break;
+  }
+  return rank;
+}
+
+/**
+ * Betweenness centrality (Brandes' algorithm over shortest paths by link
+ * count): the share of shortest paths between other tasks that pass
+ * through each task, from 0 to 1
+ */
+function computeBetweenness(nodeIds, edges) {
+  const neighbors = new Map(nodeIds.map(id => [id, new Set()]));
+  edges.forEach(edge => {
+    if (edge.source !== edge.target) neighbors.get(edge.source).add(edge.target);
+  });
+
+  const betweenness = new Map(nodeIds.map(id => [id, 0]));
+  nodeIds.forEach(source => {
+    const stack = [];
+    const predecessors = new Map(nodeIds.map(id => [id, []]));
+    const paths = new Map(nodeIds.map(id => [id, 0]));
+    const distance = new Map([[source, 0]]);
+    paths.set(source, 1);
+
+    const queue = [source];
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      stack.push(current);
+      neighbors.get(current).forEach(next => {
+        if (!distance.has(next)) {
+          distance.set(next, distance.get(current) + 1);
+          queue.push(next);
+        }
+        if (distance.get(next) === distance.get(current) + 1) {
+          paths.set(next, paths.get(next) + paths.get(current));
+          predecessors.get(next).push(current);
+        }
+      });
+    }
+
+    const dependency = new Map(nodeIds.map(id => [id, 0]));
+    while (stack.length > 0) {
+      const current = stack.pop();
+      predecessors.get(current).forEach(previous => {
+        dependency.set(previous, dependency.get(previous) +
+          paths.get(previous) / paths.get(current) * (1 + dependency.get(current)));
+      });
+      if (current !== source) {
+        betweenness.set(current, betweenness.get(current) + dependency.get(current));
+      }
+    }
+  });
+
+  const pairs = (nodeIds.length - 1) * (nodeIds.length - 2);
+  if (pairs > 0) {
+    nodeIds.forEach(id => betweenness.set(id, betweenness.get(id) / pairs));
+  }
+  return betweenness;
+}
+
+const PATH_DIRECTIONS = ['outgoing', 'incoming', 'both'];
+
+/**
+ * Steps out of each task for path queries: along links (outgoing), against
+ * them (incoming) or either way (both), optionally of some link types only.
+ * A step costs 1, or 1 / strength when weighted (stronger links are
+ * shorter; links of strength 0 are left out).
+ */
+function buildPathGraph({ linkTypes = null, direction = 'outgoing', weighted = false } = {}) {
+  if (!PATH_DIRECTIONS.includes(direction)) {
+    throw new ValidationError(`Invalid direction: ${direction}`);
+  }
+
+  const steps = new Map();
+  const addStep = (from, to, link, stepDirection) => {
+    const strength = typeof link.strength === 'number' ? link.strength : 1;
+    if (weighted && strength <= 0) return;
+    if (!steps.has(from)) steps.set(from, []);
+    steps.get(from).push({ to, link, direction: stepDirection, cost: weighted ? 1 / strength : 1 });
+  };
+
+  stores.links.getAll().data
+    .filter(link => !linkTypes || linkTypes.includes(link.linkType))
+    .forEach(link => {
+      if (direction !== 'incoming') addStep(link.sourceId, link.targetId, link, 'outgoing');
+      if (direction !== 'outgoing') addStep(link.targetId, link.sourceId, link, 'incoming');
+    });
+  return steps;
+}
+
+/**
+ * Cheapest path between two tasks (Dijkstra), skipping the given tasks and
+ * the given steps ('<from>:<linkId>')
+ *
+ * @returns {object|null} { nodes, steps, cost }
+ */
+function findCheapestPath(graph, sourceId, targetId, excluded = {}) {
+  const { nodes: excludedNodes = new Set(), steps: excludedSteps = new Set() } = excluded;
+  const best = new Map([[sourceId, { cost: 0, previous: null, step: null }]]);
+  const done = new Set();
+
+  for (;;) {
+    let current = null;
+    best.forEach((entry, id) => {
+      if (!done.has(id) && (current === null || entry.cost < best.get(current).cost)) current = id;
+    });
+    if (current === null) return null;
+    if (current === targetId) break;
+    done.add(current);
+
+    (graph.get(current) || []).forEach(step => {
+      if (excludedNodes.has(step.to) || done.has(step.to)) return;
+      if (excludedSteps.has(`${current}:${step.link.id}`)) return;
+      const cost = best.get(current).cost + step.cost;
+      if (!best.has(step.to) || cost < best.get(step.to).cost) {
+        best.set(step.to, { cost, previous: current, step });
+      }
+    });
+  }
+
+  const nodes = [targetId];
+  const steps = [];
+  for (let id = targetId; best.get(id).previous !== null; id = best.get(id).previous) {
+    nodes.unshift(best.get(id).previous);
+    steps.unshift(best.get(id).step);
+  }
+  return { nodes, steps, cost: best.get(targetId).cost };
+}
+
+// A path as path queries return it
+function toPathResult({ nodes, steps }) {
+  return {
+    path: nodes,
+    links: steps.map(step => step.link.id),
+    linkTypes: steps.map(step => step.link.linkType),
+    directions: steps.map(step => step.direction),
+    length: steps.length,
+    cost: steps.reduce((sum, step) => sum + step.cost, 0),
+  };
+}
+
+const LABEL_PROPAGATION_MAX_ITERATIONS = 50;
+const SUGGESTED_NAME_LENGTH = 40;
+
+/**
+ * Undirected links between the given tasks, as task → (neighbor → weight)
+ * where the weight adds up the strengths of the links between them
+ */
+function buildUndirectedGraph(taskIds, linkTypes = null) {
+  const graph = new Map([...taskIds].map(id => [id, new Map()]));
+  stores.links.getAll().data
+    .filter(link => !linkTypes || linkTypes.includes(link.linkType))
+    .filter(link => graph.has(link.sourceId) && graph.has(link.targetId) && link.sourceId !== link.targetId)
+    .forEach(link => {
+      const weight = typeof link.strength === 'number' ? link.strength : 1;
+      const add = (from, to) => graph.get(from).set(to, (graph.get(from).get(to) || 0) + weight);
+      add(link.sourceId, link.targetId);
+      add(link.targetId, link.sourceId);
+    });
+  return graph;
+}
+
+/**
+ * Label propagation: every task starts in its own community and keeps
+ * joining the one its links weigh most towards (ties go to the current
+ * community, then the earliest task's) until nothing changes
+ *
+ * @returns {Map} Task ID → community label (a task ID)
+ */
+function propagateLabels(graph, maxIterations) {
+  const nodeIds = [...graph.keys()];
+  const position = new Map(nodeIds.map((id, index) => [id, index]));
+  const labels = new Map(nodeIds.map(id => [id, id]));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+    nodeIds.forEach(id => {
+      const weights = new Map();
+      graph.get(id).forEach((weight, neighbor) => {
+        const label = labels.get(neighbor);
+        weights.set(label, (weights.get(label) || 0) + weight);
+      });
+      if (weights.size === 0) return;
+
+      const best = Math.max(...weights.values());
+      const current = labels.get(id);
+      if (Math.abs((weights.get(current) || 0) - best) < EPSILON) return;
+
+      const label = [...weights]
+        .filter(([, weight]) => Math.abs(weight - best) < EPSILON)
+        .map(([candidate]) => candidate)
+        .sort((a, b) => position.get(a) - position.get(b))[0];
+      labels.set(id, label);
+      changed = true;
+    });
+    if (!changed) break;
+  }
+  return labels;
+}
+
+/**
+ * Modularity of a split into communities (-0.5 to 1; higher when more of
+ * the link weight falls inside communities than chance would put there)
+ */
+function computeModularity(graph, labels) {
+  let total = 0;
+  const inside = new Map();
+  const degrees = new Map();
+  graph.forEach((neighbors, id) => {
+    const label = labels.get(id);
+    neighbors.forEach((weight, neighbor) => {
+      total += weight;
+      degrees.set(label, (degrees.get(label) || 0) + weight);
+      if (labels.get(neighbor) === label) inside.set(label, (inside.get(label) || 0) + weight);
+    });
+  });
+  if (total === 0) return 0;
+
+  // total counts each link from both ends (2m)
+  return [...degrees.keys()].reduce((sum, label) =>
+    sum + (inside.get(label) || 0) / total - (degrees.get(label) / total) ** 2, 0);
+}
+
+// Group task IDs by label, largest group first (then by earliest task)
+function groupByLabel(nodeIds, labelOf) {
+  const groups = new Map();
+  nodeIds.forEach(id => {
+    const label = labelOf(id);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(id);
+  });
+  return [...groups.values()].sort((a, b) => b.length - a.length);
+}
+
+// Links within a group of tasks (each counted once)
+function countLinksWithin(graph, taskIds) {
+  const members = new Set(taskIds);
+  return taskIds.reduce((sum, id) =>
+    sum + [...graph.get(id).keys()].filter(neighbor => members.has(neighbor)).length, 0) / 2;
+}
 
 // ============================================================================
 // GRAPH TRAVERSAL
@@ -36,14 +425,14 @@ export class GraphQueries {
       visited.add(currentTaskId);
 
       // Find all links pointing TO current task
-      const links = LinkStore.getAll({ targetId: currentTaskId }).data;
+      const links = stores.links.getAll({ targetId: currentTaskId }).data;
 
       links.forEach(link => {
         // Filter by link type if specified
         if (linkType && link.linkType !== linkType) return;
 
         try {
-          const sourceTask = TaskStore.getById(link.sourceId);
+          const sourceTask = stores.tasks.getById(link.sourceId);
 
           results.push({
             link,
@@ -94,14 +483,14 @@ export class GraphQueries {
       visited.add(currentTaskId);
 
       // Find all links FROM current task
-      const links = LinkStore.getAll({ sourceId: currentTaskId }).data;
+      const links = stores.links.getAll({ sourceId: currentTaskId }).data;
 
       links.forEach(link => {
         // Filter by link type if specified
         if (linkType && link.linkType !== linkType) return;
 
         try {
-          const targetTask = TaskStore.getById(link.targetId);
+          const targetTask = stores.tasks.getById(link.targetId);
 
           results.push({
             link,
@@ -153,7 +542,7 @@ export class GraphQueries {
       visited.add(currentTaskId);
 
       try {
-        const task = TaskStore.getById(currentTaskId);
+        const task = stores.tasks.getById(currentTaskId);
 
         // Add task node
         nodes.set(task.id, {
@@ -166,8 +555,8 @@ export class GraphQueries {
         });
 
         // Find all links (both directions)
-        const outgoingLinks = LinkStore.getAll({ sourceId: currentTaskId }).data;
-        const incomingLinks = LinkStore.getAll({ targetId: currentTaskId }).data;
+        const outgoingLinks = stores.links.getAll({ sourceId: currentTaskId }).data;
+        const incomingLinks = stores.links.getAll({ targetId: currentTaskId }).data;
 
         // Process outgoing links
         outgoingLinks.forEach(link => {
@@ -258,7 +647,7 @@ export class GraphQueries {
       currentPath.push(currentTaskId);
 
       // Follow outgoing links
-      const links = LinkStore.getAll({ sourceId: currentTaskId }).data;
+      const links = stores.links.getAll({ sourceId: currentTaskId }).data;
       links.forEach(link => {
         dfs(link.targetId);
       });
@@ -352,7 +741,7 @@ export class GraphQueries {
       const sourceId = path[i];
       const targetId = path[i + 1];
 
-      const link = LinkStore.getAll({ sourceId, targetId }).data[0];
+      const link = stores.links.getAll({ sourceId, targetId }).data[0];
       if (link) {
         linkTypes.push(link.linkType);
       }
@@ -378,12 +767,12 @@ export class GraphQueries {
       visited.add(currentTaskId);
 
       // Find tasks where current task is the target of a 'waiting' or 'blocks' link
-      const waitingLinks = LinkStore.getAll({ targetId: currentTaskId }).data
+      const waitingLinks = stores.links.getAll({ targetId: currentTaskId }).data
         .filter(link => link.linkType === 'waiting' || link.linkType === 'blocks');
 
       waitingLinks.forEach(link => {
         try {
-          const blockedTask = TaskStore.getById(link.sourceId);
+          const blockedTask = stores.tasks.getById(link.sourceId);
           blocked.push({
             task: blockedTask,
             link,
@@ -424,12 +813,12 @@ export class GraphQueries {
       visited.add(currentTaskId);
 
       // Find tasks where current task is the source of a 'waiting' or 'blocks' link
-      const waitingLinks = LinkStore.getAll({ sourceId: currentTaskId }).data
+      const waitingLinks = stores.links.getAll({ sourceId: currentTaskId }).data
         .filter(link => link.linkType === 'waiting' || link.linkType === 'blocks');
 
       waitingLinks.forEach(link => {
         try {
-          const dependencyTask = TaskStore.getById(link.targetId);
+          const dependencyTask = stores.tasks.getById(link.targetId);
           dependencies.push({
             task: dependencyTask,
             link,
@@ -524,11 +913,11 @@ export class GraphQueries {
    * @returns {object[]} Orphan tasks
    */
   static getOrphanTasks() {
-    const allTasks = TaskStore.getAll({ pageSize: 10000 }).data;
+    const allTasks = stores.tasks.getAll({ pageSize: 10000 }).data;
     const orphans = [];
 
     allTasks.forEach(task => {
-      const links = LinkStore.getAll({ entityId: task.id }).data;
+      const links = stores.links.getAll({ entityId: task.id }).data;
 
       if (links.length === 0 && !task.projectId) {
         orphans.push(task);
@@ -544,7 +933,7 @@ export class GraphQueries {
    * @returns {object[]} Tasks in cycles
    */
   static getTasksInCycles() {
-    const allTasks = TaskStore.getAll({ pageSize: 10000 }).data;
+    const allTasks = stores.tasks.getAll({ pageSize: 10000 }).data;
     const tasksInCycles = new Set();
     const cycleInfo = [];
 
@@ -568,6 +957,580 @@ export class GraphQueries {
       count: tasksInCycles.size,
     };
   }
+
+  // ==========================================================================
+  // PATHS
+  // ==========================================================================
+
+  /**
+   * Shortest path between two tasks
+   *
+   * @param {string} sourceId - Task to start from
+   * @param {string} targetId - Task to reach
+   * @param {object} options - { linkTypes, direction ('outgoing', 'incoming'
+   *   or 'both'), weighted (by link strength) }
+   * @returns {object|null} { path, links, linkTypes, directions, length,
+   *   cost }: the task IDs from source to target, the links between them
+   *   with their types and the way each was followed, the number of links
+   *   and the path's cost (its length, unless weighted); null when the tasks
+   *   are not connected
+   */
+  static findShortestPath(sourceId, targetId, options = {}) {
+    const path = findCheapestPath(buildPathGraph(options), sourceId, targetId);
+    return path ? toPathResult(path) : null;
+  }
+
+  /**
+   * The k shortest paths between two tasks, shortest first (Yen's
+   * algorithm: paths without repeated tasks)
+   *
+   * @param {number} k - Number of paths
+   * @param {object} options - As for findShortestPath
+   * @returns {object[]} Paths as findShortestPath returns them
+   */
+  static findKShortestPaths(sourceId, targetId, k = 3, options = {}) {
+    const graph = buildPathGraph(options);
+    const first = findCheapestPath(graph, sourceId, targetId);
+    if (!first) return [];
+
+    const keyOf = (path) => `${path.nodes.join('>')}|${path.steps.map(step => step.link.id).join('>')}`;
+    const found = [first];
+    const seen = new Set([keyOf(first)]);
+    const candidates = [];
+
+    while (found.length < k) {
+      const previous = found[found.length - 1];
+
+      // Branch off the previous path at each of its tasks
+      for (let i = 0; i < previous.steps.length; i++) {
+        const rootNodes = previous.nodes.slice(0, i + 1);
+        const rootSteps = previous.steps.slice(0, i);
+        const spurId = rootNodes[i];
+
+        const steps = new Set();
+        found.forEach(path => {
+          if (path.nodes.length > i + 1 && path.nodes.slice(0, i + 1).join('>') === rootNodes.join('>')) {
+            steps.add(`${spurId}:${path.steps[i].link.id}`);
+          }
+        });
+        const spur = findCheapestPath(graph, spurId, targetId, { nodes: new Set(rootNodes.slice(0, i)), steps });
+        if (!spur) continue;
+
+        const candidate = {
+          nodes: [...rootNodes.slice(0, i), ...spur.nodes],
+          steps: [...rootSteps, ...spur.steps],
+        };
+        candidate.cost = candidate.steps.reduce((sum, step) => sum + step.cost, 0);
+        if (!seen.has(keyOf(candidate))) {
+          seen.add(keyOf(candidate));
+          candidates.push(candidate);
+        }
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.cost - b.cost || a.steps.length - b.steps.length);
+      found.push(candidates.shift());
+    }
+
+    return found.map(toPathResult);
+  }
+
+  /**
+   * Every path between two tasks, without repeated tasks, up to a number of
+   * links - shortest (then cheapest) first
+   *
+   * @param {object} options - { maxDepth (default 5), limit (default 100),
+   *   ...findShortestPath's options }
+   * @returns {object} { paths, count, truncated } (truncated when more than
+   *   limit paths were found)
+   */
+  static findAllPaths(sourceId, targetId, options = {}) {
+    const { maxDepth = 5, limit = 100 } = options;
+    const graph = buildPathGraph(options);
+    const paths = [];
+    let truncated = false;
+
+    const nodes = [sourceId];
+    const steps = [];
+    const visit = (current) => {
+      if (truncated) return;
+      if (current === targetId) {
+        if (paths.length === limit) {
+          truncated = true;
+          return;
+        }
+        paths.push(toPathResult({ nodes: [...nodes], steps: [...steps] }));
+        return;
+      }
+      if (steps.length === maxDepth) return;
+
+      (graph.get(current) || []).forEach(step => {
+        if (nodes.includes(step.to)) return;
+        nodes.push(step.to);
+        steps.push(step);
+        visit(step.to);
+        nodes.pop();
+        steps.pop();
+      });
+    };
+    visit(sourceId);
+
+    paths.sort((a, b) => a.length - b.length || a.cost - b.cost);
+    return { paths, count: paths.length, truncated };
+  }
+
+  // ==========================================================================
+  // CLUSTERS
+  // ==========================================================================
+
+  /**
+   * Groups of tasks connected by links (in either direction)
+   *
+   * @param {object} options - { linkTypes, minSize (default 2) }
+   * @returns {object} { components: [{ taskIds, size }], count }, largest first
+   */
+  static getConnectedComponents(options = {}) {
+    const { linkTypes = null, minSize = 2 } = options;
+    const tasks = getAllTasks().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const graph = buildUndirectedGraph(tasks.map(task => task.id), linkTypes);
+
+    const component = new Map();
+    graph.forEach((neighbors, start) => {
+      if (component.has(start)) return;
+      component.set(start, start);
+      const queue = [start];
+      for (let i = 0; i < queue.length; i++) {
+        graph.get(queue[i]).forEach((weight, next) => {
+          if (component.has(next)) return;
+          component.set(next, start);
+          queue.push(next);
+        });
+      }
+    });
+
+    const components = groupByLabel([...graph.keys()], id => component.get(id))
+      .filter(taskIds => taskIds.length >= minSize)
+      .map(taskIds => ({ taskIds, size: taskIds.length }));
+    return { components, count: components.length };
+  }
+
+  /**
+   * Communities of closely linked tasks (label propagation over links
+   * weighted by strength, in either direction)
+   *
+   * @param {object} options - { linkTypes, minSize (default 2),
+   *   maxIterations, taskIds (only these tasks, default all) }
+   * @returns {object} { communities: [{ taskIds, size, links }], count,
+   *   modularity }, largest first; modularity rates the whole split
+   */
+  static detectCommunities(options = {}) {
+    const {
+      linkTypes = null,
+      minSize = 2,
+      maxIterations = LABEL_PROPAGATION_MAX_ITERATIONS,
+    } = options;
+
+    const taskIds = options.taskIds || getAllTasks()
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(task => task.id);
+    const graph = buildUndirectedGraph(taskIds, linkTypes);
+    const labels = propagateLabels(graph, maxIterations);
+
+    const communities = groupByLabel([...graph.keys()], id => labels.get(id))
+      .filter(members => members.length >= minSize)
+      .map(members => ({ taskIds: members, size: members.length, links: countLinksWithin(graph, members) }));
+    return { communities, count: communities.length, modularity: computeModularity(graph, labels) };
+  }
+
+  /**
+   * Suggested projects: communities among the tasks that are not in a
+   * project yet, each with a name - the tag most of its tasks share, or else
+   * its most linked task's content
+   *
+   * @param {object} options - { linkTypes, minSize (default 2) }
+   * @returns {object[]} [{ name, taskIds, tasks, size, links }]
+   */
+  static suggestProjects(options = {}) {
+    const tasks = getAllTasks()
+      .filter(task => !task.projectId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const { communities } = this.detectCommunities({ ...options, taskIds: tasks.map(task => task.id) });
+    const graph = buildUndirectedGraph(tasksById.keys(), options.linkTypes || null);
+
+    return communities.map(community => {
+      const members = community.taskIds.map(id => tasksById.get(id));
+      return { name: this.suggestProjectName(members, graph), ...community, tasks: members };
+    });
+  }
+
+  /**
+   * Name for a group of tasks: a tag more than half of them share, else the
+   * content of the task with the most links within the group
+   */
+  static suggestProjectName(tasks, graph) {
+    const tagCounts = new Map();
+    tasks.forEach(task => (task.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+    const [tag, count] = [...tagCounts].sort((a, b) => b[1] - a[1])[0] || [];
+    if (tag && count > tasks.length / 2) {
+      return tag;
+    }
+
+    const members = new Set(tasks.map(task => task.id));
+    const degree = (task) => [...graph.get(task.id).keys()].filter(id => members.has(id)).length;
+    const hub = tasks.reduce((best, task) => (degree(task) > degree(best) ? task : best));
+    return hub.content.length > SUGGESTED_NAME_LENGTH
+      ? `${hub.content.slice(0, SUGGESTED_NAME_LENGTH - 1)}…`
+      : hub.content;
+  }
+
+  /**
+   * Create a project and move a group of tasks into it, all at once
+   * (e.g. a suggestProjects cluster)
+   *
+   * @param {string[]} taskIds - Tasks to move
+   * @param {object} projectData - The new project (as for ProjectStore.create)
+   * @returns {object} { project, tasks }
+   */
+  static createProjectFromTasks(taskIds, projectData = {}) {
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      throw new ValidationError('taskIds must be a non-empty array');
+    }
+    taskIds.forEach(id => stores.tasks.getById(id));
+
+    const run = () => stores.audit.batch(() => {
+      const project = stores.projects.create(projectData);
+      const tasks = taskIds.map(id => stores.tasks.update(id, { projectId: project.id }));
+      return { project, tasks };
+    });
+    return stores.database ? stores.database.transaction(run) : run();
+  }
+
+  // ==========================================================================
+  // INFLUENCE
+  // ==========================================================================
+
+  /**
+   * Influence metrics of every task, computed over the whole graph at once:
+   * weighted PageRank, betweenness centrality and in/out degree (links to
+   * and from the task). Cached until a link is created, changed or deleted,
+   * or a task is created or deleted.
+   *
+   * @returns {object} { computedAt, nodeCount, edgeCount, tasks } with tasks
+   *   [{ taskId, pageRank, betweenness, inDegree, outDegree }], highest
+   *   PageRank first
+   */
+  static getGraphMetrics() {
+    const vocabulary = stores.vocabulary.get();
+    const undirected = vocabulary.linkTypes
+      .filter(t => t.directional === false)
+      .map(t => t.linkType)
+      .join(',');
+    if (metricsCache.metrics && metricsCache.metrics.undirected === undirected) {
+      return metricsCache.metrics.result;
+    }
+
+    if (!metricsCache.unsubscribe) {
+      metricsCache.unsubscribe = stores.audit.subscribe(entry => {
+        const nodesChanged = (entry.entityType === 'task' || entry.entityType === 'note') && entry.action !== 'update';
+        if (entry.entityType === 'link' || nodesChanged) {
+          metricsCache.metrics = null;
+        }
+      });
+    }
+
+    const tasks = getAllTasks().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const links = stores.links.getAll().data;
+    const nodeIds = tasks.map(task => task.id);
+    const edges = getInfluenceEdges(tasks, links, vocabulary);
+    const pageRank = computePageRank(nodeIds, edges);
+    const betweenness = computeBetweenness(nodeIds, edges);
+
+    const inDegree = new Map(nodeIds.map(id => [id, 0]));
+    const outDegree = new Map(nodeIds.map(id => [id, 0]));
+    let edgeCount = 0;
+    links.forEach(link => {
+      if (!inDegree.has(link.sourceId) || !inDegree.has(link.targetId)) return;
+      outDegree.set(link.sourceId, outDegree.get(link.sourceId) + 1);
+      inDegree.set(link.targetId, inDegree.get(link.targetId) + 1);
+      edgeCount++;
+    });
+
+    const result = {
+      computedAt: new Date().toISOString(),
+      nodeCount: nodeIds.length,
+      edgeCount,
+      tasks: nodeIds
+        .map(id => ({
+          taskId: id,
+          pageRank: pageRank.get(id),
+          betweenness: betweenness.get(id),
+          inDegree: inDegree.get(id),
+          outDegree: outDegree.get(id),
+        }))
+        .sort((a, b) => b.pageRank - a.pageRank),
+    };
+    metricsCache.metrics = { undirected, result };
+    return result;
+  }
+
+  /**
+   * Tasks by influence, most influential first
+   *
+   * @param {object} options - { sortBy ('pageRank', 'betweenness',
+   *   'inDegree' or 'outDegree'), limit (default 10, null for all) }
+   * @returns {object[]} [{ task, pageRank, betweenness, inDegree, outDegree }]
+   */
+  static getInfluentialTasks(options = {}) {
+    const { sortBy = 'pageRank', limit = 10 } = options;
+    if (!INFLUENCE_METRICS.includes(sortBy)) {
+      throw new ValidationError(`Invalid influence metric: ${sortBy}`);
+    }
+
+    const ranked = [...this.getGraphMetrics().tasks]
+      .sort((a, b) => b[sortBy] - a[sortBy] || b.pageRank - a.pageRank);
+    return (limit === null ? ranked : ranked.slice(0, limit))
+      .map(({ taskId, ...metrics }) => ({ task: stores.tasks.getById(taskId), ...metrics }));
+  }
+
+  // ==========================================================================
+  // SCHEDULING
+  // ==========================================================================
+
+  /**
+   * Sort nodes so every edge's source comes before its target (Kahn's
+   * algorithm; nodes that are free at the same time keep their given order)
+   *
+   * @param {string[]} nodeIds - Array of node IDs
+   * @param {object[]} edges - Array of { source, target } edges
+   * @returns {object} { order, cycles } where order leaves out the nodes on
+   *   or behind a cycle and cycles are detectCyclesInGraph's
+   */
+  static topologicalSort(nodeIds, edges) {
+    const inDegree = new Map(nodeIds.map(id => [id, 0]));
+    const successors = new Map(nodeIds.map(id => [id, []]));
+    edges.forEach(edge => {
+      if (!inDegree.has(edge.source) || !inDegree.has(edge.target)) return;
+      successors.get(edge.source).push(edge.target);
+      inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+    });
+
+    const order = [];
+    const queue = nodeIds.filter(id => inDegree.get(id) === 0);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      successors.get(id).forEach(next => {
+        inDegree.set(next, inDegree.get(next) - 1);
+        if (inDegree.get(next) === 0) queue.push(next);
+      });
+    }
+
+    if (order.length === nodeIds.length) {
+      return { order, cycles: [] };
+    }
+
+    const ordered = new Set(order);
+    const rest = nodeIds.filter(id => !ordered.has(id));
+    return { order, cycles: this.detectCyclesInGraph(rest, edges) };
+  }
+
+  /**
+   * Schedule open tasks over their blocks/waiting dependencies (critical path
+   * method). Each task takes its estimate; it can start once every task it
+   * depends on is finished and has to finish by its due date (the end of
+   * that day) and before the tasks waiting on it start.
+   *
+   * Completed, cancelled and note entries are left out, as are dependencies
+   * on tasks outside the project. Times are in days from the start date.
+   *
+   * @param {string} projectId - Project to schedule (undefined for all tasks)
+   * @param {object} options - { startDate (default today), estimateField
+   *   (number custom field, default 'estimate'), estimateUnit ('days' or
+   *   'hours'), hoursPerDay (default 8), defaultEstimate (for tasks without
+   *   one, in estimateUnit, default 1 day) }
+   * @returns {object} { projectId, startDate, finishDate, duration, tasks,
+   *   criticalPath, conflicts }: tasks in dependency order with
+   *   earliestStart/Finish, latestStart/Finish and slack (negative when
+   *   behind), criticalPath the chain of task IDs that sets the finish date,
+   *   and conflicts the tasks whose dependencies (or estimate) make their
+   *   dueDate impossible
+   */
+  static getSchedule(projectId, options = {}) {
+    const {
+      startDate = new Date(),
+      estimateField = 'estimate',
+      estimateUnit = 'days',
+      hoursPerDay = 8,
+      defaultEstimate = estimateUnit === 'hours' ? hoursPerDay : 1,
+    } = options;
+
+    if (estimateUnit !== 'days' && estimateUnit !== 'hours') {
+      throw new ValidationError(`Invalid estimate unit: ${estimateUnit}`);
+    }
+
+    const start = toDayTime(startDate);
+    if (isNaN(start)) {
+      throw new ValidationError(`Invalid start date: ${startDate}`);
+    }
+
+    const tasks = getAllTasks(projectId === undefined ? {} : { projectId })
+      .filter(task => task.type !== 'note' && task.status !== 'completed' && task.status !== 'cancelled')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const edges = getDependencyEdges(new Set(tasksById.keys()));
+
+    const { order, cycles } = this.topologicalSort(tasks.map(task => task.id), edges);
+    if (cycles.length > 0) {
+      throw new CircularReferenceError(`Cannot schedule circular dependencies: ${cycles[0].path.join(' → ')}`);
+    }
+
+    const predecessors = new Map(order.map(id => [id, []]));
+    const successors = new Map(order.map(id => [id, []]));
+    edges.forEach(edge => {
+      predecessors.get(edge.target).push(edge.source);
+      successors.get(edge.source).push(edge.target);
+    });
+
+    const durationOf = (task) => {
+      const value = (task.customFields || {})[estimateField];
+      const estimate = typeof value === 'number' && value >= 0 ? value : defaultEstimate;
+      return estimateUnit === 'hours' ? estimate / hoursPerDay : estimate;
+    };
+
+    // Due dates are met by the end of their day
+    const dueOffset = (task) => {
+      if (!task.dueDate) return null;
+      return Math.round((toDayTime(task.dueDate) - start) / DAY) + 1;
+    };
+
+    // Forward pass: earliest start and finish
+    const entries = new Map();
+    order.forEach(id => {
+      const task = tasksById.get(id);
+      const duration = durationOf(task);
+      const earliestStart = Math.max(0, ...predecessors.get(id).map(p => entries.get(p).earliestFinish));
+      entries.set(id, {
+        taskId: id,
+        content: task.content,
+        dueDate: task.dueDate || null,
+        duration,
+        earliestStart,
+        earliestFinish: earliestStart + duration,
+      });
+    });
+
+    const duration = Math.max(0, ...[...entries.values()].map(entry => entry.earliestFinish));
+
+    // Backward pass: latest finish and start
+    [...order].reverse().forEach(id => {
+      const entry = entries.get(id);
+      const due = dueOffset(tasksById.get(id));
+      entry.latestFinish = Math.min(
+        duration,
+        ...(due === null ? [] : [due]),
+        ...successors.get(id).map(s => entries.get(s).latestStart)
+      );
+      entry.latestStart = entry.latestFinish - entry.duration;
+      entry.slack = entry.latestStart - entry.earliestStart;
+    });
+
+    // The critical path: back from the last task to finish, through the
+    // dependencies that finish just as it can start
+    const criticalPath = [];
+    let current = order.find(id => Math.abs(entries.get(id).earliestFinish - duration) < EPSILON);
+    while (current) {
+      criticalPath.unshift(current);
+      const { earliestStart } = entries.get(current);
+      current = predecessors.get(current)
+        .find(p => Math.abs(entries.get(p).earliestFinish - earliestStart) < EPSILON);
+    }
+    const critical = new Set(criticalPath);
+
+    const toDate = (offset) => new Date(start + offset * DAY).toISOString();
+
+    const conflicts = [];
+    order.forEach(id => {
+      const entry = entries.get(id);
+      entry.critical = critical.has(id);
+
+      const due = dueOffset(tasksById.get(id));
+      if (due === null || entry.earliestFinish <= due + EPSILON) return;
+      conflicts.push({
+        taskId: id,
+        dueDate: entry.dueDate,
+        earliestFinish: toDate(entry.earliestFinish),
+        lateBy: entry.earliestFinish - due,
+        // The dependencies that finish too late for it to make its due date
+        blockedBy: predecessors.get(id)
+          .filter(p => entries.get(p).earliestFinish > due - entry.duration + EPSILON),
+      });
+    });
+
+    return {
+      projectId: projectId === undefined ? null : projectId,
+      startDate: toDate(0),
+      finishDate: toDate(duration),
+      duration,
+      tasks: order.map(id => entries.get(id)),
+      criticalPath,
+      conflicts,
+    };
+  }
+
+  /**
+   * What can be worked on now: active tasks whose blocks/waiting
+   * dependencies are all done (completed or cancelled), most important
+   * first - by the vocabulary's priorities, then due date (tasks without
+   * either last)
+   *
+   * @param {object} options - { projectId, assigneeId, limit } (the filters
+   *   narrow the tasks returned; dependencies count wherever they are)
+   * @returns {object} { tasks, count, order, blocked, cycles }: the actionable
+   *   tasks, every open task's ID in dependency order (leaving out tasks on or
+   *   behind a cycle), the open tasks still waiting on others ({ task,
+   *   blockedBy }) and the dependency cycles that keep tasks out of the order
+   */
+  static getNextActions(options = {}) {
+    const { projectId, assigneeId, limit = null } = options;
+
+    const priorities = stores.vocabulary.get().priorities;
+    const rank = (task) => (task.priority ? priorities.indexOf(task.priority) : -1);
+    const due = (task) => (task.dueDate ? new Date(task.dueDate).getTime() : Infinity);
+    const byImportance = (a, b) =>
+      rank(b) - rank(a) ||
+      (due(a) === due(b) ? 0 : due(a) - due(b)) ||
+      a.createdAt.localeCompare(b.createdAt);
+
+    const open = getAllTasks()
+      .filter(task => task.type !== 'note' && (task.status === 'active' || task.status === 'waiting'))
+      .sort(byImportance);
+    const tasksById = new Map(open.map(task => [task.id, task]));
+    const edges = getDependencyEdges(new Set(tasksById.keys()));
+    const { order, cycles } = this.topologicalSort(open.map(task => task.id), edges);
+
+    const blockedBy = new Map();
+    edges.forEach(edge => {
+      if (!blockedBy.has(edge.target)) blockedBy.set(edge.target, []);
+      blockedBy.get(edge.target).push(edge.source);
+    });
+
+    const inScope = (task) =>
+      (projectId === undefined || task.projectId === projectId) &&
+      (assigneeId === undefined || task.assigneeId === assigneeId);
+
+    const actionable = open.filter(task => inScope(task) && task.status === 'active' && !blockedBy.has(task.id));
+
+    return {
+      tasks: limit === null ? actionable : actionable.slice(0, limit),
+      count: actionable.length,
+      order: order.filter(id => inScope(tasksById.get(id))),
+      blocked: open
+        .filter(task => inScope(task) && blockedBy.has(task.id))
+        .map(task => ({ task, blockedBy: blockedBy.get(task.id) })),
+      cycles: cycles.filter(cycle => cycle.path.some(id => inScope(tasksById.get(id)))),
+    };
+  }
 }
 
 // ============================================================================
@@ -582,6 +1545,7 @@ export class GraphUtils {
    * @returns {string} DOT format string
    */
   static toDOT(graph) {
+    const vocabulary = stores.vocabulary.get();
     let dot = 'digraph TaskGraph {\n';
     dot += '  rankdir=LR;\n';
     dot += '  node [shape=box];\n\n';
@@ -589,7 +1553,7 @@ export class GraphUtils {
     // Add nodes
     graph.nodes.forEach(node => {
       const label = node.content.substring(0, 30).replace(/"/g, '\\"');
-      const color = this.getNodeColor(node.status);
+      const color = this.getNodeColor(node.status, vocabulary);
       dot += `  "${node.id}" [label="${node.symbol} ${label}", style=filled, fillcolor="${color}"];\n`;
     });
 
@@ -597,7 +1561,7 @@ export class GraphUtils {
 
     // Add edges
     graph.edges.forEach(edge => {
-      const style = this.getEdgeStyle(edge.linkType);
+      const style = this.getEdgeStyle(edge.linkType, vocabulary);
       const label = edge.label ? ` [label="${edge.label}"]` : '';
       dot += `  "${edge.source}" -> "${edge.target}"${style}${label};\n`;
     });
@@ -608,31 +1572,19 @@ export class GraphUtils {
   }
 
   /**
-   * Get node color based on status
+   * Get node color based on status (the vocabulary's status color)
    */
-  static getNodeColor(status) {
-    const colors = {
-      active: 'lightblue',
-      completed: 'lightgreen',
-      waiting: 'lightyellow',
-      cancelled: 'lightgray',
-    };
-    return colors[status] || 'white';
+  static getNodeColor(status, vocabulary = stores.vocabulary.get()) {
+    const entry = vocabulary.statuses.find(s => s.status === status);
+    return (entry && entry.color) || 'white';
   }
 
   /**
-   * Get edge style based on link type
+   * Get edge style based on link type (the vocabulary's DOT style)
    */
-  static getEdgeStyle(linkType) {
-    const styles = {
-      waiting: ' [style=dashed, color=orange]',
-      blocks: ' [style=bold, color=red]',
-      delegated: ' [style=dotted, color=blue]',
-      references: ' [style=solid, color=gray]',
-      moved: ' [style=solid, color=purple]',
-      related: ' [style=solid, color=black]',
-    };
-    return styles[linkType] || '';
+  static getEdgeStyle(linkType, vocabulary = stores.vocabulary.get()) {
+    const entry = vocabulary.linkTypes.find(t => t.linkType === linkType);
+    return entry && entry.dot ? ` [${entry.dot}]` : '';
   }
 
   /**
@@ -642,6 +1594,7 @@ export class GraphUtils {
    * @returns {string} Mermaid format string
    */
   static toMermaid(graph) {
+    const vocabulary = stores.vocabulary.get();
     let mermaid = 'graph LR\n';
 
     graph.nodes.forEach(node => {
@@ -650,7 +1603,7 @@ export class GraphUtils {
     });
 
     graph.edges.forEach(edge => {
-      const arrow = this.getMermaidArrow(edge.linkType);
+      const arrow = this.getMermaidArrow(edge.linkType, vocabulary);
       mermaid += `  ${edge.source} ${arrow} ${edge.target}\n`;
     });
 
@@ -658,17 +1611,10 @@ export class GraphUtils {
   }
 
   /**
-   * Get Mermaid arrow style based on link type
+   * Get Mermaid arrow style based on link type (the vocabulary's arrow)
    */
-  static getMermaidArrow(linkType) {
-    const arrows = {
-      waiting: '-.->',
-      blocks: '==>',
-      delegated: '-->',
-      references: '-->',
-      moved: '==>',
-      related: '---',
-    };
-    return arrows[linkType] || '-->';
+  static getMermaidArrow(linkType, vocabulary = stores.vocabulary.get()) {
+    const entry = vocabulary.linkTypes.find(t => t.linkType === linkType);
+    return entry ? entry.mermaid : '-->';
   }
 }
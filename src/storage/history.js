@@ -0,0 +1,300 @@
+/**
+ * Point-in-time history for Dash-Plus Notes, built on the audit log
+ *
+ * An entity's state at a timestamp is found by starting from its current
+ * state and rewinding every audit entry logged after that timestamp
+ * (updates restore their oldValue, creates remove the entity, deletes bring
+ * back the snapshot recorded with them). Rewinding rather than replaying
+ * from the first entry keeps entities created before creates were logged
+ * with snapshots reconstructable.
+ *
+ * Works with any synchronous store set: the localStorage stores (default)
+ * or the stores returned by createSQLiteStores().
+ */
+
+import { TaskStore, ProjectStore, LinkStore, AuditLogger } from './localStorage.js';
+import { BOOKKEEPING_FIELDS } from './undo.js';
+import { setFieldValue } from '../utils/customFields.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const ENTITY_TYPES = {
+  task: { key: 'tasks', label: 'Task' },
+  project: { key: 'projects', label: 'Project' },
+  link: { key: 'links', label: 'Link' },
+};
+
+/**
+ * Normalize a Date or date string to an ISO timestamp
+ */
+function toTimestamp(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === undefined || value === null || isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid timestamp: ${value}`);
+  }
+  return date.toISOString();
+}
+
+export class HistoryService {
+  /**
+   * @param {object} stores - { tasks, projects, links, audit } (localStorage stores by default)
+   */
+  constructor(stores = {}) {
+    this.stores = {
+      tasks: stores.tasks || TaskStore,
+      projects: stores.projects || ProjectStore,
+      links: stores.links || LinkStore,
+      audit: stores.audit || AuditLogger,
+    };
+  }
+
+  // ==========================================================================
+  // ENTITIES
+  // ==========================================================================
+
+  /**
+   * Entity type of an ID, from its audit history or the current stores
+   */
+  getEntityType(entityId) {
+    const [entry] = this.stores.audit.getAll({ entityId });
+    if (entry && ENTITY_TYPES[entry.entityType]) {
+      return entry.entityType;
+    }
+
+    const type = Object.keys(ENTITY_TYPES).find(
+      entityType => this.getCurrent(entityType, entityId) !== null
+    );
+    if (!type) {
+      throw new NotFoundError(`Entity ${entityId} not found`);
+    }
+    return type;
+  }
+
+  /**
+   * Materialize an entity as it was at a timestamp
+   *
+   * @returns {object|null} Entity, or null if it did not exist then
+   */
+  getEntityAt(entityId, timestamp) {
+    const entityType = this.getEntityType(entityId);
+
+    return this.rewind(
+      this.getCurrent(entityType, entityId),
+      this.stores.audit.getAll({ entityId }),
+      toTimestamp(timestamp)
+    );
+  }
+
+  /**
+   * Field changes of an entity between two timestamps
+   *
+   * @returns {object} { entityType, entityId, from, to, changes }
+   */
+  diff(entityId, from, to = new Date()) {
+    const fromState = this.getEntityAt(entityId, from);
+    const toState = this.getEntityAt(entityId, to);
+
+    return {
+      entityType: this.getEntityType(entityId),
+      entityId,
+      from: fromState,
+      to: toState,
+      changes: AuditLogger.calculateChanges(fromState || {}, toState || {}),
+    };
+  }
+
+  /**
+   * Restore an entity's field values as of a timestamp, as a new audited
+   * update (or an audited re-create if it has been deleted since)
+   *
+   * @returns {object} The entity after reverting
+   */
+  revertTo(entityId, timestamp) {
+    const entityType = this.getEntityType(entityId);
+    const { key, label } = ENTITY_TYPES[entityType];
+    const store = this.stores[key];
+
+    const target = this.getEntityAt(entityId, timestamp);
+    if (!target) {
+      throw new ValidationError(`${label} ${entityId} did not exist at ${toTimestamp(timestamp)}`);
+    }
+
+    const current = this.getCurrent(entityType, entityId);
+    if (!current) {
+      return store.restore(target);
+    }
+
+    const updates = {};
+    AuditLogger.calculateChanges(current, target).forEach(change => {
+      if (BOOKKEEPING_FIELDS.includes(change.field)) return;
+      updates[change.field] = change.newValue === undefined ? null : change.newValue;
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return current;
+    }
+
+    return store.update(entityId, updates);
+  }
+
+  // ==========================================================================
+  // WORKSPACE
+  // ==========================================================================
+
+  /**
+   * Materialize every task, project and link as of a timestamp
+   *
+   * @returns {object} { timestamp, tasks, projects, links }
+   */
+  getWorkspaceAt(timestamp) {
+    const at = toTimestamp(timestamp);
+    const entriesById = new Map();
+
+    this.stores.audit.getAll().forEach(entry => {
+      if (!ENTITY_TYPES[entry.entityType]) return;
+      if (!entriesById.has(entry.entityId)) {
+        entriesById.set(entry.entityId, []);
+      }
+      entriesById.get(entry.entityId).push(entry);
+    });
+
+    const workspace = { timestamp: at };
+
+    Object.entries(ENTITY_TYPES).forEach(([entityType, { key }]) => {
+      const current = new Map(this.listCurrent(entityType).map(entity => [entity.id, entity]));
+      const ids = new Set(current.keys());
+
+      entriesById.forEach((entries, entityId) => {
+        if (entries[0].entityType === entityType) ids.add(entityId);
+      });
+
+      workspace[key] = [];
+      ids.forEach(entityId => {
+        const state = this.rewind(current.get(entityId) || null, entriesById.get(entityId) || [], at);
+        if (state) workspace[key].push(state);
+      });
+    });
+
+    return workspace;
+  }
+
+  /**
+   * Entities created, deleted and updated between two timestamps
+   *
+   * @returns {object} { from, to, created, deleted, updated }
+   */
+  diffWorkspace(from, to = new Date()) {
+    const before = this.getWorkspaceAt(from);
+    const after = this.getWorkspaceAt(to);
+    const result = { from: before.timestamp, to: after.timestamp, created: [], deleted: [], updated: [] };
+
+    Object.entries(ENTITY_TYPES).forEach(([entityType, { key }]) => {
+      const beforeById = new Map(before[key].map(entity => [entity.id, entity]));
+      const afterById = new Map(after[key].map(entity => [entity.id, entity]));
+
+      afterById.forEach((entity, id) => {
+        if (!beforeById.has(id)) {
+          result.created.push({ entityType, entity });
+          return;
+        }
+
+        const changes = AuditLogger.calculateChanges(beforeById.get(id), entity);
+        if (changes.length > 0) {
+          result.updated.push({ entityType, entityId: id, changes });
+        }
+      });
+
+      beforeById.forEach((entity, id) => {
+        if (!afterById.has(id)) {
+          result.deleted.push({ entityType, entity });
+        }
+      });
+    });
+
+    return result;
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Rewind an entity's current state through entries logged after a timestamp
+   */
+  rewind(current, entries, timestamp) {
+    let state = current ? { ...current } : null;
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      if (entry.timestamp <= timestamp) break;
+      state = this.rewindEntry(state, entry);
+    }
+
+    return state;
+  }
+
+  /**
+   * State of an entity before a single audit entry was applied
+   */
+  rewindEntry(state, entry) {
+    const changes = entry.changes || [];
+
+    if (entry.action === 'create') {
+      return null;
+    }
+
+    if (entry.action === 'delete') {
+      if (changes.length === 0) {
+        const { label } = ENTITY_TYPES[entry.entityType];
+        throw new ValidationError(
+          `Cannot reconstruct ${label} ${entry.entityId}: it was deleted without a snapshot`
+        );
+      }
+
+      const snapshot = {};
+      changes.forEach(change => {
+        if (change.oldValue !== undefined) setFieldValue(snapshot, change.field, change.oldValue);
+      });
+      return snapshot;
+    }
+
+    if (!state) return state;
+
+    const previous = { ...state };
+    changes.forEach(change => setFieldValue(previous, change.field, change.oldValue));
+    return previous;
+  }
+
+  /**
+   * Current state of an entity, or null if it does not exist
+   */
+  getCurrent(entityType, entityId) {
+    try {
+      return this.stores[ENTITY_TYPES[entityType].key].getById(entityId);
+    } catch (error) {
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * All current entities of a type (following task pagination)
+   */
+  listCurrent(entityType) {
+    const store = this.stores[ENTITY_TYPES[entityType].key];
+
+    if (entityType !== 'task') {
+      return store.getAll().data;
+    }
+
+    const tasks = [];
+    let page = 1;
+    let result;
+    do {
+      result = store.getAll({ page, pageSize: 200 });
+      tasks.push(...result.data);
+      page++;
+    } while (result.meta.hasNext);
+
+    return tasks;
+  }
+}
@@ -0,0 +1,959 @@
+/**
+ * IndexedDB storage backend for Dash-Plus Notes
+ *
+ * The localStorage stores re-read and re-serialize a whole collection on
+ * every write. These stores keep one object store per collection and touch
+ * a single record per create/update/delete, so writes stay cheap as the
+ * task log and audit trail grow.
+ *
+ * The method surface mirrors TaskStore, ProjectStore and LinkStore, but
+ * every method returns a promise. Record construction, field validation
+ * and filtering are shared with the localStorage stores.
+ */
+
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  AuditLogger,
+  VocabularyStore,
+  Storage,
+  STORAGE_KEYS,
+} from './localStorage.js';
+import { customFieldUserIds, mergeCustomFieldUpdates } from '../utils/customFields.js';
+import { SEARCH_TYPES, SearchIndex, checkSearchTypes, searchRecords } from '../utils/search.js';
+import { NotFoundError, ValidationError, CircularReferenceError, checkReference } from '../utils/errors.js';
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+const DB_NAME = 'dashplus';
+const DB_VERSION = 2;
+
+const OBJECT_STORES = {
+  tasks: { keyPath: 'id', indexes: ['projectId', 'status', 'dueDate', 'parentTaskId'] },
+  projects: { keyPath: 'id', indexes: ['parentId', 'status'] },
+  links: { keyPath: 'id', indexes: ['sourceId', 'targetId', 'linkType'] },
+  users: { keyPath: 'id', indexes: [] },
+  audit_logs: { keyPath: 'id', indexes: ['entityId', 'timestamp'] },
+  meta: { keyPath: 'key', indexes: [] },
+};
+
+const MIGRATION_KEY = 'localStorageMigration';
+
+/**
+ * Create missing object stores and indexes (on first use and on upgrade)
+ */
+function createSchema(db, transaction) {
+  Object.entries(OBJECT_STORES).forEach(([name, { keyPath, indexes }]) => {
+    const store = db.objectStoreNames.contains(name)
+      ? transaction.objectStore(name)
+      : db.createObjectStore(name, { keyPath });
+
+    indexes.forEach(field => {
+      if (store.indexNames.contains(field)) return;
+      store.createIndex(field, field, { unique: false });
+    });
+  });
+}
+
+// ============================================================================
+// REQUEST HELPERS
+// ============================================================================
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Check whether a value can be used as an IndexedDB key
+ * (null and booleans cannot, so those filters fall back to a scan)
+ */
+function isValidKey(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+export class IndexedDBStorage {
+  /**
+   * @param {object} options - { name, indexedDB, IDBKeyRange, userId }
+   */
+  constructor(options = {}) {
+    this.name = options.name || DB_NAME;
+    this.factory = options.indexedDB || globalThis.indexedDB;
+    this.keyRange = options.IDBKeyRange || globalThis.IDBKeyRange;
+    this.userId = options.userId || null;
+    this.db = null;
+    // Full-text index shared by the stores bound to this database: built
+    // on first use (getSearchIndex), then updated by the stores' writes
+    this.searchIndex = new SearchIndex();
+    this.searchIndexBuilt = false;
+  }
+
+  /**
+   * Open the database, creating object stores and indexes on first use
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    if (!this.factory) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+
+    const request = this.factory.open(this.name, DB_VERSION);
+    request.onupgradeneeded = () => createSchema(request.result, request.transaction);
+
+    this.db = await requestToPromise(request);
+    return this.db;
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * ID of the user recorded in createdBy/updatedBy and audit entries
+   */
+  getCurrentUserId() {
+    return this.userId || Storage.getCurrentUser().id;
+  }
+
+  /**
+   * The full-text index, built from every record on first use
+   */
+  async getSearchIndex() {
+    if (!this.searchIndexBuilt) {
+      for (const type of SEARCH_TYPES) {
+        this.searchIndex.sync(type, await this.getAll(`${type}s`));
+      }
+      this.searchIndexBuilt = true;
+    }
+    return this.searchIndex;
+  }
+
+  /**
+   * Run a callback inside a single transaction over the given stores.
+   * Resolves with the callback's result once the transaction commits.
+   */
+  async transaction(storeNames, mode, callback) {
+    const db = await this.open();
+    const tx = db.transaction(storeNames, mode);
+    const done = transactionToPromise(tx);
+
+    const stores = {};
+    storeNames.forEach(name => {
+      stores[name] = tx.objectStore(name);
+    });
+
+    let result;
+    try {
+      result = await callback(stores);
+    } catch (error) {
+      tx.abort();
+      await done.catch(() => {});
+      throw error;
+    }
+
+    await done;
+    return result;
+  }
+
+  /**
+   * Get a single record by key
+   */
+  async get(storeName, key) {
+    return this.transaction([storeName], 'readonly', stores =>
+      requestToPromise(stores[storeName].get(key))
+    );
+  }
+
+  /**
+   * Get all records, optionally through an index
+   */
+  async getAll(storeName, indexName = null, query = undefined) {
+    return this.transaction([storeName], 'readonly', stores => {
+      const source = indexName ? stores[storeName].index(indexName) : stores[storeName];
+      return requestToPromise(source.getAll(query));
+    });
+  }
+}
+
+// ============================================================================
+// TASKS
+// ============================================================================
+
+export class IndexedDBTaskStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Create a new task
+   */
+  async create(taskData) {
+    const task = TaskStore.build(taskData, this.storage.getCurrentUserId());
+
+    if (task.position === null) {
+      task.position = await this.getNextPosition(task.parentTaskId);
+    }
+
+    await this.validate(task);
+
+    await this.storage.transaction(['tasks', 'audit_logs'], 'readwrite', stores => {
+      stores.tasks.add(task);
+      stores.audit_logs.add(
+        AuditLogger.buildEntry(
+          'task', task.id, 'create', AuditLogger.createdChanges(task), task.createdBy
+        )
+      );
+    });
+    this.storage.searchIndex.add('task', task);
+
+    return task;
+  }
+
+  /**
+   * Get task by ID
+   */
+  async getById(id) {
+    const task = await this.storage.get('tasks', id);
+    if (!task) {
+      throw new NotFoundError(`Task ${id} not found`);
+    }
+    return task;
+  }
+
+  /**
+   * Get all tasks with optional filtering.
+   * Uses the projectId, parentTaskId or status index to narrow the scan when possible.
+   */
+  async getAll(filters = {}) {
+    let tasks;
+
+    if (isValidKey(filters.projectId)) {
+      tasks = await this.storage.getAll('tasks', 'projectId', filters.projectId);
+    } else if (isValidKey(filters.parentTaskId)) {
+      tasks = await this.storage.getAll('tasks', 'parentTaskId', filters.parentTaskId);
+    } else if (isValidKey(filters.status)) {
+      tasks = await this.storage.getAll('tasks', 'status', filters.status);
+    } else {
+      tasks = await this.storage.getAll('tasks');
+    }
+
+    // Queries name projects and users (project:work, assignee:@bob)
+    const context = filters.query
+      ? { projects: await this.storage.getAll('projects'), users: await this.storage.getAll('users') }
+      : {};
+    if (filters.search) {
+      context.searchIndex = await this.storage.getSearchIndex();
+    }
+
+    return TaskStore.applyQuery(tasks, filters, context);
+  }
+
+  /**
+   * Get tasks due within a date range (inclusive), ordered by due date
+   */
+  async getDueBetween(start, end) {
+    const range = this.storage.keyRange.bound(
+      new Date(start).toISOString(),
+      new Date(end).toISOString()
+    );
+    return this.storage.getAll('tasks', 'dueDate', range);
+  }
+
+  /**
+   * Update a task
+   */
+  async update(id, updates) {
+    const userId = this.storage.getCurrentUserId();
+    const oldTask = await this.getById(id);
+
+    updates = TaskStore.normalizeUpdates(updates, oldTask);
+
+    if (updates.parentTaskId !== undefined && updates.parentTaskId !== (oldTask.parentTaskId || null)) {
+      if (updates.parentTaskId) {
+        await this.checkCircularNesting(id, updates.parentTaskId);
+      }
+      if (updates.position === undefined) {
+        updates.position = await this.getNextPosition(updates.parentTaskId);
+      }
+    }
+
+    const newTask = {
+      ...oldTask,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+      updatedBy: userId,
+    };
+
+    await this.validate(newTask);
+
+    const changes = AuditLogger.calculateChanges(oldTask, newTask);
+
+    await this.storage.transaction(['tasks', 'audit_logs'], 'readwrite', stores => {
+      stores.tasks.put(newTask);
+      if (changes.length > 0) {
+        stores.audit_logs.add(AuditLogger.buildEntry('task', id, 'update', changes, userId));
+      }
+    });
+    this.storage.searchIndex.add('task', newTask);
+
+    return newTask;
+  }
+
+  /**
+   * Delete a task (and its links unless cascade is false).
+   * Subtasks move up to the task's parent unless deleteSubtasks is set.
+   */
+  async delete(id, options = {}) {
+    const userId = this.storage.getCurrentUserId();
+    const task = await this.getById(id);
+
+    if (options.deleteSubtasks) {
+      for (const subtask of await this.getSubtasks(id)) {
+        await this.delete(subtask.id, options);
+      }
+    }
+
+    const parentTaskId = task.parentTaskId || null;
+    const subtasks = await this.getSubtasks(id);
+    let position = await this.getNextPosition(parentTaskId);
+    const deletedLinkIds = [];
+
+    await this.storage.transaction(['tasks', 'links', 'audit_logs'], 'readwrite', async stores => {
+      subtasks.forEach(subtask => {
+        stores.tasks.put({ ...subtask, parentTaskId, position });
+        stores.audit_logs.add(AuditLogger.buildEntry('task', subtask.id, 'update', [
+          { field: 'parentTaskId', oldValue: id, newValue: parentTaskId },
+          { field: 'position', oldValue: subtask.position, newValue: position++ },
+        ], userId));
+      });
+
+      if (options.cascade !== false) {
+        const outgoing = await requestToPromise(stores.links.index('sourceId').getAll(id));
+        const incoming = await requestToPromise(stores.links.index('targetId').getAll(id));
+
+        new Map([...outgoing, ...incoming].map(link => [link.id, link])).forEach(link => {
+          stores.links.delete(link.id);
+          deletedLinkIds.push(link.id);
+          stores.audit_logs.add(AuditLogger.buildEntry(
+            'link', link.id, 'delete', AuditLogger.deletedChanges(link), userId
+          ));
+        });
+      }
+
+      stores.tasks.delete(id);
+      stores.audit_logs.add(
+        AuditLogger.buildEntry('task', id, 'delete', AuditLogger.deletedChanges(task), userId)
+      );
+    });
+    deletedLinkIds.forEach(linkId => this.storage.searchIndex.remove('link', linkId));
+    this.storage.searchIndex.remove('task', id);
+
+    return true;
+  }
+
+  /**
+   * Complete a task (applying any other updates in the same change).
+   * Completing a recurring task creates its next occurrence; completeSubtasks
+   * also completes every open subtask below it.
+   */
+  async complete(id, updates = {}, options = {}) {
+    const wasCompleted = (await this.getById(id)).status === 'completed';
+
+    if (options.completeSubtasks) {
+      for (const subtask of await this.getDescendants(id)) {
+        if (TaskStore.isOpen(subtask)) {
+          await this.complete(subtask.id);
+        }
+      }
+    }
+
+    const task = await this.update(id, {
+      ...updates,
+      status: 'completed',
+      completedAt: new Date().toISOString(),
+    });
+
+    const nextData = wasCompleted ? null : TaskStore.buildNextOccurrence(task);
+    if (!nextData) {
+      return task;
+    }
+
+    const userId = this.storage.getCurrentUserId();
+    const next = TaskStore.build(nextData, userId);
+    await this.validate(next);
+
+    const link = LinkStore.build(TaskStore.buildOccurrenceLink(task, next), userId);
+    LinkStore.validateFields(link);
+
+    await this.storage.transaction(['tasks', 'links', 'audit_logs'], 'readwrite', stores => {
+      stores.tasks.add(next);
+      stores.links.add(link);
+      stores.audit_logs.add(AuditLogger.buildEntry(
+        'task', next.id, 'create', AuditLogger.createdChanges(next), userId
+      ));
+      stores.audit_logs.add(AuditLogger.buildEntry(
+        'link', link.id, 'create', AuditLogger.createdChanges(link), userId
+      ));
+    });
+    this.storage.searchIndex.add('task', next);
+    this.storage.searchIndex.add('link', link);
+
+    return task;
+  }
+
+  /**
+   * Get the direct subtasks of a task, in order
+   */
+  async getSubtasks(id) {
+    return TaskStore.sortSiblings(await this.storage.getAll('tasks', 'parentTaskId', id));
+  }
+
+  /**
+   * Get all subtasks below a task (breadth-first, each level in order)
+   */
+  async getDescendants(id) {
+    const descendants = [];
+    let level = await this.getSubtasks(id);
+
+    while (level.length > 0) {
+      descendants.push(...level);
+      const next = [];
+      for (const subtask of level) {
+        next.push(...await this.getSubtasks(subtask.id));
+      }
+      level = next;
+    }
+
+    return descendants;
+  }
+
+  /**
+   * Get task tree (with all nested subtasks)
+   */
+  async getTree(id) {
+    const task = await this.getById(id);
+    const subtasks = [];
+
+    for (const subtask of await this.getSubtasks(id)) {
+      subtasks.push(await this.getTree(subtask.id));
+    }
+
+    return { ...task, subtasks };
+  }
+
+  /**
+   * Get a task's completion, rolled up from its subtasks
+   */
+  async getProgress(id) {
+    await this.getById(id);
+    return TaskStore.calculateProgress(id, await this.getDescendants(id));
+  }
+
+  /**
+   * Next free position among the subtasks of a parent (null for top-level tasks)
+   */
+  async getNextPosition(parentTaskId) {
+    const siblings = parentTaskId
+      ? await this.storage.getAll('tasks', 'parentTaskId', parentTaskId)
+      : (await this.storage.getAll('tasks')).filter(t => !t.parentTaskId);
+    return TaskStore.nextPosition(siblings);
+  }
+
+  /**
+   * Check for circular task nesting
+   */
+  async checkCircularNesting(taskId, parentTaskId) {
+    if (parentTaskId === taskId) {
+      throw new CircularReferenceError('Task cannot be its own parent');
+    }
+
+    const visited = new Set();
+    let currentId = parentTaskId;
+
+    while (currentId) {
+      if (currentId === taskId || visited.has(currentId)) {
+        throw new CircularReferenceError('Circular task nesting detected');
+      }
+      visited.add(currentId);
+
+      const parent = await checkReference(() => this.getById(currentId));
+      currentId = parent.parentTaskId;
+    }
+  }
+
+  /**
+   * Bulk update tasks
+   */
+  async bulkUpdate(ids, updates) {
+    const results = { success: [], failed: [], errors: [] };
+
+    for (const id of ids) {
+      try {
+        await this.update(id, { ...updates });
+        results.success.push(id);
+      } catch (error) {
+        results.failed.push(id);
+        results.errors.push({ id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate task data
+   */
+  async validate(task) {
+    const vocabulary = VocabularyStore.get();
+    TaskStore.validateFields(task, vocabulary);
+
+    if (task.projectId) {
+      const project = await this.storage.get('projects', task.projectId);
+      if (!project) {
+        throw new ValidationError(`Project ${task.projectId} not found`);
+      }
+    }
+
+    for (const userId of [task.assigneeId, ...customFieldUserIds(task, 'task', vocabulary)]) {
+      if (userId && !(await this.storage.get('users', userId))) {
+        throw new ValidationError(`User ${userId} not found`);
+      }
+    }
+
+    if (task.parentTaskId) {
+      await checkReference(() => this.getById(task.parentTaskId));
+    }
+  }
+}
+
+// ============================================================================
+// PROJECTS
+// ============================================================================
+
+export class IndexedDBProjectStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Create a new project
+   */
+  async create(projectData) {
+    const project = ProjectStore.build(projectData, this.storage.getCurrentUserId());
+
+    await this.validate(project);
+
+    if (project.parentId) {
+      await this.checkCircularNesting(project.id, project.parentId);
+    }
+
+    await this.storage.transaction(['projects', 'audit_logs'], 'readwrite', stores => {
+      stores.projects.add(project);
+      stores.audit_logs.add(
+        AuditLogger.buildEntry(
+          'project', project.id, 'create', AuditLogger.createdChanges(project), project.createdBy
+        )
+      );
+    });
+    this.storage.searchIndex.add('project', project);
+
+    return project;
+  }
+
+  /**
+   * Get project by ID
+   */
+  async getById(id) {
+    const project = await this.storage.get('projects', id);
+    if (!project) {
+      throw new NotFoundError(`Project ${id} not found`);
+    }
+    return project;
+  }
+
+  /**
+   * Get all projects with optional filtering
+   */
+  async getAll(filters = {}) {
+    let projects;
+
+    if (isValidKey(filters.parentId)) {
+      projects = await this.storage.getAll('projects', 'parentId', filters.parentId);
+    } else if (isValidKey(filters.status)) {
+      projects = await this.storage.getAll('projects', 'status', filters.status);
+    } else {
+      projects = await this.storage.getAll('projects');
+    }
+
+    return ProjectStore.applyFilters(projects, filters, {
+      searchIndex: filters.search ? await this.storage.getSearchIndex() : undefined,
+    });
+  }
+
+  /**
+   * Update a project
+   */
+  async update(id, updates) {
+    const userId = this.storage.getCurrentUserId();
+    const oldProject = await this.getById(id);
+
+    updates = mergeCustomFieldUpdates(updates, oldProject);
+
+    if (updates.parentId && updates.parentId !== oldProject.parentId) {
+      await this.checkCircularNesting(id, updates.parentId);
+    }
+
+    const newProject = {
+      ...oldProject,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+      updatedBy: userId,
+    };
+
+    await this.validate(newProject);
+
+    const changes = AuditLogger.calculateChanges(oldProject, newProject);
+
+    await this.storage.transaction(['projects', 'audit_logs'], 'readwrite', stores => {
+      stores.projects.put(newProject);
+      if (changes.length > 0) {
+        stores.audit_logs.add(AuditLogger.buildEntry('project', id, 'update', changes, userId));
+      }
+    });
+    this.storage.searchIndex.add('project', newProject);
+
+    return newProject;
+  }
+
+  /**
+   * Delete a project, orphaning its child projects and tasks
+   */
+  async delete(id) {
+    const userId = this.storage.getCurrentUserId();
+    const project = await this.getById(id);
+
+    await this.storage.transaction(['projects', 'tasks', 'audit_logs'], 'readwrite', async stores => {
+      const children = await requestToPromise(stores.projects.index('parentId').getAll(id));
+      children.forEach(child => {
+        stores.projects.put({ ...child, parentId: null });
+        stores.audit_logs.add(AuditLogger.buildEntry('project', child.id, 'update', [
+          { field: 'parentId', oldValue: id, newValue: null },
+        ], userId));
+      });
+
+      const tasks = await requestToPromise(stores.tasks.index('projectId').getAll(id));
+      tasks.forEach(task => {
+        stores.tasks.put({ ...task, projectId: null });
+        stores.audit_logs.add(AuditLogger.buildEntry('task', task.id, 'update', [
+          { field: 'projectId', oldValue: id, newValue: null },
+        ], userId));
+      });
+
+      stores.projects.delete(id);
+      stores.audit_logs.add(
+        AuditLogger.buildEntry('project', id, 'delete', AuditLogger.deletedChanges(project), userId)
+      );
+    });
+    this.storage.searchIndex.remove('project', id);
+
+    return true;
+  }
+
+  /**
+   * Check for circular project nesting
+   */
+  async checkCircularNesting(projectId, parentId) {
+    const visited = new Set();
+    let currentId = parentId;
+
+    while (currentId) {
+      if (currentId === projectId) {
+        throw new CircularReferenceError('Project cannot be its own parent');
+      }
+      if (visited.has(currentId)) {
+        throw new CircularReferenceError('Circular project nesting detected');
+      }
+      visited.add(currentId);
+
+      const parent = await checkReference(() => this.getById(currentId));
+      currentId = parent.parentId;
+    }
+  }
+
+  /**
+   * Validate project data
+   */
+  async validate(project) {
+    const vocabulary = VocabularyStore.get();
+    ProjectStore.validateFields(project, vocabulary);
+
+    for (const userId of customFieldUserIds(project, 'project', vocabulary)) {
+      if (!(await this.storage.get('users', userId))) {
+        throw new ValidationError(`User ${userId} not found`);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// LINKS
+// ============================================================================
+
+export class IndexedDBLinkStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Create a new link
+   */
+  async create(linkData) {
+    const link = LinkStore.build(linkData, this.storage.getCurrentUserId());
+
+    await this.validate(link);
+
+    await this.storage.transaction(['links', 'audit_logs'], 'readwrite', stores => {
+      stores.links.add(link);
+      stores.audit_logs.add(
+        AuditLogger.buildEntry(
+          'link', link.id, 'create', AuditLogger.createdChanges(link), link.createdBy
+        )
+      );
+    });
+    this.storage.searchIndex.add('link', link);
+
+    return link;
+  }
+
+  /**
+   * Get link by ID
+   */
+  async getById(id) {
+    const link = await this.storage.get('links', id);
+    if (!link) {
+      throw new NotFoundError(`Link ${id} not found`);
+    }
+    return link;
+  }
+
+  /**
+   * Get all links with optional filtering.
+   * Uses the sourceId/targetId/linkType indexes to narrow the scan.
+   */
+  async getAll(filters = {}) {
+    let links;
+
+    if (filters.entityId) {
+      const [outgoing, incoming] = await Promise.all([
+        this.storage.getAll('links', 'sourceId', filters.entityId),
+        this.storage.getAll('links', 'targetId', filters.entityId),
+      ]);
+      const byId = new Map([...outgoing, ...incoming].map(link => [link.id, link]));
+      links = Array.from(byId.values());
+    } else if (filters.sourceId) {
+      links = await this.storage.getAll('links', 'sourceId', filters.sourceId);
+    } else if (filters.targetId) {
+      links = await this.storage.getAll('links', 'targetId', filters.targetId);
+    } else if (filters.linkType) {
+      links = await this.storage.getAll('links', 'linkType', filters.linkType);
+    } else {
+      links = await this.storage.getAll('links');
+    }
+
+    return LinkStore.applyFilters(links, filters);
+  }
+
+  /**
+   * Update a link
+   */
+  async update(id, updates) {
+    const userId = this.storage.getCurrentUserId();
+    const oldLink = await this.getById(id);
+
+    const newLink = {
+      ...oldLink,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.validate(newLink);
+
+    const changes = AuditLogger.calculateChanges(oldLink, newLink);
+
+    await this.storage.transaction(['links', 'audit_logs'], 'readwrite', stores => {
+      stores.links.put(newLink);
+      if (changes.length > 0) {
+        stores.audit_logs.add(AuditLogger.buildEntry('link', id, 'update', changes, userId));
+      }
+    });
+    this.storage.searchIndex.add('link', newLink);
+
+    return newLink;
+  }
+
+  /**
+   * Delete a link
+   */
+  async delete(id) {
+    const userId = this.storage.getCurrentUserId();
+    const link = await this.getById(id);
+
+    await this.storage.transaction(['links', 'audit_logs'], 'readwrite', stores => {
+      stores.links.delete(id);
+      stores.audit_logs.add(
+        AuditLogger.buildEntry('link', id, 'delete', AuditLogger.deletedChanges(link), userId)
+      );
+    });
+    this.storage.searchIndex.remove('link', id);
+
+    return true;
+  }
+
+  /**
+   * Batch create links
+   */
+  async batchCreate(linksData) {
+    const links = [];
+    for (const linkData of linksData) {
+      links.push(await this.create(linkData));
+    }
+    return links;
+  }
+
+  /**
+   * Validate link data
+   */
+  async validate(link) {
+    LinkStore.validateFields(link);
+
+    const [sourceTask, targetTask] = await Promise.all([
+      this.storage.get('tasks', link.sourceId),
+      this.storage.get('tasks', link.targetId),
+    ]);
+
+    if (!sourceTask) {
+      throw new ValidationError(`Source task ${link.sourceId} not found`);
+    }
+
+    if (!targetTask) {
+      throw new ValidationError(`Target task ${link.targetId} not found`);
+    }
+  }
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+export class IndexedDBSearchStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Search task text, project names and descriptions and link labels,
+   * best matches first (see SearchStore.search)
+   */
+  async search(query, options = {}) {
+    const types = checkSearchTypes(options.types || SEARCH_TYPES);
+    const index = await this.storage.getSearchIndex();
+    const records = {};
+    for (const type of types) {
+      records[type] = await this.storage.getAll(`${type}s`);
+    }
+    return searchRecords(index, records, query, { limit: options.limit });
+  }
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Copy the existing dashplus:* collections into IndexedDB.
+ * Runs once per database; later calls return { migrated: false }.
+ *
+ * @param {IndexedDBStorage} storage - Target database
+ * @param {object} options - { adapter, removeLegacy }
+ * @returns {Promise<object>} Migration result with per-collection counts
+ */
+export async function migrateFromLocalStorage(storage, options = {}) {
+  const adapter = options.adapter || Storage.getAdapter();
+
+  const previous = await storage.get('meta', MIGRATION_KEY);
+  if (previous) {
+    return { migrated: false, counts: previous.counts };
+  }
+
+  const collections = {
+    tasks: STORAGE_KEYS.TASKS,
+    projects: STORAGE_KEYS.PROJECTS,
+    links: STORAGE_KEYS.LINKS,
+    users: STORAGE_KEYS.USERS,
+    audit_logs: STORAGE_KEYS.AUDIT_LOGS,
+  };
+
+  const counts = {};
+
+  await storage.transaction([...Object.keys(collections), 'meta'], 'readwrite', stores => {
+    Object.entries(collections).forEach(([storeName, key]) => {
+      const items = adapter.get(key) || [];
+      items.forEach(item => stores[storeName].put(item));
+      counts[storeName] = items.length;
+    });
+
+    stores.meta.put({
+      key: MIGRATION_KEY,
+      migratedAt: new Date().toISOString(),
+      counts,
+    });
+  });
+
+  if (options.removeLegacy) {
+    Object.values(collections).forEach(key => adapter.remove(key));
+  }
+
+  return { migrated: true, counts };
+}
+
+/**
+ * Open an IndexedDB database and create stores bound to it
+ *
+ * @param {object} options - IndexedDBStorage options
+ * @returns {object} { storage, tasks, projects, links, search }
+ */
+export function createIndexedDBStores(options = {}) {
+  const storage = new IndexedDBStorage(options);
+
+  return {
+    storage,
+    tasks: new IndexedDBTaskStore(storage),
+    projects: new IndexedDBProjectStore(storage),
+    links: new IndexedDBLinkStore(storage),
+    search: new IndexedDBSearchStore(storage),
+  };
+}
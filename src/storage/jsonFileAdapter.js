@@ -0,0 +1,89 @@
+/**
+ * JSON file storage adapter for Dash-Plus Notes (Node.js only)
+ *
+ * Keeps every collection in a single JSON file on disk. The whole file is
+ * loaded once and rewritten on each change, which matches the synchronous
+ * store API and is adequate for a single-process server.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * The data file used when none is configured: in the user's data directory
+ * ($XDG_DATA_HOME, or ~/.local/share), outside the project and anything the
+ * server serves
+ */
+export function defaultDataFile(env = process.env) {
+  const dataHome = env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'dash-plus-notes', 'dashplus.json');
+}
+
+export class JsonFileAdapter {
+  /**
+   * @param {string} filePath - Path of the JSON data file
+   * @param {object} options - { pretty: boolean }
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.pretty = options.pretty || false;
+    this.data = this.load();
+  }
+
+  /**
+   * Read the data file, starting empty if it does not exist yet
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    const contents = fs.readFileSync(this.filePath, 'utf8');
+    if (contents.trim().length === 0) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`Invalid JSON in data file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the data file atomically (temp file + rename)
+   */
+  flush() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    const contents = this.pretty
+      ? JSON.stringify(this.data, null, 2)
+      : JSON.stringify(this.data);
+
+    fs.writeFileSync(tempPath, contents);
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  get(key) {
+    const value = this.data[key];
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  set(key, value) {
+    this.data[key] = JSON.parse(JSON.stringify(value));
+    this.flush();
+  }
+
+  remove(key) {
+    if (key in this.data) {
+      delete this.data[key];
+      this.flush();
+    }
+  }
+
+  keys() {
+    return Object.keys(this.data);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * index.html's original task list, mapped onto the TaskStore model
+ *
+ * Before it used TaskStore, index.html kept its own list under the
+ * dashplus-tasks key: numeric Date.now() ids, a parentId for subtasks,
+ * delegatedTo names and five statuses of its own. The page still shows
+ * those five statuses; they map onto the modeled fields like this
+ * (see DATA_MODEL.md "Symbol Semantics"):
+ *
+ *   active     -  task, active (△ and ○ tasks keep their symbol)
+ *   waiting    ←  task, waiting
+ *   delegated  →  task, waiting (delegatedTo becomes the assignee)
+ *   reference  +  note, active
+ *   done          completed (or cancelled)
+ *
+ * migrateLegacyTasks() moves a dashplus-tasks list into TaskStore once;
+ * the original list is kept under STORAGE_KEYS.LEGACY_MIGRATION.
+ */
+
+import {
+  STORAGE_KEYS,
+  Storage,
+  UserManager,
+  UserStore,
+  ProjectStore,
+  TaskStore,
+  AuditLogger,
+} from './localStorage.js';
+import { parseNaturalDate } from '../utils/dateParser.js';
+import { toDayKey } from '../utils/dailyLog.js';
+import { ValidationError } from '../utils/errors.js';
+
+// ============================================================================
+// LEGACY FORMAT
+// ============================================================================
+
+export const LEGACY_TASKS_KEY = 'dashplus-tasks';
+
+export const LEGACY_STATUSES = ['active', 'waiting', 'delegated', 'reference', 'done'];
+
+const KEPT_ACTIVE_SYMBOLS = ['△', '○'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Task fields for one of index.html's statuses
+ *
+ * @param {string} status - Legacy status
+ * @param {object} task - The task being changed, if any (keeps its symbol where the status allows)
+ * @returns {object} { type, symbol, status }
+ */
+export function fromLegacyStatus(status, task = {}) {
+  switch (status) {
+    case 'waiting':
+      return { type: 'task', symbol: '←', status: 'waiting' };
+    case 'delegated':
+      return { type: 'task', symbol: '→', status: 'waiting' };
+    case 'reference':
+      return { type: 'note', symbol: '+', status: 'active' };
+    case 'done':
+      return { type: task.type || 'task', symbol: task.symbol || '-', status: 'completed' };
+    case 'active':
+      return {
+        type: 'task',
+        symbol: KEPT_ACTIVE_SYMBOLS.includes(task.symbol) ? task.symbol : '-',
+        status: 'active',
+      };
+    default:
+      throw new ValidationError(`Invalid legacy status: ${status}`);
+  }
+}
+
+/**
+ * The index.html status a task is shown with
+ */
+export function toLegacyStatus(task) {
+  if (task.status === 'completed' || task.status === 'cancelled') return 'done';
+  if (task.type === 'note') return 'reference';
+  if (task.symbol === '→') return 'delegated';
+  if (task.symbol === '←' || task.status === 'waiting') return 'waiting';
+  return 'active';
+}
+
+// ============================================================================
+// PEOPLE AND PROJECTS BY NAME
+// ============================================================================
+
+/**
+ * The user a task is delegated to by name ("Bob Smith", "@bob"), matched on
+ * username or display name; unknown names become new (password-less) users
+ */
+export function findOrCreateUser(name) {
+  const displayName = String(name).trim().replace(/^@/, '');
+  const users = UserStore.getAll().data;
+  const lower = displayName.toLowerCase();
+
+  const match = users.find(user =>
+    user.username.toLowerCase() === lower || user.displayName.toLowerCase() === lower
+  );
+  if (match) return match;
+
+  const base = toUsername(displayName);
+  let username = base;
+  for (let n = 2; users.some(user => user.username.toLowerCase() === username); n++) {
+    username = `${base}${n}`;
+  }
+
+  return UserStore.create({ username, email: `${username}@dashplus.app`, displayName });
+}
+
+/**
+ * A project by name (case-insensitive), created if it does not exist
+ */
+export function findOrCreateProject(name) {
+  const trimmed = String(name).trim();
+  const match = ProjectStore.getAll().data
+    .find(project => project.name.toLowerCase() === trimmed.toLowerCase());
+  return match || ProjectStore.create({ name: trimmed });
+}
+
+/**
+ * A valid username for a display name ("Zoë Ng" -> "zoe.ng")
+ */
+function toUsername(name) {
+  const username = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_.-]+/g, '.')
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, 40);
+
+  if (username.length >= 3) return username;
+  return username ? `${username}.user` : 'user';
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Move index.html's dashplus-tasks list into TaskStore (one audited change).
+ * Subtasks keep their parent and order; tasks already migrated (e.g. the
+ * same list restored again from a backup) are skipped.
+ *
+ * @returns {object|null} { migrated, skipped, errors: [{ id, message }] },
+ *   or null when there was nothing to migrate
+ */
+export function migrateLegacyTasks() {
+  const adapter = Storage.getAdapter();
+  const legacyTasks = adapter.get(LEGACY_TASKS_KEY);
+
+  if (!Array.isArray(legacyTasks) || legacyTasks.length === 0) {
+    return null;
+  }
+
+  const migration = adapter.get(STORAGE_KEYS.LEGACY_MIGRATION) || { idMap: {}, tasks: [] };
+  const idMap = { ...migration.idMap };
+  const report = { migrated: 0, skipped: 0, errors: [] };
+
+  const keys = new Set(legacyTasks.map(task => String(task.id)));
+  const parentKey = task => {
+    const key = task.parentId === null || task.parentId === undefined ? null : String(task.parentId);
+    return key && keys.has(key) && key !== String(task.id) ? key : null;
+  };
+
+  const visited = new Set();
+  const migrate = (task, parentTaskId) => {
+    const key = String(task.id);
+    visited.add(key);
+
+    let id = idMap[key] && taskExists(idMap[key]) ? idMap[key] : null;
+    if (id) {
+      report.skipped++;
+    } else {
+      try {
+        id = TaskStore.restore(buildTask(task, parentTaskId)).id;
+        idMap[key] = id;
+        report.migrated++;
+      } catch (error) {
+        report.errors.push({ id: task.id, message: error.message });
+      }
+    }
+
+    // Subtasks of a task that failed move up to its parent
+    legacyTasks
+      .filter(subtask => parentKey(subtask) === key && !visited.has(String(subtask.id)))
+      .forEach(subtask => migrate(subtask, id || parentTaskId));
+  };
+
+  AuditLogger.batch(() => {
+    legacyTasks.filter(task => parentKey(task) === null).forEach(task => migrate(task, null));
+
+    // Tasks in a parentId cycle have no top-level ancestor
+    legacyTasks.filter(task => !visited.has(String(task.id))).forEach(task => migrate(task, null));
+  });
+
+  adapter.set(STORAGE_KEYS.LEGACY_MIGRATION, {
+    migratedAt: new Date().toISOString(),
+    idMap,
+    tasks: [...(migration.tasks || []), ...legacyTasks],
+  });
+  adapter.remove(LEGACY_TASKS_KEY);
+
+  return report;
+}
+
+/**
+ * A full task record for a legacy task (created date and order kept)
+ */
+function buildTask(legacy, parentTaskId) {
+  const status = LEGACY_STATUSES.includes(legacy.status) ? legacy.status : 'active';
+  const dueText = legacy.dueDate ? String(legacy.dueDate).trim() : '';
+  const parsedDue = dueText ? parseNaturalDate(dueText) : null;
+  const dueDate = parsedDue && !isNaN(parsedDue.getTime()) ? parsedDue : null;
+
+  const task = TaskStore.build({
+    ...fromLegacyStatus(status),
+    content: String(legacy.content ?? '').trim(),
+    // Free-form due dates that are not dates are kept as text
+    description: dueText && !dueDate ? `Due: ${dueText}` : null,
+    dueDate: dueDate ? dueDate.toISOString() : null,
+    priority: PRIORITIES.includes(legacy.priority) ? legacy.priority : null,
+    tags: Array.isArray(legacy.tags) ? legacy.tags : [],
+    projectId: legacy.project ? findOrCreateProject(legacy.project).id : null,
+    assigneeId: legacy.delegatedTo ? findOrCreateUser(legacy.delegatedTo).id : null,
+    parentTaskId,
+    position: TaskStore.getNextPosition(parentTaskId),
+  }, UserManager.getCurrentUser().id);
+
+  if (legacy.createdAt && !isNaN(new Date(legacy.createdAt).getTime())) {
+    task.createdAt = new Date(legacy.createdAt).toISOString();
+    task.logDate = toDayKey(new Date(legacy.createdAt));
+  }
+
+  if (legacy.archived) {
+    task.status = 'cancelled';
+  }
+
+  if (task.status === 'completed') {
+    task.completedAt = task.updatedAt;
+  }
+
+  return task;
+}
+
+function taskExists(id) {
+  try {
+    return Boolean(TaskStore.getById(id));
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  LEGACY_TASKS_KEY,
+  LEGACY_STATUSES,
+  fromLegacyStatus,
+  toLegacyStatus,
+  findOrCreateUser,
+  findOrCreateProject,
+  migrateLegacyTasks,
+};
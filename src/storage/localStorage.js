@@ -3,22 +3,86 @@
  *
  * This module provides a localStorage-based data access layer that mirrors
  * the future backend API. Designed for easy migration to Node.js + SQL.
+ *
+ * Persistence goes through a pluggable storage adapter (see adapters.js).
+ * The browser's localStorage is used by default when it exists; call
+ * configureStorage() at startup to select another adapter.
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import { parseNaturalDate } from '../utils/dateParser.js';
+import {
+  parseNaturalDate,
+  parseRecurrence,
+  normalizeRecurrenceRule,
+  nextOccurrence,
+} from '../utils/dateParser.js';
+import {
+  DEFAULT_VOCABULARY,
+  normalizeVocabulary,
+  vocabularyValues,
+  checkVocabularyUsage,
+} from '../utils/vocabulary.js';
+import {
+  validateCustomFields,
+  customFieldUserIds,
+  buildCustomFields,
+  mergeCustomFieldUpdates,
+  diffCustomFields,
+  getFieldValue,
+  parseCustomFieldFilters,
+  matchesCustomFields,
+} from '../utils/customFields.js';
+import { compileQuery } from '../utils/query.js';
+import {
+  SEARCH_TYPES,
+  SearchIndex,
+  checkSearchTypes,
+  searchRecords,
+} from '../utils/search.js';
+import {
+  buildViewFilters,
+  getViewTaskFilters,
+  validateViewFields,
+  collectTasks,
+  groupTasks,
+  summarizeTasks,
+} from '../utils/views.js';
+import {
+  toDayKey,
+  isDayKey,
+  buildDay,
+  findPending,
+  listDays,
+  checkDay,
+  checkMigration,
+  checkMigrations,
+  buildMigratedTask,
+  buildMigrationLink,
+} from '../utils/dailyLog.js';
+import { createDefaultAdapter } from './adapters.js';
+import {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  CircularReferenceError,
+  SelfLinkError,
+  checkReference,
+} from '../utils/errors.js';
 
 // ============================================================================
 // STORAGE KEYS
 // ============================================================================
 
-const STORAGE_KEYS = {
+export const STORAGE_KEYS = {
   TASKS: 'dashplus:tasks',
   PROJECTS: 'dashplus:projects',
   LINKS: 'dashplus:links',
   USERS: 'dashplus:users',
   AUDIT_LOGS: 'dashplus:audit_logs',
   CURRENT_USER: 'dashplus:current_user',
+  LEGACY_MIGRATION: 'dashplus:legacy_migration',
+  VOCABULARY: 'dashplus:vocabulary',
+  VIEWS: 'dashplus:views',
 };
 
 // ============================================================================
@@ -26,15 +90,41 @@ const STORAGE_KEYS = {
 // ============================================================================
 
 class LocalStorage {
+  static adapter = null;
+
+  /**
+   * Get the active storage adapter, creating the default one on first use
+   */
+  static getAdapter() {
+    if (!LocalStorage.adapter) {
+      LocalStorage.adapter = createDefaultAdapter();
+    }
+    return LocalStorage.adapter;
+  }
+
+  /**
+   * Replace the active storage adapter
+   */
+  static setAdapter(adapter) {
+    const required = ['get', 'set', 'remove', 'keys'];
+    const missing = required.filter(method => typeof adapter?.[method] !== 'function');
+
+    if (missing.length > 0) {
+      throw new Error(`Invalid storage adapter: missing ${missing.join(', ')}`);
+    }
+
+    LocalStorage.adapter = adapter;
+  }
+
   /**
    * Get all items from a collection
    */
   static getAll(key) {
     try {
-      const data = localStorage.getItem(key);
-      return data ? JSON.parse(data) : [];
+      const data = this.getAdapter().get(key);
+      return Array.isArray(data) ? data : [];
     } catch (error) {
-      console.error(`Error reading ${key} from localStorage:`, error);
+      console.error(`Error reading ${key} from storage:`, error);
       return [];
     }
   }
@@ -44,14 +134,28 @@ class LocalStorage {
    */
   static setAll(key, items) {
     try {
-      localStorage.setItem(key, JSON.stringify(items));
+      this.getAdapter().set(key, items);
       return true;
     } catch (error) {
-      console.error(`Error writing ${key} to localStorage:`, error);
+      console.error(`Error writing ${key} to storage:`, error);
       return false;
     }
   }
 
+  /**
+   * Get a single (non-collection) value
+   */
+  static getValue(key) {
+    return this.getAdapter().get(key);
+  }
+
+  /**
+   * Set a single (non-collection) value
+   */
+  static setValue(key, value) {
+    this.getAdapter().set(key, value);
+  }
+
   /**
    * Get a single item by ID
    */
@@ -77,7 +181,7 @@ class LocalStorage {
     const index = items.findIndex(item => item.id === id);
 
     if (index === -1) {
-      throw new Error(`Item ${id} not found in ${key}`);
+      throw new NotFoundError(`Item ${id} not found in ${key}`);
     }
 
     items[index] = {
@@ -98,7 +202,7 @@ class LocalStorage {
     const filtered = items.filter(item => item.id !== id);
 
     if (filtered.length === items.length) {
-      throw new Error(`Item ${id} not found in ${key}`);
+      throw new NotFoundError(`Item ${id} not found in ${key}`);
     }
 
     return this.setAll(key, filtered);
@@ -108,9 +212,11 @@ class LocalStorage {
    * Clear all data (for testing)
    */
   static clearAll() {
+    const adapter = LocalStorage.getAdapter();
     Object.values(STORAGE_KEYS).forEach(key => {
-      localStorage.removeItem(key);
+      adapter.remove(key);
     });
+    SearchStore.reset();
   }
 }
 
@@ -118,14 +224,29 @@ class LocalStorage {
 // CURRENT USER MANAGEMENT
 // ============================================================================
 
-class UserManager {
+export class UserManager {
   static DEMO_USER_ID = '00000000-0000-0000-0000-000000000001';
 
+  static resolveUserId = null;
+
   /**
-   * Get or create demo user
+   * Resolve the current user per call instead of from storage
+   * (used by the server to act as the authenticated user of each request)
+   */
+  static setCurrentUserResolver(resolver) {
+    this.resolveUserId = resolver;
+  }
+
+  /**
+   * Get the current user (falls back to the demo user when nobody is signed in)
    */
   static getCurrentUser() {
-    let currentUserId = localStorage.getItem(STORAGE_KEYS.CURRENT_USER);
+    const sessionUserId = this.resolveUserId ? this.resolveUserId() : null;
+    if (sessionUserId) {
+      return UserStore.getById(sessionUserId);
+    }
+
+    let currentUserId = LocalStorage.getValue(STORAGE_KEYS.CURRENT_USER);
 
     if (!currentUserId) {
       // Initialize demo user
@@ -148,11 +269,20 @@ class UserManager {
         LocalStorage.add(STORAGE_KEYS.USERS, demoUser);
       }
 
-      localStorage.setItem(STORAGE_KEYS.CURRENT_USER, this.DEMO_USER_ID);
+      LocalStorage.setValue(STORAGE_KEYS.CURRENT_USER, this.DEMO_USER_ID);
       currentUserId = this.DEMO_USER_ID;
     }
 
-    return LocalStorage.getById(STORAGE_KEYS.USERS, currentUserId);
+    return UserStore.getById(currentUserId);
+  }
+
+  /**
+   * Switch the stored current user (single-user clients)
+   */
+  static setCurrentUser(userId) {
+    const user = UserStore.getById(userId);
+    LocalStorage.setValue(STORAGE_KEYS.CURRENT_USER, user.id);
+    return user;
   }
 
   /**
@@ -160,7 +290,199 @@ class UserManager {
    */
   static updateCurrentUser(updates) {
     const currentUser = this.getCurrentUser();
-    return LocalStorage.update(STORAGE_KEYS.USERS, currentUser.id, updates);
+    return UserStore.update(currentUser.id, updates);
+  }
+}
+
+// ============================================================================
+// USER ACCOUNTS
+// ============================================================================
+
+export class UserStore {
+  /**
+   * Create a user account
+   *
+   * Passwords are hashed by the caller (see src/api/auth.js); only the
+   * hash is stored and it is never returned from lookups.
+   */
+  static create(userData) {
+    const user = this.build(userData);
+    this.validate(user, LocalStorage.getAll(STORAGE_KEYS.USERS));
+
+    LocalStorage.add(STORAGE_KEYS.USERS, user);
+
+    return this.toPublic(user);
+  }
+
+  /**
+   * Build a user record with defaults applied
+   */
+  static build(userData) {
+    const now = new Date().toISOString();
+    const username = (userData.username || '').trim();
+
+    return {
+      id: uuidv4(),
+      username,
+      email: (userData.email || '').trim().toLowerCase(),
+      displayName: (userData.displayName || username).trim(),
+      avatarUrl: userData.avatarUrl || null,
+      passwordHash: userData.passwordHash || null,
+      preferences: {
+        theme: 'light',
+        dateFormat: 'MM/DD/YYYY',
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...userData.preferences,
+      },
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null,
+    };
+  }
+
+  /**
+   * Get user by ID
+   */
+  static getById(id) {
+    const user = LocalStorage.getById(STORAGE_KEYS.USERS, id);
+    if (!user) {
+      throw new NotFoundError(`User ${id} not found`);
+    }
+    return this.toPublic(user);
+  }
+
+  /**
+   * Get user by username (case-insensitive), or null
+   */
+  static getByUsername(username) {
+    const user = this.findByLogin(LocalStorage.getAll(STORAGE_KEYS.USERS), username);
+    return user ? this.toPublic(user) : null;
+  }
+
+  /**
+   * Get the stored record (including passwordHash) for a username or email
+   */
+  static getCredentials(login) {
+    return this.findByLogin(LocalStorage.getAll(STORAGE_KEYS.USERS), login) || null;
+  }
+
+  /**
+   * Get all users with optional search
+   */
+  static getAll(filters = {}) {
+    return this.applyFilters(LocalStorage.getAll(STORAGE_KEYS.USERS), filters);
+  }
+
+  /**
+   * Filter a list of users
+   */
+  static applyFilters(users, filters = {}) {
+    if (filters.search) {
+      const search = filters.search.toLowerCase();
+      users = users.filter(u =>
+        [u.username, u.displayName, u.email].some(
+          value => value && value.toLowerCase().includes(search)
+        )
+      );
+    }
+
+    users = [...users].sort((a, b) => a.username.localeCompare(b.username));
+
+    return { data: users.map(u => this.toPublic(u)), meta: {} };
+  }
+
+  /**
+   * Update a user
+   */
+  static update(id, updates) {
+    const users = LocalStorage.getAll(STORAGE_KEYS.USERS);
+    const oldUser = users.find(u => u.id === id);
+    if (!oldUser) {
+      throw new NotFoundError(`User ${id} not found`);
+    }
+
+    const updatedUser = { ...oldUser, ...this.normalizeUpdates(updates), id };
+    this.validate(updatedUser, users.filter(u => u.id !== id));
+
+    return this.toPublic(LocalStorage.update(STORAGE_KEYS.USERS, id, updatedUser));
+  }
+
+  /**
+   * Record a successful login
+   */
+  static recordLogin(id) {
+    return this.update(id, { lastLoginAt: new Date().toISOString() });
+  }
+
+  /**
+   * Normalize user updates the same way build() normalizes new users
+   */
+  static normalizeUpdates(updates) {
+    const normalized = { ...updates };
+
+    if (typeof normalized.username === 'string') {
+      normalized.username = normalized.username.trim();
+    }
+
+    if (typeof normalized.email === 'string') {
+      normalized.email = normalized.email.trim().toLowerCase();
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Strip credentials from a user record
+   */
+  static toPublic(user) {
+    if (!user) return user;
+    const publicUser = { ...user };
+    delete publicUser.passwordHash;
+    return publicUser;
+  }
+
+  /**
+   * Find a user by username or email (case-insensitive)
+   */
+  static findByLogin(users, login) {
+    const value = (login || '').trim().toLowerCase();
+    return users.find(u => u.username.toLowerCase() === value || u.email === value);
+  }
+
+  /**
+   * Validate user data against the other users
+   */
+  static validate(user, otherUsers = []) {
+    this.validateFields(user);
+
+    if (otherUsers.some(u => u.username.toLowerCase() === user.username.toLowerCase())) {
+      throw new ConflictError(`Username ${user.username} already exists`);
+    }
+
+    if (otherUsers.some(u => u.email === user.email)) {
+      throw new ConflictError(`Email ${user.email} already exists`);
+    }
+  }
+
+  /**
+   * Validate user fields that do not depend on other records
+   */
+  static validateFields(user) {
+    if (!user.username || user.username.length < 3 || user.username.length > 50) {
+      throw new ValidationError('Username must be between 3 and 50 characters');
+    }
+
+    if (!/^[A-Za-z0-9_.-]+$/.test(user.username)) {
+      throw new ValidationError('Username must only contain letters, numbers, dots, dashes and underscores');
+    }
+
+    if (!/^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/.test(user.email)) {
+      throw new ValidationError(`Invalid email: ${user.email}`);
+    }
+
+    if (!user.displayName || user.displayName.trim().length === 0) {
+      throw new ValidationError('Display name cannot be empty');
+    }
   }
 }
 
@@ -168,24 +490,91 @@ class UserManager {
 // AUDIT LOGGING
 // ============================================================================
 
-class AuditLogger {
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+const AUDIT_ENTITY_TYPES = ['task', 'note', 'project', 'link', 'user'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class AuditLogger {
+  static batchId = null;
+  static listeners = new Set();
+  static retention = { maxAgeDays: null, maxEntries: null };
+
   /**
    * Log a change to the audit trail
    */
   static log(entityType, entityId, action, changes = []) {
     const currentUser = UserManager.getCurrentUser();
+    const auditLog = this.buildEntry(entityType, entityId, action, changes, currentUser.id);
+
+    LocalStorage.add(STORAGE_KEYS.AUDIT_LOGS, auditLog);
+    if (this.hasRetention(this.retention)) {
+      this.prune();
+    }
+    this.notify(this.listeners, auditLog);
+  }
 
-    const auditLog = {
+  /**
+   * Build an audit log entry (without saving it)
+   */
+  static buildEntry(entityType, entityId, action, changes, userId) {
+    return {
       id: uuidv4(),
       entityType,
       entityId,
       action,
       changes,
-      userId: currentUser.id,
+      userId,
+      batchId: AuditLogger.batchId,
       timestamp: new Date().toISOString(),
     };
+  }
 
-    LocalStorage.add(STORAGE_KEYS.AUDIT_LOGS, auditLog);
+  /**
+   * Run fn so that every entry it logs shares one batchId
+   * (e.g. a task delete and its cascaded link deletes)
+   */
+  static batch(fn) {
+    if (AuditLogger.batchId) {
+      return fn();
+    }
+
+    AuditLogger.batchId = uuidv4();
+    try {
+      return fn();
+    } finally {
+      AuditLogger.batchId = null;
+    }
+  }
+
+  /**
+   * Listen for new audit entries
+   *
+   * @returns {function} Unsubscribe function
+   */
+  static subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Call each listener with a new entry
+   */
+  static notify(listeners, entry) {
+    listeners.forEach(listener => listener(entry));
+  }
+
+  /**
+   * Changes recorded for a created entity (every field, from undefined)
+   */
+  static createdChanges(entity) {
+    return this.calculateChanges({}, entity);
+  }
+
+  /**
+   * Changes recorded for a deleted entity (every field, to undefined)
+   */
+  static deletedChanges(entity) {
+    return this.calculateChanges(entity, {});
   }
 
   /**
@@ -198,15 +587,259 @@ class AuditLogger {
     );
   }
 
+  /**
+   * Get all audit entries (oldest first), optionally for one entity ID or type
+   */
+  static getAll(filters = {}) {
+    let logs = LocalStorage.getAll(STORAGE_KEYS.AUDIT_LOGS);
+
+    if (filters.entityType) {
+      logs = logs.filter(log => log.entityType === filters.entityType);
+    }
+
+    if (filters.entityId) {
+      logs = logs.filter(log => log.entityId === filters.entityId);
+    }
+
+    return logs;
+  }
+
+  /**
+   * Query audit entries across entities, with pagination
+   *
+   * @param {object} filters - { userId, action, entityType, entityId, from, to,
+   *   order, page, pageSize }; action and entityType may be arrays
+   * @returns {object} { data, meta } newest first unless order is 'asc'
+   */
+  static query(filters = {}) {
+    const query = this.normalizeQuery(filters);
+    const logs = LocalStorage.getAll(STORAGE_KEYS.AUDIT_LOGS).filter(log =>
+      (!query.userId || log.userId === query.userId) &&
+      (!query.actions || query.actions.includes(log.action)) &&
+      (!query.entityTypes || query.entityTypes.includes(log.entityType)) &&
+      (!query.entityId || log.entityId === query.entityId) &&
+      (!query.from || log.timestamp >= query.from) &&
+      (!query.to || log.timestamp <= query.to)
+    );
+
+    if (query.order === 'desc') {
+      logs.reverse();
+    }
+
+    const start = (query.page - 1) * query.pageSize;
+    const end = start + query.pageSize;
+
+    return {
+      data: logs.slice(start, end),
+      meta: {
+        page: query.page,
+        pageSize: query.pageSize,
+        totalItems: logs.length,
+        totalPages: Math.ceil(logs.length / query.pageSize),
+        hasNext: end < logs.length,
+        hasPrevious: query.page > 1,
+      },
+    };
+  }
+
+  /**
+   * Validate query filters (shared with the SQLite audit logger)
+   */
+  static normalizeQuery(filters = {}) {
+    const toList = value => (value === undefined || value === null ? null : [].concat(value));
+    const toTimestamp = (value, name) => {
+      if (value === undefined || value === null) return null;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid ${name}: ${value}`);
+      }
+      return date.toISOString();
+    };
+
+    const query = {
+      userId: filters.userId || null,
+      actions: toList(filters.action),
+      entityTypes: toList(filters.entityType),
+      entityId: filters.entityId || null,
+      from: toTimestamp(filters.from, 'from'),
+      to: toTimestamp(filters.to, 'to'),
+      order: filters.order || 'desc',
+      page: filters.page || 1,
+      pageSize: Math.min(filters.pageSize || 50, 200),
+    };
+
+    (query.actions || []).forEach(action => {
+      if (!AUDIT_ACTIONS.includes(action)) {
+        throw new ValidationError(`Invalid action: ${action}`);
+      }
+    });
+
+    (query.entityTypes || []).forEach(entityType => {
+      if (!AUDIT_ENTITY_TYPES.includes(entityType)) {
+        throw new ValidationError(`Invalid entity type: ${entityType}`);
+      }
+    });
+
+    if (!['asc', 'desc'].includes(query.order)) {
+      throw new ValidationError(`Invalid order: ${query.order}`);
+    }
+
+    return query;
+  }
+
+  /**
+   * Set the retention applied whenever an entry is logged
+   *
+   * @param {object} retention - { maxAgeDays, maxEntries } (null keeps everything)
+   */
+  static configureRetention(retention = {}) {
+    this.retention = this.normalizeRetention(retention);
+  }
+
+  /**
+   * Validate a retention policy (shared with the SQLite audit logger)
+   */
+  static normalizeRetention({ maxAgeDays = null, maxEntries = null } = {}) {
+    if (maxAgeDays !== null && !(Number.isFinite(maxAgeDays) && maxAgeDays > 0)) {
+      throw new Error(`Invalid maxAgeDays: ${maxAgeDays}`);
+    }
+    if (maxEntries !== null && !(Number.isInteger(maxEntries) && maxEntries > 0)) {
+      throw new Error(`Invalid maxEntries: ${maxEntries}`);
+    }
+    return { maxAgeDays, maxEntries };
+  }
+
+  static hasRetention(retention) {
+    return Boolean(retention.maxAgeDays || retention.maxEntries);
+  }
+
+  /**
+   * Oldest timestamp kept by a retention policy (null if age is unlimited)
+   */
+  static retentionCutoff(retention) {
+    if (!retention.maxAgeDays) return null;
+    return new Date(Date.now() - retention.maxAgeDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * Remove entries older than maxAgeDays and beyond the newest maxEntries
+   *
+   * @returns {number} Number of entries removed
+   */
+  static prune(retention = this.retention) {
+    const { maxEntries } = this.normalizeRetention(retention);
+    const cutoff = this.retentionCutoff(retention);
+    const logs = LocalStorage.getAll(STORAGE_KEYS.AUDIT_LOGS);
+
+    let kept = cutoff ? logs.filter(log => log.timestamp >= cutoff) : logs;
+    if (maxEntries && kept.length > maxEntries) {
+      kept = kept.slice(kept.length - maxEntries);
+    }
+
+    if (kept.length < logs.length) {
+      LocalStorage.setAll(STORAGE_KEYS.AUDIT_LOGS, kept);
+    }
+    return logs.length - kept.length;
+  }
+
+  /**
+   * Squash consecutive updates to the same entity by the same user into one
+   * entry, keeping each field's first oldValue and last newValue
+   *
+   * @param {object} options - { before } only compact entries older than this
+   * @returns {number} Number of entries removed
+   */
+  static compact(options = {}) {
+    const { entries, removed } = this.compactEntries(
+      LocalStorage.getAll(STORAGE_KEYS.AUDIT_LOGS), options
+    );
+
+    if (removed.length > 0) {
+      LocalStorage.setAll(STORAGE_KEYS.AUDIT_LOGS, entries);
+    }
+    return removed.length;
+  }
+
+  /**
+   * Compact a list of entries (oldest first)
+   *
+   * @returns {object} { entries, removed: IDs dropped, updated: merged entries kept }
+   */
+  static compactEntries(logs, { before } = {}) {
+    const until = before ? new Date(before).toISOString() : null;
+    const entries = [];
+    const open = new Map();
+    const merged = new Set();
+    const removed = [];
+
+    logs.forEach(log => {
+      const key = `${log.entityType}:${log.entityId}`;
+      const run = open.get(key);
+
+      if (log.action !== 'update' || (until && log.timestamp >= until)) {
+        open.delete(key);
+        entries.push(log);
+        return;
+      }
+
+      if (run && run.userId === log.userId) {
+        run.changes = this.mergeChanges(run.changes, log.changes);
+        run.timestamp = log.timestamp;
+        merged.add(run);
+        removed.push(log.id);
+        return;
+      }
+
+      const entry = { ...log };
+      open.set(key, entry);
+      entries.push(entry);
+    });
+
+    // Updates that cancelled out entirely leave nothing to record
+    const kept = entries.filter(entry => {
+      if (merged.has(entry) && entry.changes.length === 0) {
+        merged.delete(entry);
+        removed.push(entry.id);
+        return false;
+      }
+      return true;
+    });
+
+    return { entries: kept, removed, updated: [...merged] };
+  }
+
+  /**
+   * Combine two consecutive change lists, dropping fields that end unchanged
+   */
+  static mergeChanges(earlier, later) {
+    const merged = earlier.map(change => ({ ...change }));
+
+    later.forEach(change => {
+      const existing = merged.find(c => c.field === change.field);
+      if (existing) {
+        existing.newValue = change.newValue;
+      } else {
+        merged.push({ ...change });
+      }
+    });
+
+    return merged.filter(
+      change => JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue)
+    );
+  }
+
   /**
    * Calculate field changes between old and new objects
+   * (custom fields are compared one by one, see utils/customFields.js)
    */
   static calculateChanges(oldObj, newObj) {
     const changes = [];
     const allKeys = new Set([...Object.keys(oldObj), ...Object.keys(newObj)]);
 
     allKeys.forEach(key => {
-      if (JSON.stringify(oldObj[key]) !== JSON.stringify(newObj[key])) {
+      if (key === 'customFields' && isPlainObject(oldObj[key]) && isPlainObject(newObj[key])) {
+        changes.push(...diffCustomFields(oldObj[key], newObj[key]));
+      } else if (JSON.stringify(oldObj[key]) !== JSON.stringify(newObj[key])) {
         changes.push({
           field: key,
           oldValue: oldObj[key],
@@ -219,6 +852,161 @@ class AuditLogger {
   }
 }
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ============================================================================
+// VOCABULARY
+// ============================================================================
+
+export class VocabularyStore {
+  /**
+   * Get the workspace vocabulary (see utils/vocabulary.js)
+   */
+  static get() {
+    const stored = LocalStorage.getValue(STORAGE_KEYS.VOCABULARY);
+    return normalizeVocabulary(stored || DEFAULT_VOCABULARY);
+  }
+
+  /**
+   * Replace sections of the vocabulary. Values still used by tasks, links
+   * or projects cannot be removed.
+   *
+   * @param {object} changes - Sections to replace ({ symbols, cycle, ... })
+   * @returns {object} The new vocabulary
+   */
+  static update(changes) {
+    const vocabulary = normalizeVocabulary({ ...this.get(), ...changes });
+    checkVocabularyUsage(vocabulary, this.getUsage());
+
+    LocalStorage.setValue(STORAGE_KEYS.VOCABULARY, vocabulary);
+    return vocabulary;
+  }
+
+  /**
+   * Go back to the default vocabulary
+   */
+  static reset() {
+    checkVocabularyUsage(normalizeVocabulary(DEFAULT_VOCABULARY), this.getUsage());
+    LocalStorage.getAdapter().remove(STORAGE_KEYS.VOCABULARY);
+    return this.get();
+  }
+
+  /**
+   * How many records use each vocabulary value
+   *
+   * @returns {object} { symbols, statuses, priorities, linkTypes, projectStatuses, fields },
+   *   each a map of value -> count
+   */
+  static getUsage() {
+    const count = (records, field) => records.reduce((counts, record) => {
+      if (record[field]) counts[record[field]] = (counts[record[field]] || 0) + 1;
+      return counts;
+    }, {});
+
+    const tasks = LocalStorage.getAll(STORAGE_KEYS.TASKS);
+    const projects = LocalStorage.getAll(STORAGE_KEYS.PROJECTS);
+    const fields = [...tasks, ...projects].reduce((counts, record) => {
+      Object.keys(record.customFields || {}).forEach(name => {
+        counts[name] = (counts[name] || 0) + 1;
+      });
+      return counts;
+    }, {});
+
+    return {
+      symbols: count(tasks, 'symbol'),
+      statuses: count(tasks, 'status'),
+      priorities: count(tasks, 'priority'),
+      linkTypes: count(LocalStorage.getAll(STORAGE_KEYS.LINKS), 'linkType'),
+      projectStatuses: count(projects, 'status'),
+      fields,
+    };
+  }
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+const SEARCH_COLLECTIONS = {
+  task: STORAGE_KEYS.TASKS,
+  project: STORAGE_KEYS.PROJECTS,
+  link: STORAGE_KEYS.LINKS,
+};
+
+export class SearchStore {
+  // Full-text index over the stored records (see utils/search.js): the
+  // stores update it as they write, and it is synced with storage in full
+  // only on first use, for a new adapter or after reset()
+  static index = new SearchIndex();
+  static indexedAdapter = null;
+
+  /**
+   * The search index, synced with every stored record if it has not been
+   * yet for the current adapter
+   */
+  static getIndex() {
+    const adapter = LocalStorage.getAdapter();
+    if (this.indexedAdapter !== adapter) {
+      SEARCH_TYPES.forEach(type => this.index.sync(type, LocalStorage.getAll(SEARCH_COLLECTIONS[type])));
+      this.indexedAdapter = adapter;
+    }
+    return this.index;
+  }
+
+  /**
+   * Sync the index in full on its next use (after records were written
+   * straight to storage, e.g. by a restore)
+   */
+  static reset() {
+    this.indexedAdapter = null;
+  }
+
+  /**
+   * Index a record a store has just saved
+   */
+  static indexRecord(type, record) {
+    this.index.add(type, record);
+  }
+
+  /**
+   * Drop a record a store has just deleted
+   */
+  static removeRecord(type, id) {
+    this.index.remove(type, id);
+  }
+
+  /**
+   * Search task text, project names and descriptions and link labels,
+   * best matches first
+   *
+   * @param {string} query - Search text
+   * @param {object} options - { types: ['task', 'project', 'link'], limit }
+   * @returns {Array} [{ entityType, entityId, score, field, snippet, record }]
+   */
+  static search(query, options = {}) {
+    const types = checkSearchTypes(options.types || SEARCH_TYPES);
+    const index = this.getIndex();
+    const records = Object.fromEntries(
+      types.map(type => [type, LocalStorage.getAll(SEARCH_COLLECTIONS[type])])
+    );
+    return searchRecords(index, records, query, { limit: options.limit });
+  }
+
+  /**
+   * Relevance of some records of one type to a search
+   *
+   * @returns {Map} id -> score, for the matching records
+   */
+  static scores(type, records, query, index = this.getIndex()) {
+    const ids = new Set(records.map(record => record.id));
+    return new Map(index.search(query, { types: [type] })
+      .filter(result => ids.has(result.entityId))
+      .map(result => [result.entityId, result.score]));
+  }
+}
+
 // ============================================================================
 // TASK CRUD
 // ============================================================================
@@ -229,6 +1017,43 @@ export class TaskStore {
    */
   static create(taskData) {
     const currentUser = UserManager.getCurrentUser();
+    const task = this.build(taskData, currentUser.id);
+
+    if (task.position === null) {
+      task.position = this.getNextPosition(task.parentTaskId);
+    }
+
+    // Validation
+    this.validate(task);
+
+    LocalStorage.add(STORAGE_KEYS.TASKS, task);
+    SearchStore.indexRecord('task', task);
+    AuditLogger.log('task', task.id, 'create', AuditLogger.createdChanges(task));
+
+    return task;
+  }
+
+  /**
+   * Re-insert a previously deleted task with its original ID (undo/redo)
+   */
+  static restore(task) {
+    if (LocalStorage.getById(STORAGE_KEYS.TASKS, task.id)) {
+      throw new ConflictError(`Task ${task.id} already exists`);
+    }
+
+    this.validate(task);
+
+    LocalStorage.add(STORAGE_KEYS.TASKS, task);
+    SearchStore.indexRecord('task', task);
+    AuditLogger.log('task', task.id, 'create', AuditLogger.createdChanges(task));
+
+    return task;
+  }
+
+  /**
+   * Build a new task record from input data (without saving it)
+   */
+  static build(taskData, userId) {
     const now = new Date().toISOString();
 
     // Parse natural language due date
@@ -237,7 +1062,7 @@ export class TaskStore {
       taskData.dueDate = parsed ? parsed.toISOString() : null;
     }
 
-    const task = {
+    return {
       id: uuidv4(),
       type: taskData.type || 'task',
       symbol: taskData.symbol || '-',
@@ -246,23 +1071,20 @@ export class TaskStore {
       status: taskData.status || 'active',
       priority: taskData.priority || null,
       projectId: taskData.projectId || null,
+      parentTaskId: taskData.parentTaskId || null,
+      position: taskData.position ?? null,
       assigneeId: taskData.assigneeId || null,
       dueDate: taskData.dueDate || null,
+      recurrence: this.normalizeRecurrence(taskData.recurrence),
       completedAt: null,
       tags: taskData.tags || [],
+      customFields: buildCustomFields(taskData.customFields),
+      logDate: taskData.logDate || toDayKey(new Date(now)),
       createdAt: now,
       updatedAt: now,
-      createdBy: currentUser.id,
-      updatedBy: currentUser.id,
+      createdBy: userId,
+      updatedBy: userId,
     };
-
-    // Validation
-    this.validate(task);
-
-    LocalStorage.add(STORAGE_KEYS.TASKS, task);
-    AuditLogger.log('task', task.id, 'create');
-
-    return task;
   }
 
   /**
@@ -271,7 +1093,7 @@ export class TaskStore {
   static getById(id) {
     const task = LocalStorage.getById(STORAGE_KEYS.TASKS, id);
     if (!task) {
-      throw new Error(`Task ${id} not found`);
+      throw new NotFoundError(`Task ${id} not found`);
     }
     return task;
   }
@@ -280,7 +1102,21 @@ export class TaskStore {
    * Get all tasks with optional filtering
    */
   static getAll(filters = {}) {
-    let tasks = LocalStorage.getAll(STORAGE_KEYS.TASKS);
+    return this.applyQuery(LocalStorage.getAll(STORAGE_KEYS.TASKS), filters);
+  }
+
+  /**
+   * Filter, sort and paginate a list of tasks.
+   * filters.customFields ({ name: value }) matches custom field values,
+   * filters.query is a query (see utils/query.js) and sort may be a custom
+   * field ('customFields.estimate'). filters.search is a full-text search
+   * (see SearchStore); without a sort its matches come best first.
+   *
+   * @param {object} context - { vocabulary, projects, users, searchIndex } of
+   *   the store the tasks come from (localStorage's by default)
+   */
+  static applyQuery(tasks, filters = {}, context = {}) {
+    const getVocabulary = () => context.vocabulary || VocabularyStore.get();
 
     // Apply filters
     if (filters.projectId !== undefined) {
@@ -291,6 +1127,10 @@ export class TaskStore {
       tasks = tasks.filter(t => t.assigneeId === filters.assigneeId);
     }
 
+    if (filters.parentTaskId !== undefined) {
+      tasks = tasks.filter(t => (t.parentTaskId || null) === filters.parentTaskId);
+    }
+
     if (filters.status) {
       tasks = tasks.filter(t => t.status === filters.status);
     }
@@ -305,21 +1145,35 @@ export class TaskStore {
       );
     }
 
+    let relevance = null;
     if (filters.search) {
-      const searchLower = filters.search.toLowerCase();
-      tasks = tasks.filter(t =>
-        t.content.toLowerCase().includes(searchLower) ||
-        (t.description && t.description.toLowerCase().includes(searchLower))
-      );
+      relevance = SearchStore.scores('task', tasks, filters.search, context.searchIndex);
+      tasks = tasks.filter(t => relevance.has(t.id));
+    }
+
+    if (filters.customFields && Object.keys(filters.customFields).length > 0) {
+      const conditions = parseCustomFieldFilters(filters.customFields, 'task', getVocabulary());
+      tasks = tasks.filter(t => matchesCustomFields(t, conditions));
+    }
+
+    if (filters.query) {
+      const matches = compileQuery(filters.query, {
+        vocabulary: getVocabulary(),
+        projects: context.projects || LocalStorage.getAll(STORAGE_KEYS.PROJECTS),
+        users: context.users || LocalStorage.getAll(STORAGE_KEYS.USERS),
+      });
+      tasks = tasks.filter(matches);
     }
 
-    // Apply sorting
+    // Apply sorting (searches without a sort: best match first)
     const sortField = filters.sort || 'createdAt';
     const sortOrder = filters.order || 'desc';
 
-    tasks.sort((a, b) => {
-      const aVal = a[sortField];
-      const bVal = b[sortField];
+    if (relevance && !filters.sort) {
+      tasks.sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
+    } else tasks.sort((a, b) => {
+      const aVal = getFieldValue(a, sortField);
+      const bVal = getFieldValue(b, sortField);
 
       if (aVal === null || aVal === undefined) return 1;
       if (bVal === null || bVal === undefined) return -1;
@@ -354,10 +1208,16 @@ export class TaskStore {
     const currentUser = UserManager.getCurrentUser();
     const oldTask = this.getById(id);
 
-    // Parse natural language due date
-    if (updates.dueDate && typeof updates.dueDate === 'string') {
-      const parsed = parseNaturalDate(updates.dueDate);
-      updates.dueDate = parsed ? parsed.toISOString() : null;
+    updates = this.normalizeUpdates(updates, oldTask);
+
+    // Check circular nesting and move to the end of the new siblings if the parent changed
+    if (updates.parentTaskId !== undefined && updates.parentTaskId !== (oldTask.parentTaskId || null)) {
+      if (updates.parentTaskId) {
+        this.checkCircularNesting(id, updates.parentTaskId);
+      }
+      if (updates.position === undefined) {
+        updates.position = this.getNextPosition(updates.parentTaskId);
+      }
     }
 
     const newTask = {
@@ -371,7 +1231,8 @@ export class TaskStore {
     this.validate(newTask);
 
     const changes = AuditLogger.calculateChanges(oldTask, newTask);
-    LocalStorage.update(STORAGE_KEYS.TASKS, id, updates);
+    LocalStorage.update(STORAGE_KEYS.TASKS, id, newTask);
+    SearchStore.indexRecord('task', newTask);
 
     if (changes.length > 0) {
       AuditLogger.log('task', id, 'update', changes);
@@ -381,31 +1242,287 @@ export class TaskStore {
   }
 
   /**
-   * Delete a task
+   * Normalize update input (parses natural language due dates and merges
+   * custom field changes into the task's values). Returns a copy; the
+   * caller's object is left as is.
+   */
+  static normalizeUpdates(updates, task = {}) {
+    updates = mergeCustomFieldUpdates(updates, task);
+    if (updates.dueDate && typeof updates.dueDate === 'string') {
+      const parsed = parseNaturalDate(updates.dueDate);
+      updates.dueDate = parsed ? parsed.toISOString() : null;
+    }
+    if (updates.recurrence !== undefined) {
+      updates.recurrence = this.normalizeRecurrence(updates.recurrence);
+    }
+    if (updates.parentTaskId !== undefined) {
+      updates.parentTaskId = updates.parentTaskId || null;
+    }
+    return updates;
+  }
+
+  /**
+   * Parse a recurrence phrase ("every other Friday") or validate a rule object
+   */
+  static normalizeRecurrence(recurrence) {
+    if (recurrence === undefined || recurrence === null || recurrence === '') {
+      return null;
+    }
+
+    const rule = typeof recurrence === 'string'
+      ? parseRecurrence(recurrence)
+      : normalizeRecurrenceRule(recurrence);
+
+    if (!rule) {
+      const input = typeof recurrence === 'string' ? recurrence : JSON.stringify(recurrence);
+      throw new ValidationError(`Invalid recurrence: ${input}`);
+    }
+    return rule;
+  }
+
+  /**
+   * Task data for the occurrence after a completed recurring task
+   * (null when the task does not recur or its rule has run out)
+   */
+  static buildNextOccurrence(task) {
+    const rule = task.recurrence;
+    if (!rule || rule.count === 1) {
+      return null;
+    }
+
+    const dueDate = nextOccurrence(rule, task.dueDate || task.completedAt);
+    if (!dueDate) {
+      return null;
+    }
+
+    return {
+      type: task.type,
+      symbol: task.symbol,
+      content: task.content,
+      description: task.description,
+      priority: task.priority,
+      projectId: task.projectId,
+      assigneeId: task.assigneeId,
+      tags: [...task.tags],
+      dueDate: dueDate.toISOString(),
+      recurrence: { ...rule, count: rule.count ? rule.count - 1 : null },
+    };
+  }
+
+  /**
+   * Link data connecting a completed occurrence to the next one
+   */
+  static buildOccurrenceLink(completed, next) {
+    return {
+      sourceId: completed.id,
+      targetId: next.id,
+      linkType: 'moved',
+      label: 'Next occurrence',
+    };
+  }
+
+  /**
+   * Delete a task.
+   * Subtasks move up to the task's parent unless deleteSubtasks is set.
    */
   static delete(id, options = {}) {
     const task = this.getById(id);
 
-    // Delete associated links if cascade is true (default)
-    if (options.cascade !== false) {
-      const links = LinkStore.getAll({ entityId: id });
-      links.data.forEach(link => LinkStore.delete(link.id));
+    return AuditLogger.batch(() => {
+      // Handle subtasks
+      const subtasks = this.getSubtasks(id);
+      if (options.deleteSubtasks) {
+        subtasks.forEach(subtask => this.delete(subtask.id, options));
+      } else {
+        const parentTaskId = task.parentTaskId || null;
+        let position = this.getNextPosition(parentTaskId);
+        subtasks.forEach(subtask => {
+          LocalStorage.update(STORAGE_KEYS.TASKS, subtask.id, { parentTaskId, position });
+          AuditLogger.log('task', subtask.id, 'update', [
+            { field: 'parentTaskId', oldValue: id, newValue: parentTaskId },
+            { field: 'position', oldValue: subtask.position, newValue: position++ },
+          ]);
+        });
+      }
+
+      // Delete associated links if cascade is true (default)
+      if (options.cascade !== false) {
+        const links = LinkStore.getAll({ entityId: id });
+        links.data.forEach(link => LinkStore.delete(link.id));
+      }
+
+      LocalStorage.delete(STORAGE_KEYS.TASKS, id);
+      SearchStore.removeRecord('task', id);
+      AuditLogger.log('task', id, 'delete', AuditLogger.deletedChanges(task));
+
+      return true;
+    });
+  }
+
+  /**
+   * Complete a task (applying any other updates in the same change).
+   * Completing a recurring task creates its next occurrence; completeSubtasks
+   * also completes every open subtask below it.
+   */
+  static complete(id, updates = {}, options = {}) {
+    const wasCompleted = this.getById(id).status === 'completed';
+
+    return AuditLogger.batch(() => {
+      if (options.completeSubtasks) {
+        this.getDescendants(id)
+          .filter(subtask => this.isOpen(subtask))
+          .forEach(subtask => this.complete(subtask.id));
+      }
+
+      const task = this.update(id, {
+        ...updates,
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+      });
+
+      // Recurring tasks continue as a new task, linked from this one
+      const nextData = wasCompleted ? null : this.buildNextOccurrence(task);
+      if (nextData) {
+        const next = this.create(nextData);
+        LinkStore.create(this.buildOccurrenceLink(task, next));
+      }
+
+      return task;
+    });
+  }
+
+  /**
+   * Get the direct subtasks of a task, in order
+   */
+  static getSubtasks(id) {
+    return this.sortSiblings(
+      LocalStorage.getAll(STORAGE_KEYS.TASKS).filter(t => t.parentTaskId === id)
+    );
+  }
+
+  /**
+   * Get all subtasks below a task (breadth-first, each level in order)
+   */
+  static getDescendants(id) {
+    const descendants = [];
+    let level = this.getSubtasks(id);
+
+    while (level.length > 0) {
+      descendants.push(...level);
+      level = level.flatMap(subtask => this.getSubtasks(subtask.id));
     }
 
-    LocalStorage.delete(STORAGE_KEYS.TASKS, id);
-    AuditLogger.log('task', id, 'delete');
+    return descendants;
+  }
 
-    return true;
+  /**
+   * Get task tree (with all nested subtasks)
+   */
+  static getTree(id) {
+    const task = this.getById(id);
+
+    return {
+      ...task,
+      subtasks: this.getSubtasks(id).map(subtask => this.getTree(subtask.id)),
+    };
+  }
+
+  /**
+   * Get a task's completion, rolled up from its subtasks
+   */
+  static getProgress(id) {
+    this.getById(id);
+    return this.calculateProgress(id, this.getDescendants(id));
+  }
+
+  /**
+   * Completion of a task from its descendants. Each subtask counts as done
+   * when completed, or by its own rolled-up completion otherwise; cancelled
+   * subtasks are left out.
+   */
+  static calculateProgress(id, descendants) {
+    const subtasksByParent = new Map();
+    descendants.forEach(task => {
+      if (!subtasksByParent.has(task.parentTaskId)) {
+        subtasksByParent.set(task.parentTaskId, []);
+      }
+      subtasksByParent.get(task.parentTaskId).push(task);
+    });
+
+    const rollUp = taskId => {
+      const subtasks = (subtasksByParent.get(taskId) || []).filter(t => t.status !== 'cancelled');
+      const done = subtasks.reduce(
+        (sum, subtask) => sum + (subtask.status === 'completed' ? 1 : rollUp(subtask.id).completionRate),
+        0
+      );
+
+      return {
+        totalSubtasks: subtasks.length,
+        completedSubtasks: subtasks.filter(t => t.status === 'completed').length,
+        completionRate: subtasks.length > 0 ? done / subtasks.length : 0,
+      };
+    };
+
+    const progress = rollUp(id);
+    return {
+      taskId: id,
+      ...progress,
+      percentComplete: Math.round(progress.completionRate * 100),
+    };
+  }
+
+  /**
+   * Next free position among the subtasks of a parent (null for top-level tasks)
+   */
+  static getNextPosition(parentTaskId) {
+    const siblings = LocalStorage.getAll(STORAGE_KEYS.TASKS)
+      .filter(t => (t.parentTaskId || null) === (parentTaskId || null));
+    return this.nextPosition(siblings);
+  }
+
+  /**
+   * Position after the last of a list of sibling tasks
+   */
+  static nextPosition(siblings) {
+    return siblings.reduce((max, t) => Math.max(max, (t.position ?? -1) + 1), 0);
+  }
+
+  /**
+   * Sort sibling tasks by position (then creation time)
+   */
+  static sortSiblings(tasks) {
+    return tasks.sort((a, b) => {
+      const comparison = (a.position ?? 0) - (b.position ?? 0);
+      if (comparison !== 0) return comparison;
+      return a.createdAt < b.createdAt ? -1 : (a.createdAt > b.createdAt ? 1 : 0);
+    });
+  }
+
+  /**
+   * Whether a task still needs doing (not completed or cancelled)
+   */
+  static isOpen(task) {
+    return task.status !== 'completed' && task.status !== 'cancelled';
   }
 
   /**
-   * Complete a task
+   * Check for circular task nesting
    */
-  static complete(id) {
-    return this.update(id, {
-      status: 'completed',
-      completedAt: new Date().toISOString(),
-    });
+  static checkCircularNesting(taskId, parentTaskId) {
+    if (parentTaskId === taskId) {
+      throw new CircularReferenceError('Task cannot be its own parent');
+    }
+
+    const visited = new Set();
+    let currentId = parentTaskId;
+
+    while (currentId) {
+      if (currentId === taskId || visited.has(currentId)) {
+        throw new CircularReferenceError('Circular task nesting detected');
+      }
+      visited.add(currentId);
+      currentId = checkReference(() => this.getById(currentId)).parentTaskId;
+    }
   }
 
   /**
@@ -416,7 +1533,7 @@ export class TaskStore {
 
     ids.forEach(id => {
       try {
-        this.update(id, updates);
+        this.update(id, { ...updates });
         results.success.push(id);
       } catch (error) {
         results.failed.push(id);
@@ -431,44 +1548,75 @@ export class TaskStore {
    * Validate task data
    */
   static validate(task) {
+    const vocabulary = VocabularyStore.get();
+    this.validateFields(task, vocabulary);
+
+    if (task.projectId) {
+      checkReference(() => ProjectStore.getById(task.projectId));
+    }
+
+    if (task.assigneeId) {
+      checkReference(() => UserStore.getById(task.assigneeId));
+    }
+
+    customFieldUserIds(task, 'task', vocabulary).forEach(userId => checkReference(() => UserStore.getById(userId)));
+
+    if (task.parentTaskId) {
+      checkReference(() => this.getById(task.parentTaskId));
+    }
+  }
+
+  /**
+   * Validate task fields that do not depend on other records
+   *
+   * @param {object} task - Task record
+   * @param {object} vocabulary - Workspace vocabulary (VocabularyStore's by default)
+   */
+  static validateFields(task, vocabulary = VocabularyStore.get()) {
     const validTypes = ['task', 'note'];
-    const validSymbols = ['-', '+', '→', '←', '△', '○'];
-    const validStatuses = ['active', 'completed', 'cancelled', 'waiting'];
-    const validPriorities = ['low', 'medium', 'high', 'urgent'];
+    const {
+      symbols: validSymbols,
+      statuses: validStatuses,
+      priorities: validPriorities,
+    } = vocabularyValues(vocabulary);
 
     if (!validTypes.includes(task.type)) {
-      throw new Error(`Invalid task type: ${task.type}`);
+      throw new ValidationError(`Invalid task type: ${task.type}`);
     }
 
     if (!validSymbols.includes(task.symbol)) {
-      throw new Error(`Invalid symbol: ${task.symbol}`);
+      throw new ValidationError(`Invalid symbol: ${task.symbol}`);
     }
 
     if (!task.content || task.content.trim().length === 0) {
-      throw new Error('Task content cannot be empty');
+      throw new ValidationError('Task content cannot be empty');
     }
 
     if (!validStatuses.includes(task.status)) {
-      throw new Error(`Invalid status: ${task.status}`);
+      throw new ValidationError(`Invalid status: ${task.status}`);
     }
 
     if (task.priority && !validPriorities.includes(task.priority)) {
-      throw new Error(`Invalid priority: ${task.priority}`);
+      throw new ValidationError(`Invalid priority: ${task.priority}`);
     }
 
-    if (task.projectId) {
-      const project = ProjectStore.getById(task.projectId);
-      if (!project) {
-        throw new Error(`Project ${task.projectId} not found`);
-      }
+    if (task.recurrence && !normalizeRecurrenceRule(task.recurrence)) {
+      throw new ValidationError(`Invalid recurrence: ${JSON.stringify(task.recurrence)}`);
     }
 
-    if (task.assigneeId) {
-      const user = LocalStorage.getById(STORAGE_KEYS.USERS, task.assigneeId);
-      if (!user) {
-        throw new Error(`User ${task.assigneeId} not found`);
-      }
+    if (task.parentTaskId && task.parentTaskId === task.id) {
+      throw new CircularReferenceError('Task cannot be its own parent');
     }
+
+    if (task.position !== undefined && task.position !== null && !Number.isInteger(task.position)) {
+      throw new ValidationError(`Invalid position: ${task.position}`);
+    }
+
+    if (task.logDate && !isDayKey(task.logDate)) {
+      throw new ValidationError(`Invalid log date: ${task.logDate}`);
+    }
+
+    validateCustomFields(task.customFields, 'task', vocabulary);
   }
 }
 
@@ -482,9 +1630,51 @@ export class ProjectStore {
    */
   static create(projectData) {
     const currentUser = UserManager.getCurrentUser();
+    const project = this.build(projectData, currentUser.id);
+
+    // Validation
+    this.validate(project);
+
+    // Check for circular nesting
+    if (project.parentId) {
+      this.checkCircularNesting(project.id, project.parentId);
+    }
+
+    LocalStorage.add(STORAGE_KEYS.PROJECTS, project);
+    SearchStore.indexRecord('project', project);
+    AuditLogger.log('project', project.id, 'create', AuditLogger.createdChanges(project));
+
+    return project;
+  }
+
+  /**
+   * Re-insert a previously deleted project with its original ID (undo/redo)
+   */
+  static restore(project) {
+    if (LocalStorage.getById(STORAGE_KEYS.PROJECTS, project.id)) {
+      throw new ConflictError(`Project ${project.id} already exists`);
+    }
+
+    this.validate(project);
+
+    if (project.parentId) {
+      this.checkCircularNesting(project.id, project.parentId);
+    }
+
+    LocalStorage.add(STORAGE_KEYS.PROJECTS, project);
+    SearchStore.indexRecord('project', project);
+    AuditLogger.log('project', project.id, 'create', AuditLogger.createdChanges(project));
+
+    return project;
+  }
+
+  /**
+   * Build a new project record from input data (without saving it)
+   */
+  static build(projectData, userId) {
     const now = new Date().toISOString();
 
-    const project = {
+    return {
       id: uuidv4(),
       name: projectData.name,
       description: projectData.description || null,
@@ -494,24 +1684,12 @@ export class ProjectStore {
       status: projectData.status || 'active',
       startDate: projectData.startDate || null,
       endDate: projectData.endDate || null,
+      customFields: buildCustomFields(projectData.customFields),
       createdAt: now,
       updatedAt: now,
-      createdBy: currentUser.id,
-      updatedBy: currentUser.id,
+      createdBy: userId,
+      updatedBy: userId,
     };
-
-    // Validation
-    this.validate(project);
-
-    // Check for circular nesting
-    if (project.parentId) {
-      this.checkCircularNesting(project.id, project.parentId);
-    }
-
-    LocalStorage.add(STORAGE_KEYS.PROJECTS, project);
-    AuditLogger.log('project', project.id, 'create');
-
-    return project;
   }
 
   /**
@@ -520,7 +1698,7 @@ export class ProjectStore {
   static getById(id) {
     const project = LocalStorage.getById(STORAGE_KEYS.PROJECTS, id);
     if (!project) {
-      throw new Error(`Project ${id} not found`);
+      throw new NotFoundError(`Project ${id} not found`);
     }
     return project;
   }
@@ -529,7 +1707,15 @@ export class ProjectStore {
    * Get all projects with optional filtering
    */
   static getAll(filters = {}) {
-    let projects = LocalStorage.getAll(STORAGE_KEYS.PROJECTS);
+    return this.applyFilters(LocalStorage.getAll(STORAGE_KEYS.PROJECTS), filters);
+  }
+
+  /**
+   * Filter a list of projects (search matches come best first)
+   *
+   * @param {object} context - { searchIndex }, as for TaskStore.applyQuery
+   */
+  static applyFilters(projects, filters = {}, context = {}) {
 
     if (filters.status) {
       projects = projects.filter(p => p.status === filters.status);
@@ -540,11 +1726,10 @@ export class ProjectStore {
     }
 
     if (filters.search) {
-      const searchLower = filters.search.toLowerCase();
-      projects = projects.filter(p =>
-        p.name.toLowerCase().includes(searchLower) ||
-        (p.description && p.description.toLowerCase().includes(searchLower))
-      );
+      const relevance = SearchStore.scores('project', projects, filters.search, context.searchIndex);
+      projects = projects
+        .filter(p => relevance.has(p.id))
+        .sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
     }
 
     return { data: projects, meta: {} };
@@ -557,6 +1742,8 @@ export class ProjectStore {
     const currentUser = UserManager.getCurrentUser();
     const oldProject = this.getById(id);
 
+    updates = mergeCustomFieldUpdates(updates, oldProject);
+
     // Check circular nesting if parent changed
     if (updates.parentId && updates.parentId !== oldProject.parentId) {
       this.checkCircularNesting(id, updates.parentId);
@@ -572,7 +1759,8 @@ export class ProjectStore {
     this.validate(newProject);
 
     const changes = AuditLogger.calculateChanges(oldProject, newProject);
-    LocalStorage.update(STORAGE_KEYS.PROJECTS, id, updates);
+    LocalStorage.update(STORAGE_KEYS.PROJECTS, id, newProject);
+    SearchStore.indexRecord('project', newProject);
 
     if (changes.length > 0) {
       AuditLogger.log('project', id, 'update', changes);
@@ -587,36 +1775,45 @@ export class ProjectStore {
   static delete(id, options = {}) {
     const project = this.getById(id);
 
-    // Handle child projects
-    const children = this.getAll({ parentId: id }).data;
-    if (children.length > 0) {
-      if (options.deleteChildren) {
-        children.forEach(child => this.delete(child.id, options));
-      } else {
-        // Orphan children (set parentId to null)
-        children.forEach(child => {
-          LocalStorage.update(STORAGE_KEYS.PROJECTS, child.id, { parentId: null });
-        });
+    return AuditLogger.batch(() => {
+      // Handle child projects
+      const children = this.getAll({ parentId: id }).data;
+      if (children.length > 0) {
+        if (options.deleteChildren) {
+          children.forEach(child => this.delete(child.id, options));
+        } else {
+          // Orphan children (set parentId to null)
+          children.forEach(child => {
+            LocalStorage.update(STORAGE_KEYS.PROJECTS, child.id, { parentId: null });
+            AuditLogger.log('project', child.id, 'update', [
+              { field: 'parentId', oldValue: id, newValue: null },
+            ]);
+          });
+        }
       }
-    }
 
-    // Handle tasks
-    const tasks = TaskStore.getAll({ projectId: id }).data;
-    if (tasks.length > 0) {
-      if (options.deleteTasks) {
-        tasks.forEach(task => TaskStore.delete(task.id));
-      } else {
-        // Orphan tasks
-        tasks.forEach(task => {
-          LocalStorage.update(STORAGE_KEYS.TASKS, task.id, { projectId: null });
-        });
+      // Handle tasks
+      const tasks = TaskStore.getAll({ projectId: id }).data;
+      if (tasks.length > 0) {
+        if (options.deleteTasks) {
+          tasks.forEach(task => TaskStore.delete(task.id));
+        } else {
+          // Orphan tasks
+          tasks.forEach(task => {
+            LocalStorage.update(STORAGE_KEYS.TASKS, task.id, { projectId: null });
+            AuditLogger.log('task', task.id, 'update', [
+              { field: 'projectId', oldValue: id, newValue: null },
+            ]);
+          });
+        }
       }
-    }
 
-    LocalStorage.delete(STORAGE_KEYS.PROJECTS, id);
-    AuditLogger.log('project', id, 'delete');
+      LocalStorage.delete(STORAGE_KEYS.PROJECTS, id);
+      SearchStore.removeRecord('project', id);
+      AuditLogger.log('project', id, 'delete', AuditLogger.deletedChanges(project));
 
-    return true;
+      return true;
+    });
   }
 
   /**
@@ -657,16 +1854,16 @@ export class ProjectStore {
    */
   static checkCircularNesting(projectId, parentId, visited = new Set()) {
     if (visited.has(parentId)) {
-      throw new Error('Circular project nesting detected');
+      throw new CircularReferenceError('Circular project nesting detected');
     }
 
     if (parentId === projectId) {
-      throw new Error('Project cannot be its own parent');
+      throw new CircularReferenceError('Project cannot be its own parent');
     }
 
     visited.add(parentId);
 
-    const parent = this.getById(parentId);
+    const parent = checkReference(() => this.getById(parentId));
     if (parent.parentId) {
       this.checkCircularNesting(projectId, parent.parentId, visited);
     }
@@ -676,21 +1873,36 @@ export class ProjectStore {
    * Validate project data
    */
   static validate(project) {
-    const validStatuses = ['active', 'archived', 'completed'];
+    const vocabulary = VocabularyStore.get();
+    this.validateFields(project, vocabulary);
+
+    customFieldUserIds(project, 'project', vocabulary).forEach(userId => checkReference(() => UserStore.getById(userId)));
+  }
+
+  /**
+   * Validate project fields that do not depend on other records
+   *
+   * @param {object} project - Project record
+   * @param {object} vocabulary - Workspace vocabulary (VocabularyStore's by default)
+   */
+  static validateFields(project, vocabulary = VocabularyStore.get()) {
+    const validStatuses = vocabulary.projectStatuses;
 
     if (!project.name || project.name.trim().length === 0) {
-      throw new Error('Project name cannot be empty');
+      throw new ValidationError('Project name cannot be empty');
     }
 
     if (!validStatuses.includes(project.status)) {
-      throw new Error(`Invalid status: ${project.status}`);
+      throw new ValidationError(`Invalid status: ${project.status}`);
     }
 
     if (project.endDate && project.startDate) {
       if (new Date(project.endDate) < new Date(project.startDate)) {
-        throw new Error('End date cannot be before start date');
+        throw new ValidationError('End date cannot be before start date');
       }
     }
+
+    validateCustomFields(project.customFields, 'project', vocabulary);
   }
 }
 
@@ -704,9 +1916,42 @@ export class LinkStore {
    */
   static create(linkData) {
     const currentUser = UserManager.getCurrentUser();
+    const link = this.build(linkData, currentUser.id);
+
+    // Validation
+    this.validate(link);
+
+    LocalStorage.add(STORAGE_KEYS.LINKS, link);
+    SearchStore.indexRecord('link', link);
+    AuditLogger.log('link', link.id, 'create', AuditLogger.createdChanges(link));
+
+    return link;
+  }
+
+  /**
+   * Re-insert a previously deleted link with its original ID (undo/redo)
+   */
+  static restore(link) {
+    if (LocalStorage.getById(STORAGE_KEYS.LINKS, link.id)) {
+      throw new ConflictError(`Link ${link.id} already exists`);
+    }
+
+    this.validate(link);
+
+    LocalStorage.add(STORAGE_KEYS.LINKS, link);
+    SearchStore.indexRecord('link', link);
+    AuditLogger.log('link', link.id, 'create', AuditLogger.createdChanges(link));
+
+    return link;
+  }
+
+  /**
+   * Build a new link record from input data (without saving it)
+   */
+  static build(linkData, userId) {
     const now = new Date().toISOString();
 
-    const link = {
+    return {
       id: uuidv4(),
       sourceId: linkData.sourceId,
       targetId: linkData.targetId,
@@ -715,16 +1960,8 @@ export class LinkStore {
       strength: linkData.strength || null,
       createdAt: now,
       updatedAt: now,
-      createdBy: currentUser.id,
+      createdBy: userId,
     };
-
-    // Validation
-    this.validate(link);
-
-    LocalStorage.add(STORAGE_KEYS.LINKS, link);
-    AuditLogger.log('link', link.id, 'create');
-
-    return link;
   }
 
   /**
@@ -733,7 +1970,7 @@ export class LinkStore {
   static getById(id) {
     const link = LocalStorage.getById(STORAGE_KEYS.LINKS, id);
     if (!link) {
-      throw new Error(`Link ${id} not found`);
+      throw new NotFoundError(`Link ${id} not found`);
     }
     return link;
   }
@@ -742,8 +1979,13 @@ export class LinkStore {
    * Get all links with optional filtering
    */
   static getAll(filters = {}) {
-    let links = LocalStorage.getAll(STORAGE_KEYS.LINKS);
+    return this.applyFilters(LocalStorage.getAll(STORAGE_KEYS.LINKS), filters);
+  }
 
+  /**
+   * Filter a list of links
+   */
+  static applyFilters(links, filters = {}) {
     if (filters.sourceId) {
       links = links.filter(l => l.sourceId === filters.sourceId);
     }
@@ -782,6 +2024,7 @@ export class LinkStore {
 
     const changes = AuditLogger.calculateChanges(oldLink, newLink);
     LocalStorage.update(STORAGE_KEYS.LINKS, id, updates);
+    SearchStore.indexRecord('link', newLink);
 
     if (changes.length > 0) {
       AuditLogger.log('link', id, 'update', changes);
@@ -794,8 +2037,10 @@ export class LinkStore {
    * Delete a link
    */
   static delete(id) {
+    const link = this.getById(id);
     LocalStorage.delete(STORAGE_KEYS.LINKS, id);
-    AuditLogger.log('link', id, 'delete');
+    SearchStore.removeRecord('link', id);
+    AuditLogger.log('link', id, 'delete', AuditLogger.deletedChanges(link));
     return true;
   }
 
@@ -810,43 +2055,285 @@ export class LinkStore {
    * Validate link data
    */
   static validate(link) {
-    const validLinkTypes = ['waiting', 'delegated', 'references', 'moved', 'blocks', 'related'];
+    this.validateFields(link);
+
+    // Verify tasks exist
+    checkReference(() => TaskStore.getById(link.sourceId));
+    checkReference(() => TaskStore.getById(link.targetId));
+  }
+
+  /**
+   * Validate link fields that do not depend on other records
+   *
+   * @param {object} link - Link record
+   * @param {object} vocabulary - Workspace vocabulary (VocabularyStore's by default)
+   */
+  static validateFields(link, vocabulary = VocabularyStore.get()) {
+    const validLinkTypes = vocabularyValues(vocabulary).linkTypes;
 
     if (link.sourceId === link.targetId) {
-      throw new Error('Cannot create self-loop: source and target cannot be the same');
+      throw new SelfLinkError('Cannot create self-loop: source and target cannot be the same');
     }
 
     if (!validLinkTypes.includes(link.linkType)) {
-      throw new Error(`Invalid link type: ${link.linkType}`);
+      throw new ValidationError(`Invalid link type: ${link.linkType}`);
     }
 
-    // Verify tasks exist
-    const sourceTask = TaskStore.getById(link.sourceId);
-    const targetTask = TaskStore.getById(link.targetId);
+    if (link.strength !== null && link.strength !== undefined) {
+      if (link.strength < 0 || link.strength > 1) {
+        throw new ValidationError('Link strength must be between 0 and 1');
+      }
+    }
+  }
+}
+
+// ============================================================================
+// VIEW CRUD
+// ============================================================================
+
+export class ViewStore {
+  /**
+   * Create a saved view (see utils/views.js)
+   */
+  static create(viewData) {
+    const currentUser = UserManager.getCurrentUser();
+    const views = LocalStorage.getAll(STORAGE_KEYS.VIEWS);
+    const view = this.build(viewData, currentUser.id, views.length);
+
+    this.validate(view);
+
+    LocalStorage.add(STORAGE_KEYS.VIEWS, view);
+    return view;
+  }
+
+  /**
+   * Build a new view record from input data (without saving it)
+   *
+   * @param {number} position - Default position (after the existing views)
+   */
+  static build(viewData, userId, position = 0) {
+    const now = new Date().toISOString();
+
+    return {
+      id: uuidv4(),
+      name: typeof viewData.name === 'string' ? viewData.name.trim() : viewData.name,
+      description: viewData.description || null,
+      icon: viewData.icon || null,
+      filters: buildViewFilters(viewData.filters),
+      sort: viewData.sort || null,
+      groupBy: viewData.groupBy || null,
+      position: viewData.position ?? position,
+      createdAt: now,
+      updatedAt: now,
+      createdBy: userId,
+      updatedBy: userId,
+    };
+  }
 
-    if (!sourceTask) {
-      throw new Error(`Source task ${link.sourceId} not found`);
+  /**
+   * Get view by ID
+   */
+  static getById(id) {
+    const view = LocalStorage.getById(STORAGE_KEYS.VIEWS, id);
+    if (!view) {
+      throw new NotFoundError(`View ${id} not found`);
     }
+    return view;
+  }
+
+  /**
+   * Get all views, in sidebar order
+   */
+  static getAll() {
+    const views = LocalStorage.getAll(STORAGE_KEYS.VIEWS)
+      .sort((a, b) => a.position - b.position || a.createdAt.localeCompare(b.createdAt));
+    return { data: views, meta: {} };
+  }
+
+  /**
+   * Update a view (filters are replaced as a whole)
+   */
+  static update(id, updates) {
+    const currentUser = UserManager.getCurrentUser();
+    const oldView = this.getById(id);
 
-    if (!targetTask) {
-      throw new Error(`Target task ${link.targetId} not found`);
+    if (updates.filters !== undefined) {
+      updates.filters = buildViewFilters(updates.filters);
+    }
+    if (typeof updates.name === 'string') {
+      updates.name = updates.name.trim();
     }
 
-    if (link.strength !== null && link.strength !== undefined) {
-      if (link.strength < 0 || link.strength > 1) {
-        throw new Error('Link strength must be between 0 and 1');
-      }
+    const newView = {
+      ...oldView,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+      updatedBy: currentUser.id,
+    };
+
+    this.validate(newView);
+
+    LocalStorage.update(STORAGE_KEYS.VIEWS, id, { ...updates, updatedAt: newView.updatedAt, updatedBy: newView.updatedBy });
+    return newView;
+  }
+
+  /**
+   * Delete a view (its tasks are left as they are)
+   */
+  static delete(id) {
+    this.getById(id);
+    LocalStorage.delete(STORAGE_KEYS.VIEWS, id);
+    return true;
+  }
+
+  /**
+   * A page of a view's tasks, in the view's sort order
+   *
+   * @param {object} options - { page, pageSize }
+   */
+  static getTasks(id, options = {}) {
+    return TaskStore.getAll(getViewTaskFilters(this.getById(id), options));
+  }
+
+  /**
+   * Every task of a view, grouped by the view's groupBy field (one group
+   * with key null when the view is not grouped)
+   *
+   * @returns {Array} [{ key, label, count, tasks }]
+   */
+  static getGroups(id) {
+    const view = this.getById(id);
+    const tasks = collectTasks(TaskStore, getViewTaskFilters(view));
+
+    if (!view.groupBy) {
+      return [{ key: null, label: view.name, count: tasks.length, tasks }];
+    }
+
+    return groupTasks(tasks, view.groupBy, {
+      projects: LocalStorage.getAll(STORAGE_KEYS.PROJECTS),
+      users: LocalStorage.getAll(STORAGE_KEYS.USERS),
+    });
+  }
+
+  /**
+   * Get view statistics (as ProjectStore.getStats)
+   */
+  static getStats(id) {
+    return summarizeTasks(collectTasks(TaskStore, getViewTaskFilters(this.getById(id))));
+  }
+
+  /**
+   * Validate view data
+   */
+  static validate(view, views = LocalStorage.getAll(STORAGE_KEYS.VIEWS)) {
+    validateViewFields(view, {
+      vocabulary: VocabularyStore.get(),
+      projects: LocalStorage.getAll(STORAGE_KEYS.PROJECTS),
+      users: LocalStorage.getAll(STORAGE_KEYS.USERS),
+    });
+
+    const duplicate = views.find(other =>
+      other.id !== view.id && other.name.toLowerCase() === view.name.toLowerCase()
+    );
+    if (duplicate) {
+      throw new ConflictError(`A view named ${view.name} already exists`);
+    }
+
+    if (view.filters.projectId) {
+      checkReference(() => ProjectStore.getById(view.filters.projectId));
+    }
+
+    if (view.filters.assigneeId) {
+      checkReference(() => UserStore.getById(view.filters.assigneeId));
     }
   }
 }
 
+// ============================================================================
+// DAILY LOG
+// ============================================================================
+
+export class DailyLogStore {
+  /**
+   * A day's page (see utils/dailyLog.js), today's by default
+   */
+  static getDay(date = toDayKey(new Date())) {
+    return buildDay(
+      checkDay(date),
+      LocalStorage.getAll(STORAGE_KEYS.TASKS),
+      LinkStore.getAll({ linkType: 'moved' }).data,
+      toDayKey(new Date())
+    );
+  }
+
+  /**
+   * Open tasks on pages before a day (today by default), waiting to be migrated
+   */
+  static getPending(date = toDayKey(new Date())) {
+    return findPending(LocalStorage.getAll(STORAGE_KEYS.TASKS), checkDay(date));
+  }
+
+  /**
+   * The days that have tasks, newest first ([{ date, count }])
+   */
+  static getDays() {
+    return listDays(LocalStorage.getAll(STORAGE_KEYS.TASKS));
+  }
+
+  /**
+   * Carry a task forward to today, schedule it on a later day or cancel it
+   *
+   * @param {object} options - { action: 'carry' | 'schedule' | 'cancel', date }
+   * @returns {object} { task, copy, link } (copy and link null when cancelling)
+   */
+  static migrate(taskId, options = {}) {
+    const task = TaskStore.getById(taskId);
+    const date = checkMigration(task, options, toDayKey(new Date()));
+
+    return AuditLogger.batch(() => this.moveTask(task, options.action, date));
+  }
+
+  /**
+   * Several migrations as one change
+   *
+   * @param {Array} migrations - [{ taskId, action, date }]
+   */
+  static migrateAll(migrations) {
+    // Check them all first, so a bad one changes nothing
+    checkMigrations(migrations, LocalStorage.getAll(STORAGE_KEYS.TASKS), toDayKey(new Date()));
+
+    return AuditLogger.batch(() => migrations.map(({ taskId, ...options }) => this.migrate(taskId, options)));
+  }
+
+  /**
+   * Move a task and its open subtasks to a day, or cancel them
+   */
+  static moveTask(task, action, date, parentTaskId = null) {
+    const copy = action === 'cancel' ? null : TaskStore.create(buildMigratedTask(task, date, parentTaskId));
+    const link = copy && LinkStore.create(buildMigrationLink(task, copy, action));
+    TaskStore.getSubtasks(task.id)
+      .filter(subtask => TaskStore.isOpen(subtask))
+      .forEach(subtask => this.moveTask(subtask, action, date, copy && copy.id));
+
+    return { task: TaskStore.update(task.id, { status: 'cancelled' }), copy, link };
+  }
+}
+
 // ============================================================================
 // EXPORT UTILITIES
 // ============================================================================
 
+/**
+ * Select the storage adapter used by every store (call once at startup)
+ */
+export function configureStorage(adapter) {
+  LocalStorage.setAdapter(adapter);
+}
+
 export const Storage = {
   clearAll: LocalStorage.clearAll,
-  getCurrentUser: UserManager.getCurrentUser,
-  updateCurrentUser: UserManager.updateCurrentUser,
+  getAdapter: () => LocalStorage.getAdapter(),
+  getCurrentUser: () => UserManager.getCurrentUser(),
+  updateCurrentUser: (updates) => UserManager.updateCurrentUser(updates),
   getAuditHistory: AuditLogger.getHistory,
 };
@@ -0,0 +1,629 @@
+/**
+ * Markdown journal import/export for Dash-Plus Notes
+ *
+ * Exports the workspace as Markdown: projects become headings (sub-projects
+ * one level deeper, following ProjectStore.getTree), tasks become dash-plus
+ * bullet lines (subtasks indented two spaces) and links become wiki-style
+ * references on their source task, pointing at a block anchor on the target:
+ *
+ *   # Website
+ *   Relaunch of the marketing site
+ *
+ *   - Draft copy @alice #content due:2025-02-01 blocks:[[#^t1|Publish]]
+ *     - Collect quotes status:completed
+ *   → Publish ^t1
+ *
+ * A typed reference shows the link's label, if it has one, after the "|"
+ * (for an anchor, in place of the target's content).
+ * "[[" in a task's own text is written "\[[" so it is not read back as a
+ * reference. Tasks without a project come before the first heading.
+ *
+ * The importer reads the same format, plus hand-written notes ("* item",
+ * "- [x] done", [[Task content]] references), and can report what it would
+ * create without saving anything (dryRun). An import with errors saves
+ * nothing.
+ *
+ * Symbols follow the workspace vocabulary; an untyped reference becomes the
+ * link its task's symbol implies (→ delegated, ← waiting), or references.
+ *
+ * Works with any synchronous store set: the localStorage stores (default)
+ * or the stores returned by createSQLiteStores().
+ */
+
+import {
+  STORAGE_KEYS,
+  Storage,
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  UserStore,
+  AuditLogger,
+  VocabularyStore,
+  SearchStore,
+} from './localStorage.js';
+import { parseDashPlus, serializeDashPlus, symbolAlternatives } from '../utils/dashPlus.js';
+import { getSymbol, getImpliedLinkType } from '../utils/vocabulary.js';
+
+const INDENT = '  ';
+const DEFAULT_LINK_TYPE = 'references';
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*$/;
+const CHECKBOX_PATTERN = /^\[([ xX])\]\s+/;
+const ANCHOR_PATTERN = /(?:^|\s)\^([\w-]+)$/;
+const STATUS_PATTERN = /(?:^|\s)status:(\w+)(?=\s|$)/;
+const REFERENCE_PATTERN = /(^|\s)(?:(\w+):)?\[\[([^\]]+)\]\]/g;
+const ESCAPED_REFERENCE_PATTERN = /\\\[\[/g;
+
+// localStorage collections an import writes (put back if it fails)
+const IMPORT_KEYS = [STORAGE_KEYS.PROJECTS, STORAGE_KEYS.TASKS, STORAGE_KEYS.LINKS, STORAGE_KEYS.AUDIT_LOGS];
+
+export class MarkdownJournal {
+  /**
+   * @param {object} stores - { tasks, projects, links, users, audit, vocabulary, database }
+   *   (localStorage stores by default)
+   */
+  constructor(stores = {}) {
+    this.stores = {
+      tasks: stores.tasks || TaskStore,
+      projects: stores.projects || ProjectStore,
+      links: stores.links || LinkStore,
+      users: stores.users || UserStore,
+      audit: stores.audit || AuditLogger,
+      vocabulary: stores.vocabulary || VocabularyStore,
+    };
+    this.database = stores.database || null;
+  }
+
+  // ==========================================================================
+  // EXPORT
+  // ==========================================================================
+
+  /**
+   * Write the workspace (or one project and its sub-projects) as Markdown
+   *
+   * @param {object} options - { projectId }
+   * @returns {string}
+   */
+  export(options = {}) {
+    const vocabulary = this.stores.vocabulary.get();
+    const tasks = this.listTasks();
+    const blocks = [];
+
+    if (options.projectId) {
+      this.collectProject(this.stores.projects.getTree(options.projectId), 0, tasks, blocks);
+    } else {
+      this.collectTasks(null, tasks, blocks);
+
+      const projects = this.stores.projects.getAll().data;
+      const projectIds = new Set(projects.map(project => project.id));
+      projects
+        .filter(project => !project.parentId || !projectIds.has(project.parentId))
+        .forEach(project => {
+          this.collectProject(this.stores.projects.getTree(project.id), 0, tasks, blocks);
+        });
+    }
+
+    const anchors = this.assignAnchors(blocks);
+    const lines = [];
+
+    blocks.forEach(block => {
+      if (block.project) {
+        if (lines.length > 0) lines.push('');
+        lines.push(`${'#'.repeat(Math.min(block.depth + 1, 6))} ${block.project.name}`);
+        if (block.project.description) lines.push(block.project.description);
+        lines.push('');
+      } else {
+        lines.push(INDENT.repeat(block.depth) + this.formatTask(block, anchors, vocabulary));
+      }
+    });
+
+    return `${lines.join('\n').trim()}\n`;
+  }
+
+  /**
+   * Add a project heading, its tasks and its sub-projects to the export
+   */
+  collectProject(tree, depth, tasks, blocks) {
+    blocks.push({ project: tree, depth });
+    this.collectTasks(tree.id, tasks, blocks);
+    tree.children.forEach(child => this.collectProject(child, depth + 1, tasks, blocks));
+  }
+
+  /**
+   * Add a project's tasks to the export, with subtasks nested below their
+   * parent (subtasks filed under another project go with that project)
+   */
+  collectTasks(projectId, tasks, blocks) {
+    const inProject = tasks.filter(task => (task.projectId || null) === projectId);
+    const ids = new Set(inProject.map(task => task.id));
+
+    const visit = (task, depth) => {
+      blocks.push({ task, depth, links: this.stores.links.getAll({ sourceId: task.id }).data });
+      TaskStore.sortSiblings(inProject.filter(t => t.parentTaskId === task.id))
+        .forEach(subtask => visit(subtask, depth + 1));
+    };
+
+    TaskStore.sortSiblings(inProject.filter(task => !ids.has(task.parentTaskId)))
+      .forEach(task => visit(task, 0));
+  }
+
+  /**
+   * Block anchors (t1, t2, ...) for exported tasks that are link targets
+   */
+  assignAnchors(blocks) {
+    const targetIds = new Set();
+    blocks.forEach(block => (block.links || []).forEach(link => targetIds.add(link.targetId)));
+
+    const anchors = new Map();
+    blocks.forEach(block => {
+      if (block.task && targetIds.has(block.task.id)) {
+        anchors.set(block.task.id, `t${anchors.size + 1}`);
+      }
+    });
+    return anchors;
+  }
+
+  /**
+   * A task as a dash-plus line with its status (unless its symbol's default),
+   * links and anchor
+   */
+  formatTask({ task, links }, anchors, vocabulary) {
+    const line = serializeDashPlus(task, { getUserName: id => this.getUserName(id), vocabulary });
+    const parts = [line.replace(/\[\[/g, '\\[[')];
+
+    const symbol = getSymbol(vocabulary, task.symbol);
+    if (!symbol || task.status !== symbol.status) {
+      parts.push(`status:${task.status}`);
+    }
+
+    links.forEach(link => {
+      const target = this.getTask(link.targetId);
+      if (!target) return;
+
+      const content = target.content.replace(/[[\]|]/g, '');
+      const label = (link.label || '').replace(/[[\]|]/g, '').trim();
+      const reference = anchors.has(target.id) ? `#^${anchors.get(target.id)}|${label || content}`
+        : label ? `${content}|${label}` : content;
+      parts.push(`${link.linkType}:[[${reference}]]`);
+    });
+
+    if (anchors.has(task.id)) {
+      parts.push(`^${anchors.get(task.id)}`);
+    }
+
+    return parts.join(' ');
+  }
+
+  // ==========================================================================
+  // IMPORT
+  // ==========================================================================
+
+  /**
+   * Create the projects, tasks and links described by a Markdown journal.
+   * Headings matching an existing project (same name and parent) reuse it.
+   * Lines that fail validation are reported; if there are any, nothing is
+   * saved (projects, tasks and links are then empty).
+   *
+   * @param {string} markdown
+   * @param {object} options - { dryRun } report what would be created without saving
+   * @returns {object} { dryRun, projects, tasks, links, warnings, errors, summary }
+   */
+  import(markdown, options = {}) {
+    const vocabulary = this.stores.vocabulary.get();
+    const journal = this.parse(markdown, vocabulary);
+    const dryRun = Boolean(options.dryRun);
+
+    // A dry run finds most errors without writing anything
+    let report = createReport(true);
+    this.apply(journal, report, vocabulary);
+
+    if (!dryRun && report.errors.length === 0) {
+      report = this.save(journal, vocabulary);
+    }
+
+    if (!dryRun && report.errors.length > 0) {
+      report = { ...report, dryRun, projects: [], tasks: [], links: [] };
+    }
+
+    report.warnings.sort((a, b) => a.line - b.line);
+    report.errors.sort((a, b) => a.line - b.line);
+
+    report.summary = {
+      projects: report.projects.filter(project => project.action === 'create').length,
+      existingProjects: report.projects.filter(project => project.action === 'existing').length,
+      tasks: report.tasks.length,
+      links: report.links.length,
+      warnings: report.warnings.length,
+      errors: report.errors.length,
+    };
+
+    return report;
+  }
+
+  /**
+   * Create the journal's records as one change, put back if any fails
+   */
+  save(journal, vocabulary) {
+    const report = createReport(false);
+    const failed = new Error('Import failed');
+    const run = () => {
+      this.stores.audit.batch(() => this.apply(journal, report, vocabulary));
+      if (report.errors.length > 0) throw failed;
+    };
+
+    const adapter = this.database ? null : Storage.getAdapter();
+    const saved = adapter ? IMPORT_KEYS.map(key => [key, adapter.get(key)]) : [];
+    try {
+      if (this.database) {
+        this.database.transaction(run);
+      } else {
+        run();
+      }
+    } catch (error) {
+      if (adapter) {
+        saved.forEach(([key, value]) => adapter.set(key, value));
+        SearchStore.reset();
+      }
+      if (error !== failed) throw error;
+    }
+
+    return report;
+  }
+
+  /**
+   * Parse a Markdown journal into headings and task lines
+   *
+   * @param {string} markdown
+   * @param {object} vocabulary - Symbols to read (the workspace vocabulary by default)
+   * @returns {object} { projects, tasks } - each entry records its line number,
+   *   and parents as indices into the same list
+   */
+  parse(markdown, vocabulary = this.stores.vocabulary.get()) {
+    const bulletPattern = new RegExp(`^(${symbolAlternatives(vocabulary)}|\\*)\\s+(.*)$`);
+    const projects = [];
+    const tasks = [];
+    const headings = [];
+    let taskStack = [];
+    let project = null;
+
+    String(markdown || '').split(/\r?\n/).forEach((text, i) => {
+      const line = i + 1;
+      if (!text.trim()) return;
+
+      const heading = text.trim().match(HEADING_PATTERN);
+      if (heading) {
+        const level = heading[1].length;
+        while (headings.length > 0 && projects[headings[headings.length - 1]].level >= level) {
+          headings.pop();
+        }
+
+        projects.push({
+          line,
+          name: heading[2],
+          level,
+          parent: headings.length > 0 ? headings[headings.length - 1] : null,
+          description: [],
+        });
+        project = projects.length - 1;
+        headings.push(project);
+        taskStack = [];
+        return;
+      }
+
+      const bullet = text.trim().match(bulletPattern);
+      if (bullet) {
+        const indent = text.match(/^\s*/)[0].replace(/\t/g, INDENT).length;
+        const depth = Math.floor(indent / INDENT.length);
+        while (taskStack.length > 0 && taskStack[taskStack.length - 1].depth >= depth) {
+          taskStack.pop();
+        }
+
+        tasks.push({
+          ...this.parseTaskLine(bullet[1] === '*' ? '-' : bullet[1], bullet[2], vocabulary),
+          line,
+          project,
+          parent: taskStack.length > 0 ? taskStack[taskStack.length - 1].index : null,
+        });
+        taskStack.push({ depth, index: tasks.length - 1 });
+        return;
+      }
+
+      // Other text under a heading describes the project
+      if (project !== null) {
+        projects[project].description.push(text.trim());
+      }
+    });
+
+    return { projects, tasks };
+  }
+
+  /**
+   * Parse one bullet line into task data, status, anchor and references
+   */
+  parseTaskLine(symbol, text, vocabulary) {
+    let status = null;
+    let anchor = null;
+    const references = [];
+
+    const checkbox = text.match(CHECKBOX_PATTERN);
+    if (checkbox) {
+      status = checkbox[1] === ' ' ? null : 'completed';
+      text = text.slice(checkbox[0].length);
+    }
+
+    const anchorMatch = text.match(ANCHOR_PATTERN);
+    if (anchorMatch) {
+      anchor = anchorMatch[1];
+      text = text.slice(0, anchorMatch.index);
+    }
+
+    const statusMatch = text.match(STATUS_PATTERN);
+    if (statusMatch) {
+      status = statusMatch[1];
+      text = text.replace(STATUS_PATTERN, '');
+    }
+
+    // Typed references are link metadata; plain [[Task]] references keep their
+    // text and become the link the symbol implies
+    const impliedLinkType = getImpliedLinkType(vocabulary, symbol) || DEFAULT_LINK_TYPE;
+    text = text.replace(REFERENCE_PATTERN, (match, space, linkType, inner) => {
+      const [target, alias] = inner.split('|').map(part => part.trim());
+      references.push({
+        linkType: linkType || impliedLinkType,
+        ...(target.startsWith('#^') ? { anchor: target.slice(2) } : { content: target }),
+        label: linkType ? alias || null : null,
+        text: `[[${inner}]]`,
+      });
+      return linkType ? space : `${space}${alias || target}`;
+    });
+    text = text.replace(ESCAPED_REFERENCE_PATTERN, '[[');
+
+    const data = parseDashPlus(`${symbol} ${text}`, {
+      resolveUser: username => this.findUserId(username),
+      vocabulary,
+    });
+    if (status) data.status = status;
+
+    return { data, anchor, references };
+  }
+
+  /**
+   * Create (or, in a dry run, validate) the parsed projects, tasks and links
+   */
+  apply(journal, report, vocabulary) {
+    const { dryRun } = report;
+    const projectIds = new Map();
+    const taskIds = new Map();
+
+    journal.projects.forEach((project, index) => {
+      const entry = {
+        line: project.line,
+        name: project.name,
+        parent: project.parent === null ? null : journal.projects[project.parent].name,
+      };
+
+      if (project.parent !== null && !projectIds.has(project.parent)) {
+        report.errors.push({ line: project.line, message: `Parent project of ${project.name} was not created` });
+        return;
+      }
+
+      // Under a heading that is itself new (dry run: no ID yet) nothing can exist
+      const parentId = project.parent === null ? null : projectIds.get(project.parent);
+      const existing = parentId === null && project.parent !== null ? null : this.findProject(project.name, parentId);
+      if (existing) {
+        projectIds.set(index, existing.id);
+        report.projects.push({ ...entry, action: 'existing', id: existing.id });
+        return;
+      }
+
+      const data = { name: project.name, parentId, description: project.description.join('\n') || null };
+      try {
+        const created = dryRun ? this.validateProject(data, vocabulary) : this.stores.projects.create(data);
+        projectIds.set(index, created.id);
+        report.projects.push({ ...entry, action: 'create', id: created.id });
+      } catch (error) {
+        report.errors.push({ line: project.line, message: error.message });
+      }
+    });
+
+    journal.tasks.forEach((task, index) => {
+      const { assignee, project, ...data } = task.data;
+
+      if (assignee && !data.assigneeId) {
+        report.warnings.push({ line: task.line, message: `Unknown user @${assignee}` });
+      }
+
+      data.projectId = task.project === null ? null : (projectIds.get(task.project) ?? null);
+      if (project) {
+        const named = this.findProjectByName(project, journal, projectIds);
+        if (named === undefined) {
+          report.warnings.push({ line: task.line, message: `Unknown project ${project}` });
+        } else {
+          data.projectId = named;
+        }
+      }
+
+      if (task.parent !== null) {
+        if (!taskIds.has(task.parent)) {
+          report.warnings.push({
+            line: task.line,
+            message: `Parent task on line ${journal.tasks[task.parent].line} was not created`,
+          });
+        }
+        data.parentTaskId = taskIds.get(task.parent) ?? null;
+      }
+
+      try {
+        const created = dryRun ? this.validateTask(data, vocabulary) : this.createTask(data, vocabulary);
+        taskIds.set(index, created.id);
+        report.tasks.push({
+          line: task.line,
+          content: data.content,
+          project: task.project === null ? null : journal.projects[task.project].name,
+          id: created.id,
+        });
+      } catch (error) {
+        report.errors.push({ line: task.line, message: error.message });
+      }
+    });
+
+    journal.tasks.forEach((task, index) => {
+      if (!taskIds.has(index)) return;
+
+      task.references.forEach(reference => {
+        const target = this.resolveReference(reference, journal, taskIds);
+        if (!target) {
+          report.errors.push({ line: task.line, message: `Unresolved reference ${reference.text}` });
+          return;
+        }
+
+        // An anchor's alias is the target's content unless the link has a label
+        const label = reference.label && !sameText(reference.label, target.content) ? reference.label : null;
+        const data = {
+          sourceId: taskIds.get(index) ?? `line:${task.line}`,
+          targetId: target.id ?? `line:${target.line}`,
+          linkType: reference.linkType,
+          ...(label ? { label } : {}),
+        };
+
+        try {
+          const created = dryRun ? this.validateLink(data, vocabulary) : this.stores.links.create(data);
+          report.links.push({
+            line: task.line,
+            linkType: reference.linkType,
+            source: task.data.content,
+            target: target.content,
+            id: created.id,
+          });
+        } catch (error) {
+          report.errors.push({ line: task.line, message: error.message });
+        }
+      });
+    });
+  }
+
+  /**
+   * Find the task a reference points to: an anchor or task content in the
+   * journal, or an existing task with that content
+   *
+   * @returns {object|null} { id, line, content } (id is null for tasks not yet created)
+   */
+  resolveReference(reference, journal, taskIds) {
+    const index = reference.anchor
+      ? journal.tasks.findIndex(task => task.anchor === reference.anchor)
+      : journal.tasks.findIndex(task => sameText(task.data.content, reference.content));
+
+    if (index !== -1) {
+      if (!taskIds.has(index)) return null;
+      const task = journal.tasks[index];
+      return { id: taskIds.get(index), line: task.line, content: task.data.content };
+    }
+
+    if (reference.anchor) return null;
+
+    const existing = this.stores.tasks.getAll({ search: reference.content, pageSize: 200 }).data
+      .find(task => sameText(task.content, reference.content));
+    return existing ? { id: existing.id, line: null, content: existing.content } : null;
+  }
+
+  /**
+   * Create a task; completed tasks go through complete() so completedAt is set
+   */
+  createTask(data, vocabulary) {
+    if (data.status !== 'completed') {
+      return this.stores.tasks.create(data);
+    }
+
+    const symbol = getSymbol(vocabulary, data.symbol);
+    const task = this.stores.tasks.create({ ...data, status: symbol ? symbol.status : 'active' });
+    return this.stores.tasks.complete(task.id);
+  }
+
+  // ==========================================================================
+  // DRY-RUN VALIDATION
+  // ==========================================================================
+
+  validateProject(data, vocabulary) {
+    ProjectStore.validateFields(ProjectStore.build(data, null), vocabulary);
+    return { id: null };
+  }
+
+  validateTask(data, vocabulary) {
+    TaskStore.validateFields(TaskStore.build({ ...data }, null), vocabulary);
+    return { id: null };
+  }
+
+  validateLink(data, vocabulary) {
+    LinkStore.validateFields(LinkStore.build(data, null), vocabulary);
+    return { id: null };
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * All current tasks (following task pagination)
+   */
+  listTasks() {
+    const tasks = [];
+    let page = 1;
+    let result;
+    do {
+      result = this.stores.tasks.getAll({ page, pageSize: 200, sort: 'createdAt', order: 'asc' });
+      tasks.push(...result.data);
+      page++;
+    } while (result.meta.hasNext);
+
+    return tasks;
+  }
+
+  getTask(id) {
+    try {
+      return this.stores.tasks.getById(id);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getUserName(id) {
+    try {
+      return this.stores.users.getById(id).username;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  findUserId(username) {
+    const user = this.stores.users.getByUsername(username);
+    return user ? user.id : null;
+  }
+
+  findProject(name, parentId) {
+    return this.stores.projects.getAll().data.find(project =>
+      sameText(project.name, name) && (project.parentId || null) === parentId
+    ) || null;
+  }
+
+  /**
+   * Project ID for a +project token: a heading in the journal, else an
+   * existing project (undefined if neither)
+   */
+  findProjectByName(name, journal, projectIds) {
+    const index = journal.projects.findIndex(project => sameText(project.name, name));
+    if (index !== -1 && projectIds.has(index)) {
+      return projectIds.get(index);
+    }
+
+    const existing = this.stores.projects.getAll().data.find(project => sameText(project.name, name));
+    return existing ? existing.id : undefined;
+  }
+}
+
+function createReport(dryRun) {
+  return { dryRun, projects: [], tasks: [], links: [], warnings: [], errors: [] };
+}
+
+function sameText(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
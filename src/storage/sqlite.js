@@ -0,0 +1,2403 @@
+/**
+ * SQLite persistence layer for Dash-Plus Notes (Node.js only)
+ *
+ * Implements the relational model from SQL_SCHEMA.sql on an embedded
+ * SQLite file, following the schema's SQLite compatibility notes: UUIDs
+ * and timestamps are TEXT, JSONB and TEXT[] columns hold JSON text.
+ *
+ * The stores mirror TaskStore, ProjectStore, LinkStore and AuditLogger
+ * (same synchronous methods and return shapes) and share their record
+ * construction and field validation.
+ */
+
+import Database from 'better-sqlite3';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  AuditLogger,
+  UserStore,
+  ViewStore,
+} from './localStorage.js';
+import {
+  DEFAULT_VOCABULARY,
+  normalizeVocabulary,
+  checkVocabularyUsage,
+} from '../utils/vocabulary.js';
+import { compileQuery } from '../utils/query.js';
+import { SEARCH_TYPES, tokenize, checkSearchTypes, excerpt } from '../utils/search.js';
+import {
+  buildViewFilters,
+  getViewTaskFilters,
+  validateViewFields,
+  collectTasks,
+  groupTasks,
+  summarizeTasks,
+} from '../utils/views.js';
+import {
+  toDayKey,
+  buildDay,
+  findPending,
+  listDays,
+  checkDay,
+  checkMigration,
+  checkMigrations,
+  buildMigratedTask,
+  buildMigrationLink,
+} from '../utils/dailyLog.js';
+import {
+  CUSTOM_FIELD_PREFIX,
+  getFieldDefinition,
+  customFieldUserIds,
+  mergeCustomFieldUpdates,
+  parseCustomFieldFilters,
+} from '../utils/customFields.js';
+import {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  CircularReferenceError,
+  checkReference,
+} from '../utils/errors.js';
+
+const DEMO_USER_ID = '00000000-0000-0000-0000-000000000001';
+
+// ============================================================================
+// SCHEMA MIGRATIONS
+// ============================================================================
+
+/**
+ * Ordered schema migrations. The index + 1 is stored in PRAGMA user_version,
+ * so new migrations must only ever be appended.
+ */
+const MIGRATIONS = [
+  // 1: Initial schema (SQL_SCHEMA.sql)
+  `
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE CHECK (length(username) >= 3),
+    email TEXT NOT NULL UNIQUE,
+    display_name TEXT NOT NULL,
+    avatar_url TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    last_login_at TEXT,
+    preferences TEXT NOT NULL DEFAULT '{}'
+  );
+
+  CREATE TABLE projects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+    description TEXT,
+    color TEXT,
+    icon TEXT,
+    parent_id TEXT REFERENCES projects(id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    start_date TEXT,
+    end_date TEXT,
+    status TEXT NOT NULL DEFAULT 'active'
+      CHECK (status IN ('active', 'archived', 'completed')),
+    created_by TEXT NOT NULL REFERENCES users(id),
+    updated_by TEXT NOT NULL REFERENCES users(id),
+    CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+  );
+
+  CREATE INDEX idx_projects_parent_id ON projects(parent_id);
+  CREATE INDEX idx_projects_status ON projects(status);
+  CREATE INDEX idx_projects_name ON projects(name);
+
+  -- Prevent circular project nesting
+  CREATE TRIGGER check_circular_projects_insert
+  BEFORE INSERT ON projects
+  WHEN NEW.parent_id IS NOT NULL
+  BEGIN
+    SELECT RAISE(ABORT, 'Circular project nesting detected')
+    WHERE NEW.parent_id = NEW.id;
+  END;
+
+  CREATE TRIGGER check_circular_projects_update
+  BEFORE UPDATE OF parent_id ON projects
+  WHEN NEW.parent_id IS NOT NULL
+  BEGIN
+    SELECT RAISE(ABORT, 'Circular project nesting detected')
+    WHERE EXISTS (
+      WITH RECURSIVE ancestors(id) AS (
+        SELECT NEW.parent_id
+        UNION
+        SELECT p.parent_id FROM projects p
+        JOIN ancestors a ON p.id = a.id
+        WHERE p.parent_id IS NOT NULL
+      )
+      SELECT 1 FROM ancestors WHERE id = NEW.id
+    );
+  END;
+
+  -- The due_date >= created_at check from SQL_SCHEMA.sql is left out:
+  -- past due dates are valid for imported and back-dated tasks.
+  CREATE TABLE tasks (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL CHECK (type IN ('task', 'note')),
+    symbol TEXT NOT NULL CHECK (symbol IN ('-', '+', '→', '←', '△', '○')),
+    content TEXT NOT NULL CHECK (length(trim(content)) > 0),
+    description TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    due_date TEXT,
+    completed_at TEXT,
+    project_id TEXT REFERENCES projects(id) ON DELETE SET NULL,
+    assignee_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'active'
+      CHECK (status IN ('active', 'completed', 'cancelled', 'waiting')),
+    priority TEXT CHECK (priority IS NULL OR priority IN ('low', 'medium', 'high', 'urgent')),
+    tags TEXT NOT NULL DEFAULT '[]',
+    created_by TEXT NOT NULL REFERENCES users(id),
+    updated_by TEXT NOT NULL REFERENCES users(id)
+  );
+
+  CREATE INDEX idx_tasks_project_id ON tasks(project_id);
+  CREATE INDEX idx_tasks_assignee_id ON tasks(assignee_id);
+  CREATE INDEX idx_tasks_status ON tasks(status);
+  CREATE INDEX idx_tasks_created_at ON tasks(created_at DESC);
+  CREATE INDEX idx_tasks_due_date ON tasks(due_date) WHERE due_date IS NOT NULL;
+  CREATE INDEX idx_tasks_status_project ON tasks(status, project_id);
+
+  CREATE TABLE links (
+    id TEXT PRIMARY KEY,
+    source_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    target_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    link_type TEXT NOT NULL
+      CHECK (link_type IN ('waiting', 'delegated', 'references', 'moved', 'blocks', 'related')),
+    label TEXT,
+    strength REAL CHECK (strength IS NULL OR (strength >= 0 AND strength <= 1)),
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    created_by TEXT NOT NULL REFERENCES users(id),
+    CHECK (source_id != target_id),
+    UNIQUE (source_id, target_id, link_type)
+  );
+
+  CREATE INDEX idx_links_source_id ON links(source_id);
+  CREATE INDEX idx_links_target_id ON links(target_id);
+  CREATE INDEX idx_links_link_type ON links(link_type);
+
+  CREATE TABLE audit_logs (
+    id TEXT PRIMARY KEY,
+    entity_type TEXT NOT NULL
+      CHECK (entity_type IN ('task', 'note', 'project', 'link', 'user')),
+    entity_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+    changes TEXT NOT NULL DEFAULT '[]',
+    user_id TEXT NOT NULL REFERENCES users(id),
+    timestamp TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT
+  );
+
+  CREATE INDEX idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+  CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
+  CREATE INDEX idx_audit_logs_timestamp ON audit_logs(timestamp DESC);
+
+  CREATE VIEW project_stats AS
+  SELECT
+    p.id AS project_id,
+    COUNT(t.id) AS total_tasks,
+    COUNT(CASE WHEN t.status = 'completed' THEN 1 END) AS completed_tasks,
+    COUNT(CASE WHEN t.status = 'active' THEN 1 END) AS active_tasks,
+    COUNT(CASE WHEN t.status = 'waiting' THEN 1 END) AS waiting_tasks
+  FROM projects p
+  LEFT JOIN tasks t ON p.id = t.project_id
+  GROUP BY p.id;
+
+  INSERT INTO users (id, username, email, display_name, created_at, updated_at, preferences)
+  VALUES (
+    '${DEMO_USER_ID}', 'demo', 'demo@dashplus.app', 'Demo User',
+    strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+    '{"theme": "light", "dateFormat": "MM/DD/YYYY", "timezone": "UTC"}'
+  );
+  `,
+
+  // 2: User accounts (password hashes for token authentication)
+  `
+  ALTER TABLE users ADD COLUMN password_hash TEXT;
+  CREATE UNIQUE INDEX idx_users_username_lower ON users(lower(username));
+  `,
+
+  // 3: Audit batches (entries written by one operation, for undo/redo)
+  `
+  ALTER TABLE audit_logs ADD COLUMN batch_id TEXT;
+  `,
+
+  // 4: Recurring tasks (recurrence rule as JSON)
+  `
+  ALTER TABLE tasks ADD COLUMN recurrence TEXT;
+  `,
+
+  // 5: Subtasks (parent task and position among siblings)
+  `
+  ALTER TABLE tasks ADD COLUMN parent_task_id TEXT REFERENCES tasks(id) ON DELETE SET NULL;
+  ALTER TABLE tasks ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+
+  CREATE INDEX idx_tasks_parent_task_id ON tasks(parent_task_id, position);
+
+  -- Prevent circular task nesting
+  CREATE TRIGGER check_circular_tasks_insert
+  BEFORE INSERT ON tasks
+  WHEN NEW.parent_task_id IS NOT NULL
+  BEGIN
+    SELECT RAISE(ABORT, 'Circular task nesting detected')
+    WHERE NEW.parent_task_id = NEW.id;
+  END;
+
+  CREATE TRIGGER check_circular_tasks_update
+  BEFORE UPDATE OF parent_task_id ON tasks
+  WHEN NEW.parent_task_id IS NOT NULL
+  BEGIN
+    SELECT RAISE(ABORT, 'Circular task nesting detected')
+    WHERE EXISTS (
+      WITH RECURSIVE ancestors(id) AS (
+        SELECT NEW.parent_task_id
+        UNION
+        SELECT t.parent_task_id FROM tasks t
+        JOIN ancestors a ON t.id = a.id
+        WHERE t.parent_task_id IS NOT NULL
+      )
+      SELECT 1 FROM ancestors WHERE id = NEW.id
+    );
+  END;
+  `,
+
+  // 6: Workspace vocabulary (symbols, statuses, priorities, link types and
+  // project statuses are checked against the vocabulary setting instead of
+  // CHECK constraints, so the tables are rebuilt without them)
+  `
+  CREATE TABLE settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  DROP VIEW project_stats;
+
+  CREATE TABLE new_projects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+    description TEXT,
+    color TEXT,
+    icon TEXT,
+    parent_id TEXT REFERENCES projects(id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    start_date TEXT,
+    end_date TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    created_by TEXT NOT NULL REFERENCES users(id),
+    updated_by TEXT NOT NULL REFERENCES users(id),
+    CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+  );
+  INSERT INTO new_projects SELECT id, name, description, color, icon, parent_id,
+    created_at, updated_at, start_date, end_date, status, created_by, updated_by
+  FROM projects;
+  DROP TABLE projects;
+  ALTER TABLE new_projects RENAME TO projects;
+
+  CREATE INDEX idx_projects_parent_id ON projects(parent_id);
+  CREATE INDEX idx_projects_status ON projects(status);
+  CREATE INDEX idx_projects_name ON projects(name);
+
+  CREATE TRIGGER check_circular_projects_insert
+  BEFORE INSERT ON projects
+  WHEN NEW.parent_id IS NOT NULL
+  BEGIN
+    SELECT RAISE(ABORT, 'Circular project nesting detected')
+    WHERE NEW.parent_id = NEW.id;
+  END;
+
+  CREATE TRIGGER check_circular_projects_update
+  BEFORE UPDATE OF parent_id ON projects
+  WHEN NEW.parent_id IS NOT NULL
+  BEGIN
+    SELECT RAISE(ABORT, 'Circular project nesting detected')
+    WHERE EXISTS (
+      WITH RECURSIVE ancestors(id) AS (
+        SELECT NEW.parent_id
+        UNION
+        SELECT p.parent_id FROM projects p
+        JOIN ancestors a ON p.id = a.id
+        WHERE p.parent_id IS NOT NULL
+      )
+      SELECT 1 FROM ancestors WHERE id = NEW.id
+    );
+  END;
+
+  CREATE TABLE new_tasks (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL CHECK (type IN ('task', 'note')),
+    symbol TEXT NOT NULL,
+    content TEXT NOT NULL CHECK (length(trim(content)) > 0),
+    description TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    due_date TEXT,
+    completed_at TEXT,
+    project_id TEXT REFERENCES projects(id) ON DELETE SET NULL,
+    assignee_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'active',
+    priority TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    created_by TEXT NOT NULL REFERENCES users(id),
+    updated_by TEXT NOT NULL REFERENCES users(id),
+    recurrence TEXT,
+    parent_task_id TEXT REFERENCES tasks(id) ON DELETE SET NULL,
+    position INTEGER NOT NULL DEFAULT 0
+  );
+  INSERT INTO new_tasks SELECT id, type, symbol, content, description, created_at,
+    updated_at, due_date, completed_at, project_id, assignee_id, status, priority, tags,
+    created_by, updated_by, recurrence, parent_task_id, position
+  FROM tasks;
+  DROP TABLE tasks;
+  ALTER TABLE new_tasks RENAME TO tasks;
+
+  CREATE INDEX idx_tasks_project_id ON tasks(project_id);
+  CREATE INDEX idx_tasks_assignee_id ON tasks(assignee_id);
+  CREATE INDEX idx_tasks_status ON tasks(status);
+  CREATE INDEX idx_tasks_created_at ON tasks(created_at DESC);
+  CREATE INDEX idx_tasks_due_date ON tasks(due_date) WHERE due_date IS NOT NULL;
+  CREATE INDEX idx_tasks_status_project ON tasks(status, project_id);
+  CREATE INDEX idx_tasks_parent_task_id ON tasks(parent_task_id, position);
+
+  CREATE TRIGGER check_circular_tasks_insert
+  BEFORE INSERT ON tasks
+  WHEN NEW.parent_task_id IS NOT NULL
+  BEGIN
+    SELECT RAISE(ABORT, 'Circular task nesting detected')
+    WHERE NEW.parent_task_id = NEW.id;
+  END;
+
+  CREATE TRIGGER check_circular_tasks_update
+  BEFORE UPDATE OF parent_task_id ON tasks
+  WHEN NEW.parent_task_id IS NOT NULL
+  BEGIN
+    SELECT RAISE(ABORT, 'Circular task nesting detected')
+    WHERE EXISTS (
+      WITH RECURSIVE ancestors(id) AS (
+        SELECT NEW.parent_task_id
+        UNION
+        SELECT t.parent_task_id FROM tasks t
+        JOIN ancestors a ON t.id = a.id
+        WHERE t.parent_task_id IS NOT NULL
+      )
+      SELECT 1 FROM ancestors WHERE id = NEW.id
+    );
+  END;
+
+  CREATE TABLE new_links (
+    id TEXT PRIMARY KEY,
+    source_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    target_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    link_type TEXT NOT NULL,
+    label TEXT,
+    strength REAL CHECK (strength IS NULL OR (strength >= 0 AND strength <= 1)),
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    created_by TEXT NOT NULL REFERENCES users(id),
+    CHECK (source_id != target_id),
+    UNIQUE (source_id, target_id, link_type)
+  );
+  INSERT INTO new_links SELECT id, source_id, target_id, link_type, label, strength,
+    created_at, updated_at, created_by
+  FROM links;
+  DROP TABLE links;
+  ALTER TABLE new_links RENAME TO links;
+
+  CREATE INDEX idx_links_source_id ON links(source_id);
+  CREATE INDEX idx_links_target_id ON links(target_id);
+  CREATE INDEX idx_links_link_type ON links(link_type);
+
+  CREATE VIEW project_stats AS
+  SELECT
+    p.id AS project_id,
+    COUNT(t.id) AS total_tasks,
+    COUNT(CASE WHEN t.status = 'completed' THEN 1 END) AS completed_tasks,
+    COUNT(CASE WHEN t.status = 'active' THEN 1 END) AS active_tasks,
+    COUNT(CASE WHEN t.status = 'waiting' THEN 1 END) AS waiting_tasks
+  FROM projects p
+  LEFT JOIN tasks t ON p.id = t.project_id
+  GROUP BY p.id;
+  `,
+
+  // 7: Custom field values (JSON objects, see utils/customFields.js)
+  `
+  ALTER TABLE projects ADD COLUMN custom_fields TEXT NOT NULL DEFAULT '{}';
+  ALTER TABLE tasks ADD COLUMN custom_fields TEXT NOT NULL DEFAULT '{}';
+  `,
+
+  // 8: Full-text search (task content and descriptions, project names and
+  // descriptions, link labels), kept current by triggers
+  `
+  CREATE VIRTUAL TABLE search_index USING fts5(
+    entity_type UNINDEXED,
+    entity_id UNINDEXED,
+    title,
+    body,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+  );
+
+  INSERT INTO search_index (entity_type, entity_id, title, body)
+    SELECT 'task', id, content, coalesce(description, '') FROM tasks;
+  INSERT INTO search_index (entity_type, entity_id, title, body)
+    SELECT 'project', id, name, coalesce(description, '') FROM projects;
+  INSERT INTO search_index (entity_type, entity_id, title, body)
+    SELECT 'link', id, '', coalesce(label, '') FROM links;
+
+  CREATE TRIGGER tasks_search_insert AFTER INSERT ON tasks BEGIN
+    INSERT INTO search_index (entity_type, entity_id, title, body)
+      VALUES ('task', NEW.id, NEW.content, coalesce(NEW.description, ''));
+  END;
+  CREATE TRIGGER tasks_search_update AFTER UPDATE OF content, description ON tasks BEGIN
+    UPDATE search_index SET title = NEW.content, body = coalesce(NEW.description, '')
+      WHERE entity_type = 'task' AND entity_id = NEW.id;
+  END;
+  CREATE TRIGGER tasks_search_delete AFTER DELETE ON tasks BEGIN
+    DELETE FROM search_index WHERE entity_type = 'task' AND entity_id = OLD.id;
+  END;
+
+  CREATE TRIGGER projects_search_insert AFTER INSERT ON projects BEGIN
+    INSERT INTO search_index (entity_type, entity_id, title, body)
+      VALUES ('project', NEW.id, NEW.name, coalesce(NEW.description, ''));
+  END;
+  CREATE TRIGGER projects_search_update AFTER UPDATE OF name, description ON projects BEGIN
+    UPDATE search_index SET title = NEW.name, body = coalesce(NEW.description, '')
+      WHERE entity_type = 'project' AND entity_id = NEW.id;
+  END;
+  CREATE TRIGGER projects_search_delete AFTER DELETE ON projects BEGIN
+    DELETE FROM search_index WHERE entity_type = 'project' AND entity_id = OLD.id;
+  END;
+
+  CREATE TRIGGER links_search_insert AFTER INSERT ON links BEGIN
+    INSERT INTO search_index (entity_type, entity_id, title, body)
+      VALUES ('link', NEW.id, '', coalesce(NEW.label, ''));
+  END;
+  CREATE TRIGGER links_search_update AFTER UPDATE OF label ON links BEGIN
+    UPDATE search_index SET body = coalesce(NEW.label, '')
+      WHERE entity_type = 'link' AND entity_id = NEW.id;
+  END;
+  CREATE TRIGGER links_search_delete AFTER DELETE ON links BEGIN
+    DELETE FROM search_index WHERE entity_type = 'link' AND entity_id = OLD.id;
+  END;
+  `,
+
+  // 9: Saved views (see utils/views.js)
+  `
+  CREATE TABLE views (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    description TEXT,
+    icon TEXT,
+    filters TEXT NOT NULL DEFAULT '{}',
+    sort TEXT,
+    group_by TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    created_by TEXT NOT NULL REFERENCES users(id),
+    updated_by TEXT NOT NULL REFERENCES users(id)
+  );
+
+  CREATE INDEX idx_views_position ON views(position);
+  `,
+
+  // 10: Daily log pages (see utils/dailyLog.js); existing tasks are on the
+  // day they were created
+  `
+  ALTER TABLE tasks ADD COLUMN log_date TEXT;
+  UPDATE tasks SET log_date = date(created_at, 'localtime');
+  CREATE INDEX idx_tasks_log_date ON tasks(log_date);
+  `,
+];
+
+// ============================================================================
+// ROW MAPPING
+// ============================================================================
+
+const TABLES = {
+  users: {
+    fields: ['id', 'username', 'email', 'displayName', 'avatarUrl', 'passwordHash',
+      'preferences', 'createdAt', 'updatedAt', 'lastLoginAt'],
+    json: ['preferences'],
+  },
+  projects: {
+    fields: ['id', 'name', 'description', 'color', 'icon', 'parentId', 'status',
+      'startDate', 'endDate', 'customFields', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy'],
+    json: ['customFields'],
+  },
+  tasks: {
+    fields: ['id', 'type', 'symbol', 'content', 'description', 'status', 'priority',
+      'projectId', 'parentTaskId', 'position', 'assigneeId', 'dueDate', 'recurrence',
+      'completedAt', 'tags', 'customFields', 'logDate',
+      'createdAt', 'updatedAt', 'createdBy', 'updatedBy'],
+    json: ['tags', 'recurrence', 'customFields'],
+  },
+  links: {
+    fields: ['id', 'sourceId', 'targetId', 'linkType', 'label', 'strength',
+      'createdAt', 'updatedAt', 'createdBy'],
+    json: [],
+  },
+  views: {
+    fields: ['id', 'name', 'description', 'icon', 'filters', 'sort', 'groupBy', 'position',
+      'createdAt', 'updatedAt', 'createdBy', 'updatedBy'],
+    json: ['filters', 'sort'],
+  },
+  audit_logs: {
+    fields: ['id', 'entityType', 'entityId', 'action', 'changes', 'userId', 'batchId',
+      'timestamp'],
+    json: ['changes'],
+  },
+};
+
+/**
+ * Convert a camelCase field name to its snake_case column
+ */
+function toColumn(field) {
+  return field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Convert a database row to a record with camelCase fields
+ */
+function fromRow(table, row) {
+  if (!row) return undefined;
+
+  const { fields, json } = TABLES[table];
+  const record = {};
+
+  fields.forEach(field => {
+    const value = row[toColumn(field)];
+    if (value === undefined) return;
+    record[field] = json.includes(field) && value !== null ? JSON.parse(value) : value;
+  });
+
+  return record;
+}
+
+/**
+ * Convert a record to named statement parameters
+ */
+function toParams(table, record) {
+  const { fields, json } = TABLES[table];
+  const params = {};
+
+  fields.forEach(field => {
+    if (!(field in record)) return;
+    const value = record[field] === undefined ? null : record[field];
+    params[field] = json.includes(field) && value !== null ? JSON.stringify(value) : value;
+  });
+
+  return params;
+}
+
+/**
+ * Build an INSERT statement for the fields present in params
+ */
+function insertSql(table, params) {
+  const fields = Object.keys(params);
+  const columns = fields.map(toColumn).join(', ');
+  const values = fields.map(field => `@${field}`).join(', ');
+  return `INSERT INTO ${table} (${columns}) VALUES (${values})`;
+}
+
+/**
+ * Build an UPDATE statement for the fields present in params (except id)
+ */
+function updateSql(table, params) {
+  const assignments = Object.keys(params)
+    .filter(field => field !== 'id')
+    .map(field => `${toColumn(field)} = @${field}`)
+    .join(', ');
+  return `UPDATE ${table} SET ${assignments} WHERE id = @id`;
+}
+
+/**
+ * Build an FTS5 MATCH expression from search text: every word, as a word or
+ * the start of one (null if the text has no words)
+ */
+function toMatchExpression(query) {
+  const words = [...new Set(tokenize(query).map(token => token.word))];
+  if (words.length === 0) return null;
+  // A quoted word is stemmed like the indexed text; a prefix is not
+  return words.map(word => (word.length >= 2 ? `("${word}" OR "${word}"*)` : `"${word}"`)).join(' AND ');
+}
+
+/**
+ * FROM clause joining a table to its search matches (each row's relevance
+ * as search_rank, lower is better), with the MATCH parameter set in params
+ */
+function searchFrom(table, type, query, params) {
+  params.search = toMatchExpression(query) || '""';
+  return `${table} JOIN (
+    SELECT entity_id, bm25(search_index, 0, 0, 2, 1) AS search_rank FROM search_index
+    WHERE search_index MATCH @search AND entity_type = '${type}'
+  ) matches ON matches.entity_id = ${table}.id`;
+}
+
+/**
+ * Translate SQLite constraint errors into store errors
+ */
+function translateError(error) {
+  if (error.code === 'SQLITE_CONSTRAINT_TRIGGER') {
+    return new CircularReferenceError(error.message);
+  }
+  if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' && error.message.includes('links.')) {
+    return new ConflictError('A link of this type already exists between these tasks');
+  }
+  return error;
+}
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+export class SQLiteDatabase {
+  /**
+   * @param {string} filename - Database file path (':memory:' for tests)
+   * @param {object} options - { userId, resolveUserId }
+   */
+  constructor(filename = ':memory:', options = {}) {
+    this.db = new Database(filename);
+    this.userId = options.userId || DEMO_USER_ID;
+    this.resolveUserId = options.resolveUserId || null;
+
+    this.db.pragma('foreign_keys = ON');
+    if (filename !== ':memory:') {
+      this.db.pragma('journal_mode = WAL');
+    }
+
+    this.migrate();
+  }
+
+  /**
+   * Apply pending schema migrations
+   *
+   * Foreign keys are off while migrations run, so tables can be rebuilt
+   * (dropping a table would otherwise cascade to the rows referencing it);
+   * each migration must leave them intact.
+   *
+   * @returns {number} Schema version after migrating
+   */
+  migrate() {
+    const current = this.db.pragma('user_version', { simple: true });
+    const pending = MIGRATIONS.slice(current);
+    if (pending.length === 0) {
+      return current;
+    }
+
+    this.db.pragma('foreign_keys = OFF');
+    try {
+      pending.forEach((sql, offset) => {
+        const version = current + offset + 1;
+        this.db.transaction(() => {
+          this.db.exec(sql);
+          const [violation] = this.db.pragma('foreign_key_check');
+          if (violation) {
+            throw new Error(`Migration ${version} left a broken reference in ${violation.table}`);
+          }
+          this.db.pragma(`user_version = ${version}`);
+        })();
+      });
+    } finally {
+      this.db.pragma('foreign_keys = ON');
+    }
+
+    return this.getSchemaVersion();
+  }
+
+  /**
+   * Get the current schema version
+   */
+  getSchemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  /**
+   * ID of the user recorded in createdBy/updatedBy and audit entries
+   */
+  getCurrentUserId() {
+    return (this.resolveUserId && this.resolveUserId()) || this.userId;
+  }
+
+  /**
+   * Run a function inside a transaction
+   */
+  transaction(fn) {
+    if (this.db.inTransaction) {
+      return this.db.transaction(fn)();
+    }
+
+    this.pendingCommit = [];
+    try {
+      const result = this.db.transaction(fn)();
+      const callbacks = this.pendingCommit;
+      this.pendingCommit = null;
+      callbacks.forEach(callback => callback());
+      return result;
+    } finally {
+      this.pendingCommit = null;
+    }
+  }
+
+  /**
+   * Run a callback once the current transaction commits (immediately if
+   * there is none); callbacks of rolled-back transactions are dropped
+   */
+  afterCommit(callback) {
+    if (this.pendingCommit) {
+      this.pendingCommit.push(callback);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * Get a single record
+   */
+  get(table, sql, params = {}) {
+    return fromRow(table, this.db.prepare(sql).get(params));
+  }
+
+  /**
+   * Get a list of records
+   */
+  all(table, sql, params = {}) {
+    return this.db.prepare(sql).all(params).map(row => fromRow(table, row));
+  }
+
+  /**
+   * Insert a record
+   */
+  insert(table, record) {
+    const params = toParams(table, record);
+    try {
+      this.db.prepare(insertSql(table, params)).run(params);
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  /**
+   * Update a record's fields (record must include id)
+   */
+  update(table, record) {
+    const params = toParams(table, record);
+    try {
+      this.db.prepare(updateSql(table, params)).run(params);
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  /**
+   * Delete a record by ID
+   */
+  delete(table, id) {
+    return this.db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id).changes > 0;
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+// ============================================================================
+// CURRENT USER MANAGEMENT
+// ============================================================================
+
+export class SQLiteUserManager {
+  constructor(database, users) {
+    this.database = database;
+    this.users = users;
+  }
+
+  /**
+   * Resolve the current user per call (see UserManager.setCurrentUserResolver)
+   */
+  setCurrentUserResolver(resolver) {
+    this.database.resolveUserId = resolver;
+  }
+
+  /**
+   * Get the current user
+   */
+  getCurrentUser() {
+    return this.users.getById(this.database.getCurrentUserId());
+  }
+
+  /**
+   * Update current user preferences
+   */
+  updateCurrentUser(updates) {
+    return this.users.update(this.database.getCurrentUserId(), updates);
+  }
+}
+
+// ============================================================================
+// USER ACCOUNTS
+// ============================================================================
+
+export class SQLiteUserStore {
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Create a user account (passwordHash is produced by the caller)
+   */
+  create(userData) {
+    const user = UserStore.build(userData);
+    UserStore.validate(user, this.getConflicts(user));
+
+    this.database.insert('users', user);
+
+    return UserStore.toPublic(user);
+  }
+
+  /**
+   * Get user by ID
+   */
+  getById(id) {
+    const user = this.database.get('users', 'SELECT * FROM users WHERE id = ?', id);
+    if (!user) {
+      throw new NotFoundError(`User ${id} not found`);
+    }
+    return UserStore.toPublic(user);
+  }
+
+  /**
+   * Get user by username (case-insensitive), or null
+   */
+  getByUsername(username) {
+    const user = this.getCredentials(username);
+    return user ? UserStore.toPublic(user) : null;
+  }
+
+  /**
+   * Get the stored record (including passwordHash) for a username or email
+   */
+  getCredentials(login) {
+    const value = (login || '').trim().toLowerCase();
+    return this.database.get(
+      'users',
+      'SELECT * FROM users WHERE lower(username) = @value OR email = @value',
+      { value }
+    ) || null;
+  }
+
+  /**
+   * Get all users with optional search
+   */
+  getAll(filters = {}) {
+    let sql = 'SELECT * FROM users';
+    const params = {};
+
+    if (filters.search) {
+      sql += ` WHERE username LIKE @search ESCAPE '\\'
+        OR display_name LIKE @search ESCAPE '\\'
+        OR email LIKE @search ESCAPE '\\'`;
+      params.search = `%${filters.search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    }
+
+    sql += ' ORDER BY username';
+
+    return {
+      data: this.database.all('users', sql, params).map(u => UserStore.toPublic(u)),
+      meta: {},
+    };
+  }
+
+  /**
+   * Update a user
+   */
+  update(id, updates) {
+    const oldUser = this.database.get('users', 'SELECT * FROM users WHERE id = ?', id);
+    if (!oldUser) {
+      throw new NotFoundError(`User ${id} not found`);
+    }
+
+    const user = {
+      ...oldUser,
+      ...UserStore.normalizeUpdates(updates),
+      id,
+      updatedAt: new Date().toISOString(),
+    };
+    UserStore.validate(user, this.getConflicts(user));
+
+    this.database.update('users', user);
+    return UserStore.toPublic(user);
+  }
+
+  /**
+   * Record a successful login
+   */
+  recordLogin(id) {
+    return this.update(id, { lastLoginAt: new Date().toISOString() });
+  }
+
+  /**
+   * Other users sharing this user's username or email
+   */
+  getConflicts(user) {
+    return this.database.all(
+      'users',
+      `SELECT * FROM users
+       WHERE id != @id AND (lower(username) = lower(@username) OR email = @email)`,
+      { id: user.id, username: user.username, email: user.email }
+    );
+  }
+}
+
+// ============================================================================
+// AUDIT LOGGING
+// ============================================================================
+
+export class SQLiteAuditLogger {
+  /**
+   * @param {SQLiteDatabase} database
+   * @param {object} options - { retention: { maxAgeDays, maxEntries } }
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.listeners = new Set();
+    this.retention = AuditLogger.normalizeRetention(options.retention);
+  }
+
+  /**
+   * Log a change to the audit trail
+   */
+  log(entityType, entityId, action, changes = []) {
+    const entry = AuditLogger.buildEntry(
+      entityType, entityId, action, changes, this.database.getCurrentUserId()
+    );
+    this.database.insert('audit_logs', entry);
+    if (AuditLogger.hasRetention(this.retention)) {
+      this.prune();
+    }
+    this.database.afterCommit(() => AuditLogger.notify(this.listeners, entry));
+  }
+
+  /**
+   * Run fn so that every entry it logs shares one batchId
+   */
+  batch(fn) {
+    return AuditLogger.batch(fn);
+  }
+
+  /**
+   * Listen for new (committed) audit entries
+   *
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get audit history for an entity
+   */
+  getHistory(entityType, entityId) {
+    return this.database.all(
+      'audit_logs',
+      `SELECT * FROM audit_logs
+       WHERE entity_type = @entityType AND entity_id = @entityId
+       ORDER BY timestamp ASC, rowid ASC`,
+      { entityType, entityId }
+    );
+  }
+
+  /**
+   * Get all audit entries (oldest first), optionally for one entity ID or type
+   */
+  getAll(filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.entityType) {
+      conditions.push('entity_type = @entityType');
+      params.entityType = filters.entityType;
+    }
+
+    if (filters.entityId) {
+      conditions.push('entity_id = @entityId');
+      params.entityId = filters.entityId;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.database.all(
+      'audit_logs',
+      `SELECT * FROM audit_logs ${where} ORDER BY timestamp ASC, rowid ASC`,
+      params
+    );
+  }
+
+  /**
+   * Query audit entries across entities, with pagination (see AuditLogger.query)
+   */
+  query(filters = {}) {
+    const query = AuditLogger.normalizeQuery(filters);
+    const conditions = [];
+    const params = {};
+
+    if (query.userId) {
+      conditions.push('user_id = @userId');
+      params.userId = query.userId;
+    }
+
+    if (query.actions) {
+      conditions.push('action IN (SELECT value FROM json_each(@actions))');
+      params.actions = JSON.stringify(query.actions);
+    }
+
+    if (query.entityTypes) {
+      conditions.push('entity_type IN (SELECT value FROM json_each(@entityTypes))');
+      params.entityTypes = JSON.stringify(query.entityTypes);
+    }
+
+    if (query.entityId) {
+      conditions.push('entity_id = @entityId');
+      params.entityId = query.entityId;
+    }
+
+    if (query.from) {
+      conditions.push('timestamp >= @from');
+      params.from = query.from;
+    }
+
+    if (query.to) {
+      conditions.push('timestamp <= @to');
+      params.to = query.to;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const order = query.order === 'asc' ? 'ASC' : 'DESC';
+    const start = (query.page - 1) * query.pageSize;
+
+    const { count } = this.database.db
+      .prepare(`SELECT COUNT(*) AS count FROM audit_logs ${where}`)
+      .get(params);
+
+    const data = this.database.all(
+      'audit_logs',
+      `SELECT * FROM audit_logs ${where}
+       ORDER BY timestamp ${order}, rowid ${order}
+       LIMIT @limit OFFSET @offset`,
+      { ...params, limit: query.pageSize, offset: start }
+    );
+
+    return {
+      data,
+      meta: {
+        page: query.page,
+        pageSize: query.pageSize,
+        totalItems: count,
+        totalPages: Math.ceil(count / query.pageSize),
+        hasNext: start + query.pageSize < count,
+        hasPrevious: query.page > 1,
+      },
+    };
+  }
+
+  /**
+   * Set the retention applied whenever an entry is logged
+   */
+  configureRetention(retention = {}) {
+    this.retention = AuditLogger.normalizeRetention(retention);
+  }
+
+  /**
+   * Remove entries older than maxAgeDays and beyond the newest maxEntries
+   *
+   * @returns {number} Number of entries removed
+   */
+  prune(retention = this.retention) {
+    const { maxEntries } = AuditLogger.normalizeRetention(retention);
+    const cutoff = AuditLogger.retentionCutoff(retention);
+
+    return this.database.transaction(() => {
+      let removed = 0;
+
+      if (cutoff) {
+        removed += this.database.db
+          .prepare('DELETE FROM audit_logs WHERE timestamp < ?')
+          .run(cutoff).changes;
+      }
+
+      if (maxEntries) {
+        removed += this.database.db
+          .prepare(`DELETE FROM audit_logs WHERE rowid NOT IN (
+             SELECT rowid FROM audit_logs ORDER BY timestamp DESC, rowid DESC LIMIT ?
+           )`)
+          .run(maxEntries).changes;
+      }
+
+      return removed;
+    });
+  }
+
+  /**
+   * Squash consecutive updates to the same entity by the same user
+   * (see AuditLogger.compact)
+   *
+   * @returns {number} Number of entries removed
+   */
+  compact(options = {}) {
+    return this.database.transaction(() => {
+      const { removed, updated } = AuditLogger.compactEntries(this.getAll(), options);
+
+      updated.forEach(entry => this.database.update('audit_logs', entry));
+      removed.forEach(id => this.database.delete('audit_logs', id));
+
+      return removed.length;
+    });
+  }
+
+  /**
+   * Calculate field changes between old and new objects
+   */
+  calculateChanges(oldObj, newObj) {
+    return AuditLogger.calculateChanges(oldObj, newObj);
+  }
+}
+
+// ============================================================================
+// VOCABULARY
+// ============================================================================
+
+export class SQLiteVocabularyStore {
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Get the workspace vocabulary (see utils/vocabulary.js)
+   */
+  get() {
+    const row = this.database.db.prepare('SELECT value FROM settings WHERE key = ?').get('vocabulary');
+    return normalizeVocabulary(row ? JSON.parse(row.value) : DEFAULT_VOCABULARY);
+  }
+
+  /**
+   * Replace sections of the vocabulary (values in use cannot be removed)
+   */
+  update(changes) {
+    const vocabulary = normalizeVocabulary({ ...this.get(), ...changes });
+
+    return this.database.transaction(() => {
+      checkVocabularyUsage(vocabulary, this.getUsage());
+      this.database.db
+        .prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+        .run('vocabulary', JSON.stringify(vocabulary));
+      return vocabulary;
+    });
+  }
+
+  /**
+   * Go back to the default vocabulary
+   */
+  reset() {
+    return this.database.transaction(() => {
+      checkVocabularyUsage(normalizeVocabulary(DEFAULT_VOCABULARY), this.getUsage());
+      this.database.db.prepare('DELETE FROM settings WHERE key = ?').run('vocabulary');
+      return this.get();
+    });
+  }
+
+  /**
+   * How many records use each vocabulary value
+   */
+  getUsage() {
+    const count = (table, column) => Object.fromEntries(this.database.db
+      .prepare(`SELECT ${column} AS value, COUNT(*) AS count FROM ${table} WHERE ${column} IS NOT NULL GROUP BY ${column}`)
+      .all()
+      .map(row => [row.value, row.count]));
+
+    return {
+      symbols: count('tasks', 'symbol'),
+      statuses: count('tasks', 'status'),
+      priorities: count('tasks', 'priority'),
+      linkTypes: count('links', 'link_type'),
+      projectStatuses: count('projects', 'status'),
+      fields: Object.fromEntries(this.database.db
+        .prepare(`SELECT key AS value, COUNT(*) AS count FROM (
+            SELECT key FROM tasks, json_each(tasks.custom_fields)
+            UNION ALL
+            SELECT key FROM projects, json_each(projects.custom_fields)
+          ) GROUP BY key`)
+        .all()
+        .map(row => [row.value, row.count])),
+    };
+  }
+}
+
+// ============================================================================
+// TASK CRUD
+// ============================================================================
+
+const TASK_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'completedAt',
+  'content', 'priority', 'status', 'position'];
+
+export class SQLiteTaskStore {
+  constructor(database, audit, vocabulary = new SQLiteVocabularyStore(database)) {
+    this.database = database;
+    this.audit = audit;
+    this.vocabulary = vocabulary;
+  }
+
+  /**
+   * Create a new task
+   */
+  create(taskData) {
+    const task = TaskStore.build(taskData, this.database.getCurrentUserId());
+
+    if (task.position === null) {
+      task.position = this.getNextPosition(task.parentTaskId);
+    }
+
+    this.validate(task);
+
+    this.database.transaction(() => {
+      this.database.insert('tasks', task);
+      this.audit.log('task', task.id, 'create', AuditLogger.createdChanges(task));
+    });
+
+    return task;
+  }
+
+  /**
+   * Re-insert a previously deleted task with its original ID (undo/redo)
+   */
+  restore(task) {
+    if (this.database.get('tasks', 'SELECT id FROM tasks WHERE id = ?', task.id)) {
+      throw new ConflictError(`Task ${task.id} already exists`);
+    }
+
+    this.validate(task);
+
+    this.database.transaction(() => {
+      this.database.insert('tasks', task);
+      this.audit.log('task', task.id, 'create', AuditLogger.createdChanges(task));
+    });
+
+    return task;
+  }
+
+  /**
+   * Get task by ID
+   */
+  getById(id) {
+    const task = this.database.get('tasks', 'SELECT * FROM tasks WHERE id = ?', id);
+    if (!task) {
+      throw new NotFoundError(`Task ${id} not found`);
+    }
+    return task;
+  }
+
+  /**
+   * Get all tasks with optional filtering (same filters as TaskStore.getAll)
+   */
+  getAll(filters = {}) {
+    const conditions = [];
+    const params = {};
+    const from = filters.search ? searchFrom('tasks', 'task', filters.search, params) : 'tasks';
+
+    if (filters.projectId !== undefined) {
+      if (filters.projectId === null) {
+        conditions.push('project_id IS NULL');
+      } else {
+        conditions.push('project_id = @projectId');
+        params.projectId = filters.projectId;
+      }
+    }
+
+    if (filters.assigneeId !== undefined) {
+      if (filters.assigneeId === null) {
+        conditions.push('assignee_id IS NULL');
+      } else {
+        conditions.push('assignee_id = @assigneeId');
+        params.assigneeId = filters.assigneeId;
+      }
+    }
+
+    if (filters.parentTaskId !== undefined) {
+      if (filters.parentTaskId === null) {
+        conditions.push('parent_task_id IS NULL');
+      } else {
+        conditions.push('parent_task_id = @parentTaskId');
+        params.parentTaskId = filters.parentTaskId;
+      }
+    }
+
+    if (filters.status) {
+      conditions.push('status = @status');
+      params.status = filters.status;
+    }
+
+    if (filters.symbol) {
+      conditions.push('symbol = @symbol');
+      params.symbol = filters.symbol;
+    }
+
+    if (filters.tags && filters.tags.length > 0) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(tasks.tags) WHERE json_each.value IN (SELECT value FROM json_each(@tags)))');
+      params.tags = JSON.stringify(filters.tags);
+    }
+
+    // Field names are checked against the vocabulary (single words)
+    if (filters.customFields && Object.keys(filters.customFields).length > 0) {
+      const vocabulary = this.vocabulary.get();
+      parseCustomFieldFilters(filters.customFields, 'task', vocabulary).forEach(({ name, value }, i) => {
+        conditions.push(`json_extract(custom_fields, '$.${name}') = @customField${i}`);
+        params[`customField${i}`] = value;
+      });
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // Sorting (nulls last, like TaskStore; searches without a sort: best match first)
+    const byRelevance = filters.search && !filters.sort;
+    const sortOrder = filters.order === 'asc' || byRelevance ? 'ASC' : 'DESC';
+    let sortColumn;
+    if (byRelevance) {
+      sortColumn = 'search_rank';
+    } else if (filters.sort && filters.sort.startsWith(CUSTOM_FIELD_PREFIX)) {
+      const { name } = getFieldDefinition(this.vocabulary.get(), 'task', filters.sort.slice(CUSTOM_FIELD_PREFIX.length));
+      sortColumn = `json_extract(custom_fields, '$.${name}')`;
+    } else {
+      sortColumn = toColumn(TASK_SORT_FIELDS.includes(filters.sort) ? filters.sort : 'createdAt');
+    }
+
+    // Pagination
+    const page = filters.page || 1;
+    const pageSize = Math.min(filters.pageSize || 50, 200);
+    const start = (page - 1) * pageSize;
+
+    const orderBy = `ORDER BY ${sortColumn} IS NULL, ${sortColumn} ${sortOrder}, tasks.rowid ASC`;
+    let count;
+    let data;
+
+    if (filters.query) {
+      // Queries are matched in JS (utils/query.js), on the rows the other filters select
+      const matches = compileQuery(filters.query, {
+        vocabulary: this.vocabulary.get(),
+        projects: this.database.all('projects', 'SELECT * FROM projects'),
+        users: this.database.all('users', 'SELECT * FROM users'),
+      });
+      const tasks = this.database.all('tasks', `SELECT tasks.* FROM ${from} ${where} ${orderBy}`, params).filter(matches);
+      count = tasks.length;
+      data = tasks.slice(start, start + pageSize);
+    } else {
+      ({ count } = this.database.db
+        .prepare(`SELECT COUNT(*) AS count FROM ${from} ${where}`)
+        .get(params));
+
+      data = this.database.all(
+        'tasks',
+        `SELECT tasks.* FROM ${from} ${where} ${orderBy} LIMIT @limit OFFSET @offset`,
+        { ...params, limit: pageSize, offset: start }
+      );
+    }
+
+    return {
+      data,
+      meta: {
+        page,
+        pageSize,
+        totalItems: count,
+        totalPages: Math.ceil(count / pageSize),
+        hasNext: start + pageSize < count,
+        hasPrevious: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Update a task
+   */
+  update(id, updates) {
+    const oldTask = this.getById(id);
+
+    updates = TaskStore.normalizeUpdates(updates, oldTask);
+
+    if (updates.parentTaskId !== undefined && updates.parentTaskId !== oldTask.parentTaskId) {
+      if (updates.parentTaskId) {
+        this.checkCircularNesting(id, updates.parentTaskId);
+      }
+      if (updates.position === undefined) {
+        updates.position = this.getNextPosition(updates.parentTaskId);
+      }
+    }
+
+    const newTask = {
+      ...oldTask,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+      updatedBy: this.database.getCurrentUserId(),
+    };
+
+    this.validate(newTask);
+
+    const changes = AuditLogger.calculateChanges(oldTask, newTask);
+
+    this.database.transaction(() => {
+      this.database.update('tasks', newTask);
+      if (changes.length > 0) {
+        this.audit.log('task', id, 'update', changes);
+      }
+    });
+
+    return newTask;
+  }
+
+  /**
+   * Delete a task.
+   * Links always go with the task (foreign keys cascade), so cascade: false
+   * is refused while the task still has links. Subtasks move up to the
+   * task's parent unless deleteSubtasks is set.
+   */
+  delete(id, options = {}) {
+    const task = this.getById(id);
+
+    const links = this.database.all(
+      'links',
+      'SELECT * FROM links WHERE source_id = @id OR target_id = @id',
+      { id }
+    );
+
+    if (options.cascade === false && links.length > 0) {
+      throw new ValidationError(`Task ${id} still has ${links.length} link(s)`);
+    }
+
+    this.audit.batch(() => this.database.transaction(() => {
+      // Handle subtasks
+      const subtasks = this.getSubtasks(id);
+      if (options.deleteSubtasks) {
+        subtasks.forEach(subtask => this.delete(subtask.id, options));
+      } else {
+        const move = this.database.db
+          .prepare('UPDATE tasks SET parent_task_id = @parentTaskId, position = @position WHERE id = @id');
+        let position = this.getNextPosition(task.parentTaskId);
+        subtasks.forEach(subtask => {
+          move.run({ id: subtask.id, parentTaskId: task.parentTaskId, position });
+          this.audit.log('task', subtask.id, 'update', [
+            { field: 'parentTaskId', oldValue: id, newValue: task.parentTaskId },
+            { field: 'position', oldValue: subtask.position, newValue: position++ },
+          ]);
+        });
+      }
+
+      links.forEach(link => {
+        this.database.delete('links', link.id);
+        this.audit.log('link', link.id, 'delete', AuditLogger.deletedChanges(link));
+      });
+
+      this.database.delete('tasks', id);
+      this.audit.log('task', id, 'delete', AuditLogger.deletedChanges(task));
+    }));
+
+    return true;
+  }
+
+  /**
+   * Complete a task (applying any other updates in the same change).
+   * Completing a recurring task creates its next occurrence; completeSubtasks
+   * also completes every open subtask below it.
+   */
+  complete(id, updates = {}, options = {}) {
+    const wasCompleted = this.getById(id).status === 'completed';
+
+    return this.audit.batch(() => this.database.transaction(() => {
+      if (options.completeSubtasks) {
+        this.getDescendants(id)
+          .filter(subtask => TaskStore.isOpen(subtask))
+          .forEach(subtask => this.complete(subtask.id));
+      }
+
+      const task = this.update(id, {
+        ...updates,
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+      });
+
+      const nextData = wasCompleted ? null : TaskStore.buildNextOccurrence(task);
+      if (nextData) {
+        const next = this.create(nextData);
+        const link = LinkStore.build(
+          TaskStore.buildOccurrenceLink(task, next), this.database.getCurrentUserId()
+        );
+        LinkStore.validateFields(link, this.vocabulary.get());
+        this.database.insert('links', link);
+        this.audit.log('link', link.id, 'create', AuditLogger.createdChanges(link));
+      }
+
+      return task;
+    }));
+  }
+
+  /**
+   * Get the direct subtasks of a task, in order
+   */
+  getSubtasks(id) {
+    return this.database.all(
+      'tasks',
+      'SELECT * FROM tasks WHERE parent_task_id = ? ORDER BY position, created_at, rowid',
+      id
+    );
+  }
+
+  /**
+   * Get all subtasks below a task (breadth-first, each level in order)
+   */
+  getDescendants(id) {
+    return this.database.all('tasks', `
+      WITH RECURSIVE descendants(id, depth) AS (
+        SELECT id, 1 FROM tasks WHERE parent_task_id = @id
+        UNION
+        SELECT t.id, d.depth + 1 FROM tasks t
+        JOIN descendants d ON t.parent_task_id = d.id
+      )
+      SELECT t.* FROM tasks t
+      JOIN descendants d ON t.id = d.id
+      ORDER BY d.depth, t.parent_task_id, t.position, t.created_at, t.rowid
+    `, { id });
+  }
+
+  /**
+   * Get task tree (with all nested subtasks)
+   */
+  getTree(id) {
+    const task = this.getById(id);
+
+    return {
+      ...task,
+      subtasks: this.getSubtasks(id).map(subtask => this.getTree(subtask.id)),
+    };
+  }
+
+  /**
+   * Get a task's completion, rolled up from its subtasks
+   */
+  getProgress(id) {
+    this.getById(id);
+    return TaskStore.calculateProgress(id, this.getDescendants(id));
+  }
+
+  /**
+   * Next free position among the subtasks of a parent (null for top-level tasks)
+   */
+  getNextPosition(parentTaskId) {
+    const { next } = this.database.db
+      .prepare('SELECT COALESCE(MAX(position) + 1, 0) AS next FROM tasks WHERE parent_task_id IS @parentTaskId')
+      .get({ parentTaskId: parentTaskId || null });
+    return next;
+  }
+
+  /**
+   * Check for circular task nesting
+   */
+  checkCircularNesting(taskId, parentTaskId) {
+    if (parentTaskId === taskId) {
+      throw new CircularReferenceError('Task cannot be its own parent');
+    }
+
+    const ancestors = this.database.db.prepare(`
+      WITH RECURSIVE ancestors(id) AS (
+        SELECT @parentTaskId
+        UNION
+        SELECT t.parent_task_id FROM tasks t
+        JOIN ancestors a ON t.id = a.id
+        WHERE t.parent_task_id IS NOT NULL
+      )
+      SELECT id FROM ancestors
+    `).all({ parentTaskId }).map(row => row.id);
+
+    checkReference(() => this.getById(parentTaskId));
+
+    if (ancestors.includes(taskId)) {
+      throw new CircularReferenceError('Circular task nesting detected');
+    }
+  }
+
+  /**
+   * Bulk update tasks
+   */
+  bulkUpdate(ids, updates) {
+    const results = { success: [], failed: [], errors: [] };
+
+    ids.forEach(id => {
+      try {
+        this.update(id, { ...updates });
+        results.success.push(id);
+      } catch (error) {
+        results.failed.push(id);
+        results.errors.push({ id, error: error.message });
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate task data
+   */
+  validate(task) {
+    const vocabulary = this.vocabulary.get();
+    TaskStore.validateFields(task, vocabulary);
+
+    if (task.projectId) {
+      const project = this.database.get('projects', 'SELECT id FROM projects WHERE id = ?', task.projectId);
+      if (!project) {
+        throw new ValidationError(`Project ${task.projectId} not found`);
+      }
+    }
+
+    [task.assigneeId, ...customFieldUserIds(task, 'task', vocabulary)].filter(Boolean).forEach(userId => {
+      const user = this.database.get('users', 'SELECT id FROM users WHERE id = ?', userId);
+      if (!user) {
+        throw new ValidationError(`User ${userId} not found`);
+      }
+    });
+
+    if (task.parentTaskId) {
+      checkReference(() => this.getById(task.parentTaskId));
+    }
+  }
+}
+
+// ============================================================================
+// PROJECT CRUD
+// ============================================================================
+
+export class SQLiteProjectStore {
+  constructor(database, audit, tasks, vocabulary = new SQLiteVocabularyStore(database)) {
+    this.database = database;
+    this.audit = audit;
+    this.tasks = tasks;
+    this.vocabulary = vocabulary;
+  }
+
+  /**
+   * Create a new project
+   */
+  create(projectData) {
+    const project = ProjectStore.build(projectData, this.database.getCurrentUserId());
+
+    this.validate(project);
+
+    if (project.parentId) {
+      this.checkCircularNesting(project.id, project.parentId);
+    }
+
+    this.database.transaction(() => {
+      this.database.insert('projects', project);
+      this.audit.log('project', project.id, 'create', AuditLogger.createdChanges(project));
+    });
+
+    return project;
+  }
+
+  /**
+   * Re-insert a previously deleted project with its original ID (undo/redo)
+   */
+  restore(project) {
+    if (this.database.get('projects', 'SELECT id FROM projects WHERE id = ?', project.id)) {
+      throw new ConflictError(`Project ${project.id} already exists`);
+    }
+
+    this.validate(project);
+
+    if (project.parentId) {
+      this.checkCircularNesting(project.id, project.parentId);
+    }
+
+    this.database.transaction(() => {
+      this.database.insert('projects', project);
+      this.audit.log('project', project.id, 'create', AuditLogger.createdChanges(project));
+    });
+
+    return project;
+  }
+
+  /**
+   * Get project by ID
+   */
+  getById(id) {
+    const project = this.database.get('projects', 'SELECT * FROM projects WHERE id = ?', id);
+    if (!project) {
+      throw new NotFoundError(`Project ${id} not found`);
+    }
+    return project;
+  }
+
+  /**
+   * Get all projects with optional filtering
+   */
+  getAll(filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.status) {
+      conditions.push('status = @status');
+      params.status = filters.status;
+    }
+
+    if (filters.parentId !== undefined) {
+      if (filters.parentId === null) {
+        conditions.push('parent_id IS NULL');
+      } else {
+        conditions.push('parent_id = @parentId');
+        params.parentId = filters.parentId;
+      }
+    }
+
+    // Search matches come best first
+    let from = 'projects';
+    let orderBy = 'ORDER BY projects.rowid';
+    if (filters.search) {
+      from = searchFrom('projects', 'project', filters.search, params);
+      orderBy = 'ORDER BY search_rank, projects.rowid';
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const data = this.database.all('projects', `SELECT projects.* FROM ${from} ${where} ${orderBy}`, params);
+
+    return { data, meta: {} };
+  }
+
+  /**
+   * Update a project
+   */
+  update(id, updates) {
+    const oldProject = this.getById(id);
+
+    updates = mergeCustomFieldUpdates(updates, oldProject);
+
+    if (updates.parentId && updates.parentId !== oldProject.parentId) {
+      this.checkCircularNesting(id, updates.parentId);
+    }
+
+    const newProject = {
+      ...oldProject,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+      updatedBy: this.database.getCurrentUserId(),
+    };
+
+    this.validate(newProject);
+
+    const changes = AuditLogger.calculateChanges(oldProject, newProject);
+
+    this.database.transaction(() => {
+      this.database.update('projects', newProject);
+      if (changes.length > 0) {
+        this.audit.log('project', id, 'update', changes);
+      }
+    });
+
+    return newProject;
+  }
+
+  /**
+   * Delete a project
+   */
+  delete(id, options = {}) {
+    const project = this.getById(id);
+
+    this.audit.batch(() => this.database.transaction(() => {
+      // Handle child projects
+      const children = this.getAll({ parentId: id }).data;
+      if (options.deleteChildren) {
+        children.forEach(child => this.delete(child.id, options));
+      } else {
+        this.database.db.prepare('UPDATE projects SET parent_id = NULL WHERE parent_id = ?').run(id);
+        children.forEach(child => {
+          this.audit.log('project', child.id, 'update', [
+            { field: 'parentId', oldValue: id, newValue: null },
+          ]);
+        });
+      }
+
+      // Handle tasks
+      const taskIds = this.database.db
+        .prepare('SELECT id FROM tasks WHERE project_id = ?')
+        .all(id)
+        .map(row => row.id);
+      if (options.deleteTasks) {
+        taskIds.forEach(taskId => this.tasks.delete(taskId));
+      } else {
+        this.database.db.prepare('UPDATE tasks SET project_id = NULL WHERE project_id = ?').run(id);
+        taskIds.forEach(taskId => {
+          this.audit.log('task', taskId, 'update', [
+            { field: 'projectId', oldValue: id, newValue: null },
+          ]);
+        });
+      }
+
+      this.database.delete('projects', id);
+      this.audit.log('project', id, 'delete', AuditLogger.deletedChanges(project));
+    }));
+
+    return true;
+  }
+
+  /**
+   * Get project tree (with all nested children)
+   */
+  getTree(id) {
+    const project = this.getById(id);
+    const children = this.getAll({ parentId: id }).data;
+
+    return {
+      ...project,
+      children: children.map(child => this.getTree(child.id)),
+    };
+  }
+
+  /**
+   * Get project statistics
+   */
+  getStats(id) {
+    const row = this.database.db
+      .prepare('SELECT * FROM project_stats WHERE project_id = ?')
+      .get(id) || { total_tasks: 0, completed_tasks: 0, active_tasks: 0, waiting_tasks: 0 };
+
+    return {
+      totalTasks: row.total_tasks,
+      completedTasks: row.completed_tasks,
+      activeTasks: row.active_tasks,
+      waitingTasks: row.waiting_tasks,
+      completionRate: row.total_tasks > 0 ? row.completed_tasks / row.total_tasks : 0,
+    };
+  }
+
+  /**
+   * Check for circular project nesting
+   */
+  checkCircularNesting(projectId, parentId) {
+    if (parentId === projectId) {
+      throw new CircularReferenceError('Project cannot be its own parent');
+    }
+
+    const ancestors = this.database.db.prepare(`
+      WITH RECURSIVE ancestors(id) AS (
+        SELECT @parentId
+        UNION
+        SELECT p.parent_id FROM projects p
+        JOIN ancestors a ON p.id = a.id
+        WHERE p.parent_id IS NOT NULL
+      )
+      SELECT id FROM ancestors
+    `).all({ parentId }).map(row => row.id);
+
+    checkReference(() => this.getById(parentId));
+
+    if (ancestors.includes(projectId)) {
+      throw new CircularReferenceError('Circular project nesting detected');
+    }
+  }
+
+  /**
+   * Validate project data
+   */
+  validate(project) {
+    const vocabulary = this.vocabulary.get();
+    ProjectStore.validateFields(project, vocabulary);
+
+    customFieldUserIds(project, 'project', vocabulary).forEach(userId => {
+      const user = this.database.get('users', 'SELECT id FROM users WHERE id = ?', userId);
+      if (!user) {
+        throw new ValidationError(`User ${userId} not found`);
+      }
+    });
+  }
+}
+
+// ============================================================================
+// LINK CRUD
+// ============================================================================
+
+export class SQLiteLinkStore {
+  constructor(database, audit, vocabulary = new SQLiteVocabularyStore(database)) {
+    this.database = database;
+    this.audit = audit;
+    this.vocabulary = vocabulary;
+  }
+
+  /**
+   * Create a new link
+   */
+  create(linkData) {
+    const link = LinkStore.build(linkData, this.database.getCurrentUserId());
+
+    this.validate(link);
+
+    this.database.transaction(() => {
+      this.database.insert('links', link);
+      this.audit.log('link', link.id, 'create', AuditLogger.createdChanges(link));
+    });
+
+    return link;
+  }
+
+  /**
+   * Re-insert a previously deleted link with its original ID (undo/redo)
+   */
+  restore(link) {
+    if (this.database.get('links', 'SELECT id FROM links WHERE id = ?', link.id)) {
+      throw new ConflictError(`Link ${link.id} already exists`);
+    }
+
+    this.validate(link);
+
+    this.database.transaction(() => {
+      this.database.insert('links', link);
+      this.audit.log('link', link.id, 'create', AuditLogger.createdChanges(link));
+    });
+
+    return link;
+  }
+
+  /**
+   * Get link by ID
+   */
+  getById(id) {
+    const link = this.database.get('links', 'SELECT * FROM links WHERE id = ?', id);
+    if (!link) {
+      throw new NotFoundError(`Link ${id} not found`);
+    }
+    return link;
+  }
+
+  /**
+   * Get all links with optional filtering
+   */
+  getAll(filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.sourceId) {
+      conditions.push('source_id = @sourceId');
+      params.sourceId = filters.sourceId;
+    }
+
+    if (filters.targetId) {
+      conditions.push('target_id = @targetId');
+      params.targetId = filters.targetId;
+    }
+
+    if (filters.linkType) {
+      conditions.push('link_type = @linkType');
+      params.linkType = filters.linkType;
+    }
+
+    if (filters.entityId) {
+      conditions.push('(source_id = @entityId OR target_id = @entityId)');
+      params.entityId = filters.entityId;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const data = this.database.all('links', `SELECT * FROM links ${where} ORDER BY rowid`, params);
+
+    return { data, meta: {} };
+  }
+
+  /**
+   * Update a link
+   */
+  update(id, updates) {
+    const oldLink = this.getById(id);
+
+    const newLink = {
+      ...oldLink,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.validate(newLink);
+
+    const changes = AuditLogger.calculateChanges(oldLink, newLink);
+
+    this.database.transaction(() => {
+      this.database.update('links', newLink);
+      if (changes.length > 0) {
+        this.audit.log('link', id, 'update', changes);
+      }
+    });
+
+    return newLink;
+  }
+
+  /**
+   * Delete a link
+   */
+  delete(id) {
+    const link = this.getById(id);
+
+    this.database.transaction(() => {
+      this.database.delete('links', id);
+      this.audit.log('link', id, 'delete', AuditLogger.deletedChanges(link));
+    });
+    return true;
+  }
+
+  /**
+   * Batch create links (all or nothing)
+   */
+  batchCreate(linksData) {
+    return this.database.transaction(() => linksData.map(linkData => this.create(linkData)));
+  }
+
+  /**
+   * Validate link data
+   */
+  validate(link) {
+    LinkStore.validateFields(link, this.vocabulary.get());
+
+    const sourceTask = this.database.get('tasks', 'SELECT id FROM tasks WHERE id = ?', link.sourceId);
+    if (!sourceTask) {
+      throw new ValidationError(`Source task ${link.sourceId} not found`);
+    }
+
+    const targetTask = this.database.get('tasks', 'SELECT id FROM tasks WHERE id = ?', link.targetId);
+    if (!targetTask) {
+      throw new ValidationError(`Target task ${link.targetId} not found`);
+    }
+  }
+}
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+export class SQLiteViewStore {
+  constructor(database, tasks, vocabulary = new SQLiteVocabularyStore(database)) {
+    this.database = database;
+    this.tasks = tasks;
+    this.vocabulary = vocabulary;
+  }
+
+  /**
+   * Create a saved view
+   */
+  create(viewData) {
+    const { count } = this.database.db.prepare('SELECT COUNT(*) AS count FROM views').get();
+    const view = ViewStore.build(viewData, this.database.getCurrentUserId(), count);
+
+    this.validate(view);
+    this.database.insert('views', view);
+
+    return view;
+  }
+
+  /**
+   * Get view by ID
+   */
+  getById(id) {
+    const view = this.database.get('views', 'SELECT * FROM views WHERE id = ?', id);
+    if (!view) {
+      throw new NotFoundError(`View ${id} not found`);
+    }
+    return view;
+  }
+
+  /**
+   * Get all views, in sidebar order
+   */
+  getAll() {
+    const data = this.database.all('views', 'SELECT * FROM views ORDER BY position, created_at');
+    return { data, meta: {} };
+  }
+
+  /**
+   * Update a view (filters are replaced as a whole)
+   */
+  update(id, updates) {
+    const oldView = this.getById(id);
+
+    if (updates.filters !== undefined) {
+      updates.filters = buildViewFilters(updates.filters);
+    }
+    if (typeof updates.name === 'string') {
+      updates.name = updates.name.trim();
+    }
+
+    const newView = {
+      ...oldView,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+      updatedBy: this.database.getCurrentUserId(),
+    };
+
+    this.validate(newView);
+    this.database.update('views', newView);
+
+    return newView;
+  }
+
+  /**
+   * Delete a view
+   */
+  delete(id) {
+    this.getById(id);
+    this.database.delete('views', id);
+    return true;
+  }
+
+  /**
+   * A page of a view's tasks, in the view's sort order
+   */
+  getTasks(id, options = {}) {
+    return this.tasks.getAll(getViewTaskFilters(this.getById(id), options));
+  }
+
+  /**
+   * Every task of a view, grouped (see ViewStore.getGroups)
+   */
+  getGroups(id) {
+    const view = this.getById(id);
+    const tasks = collectTasks(this.tasks, getViewTaskFilters(view));
+
+    if (!view.groupBy) {
+      return [{ key: null, label: view.name, count: tasks.length, tasks }];
+    }
+
+    return groupTasks(tasks, view.groupBy, {
+      projects: this.database.all('projects', 'SELECT * FROM projects'),
+      users: this.database.all('users', 'SELECT * FROM users'),
+    });
+  }
+
+  /**
+   * Get view statistics
+   */
+  getStats(id) {
+    return summarizeTasks(collectTasks(this.tasks, getViewTaskFilters(this.getById(id))));
+  }
+
+  /**
+   * Validate view data
+   */
+  validate(view) {
+    validateViewFields(view, {
+      vocabulary: this.vocabulary.get(),
+      projects: this.database.all('projects', 'SELECT * FROM projects'),
+      users: this.database.all('users', 'SELECT * FROM users'),
+    });
+
+    const duplicate = this.database.all('views', 'SELECT * FROM views WHERE id != ?', view.id)
+      .find(other => other.name.toLowerCase() === view.name.toLowerCase());
+    if (duplicate) {
+      throw new ConflictError(`A view named ${view.name} already exists`);
+    }
+
+    if (view.filters.projectId &&
+      !this.database.get('projects', 'SELECT id FROM projects WHERE id = ?', view.filters.projectId)) {
+      throw new ValidationError(`Project ${view.filters.projectId} not found`);
+    }
+
+    if (view.filters.assigneeId &&
+      !this.database.get('users', 'SELECT id FROM users WHERE id = ?', view.filters.assigneeId)) {
+      throw new ValidationError(`User ${view.filters.assigneeId} not found`);
+    }
+  }
+}
+
+// ============================================================================
+// DAILY LOG
+// ============================================================================
+
+export class SQLiteDailyLogStore {
+  constructor(database, tasks, links, audit) {
+    this.database = database;
+    this.tasks = tasks;
+    this.links = links;
+    this.audit = audit;
+  }
+
+  /**
+   * A day's page (see utils/dailyLog.js), today's by default
+   */
+  getDay(date = toDayKey(new Date())) {
+    return buildDay(
+      checkDay(date),
+      this.database.all('tasks', 'SELECT * FROM tasks'),
+      this.links.getAll({ linkType: 'moved' }).data,
+      toDayKey(new Date())
+    );
+  }
+
+  /**
+   * Open tasks on pages before a day (today by default), waiting to be migrated
+   */
+  getPending(date = toDayKey(new Date())) {
+    checkDay(date);
+    const tasks = this.database.all('tasks', `
+      SELECT * FROM tasks
+      WHERE coalesce(log_date, date(created_at, 'localtime')) < ?
+        AND status NOT IN ('completed', 'cancelled') AND type != 'note'
+    `, date);
+    return findPending(tasks, date);
+  }
+
+  /**
+   * The days that have tasks, newest first ([{ date, count }])
+   */
+  getDays() {
+    return listDays(this.database.all('tasks', 'SELECT * FROM tasks'));
+  }
+
+  /**
+   * Carry a task forward to today, schedule it on a later day or cancel it
+   *
+   * @param {object} options - { action: 'carry' | 'schedule' | 'cancel', date }
+   * @returns {object} { task, copy, link } (copy and link null when cancelling)
+   */
+  migrate(taskId, options = {}) {
+    const task = this.tasks.getById(taskId);
+    const date = checkMigration(task, options, toDayKey(new Date()));
+
+    return this.audit.batch(() => this.database.transaction(() => this.moveTask(task, options.action, date)));
+  }
+
+  /**
+   * Several migrations as one change
+   *
+   * @param {Array} migrations - [{ taskId, action, date }]
+   */
+  migrateAll(migrations) {
+    return this.audit.batch(() => this.database.transaction(() => {
+      checkMigrations(migrations, this.database.all('tasks', 'SELECT * FROM tasks'), toDayKey(new Date()));
+      return migrations.map(({ taskId, ...options }) => this.migrate(taskId, options));
+    }));
+  }
+
+  /**
+   * Move a task and its open subtasks to a day, or cancel them
+   */
+  moveTask(task, action, date, parentTaskId = null) {
+    const copy = action === 'cancel' ? null : this.tasks.create(buildMigratedTask(task, date, parentTaskId));
+    const link = copy && this.links.create(buildMigrationLink(task, copy, action));
+    this.tasks.getSubtasks(task.id)
+      .filter(subtask => TaskStore.isOpen(subtask))
+      .forEach(subtask => this.moveTask(subtask, action, date, copy && copy.id));
+
+    return { task: this.tasks.update(task.id, { status: 'cancelled' }), copy, link };
+  }
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+// search_index columns of each type's searchable fields
+const SEARCH_COLUMNS = {
+  task: { title: 'content', body: 'description' },
+  project: { title: 'name', body: 'description' },
+  link: { body: 'label' },
+};
+
+/**
+ * Text highlighted by FTS5 (matches between \u0002 and \u0003) as plain
+ * text and match ranges
+ */
+function fromHighlighted(highlighted) {
+  const matches = [];
+  let text = '';
+  let start = null;
+
+  for (const char of highlighted) {
+    if (char === '\u0002') {
+      start = text.length;
+    } else if (char === '\u0003') {
+      matches.push([start, text.length]);
+    } else {
+      text += char;
+    }
+  }
+
+  return { text, matches };
+}
+
+export class SQLiteSearchStore {
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Search task text, project names and descriptions and link labels,
+   * best matches first (see SearchStore.search)
+   */
+  search(query, options = {}) {
+    const types = checkSearchTypes(options.types || SEARCH_TYPES);
+    const match = toMatchExpression(query);
+    if (!match || types.length === 0) return [];
+
+    const typeParams = Object.fromEntries(types.map((type, i) => [`type${i}`, type]));
+    const rows = this.database.db.prepare(`
+      SELECT entity_type, entity_id, bm25(search_index, 0, 0, 2, 1) AS rank,
+        highlight(search_index, 2, char(2), char(3)) AS title,
+        highlight(search_index, 3, char(2), char(3)) AS body
+      FROM search_index
+      WHERE search_index MATCH @match
+        AND entity_type IN (${Object.keys(typeParams).map(name => `@${name}`).join(', ')})
+      ORDER BY rank
+      ${options.limit ? 'LIMIT @limit' : ''}
+    `).all({ match, ...typeParams, ...(options.limit ? { limit: options.limit } : {}) });
+
+    return rows.map(row => {
+      const type = row.entity_type;
+      const record = this.database.get(`${type}s`, `SELECT * FROM ${type}s WHERE id = ?`, row.entity_id);
+
+      // The title when it matched, otherwise the body
+      const column = ['title', 'body'].find(name =>
+        SEARCH_COLUMNS[type][name] && row[name].includes('\u0002')
+      );
+      const highlighted = column ? fromHighlighted(row[column]) : null;
+
+      return {
+        entityType: type,
+        entityId: row.entity_id,
+        score: -row.rank,
+        field: column ? SEARCH_COLUMNS[type][column] : null,
+        snippet: highlighted ? excerpt(highlighted.text, highlighted.matches) : null,
+        record,
+      };
+    });
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Open (and migrate) a SQLite database and create stores bound to it
+ *
+ * @param {string} filename - Database file path (':memory:' for tests)
+ * @param {object} options - SQLiteDatabase options, plus auditRetention ({ maxAgeDays, maxEntries })
+ * @returns {object} { database, tasks, projects, links, audit, users, session, vocabulary, search, views }
+ */
+export function createSQLiteStores(filename = ':memory:', options = {}) {
+  const database = new SQLiteDatabase(filename, options);
+  const audit = new SQLiteAuditLogger(database, { retention: options.auditRetention });
+  const vocabulary = new SQLiteVocabularyStore(database);
+  const tasks = new SQLiteTaskStore(database, audit, vocabulary);
+  const projects = new SQLiteProjectStore(database, audit, tasks, vocabulary);
+  const links = new SQLiteLinkStore(database, audit, vocabulary);
+  const users = new SQLiteUserStore(database);
+  const session = new SQLiteUserManager(database, users);
+  const search = new SQLiteSearchStore(database);
+  const views = new SQLiteViewStore(database, tasks, vocabulary);
+  const dailyLog = new SQLiteDailyLogStore(database, tasks, links, audit);
+
+  return { database, tasks, projects, links, audit, users, session, vocabulary, search, views, dailyLog };
+}
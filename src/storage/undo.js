@@ -0,0 +1,190 @@
+/**
+ * Undo/redo for Dash-Plus Notes, built on audit log change records
+ *
+ * Every audited create, update and delete of a task, project or link
+ * becomes an operation on the undo stack. Entries that share a batchId
+ * (e.g. a task delete and its cascaded link deletes) form one operation.
+ * Undo applies the inverse of each change through the stores, so the
+ * reversal is itself validated and audited; redo re-applies the changes.
+ *
+ * Works with any synchronous store set: the localStorage stores (default)
+ * or the stores returned by createSQLiteStores().
+ */
+
+import { TaskStore, ProjectStore, LinkStore, AuditLogger } from './localStorage.js';
+
+const STORE_KEYS = {
+  task: 'tasks',
+  project: 'projects',
+  link: 'links',
+};
+
+const INVERSE_ACTIONS = {
+  create: 'delete',
+  update: 'update',
+  delete: 'create',
+};
+
+// Maintained by the stores themselves, never replayed
+export const BOOKKEEPING_FIELDS = ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+
+export class UndoManager {
+  /**
+   * @param {object} stores - { tasks, projects, links, audit, database } (localStorage stores by default)
+   * @param {object} options - { limit } maximum number of operations kept
+   */
+  constructor(stores = {}, options = {}) {
+    this.stores = {
+      tasks: stores.tasks || TaskStore,
+      projects: stores.projects || ProjectStore,
+      links: stores.links || LinkStore,
+      audit: stores.audit || AuditLogger,
+    };
+    this.database = stores.database || null;
+    this.limit = options.limit || 100;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.applying = false;
+
+    this.unsubscribe = this.stores.audit.subscribe(entry => this.record(entry));
+  }
+
+  /**
+   * Record an audit entry as (part of) an undoable operation
+   */
+  record(entry) {
+    if (this.applying || !STORE_KEYS[entry.entityType]) return;
+
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (entry.batchId && last && last.batchId === entry.batchId) {
+      last.entries.push(entry);
+      return;
+    }
+
+    this.undoStack.push({ batchId: entry.batchId || null, entries: [entry] });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Reverse the last `count` operations
+   *
+   * @returns {object[]} Operations undone (most recent first)
+   */
+  undo(count = 1) {
+    return this.move(this.undoStack, this.redoStack, 'undo', count);
+  }
+
+  /**
+   * Re-apply the last `count` undone operations
+   *
+   * @returns {object[]} Operations redone
+   */
+  redo(count = 1) {
+    return this.move(this.redoStack, this.undoStack, 'redo', count);
+  }
+
+  /**
+   * Forget all recorded operations
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Stop recording operations
+   */
+  dispose() {
+    this.unsubscribe();
+    this.clear();
+  }
+
+  /**
+   * Apply operations from one stack and move them to the other.
+   * An operation that fails stays where it was and the error is rethrown.
+   */
+  move(from, to, direction, count) {
+    const applied = [];
+
+    while (applied.length < count && from.length > 0) {
+      const operation = from[from.length - 1];
+      this.apply(operation, direction);
+      from.pop();
+      to.push(operation);
+      applied.push(operation);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Apply all entries of an operation (in reverse order when undoing)
+   */
+  apply(operation, direction) {
+    const entries = direction === 'undo'
+      ? [...operation.entries].reverse()
+      : operation.entries;
+
+    const run = () => this.stores.audit.batch(() => {
+      entries.forEach(entry => this.applyEntry(entry, direction));
+    });
+
+    this.applying = true;
+    try {
+      if (this.database) {
+        this.database.transaction(run);
+      } else {
+        run();
+      }
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  /**
+   * Apply a single audit entry forwards (redo) or backwards (undo)
+   */
+  applyEntry(entry, direction) {
+    const store = this.stores[STORE_KEYS[entry.entityType]];
+    const action = direction === 'undo' ? INVERSE_ACTIONS[entry.action] : entry.action;
+    const valueKey = direction === 'undo' ? 'oldValue' : 'newValue';
+
+    if (action === 'create') {
+      store.restore({ ...this.fieldValues(entry, valueKey, true), id: entry.entityId });
+    } else if (action === 'delete') {
+      store.delete(entry.entityId);
+    } else if (action === 'update') {
+      const updates = this.fieldValues(entry, valueKey, false);
+      if (Object.keys(updates).length > 0) {
+        store.update(entry.entityId, updates);
+      }
+    } else {
+      throw new Error(`Cannot ${direction} audit action: ${entry.action}`);
+    }
+  }
+
+  /**
+   * Field values on one side of an entry's changes
+   */
+  fieldValues(entry, valueKey, includeBookkeeping) {
+    const values = {};
+
+    (entry.changes || []).forEach(change => {
+      if (!includeBookkeeping && BOOKKEEPING_FIELDS.includes(change.field)) return;
+      values[change.field] = change[valueKey] === undefined ? null : change[valueKey];
+    });
+
+    return values;
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Custom field values on tasks and projects
+ *
+ * A workspace defines its custom fields in the vocabulary (fields section,
+ * see utils/vocabulary.js). Records keep their values in a customFields
+ * object ({ estimate: 3, customer: 'Acme' }); fields without a value are
+ * left out. Values by type:
+ *
+ *   text    string
+ *   number  finite number
+ *   date    YYYY-MM-DD or ISO timestamp
+ *   enum    one of the field's options
+ *   user    user ID
+ *
+ * Updates change single fields: { customFields: { estimate: 5 } } or
+ * { 'customFields.estimate': 5 } leave the other fields as they are, and
+ * null clears a field. The audit log records each field as its own change
+ * (field 'customFields.estimate').
+ */
+
+import { ValidationError } from './errors.js';
+
+export const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/**
+ * The custom fields a kind of record has
+ *
+ * @param {object} vocabulary - Workspace vocabulary
+ * @param {string} entity - 'task' or 'project'
+ */
+export function getFieldDefinitions(vocabulary, entity) {
+  return vocabulary.fields.filter(field => field.entities.includes(entity));
+}
+
+/**
+ * A custom field's definition (throws for fields the records do not have)
+ */
+export function getFieldDefinition(vocabulary, entity, name) {
+  const definition = getFieldDefinitions(vocabulary, entity).find(field => field.name === name);
+  if (!definition) {
+    throw new ValidationError(`Invalid custom field: ${name}`);
+  }
+  return definition;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a record's custom field values
+ *
+ * @param {object} values - The record's customFields (undefined for none)
+ * @param {string} entity - 'task' or 'project'
+ * @param {object} vocabulary - Workspace vocabulary
+ */
+export function validateCustomFields(values, entity, vocabulary) {
+  if (values === undefined || values === null) return;
+
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new ValidationError('Invalid custom fields: expected an object');
+  }
+
+  Object.entries(values).forEach(([name, value]) => {
+    const definition = getFieldDefinition(vocabulary, entity, name);
+    if (!isValidValue(definition, value)) {
+      throw new ValidationError(`Invalid value for custom field ${name}: ${JSON.stringify(value)}`);
+    }
+  });
+}
+
+function isValidValue(definition, value) {
+  switch (definition.type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+    case 'enum':
+      return definition.options.includes(value);
+    default:
+      return typeof value === 'string' && value.trim().length > 0;
+  }
+}
+
+/**
+ * User IDs a record's user fields refer to (for existence checks)
+ */
+export function customFieldUserIds(record, entity, vocabulary) {
+  const values = record.customFields || {};
+  return getFieldDefinitions(vocabulary, entity)
+    .filter(field => field.type === 'user' && values[field.name] !== undefined)
+    .map(field => values[field.name]);
+}
+
+// ============================================================================
+// RECORDS AND UPDATES
+// ============================================================================
+
+/**
+ * Custom field values for a new record (empty values left out)
+ */
+export function buildCustomFields(values) {
+  if (values === undefined || values === null) return {};
+  if (typeof values !== 'object' || Array.isArray(values)) return values;
+
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => !isEmpty(value)));
+}
+
+/**
+ * Fold custom field changes in an update into the record's full set of
+ * values (customFields), so stores can save and validate them like any
+ * other field. customFields: null clears every field.
+ *
+ * @param {object} updates - Update input (left untouched)
+ * @param {object} record - The record being updated
+ * @returns {object} A copy of updates with customFields merged
+ */
+export function mergeCustomFieldUpdates(updates, record) {
+  const merged = {};
+  const changed = {};
+  Object.entries(updates).forEach(([key, value]) => {
+    if (key.startsWith(CUSTOM_FIELD_PREFIX)) {
+      changed[key.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  const replaceAll = merged.customFields === null;
+  if (merged.customFields !== undefined && !replaceAll) {
+    // Not an object: left for validation to reject
+    if (typeof merged.customFields !== 'object' || Array.isArray(merged.customFields)) {
+      return merged;
+    }
+    Object.assign(changed, merged.customFields);
+  } else if (!replaceAll && Object.keys(changed).length === 0) {
+    return merged;
+  }
+
+  const values = replaceAll ? {} : { ...(record.customFields || {}) };
+  Object.entries(changed).forEach(([name, value]) => {
+    if (isEmpty(value)) {
+      delete values[name];
+    } else {
+      values[name] = value;
+    }
+  });
+
+  merged.customFields = values;
+  return merged;
+}
+
+/**
+ * Audit changes between two sets of values, one per field
+ */
+export function diffCustomFields(oldValues, newValues) {
+  const names = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+  const changes = [];
+
+  names.forEach(name => {
+    if (JSON.stringify(oldValues[name]) !== JSON.stringify(newValues[name])) {
+      changes.push({
+        field: `${CUSTOM_FIELD_PREFIX}${name}`,
+        oldValue: oldValues[name],
+        newValue: newValues[name],
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * A field's value on a record ('customFields.<name>' for custom fields)
+ */
+export function getFieldValue(record, field) {
+  if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+    return (record.customFields || {})[field.slice(CUSTOM_FIELD_PREFIX.length)];
+  }
+  return record[field];
+}
+
+/**
+ * Set a field on a record from an audit change (undefined removes it)
+ */
+export function setFieldValue(record, field, value) {
+  if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+    const values = { ...(record.customFields || {}) };
+    const name = field.slice(CUSTOM_FIELD_PREFIX.length);
+    if (value === undefined) {
+      delete values[name];
+    } else {
+      values[name] = value;
+    }
+    record.customFields = values;
+  } else if (value === undefined) {
+    delete record[field];
+  } else {
+    record[field] = value;
+  }
+  return record;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+/**
+ * Custom field filters ({ customer: 'Acme', estimate: '3' }) with values
+ * converted to their fields' types (query strings arrive as text)
+ *
+ * @returns {Array} [{ name, value }]
+ */
+export function parseCustomFieldFilters(filters, entity, vocabulary) {
+  return Object.entries(filters).map(([name, value]) => {
+    const definition = getFieldDefinition(vocabulary, entity, name);
+    const parsed = definition.type === 'number' && typeof value === 'string' && value.trim() !== ''
+      ? Number(value)
+      : value;
+
+    if (!isValidValue(definition, parsed)) {
+      throw new ValidationError(`Invalid value for custom field ${name}: ${JSON.stringify(value)}`);
+    }
+    return { name, value: parsed };
+  });
+}
+
+/**
+ * Whether a record has every filtered value
+ */
+export function matchesCustomFields(record, conditions) {
+  const values = record.customFields || {};
+  return conditions.every(({ name, value }) => values[name] === value);
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  CUSTOM_FIELD_PREFIX,
+  getFieldDefinitions,
+  getFieldDefinition,
+  validateCustomFields,
+  customFieldUserIds,
+  buildCustomFields,
+  mergeCustomFieldUpdates,
+  diffCustomFields,
+  getFieldValue,
+  setFieldValue,
+  parseCustomFieldFilters,
+  matchesCustomFields,
+};
@@ -0,0 +1,284 @@
+/**
+ * Daily log for Dash-Plus Notes
+ *
+ * Bullet-journal style days: every task is on one day's page, its logDate
+ * (YYYY-MM-DD, local time) - the day it was created, unless it was migrated
+ * there. Open tasks left on earlier pages are offered for migration:
+ *
+ *   carry     a copy goes on today's page
+ *   schedule  a copy goes on a later day's page
+ *   cancel    the task is cancelled where it is
+ *
+ * A carried or scheduled task is cancelled on its old page, with a `moved`
+ * link from it to its copy, so each page keeps a record of what became of
+ * its tasks. Open subtasks move (or are cancelled) with their parent, so a
+ * batch of migrations can't include a task and its open subtasks. Pages
+ * before today are read-only in the app.
+ */
+
+import { summarizeTasks } from './views.js';
+import { NotFoundError, ValidationError } from './errors.js';
+
+export const MIGRATION_ACTIONS = ['carry', 'schedule', 'cancel'];
+
+// Labels of the moved links a migration creates
+const MIGRATION_LABELS = {
+  carry: 'Carried forward',
+  schedule: 'Scheduled',
+};
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// ============================================================================
+// DAYS
+// ============================================================================
+
+/**
+ * The YYYY-MM-DD key of a date's day (local time)
+ */
+export function toDayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Whether a value is a YYYY-MM-DD day that exists
+ */
+export function isDayKey(value) {
+  const match = typeof value === 'string' && value.match(DAY_PATTERN);
+  if (!match) return false;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDayKey(date) === value;
+}
+
+/**
+ * Check a day key (throws for anything but an existing YYYY-MM-DD day)
+ */
+export function checkDay(value) {
+  if (!isDayKey(value)) {
+    throw new ValidationError(`Invalid date: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * The day a task is logged on (tasks from before logDate existed are on
+ * the day they were created)
+ */
+export function getLogDate(task) {
+  return task.logDate || toDayKey(new Date(task.createdAt));
+}
+
+// ============================================================================
+// PAGES
+// ============================================================================
+
+/**
+ * Open tasks on pages before a day, waiting to be migrated: oldest page
+ * first, and without subtasks of waiting tasks (they move with them).
+ * Notes are not migrated.
+ */
+export function findPending(tasks, date) {
+  const isPending = task => task.type !== 'note' &&
+    task.status !== 'completed' && task.status !== 'cancelled' &&
+    getLogDate(task) < date;
+
+  const pendingIds = new Set(tasks.filter(isPending).map(task => task.id));
+
+  return tasks
+    .filter(task => pendingIds.has(task.id) && !pendingIds.has(task.parentTaskId))
+    .sort((a, b) => getLogDate(a).localeCompare(getLogDate(b)) || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * A day's page
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array} tasks - Every task
+ * @param {Array} links - Every moved link
+ * @param {string} today - Today's key
+ * @returns {object} { date, isToday, readOnly, entries: [{ task, movedFrom,
+ *   movedTo }], pending, stats } where movedFrom / movedTo are
+ *   { taskId, date, label } for tasks migrated onto / off the page and
+ *   pending (today only) is findPending's list
+ */
+export function buildDay(date, tasks, links, today) {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const move = (link, taskId) => {
+    const task = tasksById.get(taskId);
+    return task ? { taskId, date: getLogDate(task), label: link.label || null } : null;
+  };
+
+  const dayTasks = tasks
+    .filter(task => getLogDate(task) === date)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  const entries = dayTasks.map(task => {
+    const incoming = links.find(link => link.targetId === task.id);
+    const outgoing = links.find(link => link.sourceId === task.id);
+    return {
+      task,
+      movedFrom: incoming ? move(incoming, incoming.sourceId) : null,
+      movedTo: outgoing ? move(outgoing, outgoing.targetId) : null,
+    };
+  });
+
+  return {
+    date,
+    isToday: date === today,
+    readOnly: date < today,
+    entries,
+    pending: date === today ? findPending(tasks, date) : [],
+    stats: summarizeTasks(dayTasks),
+  };
+}
+
+/**
+ * The days that have tasks, newest first
+ *
+ * @returns {Array} [{ date, count }]
+ */
+export function listDays(tasks) {
+  const counts = new Map();
+  tasks.forEach(task => {
+    const date = getLogDate(task);
+    counts.set(date, (counts.get(date) || 0) + 1);
+  });
+
+  return [...counts]
+    .map(([date, count]) => ({ date, count }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Check a migration of a task and work out the day it moves to
+ *
+ * @param {object} task
+ * @param {object} options - { action, date } (date: the day to schedule on)
+ * @param {string} today - Today's key
+ * @returns {string|null} The target day (null when cancelling)
+ */
+export function checkMigration(task, { action, date } = {}, today) {
+  if (!MIGRATION_ACTIONS.includes(action)) {
+    throw new ValidationError(`Invalid migration action: ${action}`);
+  }
+
+  if (task.status === 'completed' || task.status === 'cancelled') {
+    throw new ValidationError(`Task ${task.id} cannot be migrated: it is ${task.status}`);
+  }
+
+  if (action === 'cancel') {
+    return null;
+  }
+
+  if (action === 'carry') {
+    if (getLogDate(task) >= today) {
+      throw new ValidationError(`Task ${task.id} cannot be carried forward: it is not on an earlier day`);
+    }
+    return today;
+  }
+
+  if (date === undefined || date === null || date === '') {
+    throw new ValidationError('A date is required to schedule a task');
+  }
+  checkDay(date);
+  if (date <= today) {
+    throw new ValidationError(`Schedule date must be after today: ${date}`);
+  }
+  return date;
+}
+
+/**
+ * Check a batch of migrations as checkMigration does, and that no task is
+ * in it twice or moves with another task of the batch
+ *
+ * @param {Array} migrations - [{ taskId, action, date }]
+ * @param {Array} tasks - Every task
+ * @param {string} today - Today's key
+ */
+export function checkMigrations(migrations, tasks, today) {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const taskIds = new Set();
+
+  migrations.forEach(({ taskId, ...options }) => {
+    const task = tasksById.get(taskId);
+    if (!task) {
+      throw new NotFoundError(`Task ${taskId} not found`);
+    }
+    if (taskIds.has(taskId)) {
+      throw new ValidationError(`Task ${taskId} cannot be migrated twice in one batch`);
+    }
+    checkMigration(task, options, today);
+    taskIds.add(taskId);
+  });
+
+  // An open subtask moves with its parent, and with its parent's parent
+  // while the parent is open too
+  taskIds.forEach(taskId => {
+    let task = tasksById.get(taskId);
+    while (task && task.parentTaskId && task.status !== 'completed' && task.status !== 'cancelled') {
+      if (taskIds.has(task.parentTaskId)) {
+        throw new ValidationError(`Task ${taskId} cannot be migrated with task ${task.parentTaskId}: it moves with it`);
+      }
+      task = tasksById.get(task.parentTaskId);
+    }
+  });
+}
+
+/**
+ * Task data for a migrated task's copy on its new page
+ */
+export function buildMigratedTask(task, date, parentTaskId = null) {
+  return {
+    type: task.type,
+    symbol: task.symbol,
+    content: task.content,
+    description: task.description,
+    status: task.status,
+    priority: task.priority,
+    projectId: task.projectId,
+    parentTaskId,
+    assigneeId: task.assigneeId,
+    dueDate: task.dueDate,
+    recurrence: task.recurrence,
+    tags: [...(task.tags || [])],
+    customFields: { ...task.customFields },
+    logDate: date,
+  };
+}
+
+/**
+ * Link data recording a migration, from the old task to its copy
+ */
+export function buildMigrationLink(task, copy, action) {
+  return {
+    sourceId: task.id,
+    targetId: copy.id,
+    linkType: 'moved',
+    label: action === 'schedule' ? `${MIGRATION_LABELS.schedule} for ${copy.logDate}` : MIGRATION_LABELS[action],
+  };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  MIGRATION_ACTIONS,
+  toDayKey,
+  isDayKey,
+  checkDay,
+  getLogDate,
+  findPending,
+  buildDay,
+  listDays,
+  checkMigration,
+  checkMigrations,
+  buildMigratedTask,
+  buildMigrationLink,
+};
@@ -0,0 +1,263 @@
+/**
+ * Dash-plus notation parser and serializer for Dash-Plus Notes
+ *
+ * Converts a line of dash-plus notation into TaskStore.create data, and
+ * writes a task back out as such a line:
+ *
+ *   → Get quote from vendor @alice #procurement due:friday !high +purchasing
+ *
+ * Line syntax:
+ * - Leading symbol: - + → ← △ ○ (also "->", "<-" and "Δ"), or the symbols of
+ *   a custom vocabulary (see vocabulary.js); "-" if omitted
+ * - #tag, @assignee, !priority (low|medium|high|urgent by default)
+ * - +project, or project:"Name with spaces"
+ * - due:<date> - any parseNaturalDate phrase; multi-word phrases are quoted
+ *   (due:"in 3 days") or hyphenated (due:next-monday)
+ * - A leading backslash keeps a word literal (\#1, \@home)
+ *
+ * Everything else is the task content.
+ */
+
+import { parseNaturalDate } from './dateParser.js';
+import { DEFAULT_VOCABULARY } from './vocabulary.js';
+
+// ============================================================================
+// NOTATION
+// ============================================================================
+
+/**
+ * Task type and default status for each symbol of the default vocabulary
+ * (see DATA_MODEL.md)
+ */
+export const DASH_PLUS_SYMBOLS = symbolDefaults(DEFAULT_VOCABULARY);
+
+// ASCII spellings of default symbols
+const SYMBOL_ALIASES = {
+  '->': '→',
+  '<-': '←',
+  'Δ': '△',
+};
+
+// Words, keeping key:"quoted values" together
+const TOKEN_PATTERN = /[^\s"]+:"[^"]*"|\S+/g;
+
+const ESCAPED_PATTERN = /^\\(?=[#@!+]|due:|project:)/;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse a line of dash-plus notation into task data
+ *
+ * @param {string} line - e.g. "→ Call vendor @alice #procurement due:friday !high"
+ * @param {object} options - { referenceDate, resolveUser, resolveProject, vocabulary }
+ *   resolveUser(username) / resolveProject(name) return an ID (or null) to
+ *   fill assigneeId / projectId; vocabulary (the default one if not given)
+ *   sets the symbols and priorities recognized
+ * @returns {object|null} { symbol, type, status, content, tags, dueDate?,
+ *   priority?, assignee?, project?, assigneeId?, projectId? }, or null for a blank line
+ */
+export function parseDashPlus(line, options = {}) {
+  if (typeof line !== 'string' || line.trim() === '') {
+    return null;
+  }
+
+  const {
+    referenceDate = new Date(),
+    resolveUser,
+    resolveProject,
+    vocabulary = DEFAULT_VOCABULARY,
+  } = options;
+  const symbols = symbolDefaults(vocabulary);
+  let text = line.trim();
+  let symbol = '-';
+
+  const symbolMatch = text.match(new RegExp(`^(${symbolAlternatives(vocabulary)})(?:\\s+|$)`));
+  if (symbolMatch) {
+    symbol = SYMBOL_ALIASES[symbolMatch[1]] || symbolMatch[1];
+    text = text.slice(symbolMatch[0].length);
+  }
+
+  const task = { symbol, ...(symbols[symbol] || { type: 'task', status: 'active' }), content: '', tags: [] };
+  const words = [];
+  const context = { referenceDate, priorities: vocabulary.priorities };
+
+  (text.match(TOKEN_PATTERN) || []).forEach(token => {
+    if (!parseToken(token, task, context)) {
+      words.push(token.replace(ESCAPED_PATTERN, ''));
+    }
+  });
+
+  task.content = words.join(' ');
+
+  if (task.assignee && resolveUser) {
+    const assigneeId = resolveUser(task.assignee);
+    if (assigneeId) task.assigneeId = assigneeId;
+  }
+
+  if (task.project && resolveProject) {
+    const projectId = resolveProject(task.project);
+    if (projectId) task.projectId = projectId;
+  }
+
+  return task;
+}
+
+/**
+ * Apply a metadata token to task data
+ *
+ * @param {object} context - { referenceDate, priorities }
+ * @returns {boolean} Whether the token was metadata (false for content words)
+ */
+function parseToken(token, task, context) {
+  let match;
+
+  if ((match = token.match(/^#([\w/-]+)$/))) {
+    if (!task.tags.includes(match[1])) task.tags.push(match[1]);
+    return true;
+  }
+
+  if ((match = token.match(/^@([\w.-]+)$/))) {
+    task.assignee = match[1];
+    return true;
+  }
+
+  if ((match = token.match(/^!(\w+)$/)) && context.priorities.includes(match[1].toLowerCase())) {
+    task.priority = match[1].toLowerCase();
+    return true;
+  }
+
+  if ((match = token.match(/^\+([\w./-]+)$/))) {
+    task.project = match[1];
+    return true;
+  }
+
+  if ((match = token.match(/^project:(.+)$/))) {
+    task.project = unquote(match[1]);
+    return true;
+  }
+
+  if ((match = token.match(/^due:(.+)$/))) {
+    const dueDate = parseDueDate(unquote(match[1]), context.referenceDate);
+    if (!dueDate) return false;
+    task.dueDate = dueDate;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Parse a due date value (ISO timestamp or natural language phrase)
+ *
+ * @returns {string|null} ISO timestamp
+ */
+function parseDueDate(value, referenceDate) {
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const date = parseNaturalDate(value, referenceDate)
+    || parseNaturalDate(value.replace(/[-_]/g, ' '), referenceDate);
+  return date ? date.toISOString() : null;
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Type and default status of each symbol in a vocabulary
+ */
+function symbolDefaults(vocabulary) {
+  return Object.fromEntries(vocabulary.symbols.map(({ symbol, type, status }) => [symbol, { type, status }]));
+}
+
+/**
+ * Regular expression alternatives matching a vocabulary's symbols (and the
+ * aliases of those it has), longest first
+ */
+export function symbolAlternatives(vocabulary = DEFAULT_VOCABULARY) {
+  const symbols = vocabulary.symbols.map(entry => entry.symbol);
+  const aliases = Object.keys(SYMBOL_ALIASES).filter(alias => symbols.includes(SYMBOL_ALIASES[alias]));
+
+  return [...symbols, ...aliases]
+    .sort((a, b) => b.length - a.length)
+    .map(symbol => symbol.replace(/[.*+?^${}()|[\]\\\-]/g, '\\$&'))
+    .join('|');
+}
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Write a task as a line of dash-plus notation
+ *
+ * @param {object} task - Task record (or parseDashPlus result)
+ * @param {object} options - { getUserName, getProjectName, vocabulary }
+ *   getUserName(assigneeId) / getProjectName(projectId) return the name to
+ *   write; without them the task's assignee / project names are used
+ * @returns {string}
+ */
+export function serializeDashPlus(task, options = {}) {
+  const { getUserName, getProjectName, vocabulary = DEFAULT_VOCABULARY } = options;
+  const parts = [task.symbol || '-', escapeContent(task.content || '', vocabulary)];
+
+  const assignee = task.assigneeId && getUserName ? getUserName(task.assigneeId) : task.assignee;
+  if (assignee) {
+    parts.push(`@${assignee}`);
+  }
+
+  (task.tags || []).forEach(tag => {
+    parts.push(`#${String(tag).replace(/\s+/g, '-')}`);
+  });
+
+  if (task.dueDate) {
+    parts.push(`due:${formatDueDate(task.dueDate)}`);
+  }
+
+  if (task.priority) {
+    parts.push(`!${task.priority}`);
+  }
+
+  const project = task.projectId && getProjectName ? getProjectName(task.projectId) : task.project;
+  if (project) {
+    parts.push(/\s/.test(project) ? `project:"${project}"` : `+${project}`);
+  }
+
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Escape content words that would otherwise parse as metadata
+ */
+function escapeContent(content, vocabulary) {
+  const context = { referenceDate: new Date(), priorities: vocabulary.priorities };
+  return content
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => (parseToken(word, { tags: [] }, context) ? `\\${word}` : word))
+    .join(' ');
+}
+
+/**
+ * Due dates at midnight UTC are written as plain dates
+ */
+function formatDueDate(dueDate) {
+  const iso = new Date(dueDate).toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  DASH_PLUS_SYMBOLS,
+  parseDashPlus,
+  serializeDashPlus,
+  symbolAlternatives,
+};
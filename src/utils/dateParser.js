@@ -5,7 +5,7 @@
  *
  * Supported formats:
  * - "today", "tomorrow", "yesterday"
- * - "next Monday", "last Friday"
+ * - "next Monday", "last Friday", "Friday" (the next one)
  * - "in 3 days", "in 2 weeks", "in 1 month"
  * - "3 days ago", "2 weeks ago"
  * - "next week", "next month"
@@ -13,6 +13,13 @@
  * - ISO dates: "2025-01-15"
  * - US dates: "01/15/2025", "1/15/25"
  * - Times: "at 3pm", "at 14:30", "at 9:00am"
+ *
+ * Recurrence rules (parseRecurrence):
+ * - "daily", "every 3 days", "every weekday"
+ * - "weekly", "every other Friday", "every 2 weeks on Monday and Thursday"
+ * - "monthly on the 15th", "every last Friday of the month"
+ * - "yearly", "every 2 years"
+ * - suffixes: "until 2025-12-31", "for 10 times"
  */
 
 // ============================================================================
@@ -57,10 +64,10 @@ export function parseNaturalDate(input, referenceDate = new Date()) {
     return setTime(date, normalized);
   }
 
-  // Next/Last weekday (e.g., "next Monday", "last Friday")
-  const weekdayMatch = normalized.match(/^(next|last)\s+(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/);
+  // Next/Last weekday (e.g., "next Monday", "last Friday"); a bare weekday means the next one
+  const weekdayMatch = normalized.match(/^(?:(next|last)\s+)?(monday|tuesday|wednesday|thursday|friday|saturday|sunday)$/);
   if (weekdayMatch) {
-    const [, direction, dayName] = weekdayMatch;
+    const [, direction = 'next', dayName] = weekdayMatch;
     return getWeekday(date, dayName, direction);
   }
 
@@ -307,6 +314,307 @@ function getStartOf(referenceDate, unit) {
   return date;
 }
 
+// ============================================================================
+// RECURRENCE
+// ============================================================================
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1 };
+const UNIT_FREQUENCIES = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+const ADVERB_FREQUENCIES = { daily: 'daily', weekly: 'weekly', monthly: 'monthly', yearly: 'yearly', annually: 'yearly' };
+
+/**
+ * Parse a recurrence phrase into a rule
+ *
+ * Rules have the shape { frequency, interval, weekdays, monthDay, weekOfMonth,
+ * until, count }: weekdays are 0 (Sunday) to 6, monthDay and weekOfMonth use
+ * -1 for "last", and count is the number of occurrences left including the
+ * current one.
+ *
+ * @returns {object|null} Rule, or null if the phrase is not understood
+ */
+export function parseRecurrence(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  let text = input.toLowerCase().trim().replace(/\s+/g, ' ');
+  const rule = {
+    frequency: null,
+    interval: 1,
+    weekdays: null,
+    monthDay: null,
+    weekOfMonth: null,
+    until: null,
+    count: null,
+  };
+
+  // "..., for 10 times"
+  const countMatch = text.match(/^(.+?),? (?:for )?(\d+) (?:times|occurrences)$/);
+  if (countMatch) {
+    text = countMatch[1];
+    rule.count = parseInt(countMatch[2]);
+  }
+
+  // "... until 2025-12-31" (inclusive)
+  const untilMatch = text.match(/^(.+?),? until (.+)$/);
+  if (untilMatch) {
+    const until = parseNaturalDate(untilMatch[2]);
+    if (!until || isNaN(until.getTime())) {
+      return null;
+    }
+    until.setHours(23, 59, 59, 999);
+    text = untilMatch[1];
+    rule.until = until.toISOString();
+  }
+
+  const [, base, spec] = text.match(/^(.+?)(?: on (.+))?$/);
+
+  if (ADVERB_FREQUENCIES[base]) {
+    rule.frequency = ADVERB_FREQUENCIES[base];
+  } else {
+    const everyMatch = base.match(/^every (?:(other|\d+) )?(.+)$/);
+    if (!everyMatch) {
+      return null;
+    }
+
+    const [, interval, unit] = everyMatch;
+    if (interval) {
+      rule.interval = interval === 'other' ? 2 : parseInt(interval);
+    }
+
+    const weekdays = parseWeekdayList(unit);
+    const monthly = parseMonthlySpec(unit);
+
+    if (UNIT_FREQUENCIES[unit.replace(/s$/, '')]) {
+      rule.frequency = UNIT_FREQUENCIES[unit.replace(/s$/, '')];
+    } else if (unit === 'weekday' || unit === 'weekdays') {
+      rule.frequency = 'weekly';
+      rule.weekdays = [1, 2, 3, 4, 5];
+    } else if (weekdays) {
+      rule.frequency = 'weekly';
+      rule.weekdays = weekdays;
+    } else if (monthly) {
+      rule.frequency = 'monthly';
+      Object.assign(rule, monthly);
+    } else {
+      return null;
+    }
+  }
+
+  // "... on Monday and Thursday", "... on the 15th"
+  if (spec) {
+    const weekdays = parseWeekdayList(spec);
+    const monthly = parseMonthlySpec(spec);
+
+    if (rule.frequency === 'weekly' && !rule.weekdays && weekdays) {
+      rule.weekdays = weekdays;
+    } else if (rule.frequency === 'monthly' && !rule.monthDay && !rule.weekOfMonth && monthly) {
+      Object.assign(rule, monthly);
+    } else {
+      return null;
+    }
+  }
+
+  return normalizeRecurrenceRule(rule);
+}
+
+/**
+ * Validate a recurrence rule object and fill in defaults
+ *
+ * @returns {object|null} Normalized rule, or null if it is invalid
+ */
+export function normalizeRecurrenceRule(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  const rule = {
+    frequency: value.frequency,
+    interval: value.interval ?? 1,
+    weekdays: value.weekdays ? [...new Set(value.weekdays)].sort((a, b) => a - b) : null,
+    monthDay: value.monthDay ?? null,
+    weekOfMonth: value.weekOfMonth ?? null,
+    until: value.until ?? null,
+    count: value.count ?? null,
+  };
+
+  const isInteger = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+
+  if (!RECURRENCE_FREQUENCIES.includes(rule.frequency)) return null;
+  if (!isInteger(rule.interval, 1, 999)) return null;
+  if (rule.count !== null && !isInteger(rule.count, 1, 9999)) return null;
+
+  if (rule.weekdays) {
+    if (rule.weekdays.length === 0 || !rule.weekdays.every(day => isInteger(day, 0, 6))) return null;
+    if (rule.frequency !== 'weekly' && !(rule.frequency === 'monthly' && rule.weekOfMonth)) return null;
+  }
+
+  if (rule.monthDay !== null) {
+    if (rule.frequency !== 'monthly' || rule.weekOfMonth !== null) return null;
+    if (rule.monthDay !== -1 && !isInteger(rule.monthDay, 1, 31)) return null;
+  }
+
+  if (rule.weekOfMonth !== null) {
+    if (rule.frequency !== 'monthly' || !rule.weekdays || rule.weekdays.length !== 1) return null;
+    if (rule.weekOfMonth !== -1 && !isInteger(rule.weekOfMonth, 1, 5)) return null;
+  }
+
+  if (rule.until !== null) {
+    const until = new Date(rule.until);
+    if (isNaN(until.getTime())) return null;
+    rule.until = until.toISOString();
+  }
+
+  return rule;
+}
+
+/**
+ * Date of the first occurrence of a rule after a given occurrence
+ * (keeping its time of day); the rule's count is left to the caller
+ *
+ * @returns {Date|null} Next occurrence, or null if it falls after rule.until
+ */
+export function nextOccurrence(rule, after) {
+  const from = new Date(after);
+  let next;
+
+  switch (rule.frequency) {
+    case 'daily':
+      next = addTime(from, rule.interval, 'day');
+      break;
+
+    case 'weekly':
+      next = nextWeeklyOccurrence(rule, from);
+      break;
+
+    case 'monthly':
+      next = nextMonthlyOccurrence(rule, from);
+      break;
+
+    case 'yearly':
+      next = dateInMonth(from, from.getFullYear() + rule.interval, from.getMonth(), from.getDate());
+      break;
+
+    default:
+      throw new Error(`Unknown recurrence frequency: ${rule.frequency}`);
+  }
+
+  if (rule.until && next > new Date(rule.until)) {
+    return null;
+  }
+  return next;
+}
+
+function parseWeekday(word) {
+  const name = word.replace(/s$/, '');
+  if (name.length < 3) return -1;
+  return WEEKDAYS.findIndex(day => day.startsWith(name));
+}
+
+function parseWeekdayList(text) {
+  const words = text.split(/\s*(?:,|\band\b|&)\s*/).filter(Boolean);
+  const weekdays = words.map(parseWeekday);
+
+  if (weekdays.length === 0 || weekdays.includes(-1)) {
+    return null;
+  }
+  return [...new Set(weekdays)].sort((a, b) => a - b);
+}
+
+// "the 15th", "the last day", "the first Monday", "last Friday of the month"
+function parseMonthlySpec(text) {
+  const spec = text.replace(/^the /, '').replace(/ of (?:the|every|each) month$/, '');
+
+  if (spec === 'last day') {
+    return { monthDay: -1 };
+  }
+
+  const dayMatch = spec.match(/^(?:day )?(\d{1,2})(?:st|nd|rd|th)?$/);
+  if (dayMatch) {
+    return { monthDay: parseInt(dayMatch[1]) };
+  }
+
+  const nthMatch = spec.match(/^(\w+) (\w+)$/);
+  if (nthMatch) {
+    const [, ordinal, dayName] = nthMatch;
+    const numbered = ordinal.match(/^([1-5])(?:st|nd|rd|th)$/);
+    const weekOfMonth = numbered ? parseInt(numbered[1]) : ORDINALS[ordinal];
+    const weekday = parseWeekday(dayName);
+
+    if (weekOfMonth !== undefined && weekday !== -1) {
+      return { weekOfMonth, weekdays: [weekday] };
+    }
+  }
+
+  return null;
+}
+
+function nextWeeklyOccurrence(rule, from) {
+  // Weeks start on Monday (as in getStartOf)
+  const fromMonday = day => (day + 6) % 7;
+  const weekdays = (rule.weekdays || [from.getDay()]).map(fromMonday).sort((a, b) => a - b);
+  const current = fromMonday(from.getDay());
+  const date = new Date(from);
+
+  const later = weekdays.find(day => day > current);
+  if (later !== undefined) {
+    date.setDate(date.getDate() + later - current);
+  } else {
+    date.setDate(date.getDate() - current + 7 * rule.interval + weekdays[0]);
+  }
+  return date;
+}
+
+function nextMonthlyOccurrence(rule, from) {
+  const dayOf = (year, month) => {
+    if (rule.weekOfMonth) {
+      return getNthWeekday(year, month, rule.weekdays[0], rule.weekOfMonth);
+    }
+    const day = rule.monthDay ?? from.getDate();
+    return day === -1 ? getDaysInMonth(year, month) : day;
+  };
+
+  // Later in the same month, otherwise every interval months (skipping
+  // months without e.g. a fifth Monday)
+  for (let months = 0; months <= 12 * rule.interval; months += rule.interval) {
+    const target = new Date(from.getFullYear(), from.getMonth() + months, 1);
+    const day = dayOf(target.getFullYear(), target.getMonth());
+    if (day === null) continue;
+
+    const date = dateInMonth(from, target.getFullYear(), target.getMonth(), day);
+    if (date > from) return date;
+  }
+
+  throw new Error('No monthly occurrence found');
+}
+
+function getDaysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+function getNthWeekday(year, month, weekday, n) {
+  const daysInMonth = getDaysInMonth(year, month);
+
+  if (n === -1) {
+    const lastWeekday = new Date(year, month, daysInMonth).getDay();
+    return daysInMonth - (lastWeekday - weekday + 7) % 7;
+  }
+
+  const firstWeekday = new Date(year, month, 1).getDay();
+  const day = 1 + (weekday - firstWeekday + 7) % 7 + (n - 1) * 7;
+  return day <= daysInMonth ? day : null;
+}
+
+// Same time of day as `time`, clamping the day to the month's length
+function dateInMonth(time, year, month, day) {
+  const date = new Date(time);
+  date.setFullYear(year, month, Math.min(day, getDaysInMonth(year, month)));
+  return date;
+}
+
 // ============================================================================
 // FORMAT UTILITIES
 // ============================================================================
@@ -449,4 +757,7 @@ export default {
   isDueSoon,
   isValidDateString,
   getDateSuggestions,
+  parseRecurrence,
+  normalizeRecurrenceRule,
+  nextOccurrence,
 };
@@ -0,0 +1,97 @@
+/**
+ * Errors thrown by the stores and the helpers they validate with
+ *
+ * Each kind of failure has its own class, with the API error code it is
+ * reported as (see API_DESIGN.md), so callers can tell them apart without
+ * reading messages. Anything else thrown is a bug or an environment problem.
+ */
+
+export class StoreError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {string} code - API error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The record asked for does not exist
+ */
+export class NotFoundError extends StoreError {
+  constructor(message) {
+    super(message, 'NOT_FOUND');
+  }
+}
+
+/**
+ * Invalid input, including references to records that do not exist
+ */
+export class ValidationError extends StoreError {
+  constructor(message) {
+    super(message, 'VALIDATION_ERROR');
+  }
+}
+
+/**
+ * A record with the same ID (or unique value) exists
+ */
+export class ConflictError extends StoreError {
+  constructor(message) {
+    super(message, 'CONFLICT');
+  }
+}
+
+/**
+ * A change would nest a record below itself or make dependencies circular
+ */
+export class CircularReferenceError extends StoreError {
+  constructor(message) {
+    super(message, 'CIRCULAR_REFERENCE');
+  }
+}
+
+/**
+ * A link from a task to itself
+ */
+export class SelfLinkError extends StoreError {
+  constructor(message) {
+    super(message, 'SELF_LINK');
+  }
+}
+
+/**
+ * Look up a record an input refers to: its NotFoundError is the input's
+ * ValidationError
+ *
+ * @param {Function} lookup - Returns the record, or a promise of it (e.g.
+ *   () => store.getById(id))
+ */
+export function checkReference(lookup) {
+  const rethrow = (error) => {
+    if (error instanceof NotFoundError) {
+      throw new ValidationError(error.message);
+    }
+    throw error;
+  };
+
+  try {
+    const result = lookup();
+    return result instanceof Promise ? result.catch(rethrow) : result;
+  } catch (error) {
+    return rethrow(error);
+  }
+}
+
+export default {
+  StoreError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  CircularReferenceError,
+  SelfLinkError,
+  checkReference,
+};
@@ -0,0 +1,510 @@
+/**
+ * Task query language for Dash-Plus Notes
+ *
+ * Compiles queries like
+ *
+ *   status:active AND (tag:backend OR tag:api) AND due<next friday AND -project:archive
+ *
+ * into a predicate over tasks (used by TaskStore.getAll's query filter).
+ *
+ * Terms:
+ *   field:value         equality (field=value works too)
+ *   field<value         comparison (<, <=, >, >=) of dates, priorities and
+ *                       number or date custom fields
+ *   word, "a phrase"    text search in content and description
+ *
+ * Fields:
+ *   status, symbol, type, priority   values of the workspace vocabulary
+ *   tag (tags)                       tasks with the tag
+ *   project                          project name or ID, subprojects included
+ *   assignee                         username, display name or user ID (@ optional)
+ *   due, created, updated, completed dates, in any form parseNaturalDate reads
+ *   text                             text search
+ *   <custom field>                   a task custom field, by name
+ *
+ * "none" matches tasks without a value (project:none, due:none). Dates
+ * compare by calendar day (due:today, due<=friday) and may be several
+ * words: an unquoted date runs until the next operator, parenthesis or
+ * field (due<next friday). Quote it to follow it with a text search.
+ *
+ * Operators: AND (also implied between terms), OR, NOT or a leading -,
+ * and parentheses. AND binds tighter than OR. Keywords are case-insensitive.
+ */
+
+import { parseNaturalDate } from './dateParser.js';
+import { DEFAULT_VOCABULARY, TASK_TYPES } from './vocabulary.js';
+import { CUSTOM_FIELD_PREFIX, getFieldDefinitions } from './customFields.js';
+import { ValidationError } from './errors.js';
+
+const DATE_FIELDS = {
+  due: 'dueDate',
+  created: 'createdAt',
+  updated: 'updatedAt',
+  completed: 'completedAt',
+};
+
+const FIELD_ALIASES = { tags: 'tag' };
+
+export const QUERY_FIELDS = [
+  'status', 'symbol', 'type', 'priority', 'tag', 'project', 'assignee', 'text',
+  ...Object.keys(DATE_FIELDS),
+];
+
+const TERM_PATTERN = /^([A-Za-z][\w.]*)(<=|>=|<|>|:|=)/;
+const KEYWORDS = { and: 'and', or: 'or', not: 'not' };
+const NONE = 'none';
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+/**
+ * Split a query into tokens: ( ) and or not, terms and words
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = input.indexOf('"', i + 1);
+    if (end === -1) {
+      throw new ValidationError('Invalid query: unclosed quote');
+    }
+    const value = input.slice(i + 1, end);
+    i = end + 1;
+    return value;
+  };
+
+  const readBare = () => {
+    const start = i;
+    while (i < input.length && !/[\s()]/.test(input[i])) i++;
+    return input.slice(start, i);
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'open' : 'close' });
+      i++;
+    } else if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ type: 'not' });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'word', value: readQuoted(), quoted: true });
+    } else {
+      const term = input.slice(i).match(TERM_PATTERN);
+      if (term) {
+        i += term[0].length;
+        const quoted = input[i] === '"';
+        const value = quoted ? readQuoted() : readBare();
+        tokens.push({ type: 'term', field: term[1], operator: term[2], value, quoted });
+      } else {
+        const value = readBare();
+        const keyword = KEYWORDS[value.toLowerCase()];
+        tokens.push(keyword ? { type: keyword } : { type: 'word', value, quoted: false });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parse a query into a syntax tree:
+ *
+ *   { type: 'or' | 'and', children }   { type: 'not', child }
+ *   { type: 'term', field, operator, value }   { type: 'text', value }
+ *
+ * An empty query parses to null.
+ *
+ * @param {string} input - Query
+ * @param {object} options - { isDateField(field) } for fields whose
+ *   unquoted values take the following words (the built-in date fields by default)
+ */
+export function parseQuery(input, options = {}) {
+  const isDateField = options.isDateField || (field => field.toLowerCase() in DATE_FIELDS);
+  const tokens = tokenize(input || '');
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+      if (peek().type === 'and') next();
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    if (peek() && peek().type === 'not') {
+      next();
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (!token) {
+      throw new ValidationError('Invalid query: expected a term at the end');
+    }
+
+    if (token.type === 'open') {
+      const node = parseOr();
+      if (!peek() || peek().type !== 'close') {
+        throw new ValidationError('Invalid query: missing )');
+      }
+      next();
+      return node;
+    }
+
+    if (token.type === 'word') {
+      return { type: 'text', value: token.value };
+    }
+
+    if (token.type === 'term') {
+      let { value } = token;
+      if (!token.quoted && isDateField(token.field)) {
+        while (peek() && peek().type === 'word' && !peek().quoted) {
+          value = value ? `${value} ${next().value}` : next().value;
+        }
+      }
+      if (value === '') {
+        throw new ValidationError(`Invalid query: missing value for ${token.field}`);
+      }
+      return { type: 'term', field: token.field, operator: token.operator, value };
+    }
+
+    throw new ValidationError(`Invalid query: unexpected ${token.type === 'close' ? ')' : token.type.toUpperCase()}`);
+  };
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new ValidationError('Invalid query: unexpected )');
+  }
+  return tree;
+}
+
+// ============================================================================
+// COMPILER
+// ============================================================================
+
+/**
+ * Compile a query into a predicate over tasks
+ *
+ * @param {string} input - Query (empty matches every task)
+ * @param {object} context - { vocabulary, projects, users, referenceDate }:
+ *   the workspace vocabulary, every project and user (to resolve names) and
+ *   the date relative dates are read from
+ * @returns {Function} task => boolean
+ */
+export function compileQuery(input, context = {}) {
+  const {
+    vocabulary = DEFAULT_VOCABULARY,
+    projects = [],
+    users = [],
+    referenceDate = new Date(),
+  } = context;
+
+  const customFields = new Map(
+    getFieldDefinitions(vocabulary, 'task').map(field => [field.name, field])
+  );
+
+  const resolveField = name => {
+    const lower = name.toLowerCase();
+    const field = FIELD_ALIASES[lower] || lower;
+    if (QUERY_FIELDS.includes(field)) {
+      return { field };
+    }
+    const custom = customFields.get(field.startsWith(CUSTOM_FIELD_PREFIX.toLowerCase())
+      ? field.slice(CUSTOM_FIELD_PREFIX.length)
+      : field);
+    if (custom) {
+      return { field: 'custom', definition: custom };
+    }
+    throw new ValidationError(`Invalid query: unknown field ${name}`);
+  };
+
+  const isDateField = name => {
+    const { field, definition } = resolveField(name);
+    return field in DATE_FIELDS || (definition && definition.type === 'date');
+  };
+
+  const tree = parseQuery(input, { isDateField });
+  if (!tree) {
+    return () => true;
+  }
+
+  const compile = node => {
+    switch (node.type) {
+      case 'and': {
+        const children = node.children.map(compile);
+        return task => children.every(matches => matches(task));
+      }
+      case 'or': {
+        const children = node.children.map(compile);
+        return task => children.some(matches => matches(task));
+      }
+      case 'not': {
+        const child = compile(node.child);
+        return task => !child(task);
+      }
+      case 'text':
+        return textMatcher(node.value);
+      default:
+        return compileTerm(node, { resolveField, vocabulary, projects, users, referenceDate });
+    }
+  };
+
+  return compile(tree);
+}
+
+function compileTerm(term, { resolveField, vocabulary, projects, users, referenceDate }) {
+  const { field, definition } = resolveField(term.field);
+  const value = term.value;
+  const operator = term.operator === '=' ? ':' : term.operator;
+  const label = term.field.toLowerCase();
+
+  const requireEquality = () => {
+    if (operator !== ':') {
+      throw new ValidationError(`Invalid query: ${label} cannot be compared with ${operator}`);
+    }
+  };
+
+  if (field in DATE_FIELDS) {
+    return dateMatcher(task => task[DATE_FIELDS[field]], operator, value, referenceDate);
+  }
+
+  if (field === 'priority') {
+    return priorityMatcher(vocabulary.priorities, operator, value);
+  }
+
+  if (field === 'custom') {
+    return customFieldMatcher(definition, operator, value, { users, referenceDate, label });
+  }
+
+  requireEquality();
+
+  switch (field) {
+    case 'status':
+      checkValue('status', value, vocabulary.statuses.map(entry => entry.status));
+      return task => task.status === value.toLowerCase();
+    case 'symbol':
+      checkValue('symbol', value, vocabulary.symbols.map(entry => entry.symbol), false);
+      return task => task.symbol === value;
+    case 'type':
+      checkValue('type', value, TASK_TYPES);
+      return task => (task.type || 'task') === value.toLowerCase();
+    case 'tag': {
+      const tag = value.toLowerCase();
+      return task => (task.tags || []).some(t => t.toLowerCase() === tag);
+    }
+    case 'project': {
+      if (value.toLowerCase() === NONE) return task => !task.projectId;
+      const ids = resolveProjects(projects, value);
+      return task => ids.has(task.projectId);
+    }
+    case 'assignee': {
+      if (value.toLowerCase() === NONE) return task => !task.assigneeId;
+      const ids = resolveUsers(users, value);
+      return task => ids.has(task.assigneeId);
+    }
+    default:
+      return textMatcher(value);
+  }
+}
+
+// ============================================================================
+// MATCHERS
+// ============================================================================
+
+function textMatcher(value) {
+  const search = value.toLowerCase();
+  return task =>
+    (task.content || '').toLowerCase().includes(search) ||
+    (task.description || '').toLowerCase().includes(search);
+}
+
+/**
+ * Compare dates by calendar day: due:today is any time today, due<today
+ * before today, due<=today up to the end of today
+ */
+function dateMatcher(getValue, operator, value, referenceDate) {
+  if (value.toLowerCase() === NONE) {
+    if (operator !== ':') {
+      throw new ValidationError(`Invalid query: ${NONE} cannot be compared with ${operator}`);
+    }
+    return task => !getValue(task);
+  }
+
+  const date = parseQueryDate(value, referenceDate);
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+
+  const test = {
+    ':': time => time >= start && time <= end,
+    '<': time => time < start,
+    '<=': time => time <= end,
+    '>': time => time > end,
+    '>=': time => time >= start,
+  }[operator];
+
+  return task => {
+    const raw = getValue(task);
+    if (!raw) return false;
+    const time = new Date(raw);
+    return !isNaN(time.getTime()) && test(time);
+  };
+}
+
+function parseQueryDate(value, referenceDate) {
+  // Date-only values are calendar days here, not UTC midnights
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = iso
+    ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]))
+    : parseNaturalDate(value, referenceDate);
+
+  if (!date || isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid query: cannot parse date "${value}"`);
+  }
+  return date;
+}
+
+function priorityMatcher(priorities, operator, value) {
+  if (value.toLowerCase() === NONE && operator === ':') {
+    return task => !task.priority;
+  }
+
+  checkValue('priority', value, priorities);
+  const rank = priorities.indexOf(value.toLowerCase());
+
+  return task => {
+    const taskRank = priorities.indexOf(task.priority);
+    return taskRank !== -1 && compare(taskRank, operator, rank);
+  };
+}
+
+function customFieldMatcher(definition, operator, value, { users, referenceDate, label }) {
+  const getValue = task => (task.customFields || {})[definition.name];
+
+  if (definition.type === 'date') {
+    return dateMatcher(getValue, operator, value, referenceDate);
+  }
+
+  if (value.toLowerCase() === NONE && operator === ':') {
+    return task => getValue(task) === undefined;
+  }
+
+  if (definition.type === 'number') {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) {
+      throw new ValidationError(`Invalid query: ${label} must be a number, not ${value}`);
+    }
+    return task => typeof getValue(task) === 'number' && compare(getValue(task), operator, number);
+  }
+
+  if (operator !== ':') {
+    throw new ValidationError(`Invalid query: ${label} cannot be compared with ${operator}`);
+  }
+
+  if (definition.type === 'user') {
+    const ids = resolveUsers(users, value);
+    return task => ids.has(getValue(task));
+  }
+
+  const search = value.toLowerCase();
+  return task => typeof getValue(task) === 'string' && getValue(task).toLowerCase() === search;
+}
+
+function compare(a, operator, b) {
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return a === b;
+  }
+}
+
+function checkValue(field, value, allowed, caseInsensitive = true) {
+  const candidate = caseInsensitive ? value.toLowerCase() : value;
+  if (!allowed.includes(candidate)) {
+    throw new ValidationError(`Invalid query: unknown ${field} ${value}`);
+  }
+}
+
+// ============================================================================
+// NAMES
+// ============================================================================
+
+/**
+ * IDs of the projects with this name or ID, and of their subprojects
+ */
+function resolveProjects(projects, value) {
+  const name = value.toLowerCase();
+  const ids = new Set(projects
+    .filter(project => project.id === value || (project.name || '').toLowerCase() === name)
+    .map(project => project.id));
+
+  let added = ids.size > 0;
+  while (added) {
+    added = false;
+    projects.forEach(project => {
+      if (project.parentId && ids.has(project.parentId) && !ids.has(project.id)) {
+        ids.add(project.id);
+        added = true;
+      }
+    });
+  }
+
+  return ids;
+}
+
+/**
+ * IDs of the users with this username, display name or ID
+ */
+function resolveUsers(users, value) {
+  const name = value.replace(/^@/, '').toLowerCase();
+  return new Set(users
+    .filter(user =>
+      user.id === value ||
+      (user.username || '').toLowerCase() === name ||
+      (user.displayName || '').toLowerCase() === name)
+    .map(user => user.id));
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  QUERY_FIELDS,
+  parseQuery,
+  compileQuery,
+};
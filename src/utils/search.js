@@ -0,0 +1,393 @@
+/**
+ * Full-text search for Dash-Plus Notes
+ *
+ * An in-memory inverted index over task, project and link text, ranked with
+ * BM25, plus the highlighted snippets shown with results. The localStorage
+ * and IndexedDB stores search through it; SQLite keeps an FTS5 index with
+ * the same behaviour (see SQLiteSearchStore).
+ *
+ * Text is split into words (letters and digits, accents removed), lowercased
+ * and stemmed, so reports, reported and reporting all find report. Every
+ * word of a search must match, as a word or as the start of one (repo finds
+ * report). Matches in a record's title (task content, project name) rank
+ * above matches in its description.
+ *
+ * The stores keep the index current: each write adds, re-indexes or removes
+ * the one record it changed. sync() compares the index with every record of
+ * a type, so it is only used to build the index on first use and to catch up
+ * with writes made around the stores (a new storage adapter, a restore).
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Searchable fields of each record type, with their ranking weights
+ */
+export const SEARCH_FIELDS = {
+  task: { content: 2, description: 1 },
+  project: { name: 2, description: 1 },
+  link: { label: 1 },
+};
+
+export const SEARCH_TYPES = Object.keys(SEARCH_FIELDS);
+
+// BM25 parameters, and the weight of a prefix match relative to a whole word
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_WEIGHT = 0.5;
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}\p{M}]*/gu;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+// ============================================================================
+// TEXT PROCESSING
+// ============================================================================
+
+/**
+ * Split text into words, with their stems and positions in the text
+ *
+ * @returns {Array} [{ word, term, start, end }]
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return Array.from(String(text).matchAll(WORD_PATTERN), match => {
+    const word = match[0].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    return { word, term: stem(word), start: match.index, end: match.index + match[0].length };
+  });
+}
+
+/**
+ * Reduce an English word to its stem (a light suffix stripper: plurals,
+ * -ed / -ing, -ly / -ness and a final e)
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let result = word;
+
+  if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('ies') || result.endsWith('ied')) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  const verb = result.match(/^(.+?)(ing|ed)$/);
+  if (verb && verb[1].length >= 3 && /[aeiouy]/.test(verb[1])) {
+    result = verb[1];
+    // running → run
+    if (/([^aeiouylsz])\1$/.test(result)) {
+      result = result.slice(0, -1);
+    }
+  }
+
+  const suffix = result.match(/^(.{4,}?)(ly|ness)$/);
+  if (suffix) {
+    result = suffix[1];
+  }
+
+  if (result.length >= 4 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+}
+
+/**
+ * The distinct words of a search
+ */
+function searchWords(query) {
+  const seen = new Set();
+  return tokenize(query).filter(({ word }) => !seen.has(word) && seen.add(word));
+}
+
+/**
+ * How well an indexed term matches a search word: 1 for the same stem,
+ * PREFIX_WEIGHT for a term starting with the word, 0 otherwise
+ */
+function matchWeight(term, { word, term: wordTerm }) {
+  if (term === wordTerm) return 1;
+  if (word.length >= 2 && (term.startsWith(word) || term.startsWith(wordTerm))) return PREFIX_WEIGHT;
+  return 0;
+}
+
+/**
+ * Check a list of record types to search
+ */
+export function checkSearchTypes(types) {
+  types.forEach(type => {
+    if (!SEARCH_TYPES.includes(type)) {
+      throw new ValidationError(`Invalid search type: ${type}`);
+    }
+  });
+  return types;
+}
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+export class SearchIndex {
+  constructor() {
+    // "type:id" → { type, id, text, terms: Map(term → weighted frequency), length }
+    this.documents = new Map();
+    // term → Map("type:id" → weighted frequency)
+    this.postings = new Map();
+    // type → { count, length } for average document lengths
+    this.totals = new Map(SEARCH_TYPES.map(type => [type, { count: 0, length: 0 }]));
+  }
+
+  /**
+   * Bring the index up to date with a type's records: changed and new
+   * records are (re)indexed and, unless prune is false (records is only
+   * some of them), records no longer in the list are removed
+   */
+  sync(type, records, { prune = true } = {}) {
+    const ids = new Set();
+    records.forEach(record => {
+      ids.add(record.id);
+      this.add(type, record);
+    });
+
+    if (prune) {
+      [...this.documents.values()]
+        .filter(document => document.type === type && !ids.has(document.id))
+        .forEach(document => this.remove(type, document.id));
+    }
+  }
+
+  /**
+   * Index a record (a no-op if its text has not changed)
+   */
+  add(type, record) {
+    const fields = SEARCH_FIELDS[type];
+    const key = `${type}:${record.id}`;
+    const text = Object.keys(fields).map(field => record[field] || '').join('\u0000');
+
+    const existing = this.documents.get(key);
+    if (existing && existing.text === text) return;
+    if (existing) this.remove(type, record.id);
+
+    const terms = new Map();
+    let length = 0;
+    Object.entries(fields).forEach(([field, weight]) => {
+      tokenize(record[field]).forEach(({ term }) => {
+        terms.set(term, (terms.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    terms.forEach((frequency, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(key, frequency);
+    });
+
+    this.documents.set(key, { type, id: record.id, text, terms, length });
+    const totals = this.totals.get(type);
+    totals.count++;
+    totals.length += length;
+  }
+
+  /**
+   * Remove a record from the index
+   */
+  remove(type, id) {
+    const key = `${type}:${id}`;
+    const document = this.documents.get(key);
+    if (!document) return;
+
+    document.terms.forEach((frequency, term) => {
+      const postings = this.postings.get(term);
+      postings.delete(key);
+      if (postings.size === 0) this.postings.delete(term);
+    });
+
+    this.documents.delete(key);
+    const totals = this.totals.get(type);
+    totals.count--;
+    totals.length -= document.length;
+  }
+
+  /**
+   * Records matching every word of a search, best first
+   *
+   * @param {string} query - Search text
+   * @param {object} options - { types, limit }
+   * @returns {Array} [{ entityType, entityId, score }]
+   */
+  search(query, { types = SEARCH_TYPES, limit = null } = {}) {
+    const words = searchWords(query);
+    if (words.length === 0) return [];
+
+    let scores = null;
+    for (const word of words) {
+      const wordScores = this.scoreWord(word, types);
+      scores = scores === null
+        ? wordScores
+        : new Map([...scores].filter(([key]) => wordScores.has(key))
+          .map(([key, score]) => [key, score + wordScores.get(key)]));
+      if (scores.size === 0) return [];
+    }
+
+    const results = [...scores]
+      .map(([key, score]) => {
+        const { type, id } = this.documents.get(key);
+        return { entityType: type, entityId: id, score };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * BM25 scores of the records matching one search word
+   */
+  scoreWord(word, types) {
+    const scores = new Map();
+    const total = this.documents.size;
+
+    this.postings.forEach((postings, term) => {
+      const weight = matchWeight(term, word);
+      if (weight === 0) return;
+
+      const idf = Math.log(1 + (total - postings.size + 0.5) / (postings.size + 0.5));
+      postings.forEach((frequency, key) => {
+        const document = this.documents.get(key);
+        if (!types.includes(document.type)) return;
+
+        const { count, length } = this.totals.get(document.type);
+        const relativeLength = document.length / (length / count);
+        const score = weight * idf * (frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + B * relativeLength));
+        scores.set(key, (scores.get(key) || 0) + score);
+      });
+    });
+
+    return scores;
+  }
+}
+
+// ============================================================================
+// HIGHLIGHTING
+// ============================================================================
+
+/**
+ * Positions of the search's words in a text
+ *
+ * @returns {object} { text, matches: [[start, end], ...] }
+ */
+export function highlight(text, query) {
+  const words = searchWords(query);
+  const matches = tokenize(text)
+    .filter(token => words.some(word => matchWeight(token.term, word) > 0))
+    .map(({ start, end }) => [start, end]);
+
+  return { text: text || '', matches };
+}
+
+/**
+ * An excerpt of a text around its first match (… marks cut text), with the
+ * matches' positions in the excerpt; null if the text does not match
+ *
+ * @returns {object|null} { text, matches: [[start, end], ...] }
+ */
+export function snippet(text, query, options = {}) {
+  return excerpt(text, highlight(text, query).matches, options);
+}
+
+/**
+ * An excerpt of a text around the first of some highlighted ranges, as
+ * snippet() (for matches found elsewhere, e.g. by SQLite)
+ *
+ * @param {string} text
+ * @param {Array} matches - [[start, end], ...] in order
+ * @returns {object|null} { text, matches: [[start, end], ...] }
+ */
+export function excerpt(text, matches, { length = SNIPPET_LENGTH } = {}) {
+  if (matches.length === 0) return null;
+
+  if (text.length <= length) {
+    return { text, matches };
+  }
+
+  // Start a little before the first match, at a word boundary
+  let start = Math.max(0, matches[0][0] - SNIPPET_CONTEXT);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < matches[0][0] ? space + 1 : matches[0][0];
+  }
+
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > matches[0][1]) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    matches: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset]),
+  };
+}
+
+/**
+ * The field a record matched in (title first) and its snippet
+ *
+ * @returns {object} { field, snippet } (both null if no field matches)
+ */
+export function describeMatch(type, record, query) {
+  for (const field of Object.keys(SEARCH_FIELDS[type])) {
+    const excerpt = snippet(record[field], query);
+    if (excerpt) {
+      return { field, snippet: excerpt };
+    }
+  }
+  return { field: null, snippet: null };
+}
+
+/**
+ * Search lists of records through an index that is current with them
+ *
+ * @param {SearchIndex} index
+ * @param {object} records - { task: [...], project: [...], link: [...] },
+ *   each type's complete list (to return the matching records)
+ * @param {string} query - Search text
+ * @param {object} options - { limit }
+ * @returns {Array} [{ entityType, entityId, score, field, snippet, record }]
+ */
+export function searchRecords(index, records, query, { limit = null } = {}) {
+  const byKey = new Map();
+  Object.entries(records).forEach(([type, list]) => {
+    list.forEach(record => byKey.set(`${type}:${record.id}`, record));
+  });
+
+  return index.search(query, { types: Object.keys(records), limit }).map(result => {
+    const record = byKey.get(`${result.entityType}:${result.entityId}`);
+    return { ...result, ...describeMatch(result.entityType, record, query), record };
+  });
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  SEARCH_FIELDS,
+  SEARCH_TYPES,
+  tokenize,
+  stem,
+  checkSearchTypes,
+  SearchIndex,
+  highlight,
+  snippet,
+  excerpt,
+  describeMatch,
+  searchRecords,
+};
@@ -0,0 +1,255 @@
+/**
+ * Saved views for Dash-Plus Notes
+ *
+ * A view is a named task list: the filters TaskStore.getAll takes, a sort
+ * and an optional grouping, stored next to tasks and projects so that lists
+ * such as "Waiting on others this week" or "Urgent unassigned" are one
+ * click away:
+ *
+ *   {
+ *     name: 'Waiting on others this week',
+ *     filters: { query: 'status:waiting due<=sunday' },
+ *     sort: { field: 'dueDate', order: 'asc' },
+ *     groupBy: 'assigneeId'
+ *   }
+ *
+ * Filters are evaluated when the view is opened, so relative dates in a
+ * query (today, friday) move with the calendar.
+ */
+
+import { compileQuery } from './query.js';
+import {
+  CUSTOM_FIELD_PREFIX,
+  getFieldDefinition,
+  getFieldValue,
+  parseCustomFieldFilters,
+} from './customFields.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * TaskStore.getAll filters a view can save
+ */
+export const VIEW_FILTER_FIELDS = [
+  'projectId', 'assigneeId', 'status', 'symbol', 'tags', 'search', 'query', 'customFields',
+];
+
+export const VIEW_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'completedAt',
+  'content', 'priority', 'status', 'position'];
+
+/**
+ * Task fields a view can group by (tasks with several tags are in several groups)
+ */
+export const VIEW_GROUP_FIELDS = ['status', 'symbol', 'priority', 'type', 'projectId', 'assigneeId', 'tags'];
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Saved filters for a new or updated view (empty filters left out)
+ */
+export function buildViewFilters(filters) {
+  if (filters === undefined || filters === null) return {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) return filters;
+
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) =>
+    value !== undefined && value !== '' &&
+    !(Array.isArray(value) && value.length === 0) &&
+    !(value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)
+  ));
+}
+
+/**
+ * TaskStore.getAll filters showing a view's tasks
+ */
+export function getViewTaskFilters(view, options = {}) {
+  const filters = { ...view.filters, ...options };
+  if (view.sort) {
+    filters.sort = view.sort.field;
+    filters.order = view.sort.order;
+  }
+  return filters;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a view's fields
+ *
+ * @param {object} view - View record
+ * @param {object} context - { vocabulary, projects, users } (the query is
+ *   compiled against them, so unknown fields and values are caught on save)
+ */
+export function validateViewFields(view, { vocabulary, projects = [], users = [] }) {
+  if (!view.name || typeof view.name !== 'string' || view.name.trim().length === 0) {
+    throw new ValidationError('View name cannot be empty');
+  }
+
+  if (!Number.isInteger(view.position) || view.position < 0) {
+    throw new ValidationError(`Invalid position: ${view.position}`);
+  }
+
+  const { filters } = view;
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new ValidationError('Invalid view filters: expected an object');
+  }
+
+  Object.keys(filters).forEach(field => {
+    if (!VIEW_FILTER_FIELDS.includes(field)) {
+      throw new ValidationError(`Invalid view filter: ${field}`);
+    }
+  });
+
+  if (filters.status && !vocabulary.statuses.some(entry => entry.status === filters.status)) {
+    throw new ValidationError(`Invalid status: ${filters.status}`);
+  }
+
+  if (filters.symbol && !vocabulary.symbols.some(entry => entry.symbol === filters.symbol)) {
+    throw new ValidationError(`Invalid symbol: ${filters.symbol}`);
+  }
+
+  if (filters.tags !== undefined &&
+    (!Array.isArray(filters.tags) || filters.tags.some(tag => typeof tag !== 'string'))) {
+    throw new ValidationError('Invalid view filter tags: expected a list of tags');
+  }
+
+  if (filters.customFields !== undefined) {
+    if (typeof filters.customFields !== 'object' || Array.isArray(filters.customFields)) {
+      throw new ValidationError('Invalid view filter customFields: expected an object');
+    }
+    parseCustomFieldFilters(filters.customFields, 'task', vocabulary);
+  }
+
+  if (filters.query !== undefined) {
+    compileQuery(filters.query, { vocabulary, projects, users });
+  }
+
+  if (view.sort !== null && view.sort !== undefined) {
+    const { field, order } = view.sort;
+    if (typeof field !== 'string' ||
+      (!VIEW_SORT_FIELDS.includes(field) && !field.startsWith(CUSTOM_FIELD_PREFIX))) {
+      throw new ValidationError(`Invalid sort field: ${field}`);
+    }
+    if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+      getFieldDefinition(vocabulary, 'task', field.slice(CUSTOM_FIELD_PREFIX.length));
+    }
+    if (!SORT_ORDERS.includes(order)) {
+      throw new ValidationError(`Invalid sort order: ${order}`);
+    }
+  }
+
+  if (view.groupBy !== null && view.groupBy !== undefined) {
+    if (typeof view.groupBy !== 'string' ||
+      (!VIEW_GROUP_FIELDS.includes(view.groupBy) && !view.groupBy.startsWith(CUSTOM_FIELD_PREFIX))) {
+      throw new ValidationError(`Invalid group field: ${view.groupBy}`);
+    }
+    if (view.groupBy.startsWith(CUSTOM_FIELD_PREFIX)) {
+      getFieldDefinition(vocabulary, 'task', view.groupBy.slice(CUSTOM_FIELD_PREFIX.length));
+    }
+  }
+}
+
+// ============================================================================
+// TASKS
+// ============================================================================
+
+/**
+ * Every task matching some filters, read page by page through a task store
+ */
+export function collectTasks(taskStore, filters) {
+  const tasks = [];
+  let page = 1;
+  let result;
+  do {
+    result = taskStore.getAll({ ...filters, page, pageSize: 200 });
+    tasks.push(...result.data);
+    page++;
+  } while (result.meta.hasNext);
+  return tasks;
+}
+
+/**
+ * Group a view's tasks. Groups come in the order their first task appears
+ * (so they follow the view's sort), with tasks without a value last.
+ *
+ * @param {Array} tasks - Tasks in view order
+ * @param {string} groupBy - Task field (or 'customFields.<name>')
+ * @param {object} context - { projects, users } for group labels
+ * @returns {Array} [{ key, label, count, tasks }] (key null for no value)
+ */
+export function groupTasks(tasks, groupBy, { projects = [], users = [] } = {}) {
+  const groups = new Map();
+  const add = (key, task) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(task);
+  };
+
+  tasks.forEach(task => {
+    const value = getFieldValue(task, groupBy);
+    if (Array.isArray(value)) {
+      if (value.length === 0) add(null, task);
+      value.forEach(item => add(item, task));
+    } else {
+      add(value === undefined || value === '' ? null : value, task);
+    }
+  });
+
+  const label = key => {
+    if (key === null) return 'None';
+    if (groupBy === 'projectId') {
+      const project = projects.find(p => p.id === key);
+      return project ? project.name : key;
+    }
+    if (groupBy === 'assigneeId') {
+      const user = users.find(u => u.id === key);
+      return user ? user.displayName || user.username : key;
+    }
+    return String(key);
+  };
+
+  const keys = [...groups.keys()].filter(key => key !== null);
+  if (groups.has(null)) keys.push(null);
+
+  return keys.map(key => ({
+    key,
+    label: label(key),
+    count: groups.get(key).length,
+    tasks: groups.get(key),
+  }));
+}
+
+/**
+ * Task counts by status (the same statistics as ProjectStore.getStats)
+ */
+export function summarizeTasks(tasks) {
+  const totalTasks = tasks.length;
+  const completedTasks = tasks.filter(t => t.status === 'completed').length;
+
+  return {
+    totalTasks,
+    completedTasks,
+    activeTasks: tasks.filter(t => t.status === 'active').length,
+    waitingTasks: tasks.filter(t => t.status === 'waiting').length,
+    completionRate: totalTasks > 0 ? completedTasks / totalTasks : 0,
+  };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  VIEW_FILTER_FIELDS,
+  VIEW_SORT_FIELDS,
+  VIEW_GROUP_FIELDS,
+  buildViewFilters,
+  getViewTaskFilters,
+  validateViewFields,
+  collectTasks,
+  groupTasks,
+  summarizeTasks,
+};
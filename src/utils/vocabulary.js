@@ -0,0 +1,348 @@
+/**
+ * Workspace vocabulary for Dash-Plus Notes
+ *
+ * The symbols, statuses, priorities, link types and project statuses a
+ * workspace uses, in one schema:
+ *
+ *   symbols         [{ symbol, name, description, type, status, linkType }]
+ *                   type and status are what a task written with the symbol
+ *                   starts as; linkType is the link the symbol implies
+ *                   (→ implies delegated), e.g. for untyped journal links
+ *   cycle           symbols in status cycling order (then completed)
+ *   statuses        [{ status, color }] task statuses
+ *   priorities      lowest first
+ *   linkTypes       [{ linkType, description, directional, dot, mermaid }]
+ *                   dot / mermaid are the edge styles used by GraphUtils
+ *   projectStatuses project statuses
+ *   fields          [{ name, label, type, entities, options }] custom fields
+ *                   (see utils/customFields.js); type is one of FIELD_TYPES,
+ *                   entities which records have the field, options the
+ *                   values of an enum field
+ *
+ * The defaults are the vocabulary of DATA_MODEL.md. Statuses and link types
+ * the stores rely on (completing, cancelling, recurring, journal links)
+ * cannot be removed.
+ */
+
+import { ValidationError } from './errors.js';
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+export const TASK_TYPES = ['task', 'note'];
+
+export const FIELD_TYPES = ['text', 'number', 'date', 'enum', 'user'];
+export const FIELD_ENTITIES = ['task', 'project'];
+
+export const DEFAULT_VOCABULARY = {
+  symbols: [
+    { symbol: '-', name: 'Task', description: 'Standard to-do item', type: 'task', status: 'active', linkType: null },
+    { symbol: '+', name: 'Note', description: 'Information, reference', type: 'note', status: 'active', linkType: 'references' },
+    { symbol: '→', name: 'Delegated', description: 'Assigned to someone else', type: 'task', status: 'waiting', linkType: 'delegated' },
+    { symbol: '←', name: 'Waiting', description: 'Blocked by external factor', type: 'task', status: 'waiting', linkType: 'waiting' },
+    { symbol: '△', name: 'Priority', description: 'High-importance task', type: 'task', status: 'active', linkType: null },
+    { symbol: '○', name: 'Someday', description: 'Low-priority, future task', type: 'task', status: 'active', linkType: null },
+  ],
+  cycle: ['-', '←', '→', '+'],
+  statuses: [
+    { status: 'active', color: 'lightblue' },
+    { status: 'completed', color: 'lightgreen' },
+    { status: 'cancelled', color: 'lightgray' },
+    { status: 'waiting', color: 'lightyellow' },
+  ],
+  priorities: ['low', 'medium', 'high', 'urgent'],
+  linkTypes: [
+    { linkType: 'waiting', description: 'Source waits for target', directional: true, dot: 'style=dashed, color=orange', mermaid: '-.->' },
+    { linkType: 'delegated', description: 'Source delegated to target', directional: true, dot: 'style=dotted, color=blue', mermaid: '-->' },
+    { linkType: 'references', description: 'Source references target', directional: false, dot: 'style=solid, color=gray', mermaid: '-->' },
+    { linkType: 'moved', description: 'Source moved to target', directional: true, dot: 'style=solid, color=purple', mermaid: '==>' },
+    { linkType: 'blocks', description: 'Source blocks target', directional: true, dot: 'style=bold, color=red', mermaid: '==>' },
+    { linkType: 'related', description: 'Generic relationship', directional: false, dot: 'style=solid, color=black', mermaid: '---' },
+  ],
+  projectStatuses: ['active', 'archived', 'completed'],
+  fields: [],
+};
+
+// Used by the stores themselves, so every vocabulary keeps them
+export const REQUIRED_VOCABULARY = {
+  statuses: ['active', 'completed', 'cancelled'],
+  linkTypes: ['moved', 'references'],
+  projectStatuses: ['active'],
+};
+
+const MERMAID_ARROWS = ['-->', '---', '-.->', '==>', '--o', '--x'];
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Validate a vocabulary and fill in optional fields.
+ * Sections left out are taken from the defaults.
+ *
+ * @param {object} input - Vocabulary (or some of its sections)
+ * @returns {object} Normalized vocabulary
+ */
+export function normalizeVocabulary(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('Invalid vocabulary: expected an object');
+  }
+
+  const unknown = Object.keys(input).filter(key => !(key in DEFAULT_VOCABULARY));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Invalid vocabulary: unknown section ${unknown[0]}`);
+  }
+
+  const section = (key, { allowEmpty = false } = {}) => {
+    const value = input[key] === undefined ? DEFAULT_VOCABULARY[key] : input[key];
+    if (!Array.isArray(value)) {
+      throw new ValidationError(`Invalid vocabulary: ${key} must be ${allowEmpty ? 'an' : 'a non-empty'} array`);
+    }
+    if (!allowEmpty && value.length === 0) {
+      throw new ValidationError(`Invalid vocabulary: ${key} must be a non-empty array`);
+    }
+    return value;
+  };
+
+  const statuses = section('statuses').map(entry => {
+    const status = typeof entry === 'string' ? { status: entry } : { ...entry };
+    return { status: name(status.status, 'status'), color: optionalText(status.color, 'color') };
+  });
+
+  const priorities = section('priorities').map(priority => name(priority, 'priority'));
+  const projectStatuses = section('projectStatuses').map(status => name(status, 'project status'));
+
+  const linkTypes = section('linkTypes').map(entry => {
+    const linkType = typeof entry === 'string' ? { linkType: entry } : { ...entry };
+    const mermaid = linkType.mermaid ?? '-->';
+    if (!MERMAID_ARROWS.includes(mermaid)) {
+      throw new ValidationError(`Invalid vocabulary: mermaid arrow ${mermaid}`);
+    }
+    return {
+      linkType: name(linkType.linkType, 'link type'),
+      description: optionalText(linkType.description, 'description'),
+      directional: linkType.directional ?? true,
+      dot: optionalText(linkType.dot, 'dot style'),
+      mermaid,
+    };
+  });
+
+  const statusNames = statuses.map(entry => entry.status);
+  const linkTypeNames = linkTypes.map(entry => entry.linkType);
+
+  const symbols = section('symbols').map(entry => {
+    const symbol = typeof entry === 'string' ? { symbol: entry } : { ...entry };
+    if (typeof symbol.symbol !== 'string' || !/^\S{1,3}$/.test(symbol.symbol) || /^[#@!\\]/.test(symbol.symbol)) {
+      throw new ValidationError(`Invalid vocabulary: symbol ${symbol.symbol}`);
+    }
+
+    const type = symbol.type ?? 'task';
+    if (!TASK_TYPES.includes(type)) {
+      throw new ValidationError(`Invalid vocabulary: symbol ${symbol.symbol} has type ${type}`);
+    }
+
+    const status = symbol.status ?? 'active';
+    if (!statusNames.includes(status)) {
+      throw new ValidationError(`Invalid vocabulary: symbol ${symbol.symbol} has unknown status ${status}`);
+    }
+
+    const linkType = symbol.linkType ?? null;
+    if (linkType !== null && !linkTypeNames.includes(linkType)) {
+      throw new ValidationError(`Invalid vocabulary: symbol ${symbol.symbol} implies unknown link type ${linkType}`);
+    }
+
+    return {
+      symbol: symbol.symbol,
+      name: optionalText(symbol.name, 'name') || symbol.symbol,
+      description: optionalText(symbol.description, 'description'),
+      type,
+      status,
+      linkType,
+    };
+  });
+
+  const symbolNames = symbols.map(entry => entry.symbol);
+  const cycle = section('cycle');
+  cycle.forEach(symbol => {
+    if (!symbolNames.includes(symbol)) {
+      throw new ValidationError(`Invalid vocabulary: cycle has unknown symbol ${symbol}`);
+    }
+  });
+
+  const fields = section('fields', { allowEmpty: true }).map(entry => {
+    const field = typeof entry === 'string' ? { name: entry } : { ...entry };
+    const fieldName = name(field.name, 'field');
+
+    const type = field.type ?? 'text';
+    if (!FIELD_TYPES.includes(type)) {
+      throw new ValidationError(`Invalid vocabulary: field ${fieldName} has type ${type}`);
+    }
+
+    const entities = field.entities ?? ['task'];
+    if (!Array.isArray(entities) || entities.length === 0 || entities.some(e => !FIELD_ENTITIES.includes(e))) {
+      throw new ValidationError(`Invalid vocabulary: field ${fieldName} must be on tasks and/or projects`);
+    }
+
+    let options = null;
+    if (type === 'enum') {
+      if (!Array.isArray(field.options) || field.options.length === 0 ||
+          field.options.some(option => typeof option !== 'string' || !option.trim())) {
+        throw new ValidationError(`Invalid vocabulary: enum field ${fieldName} must have options`);
+      }
+      options = field.options.map(option => option.trim());
+      unique(options, `option of field ${fieldName}:`);
+    }
+
+    return {
+      name: fieldName,
+      label: optionalText(field.label, 'label') || fieldName,
+      type,
+      entities: [...new Set(entities)],
+      options,
+    };
+  });
+
+  const vocabulary = { symbols, cycle: [...cycle], statuses, priorities, linkTypes, projectStatuses, fields };
+
+  unique(symbolNames, 'symbol');
+  unique(cycle, 'cycle symbol');
+  unique(statusNames, 'status');
+  unique(priorities, 'priority');
+  unique(linkTypeNames, 'link type');
+  unique(projectStatuses, 'project status');
+  unique(fields.map(field => field.name), 'field');
+
+  Object.entries(REQUIRED_VOCABULARY).forEach(([key, required]) => {
+    const values = vocabularyValues(vocabulary)[key];
+    required.forEach(value => {
+      if (!values.includes(value)) {
+        throw new ValidationError(`Invalid vocabulary: ${key} must include ${value}`);
+      }
+    });
+  });
+
+  return vocabulary;
+}
+
+/**
+ * The plain values of each vocabulary section
+ *
+ * @returns {object} { symbols, statuses, priorities, linkTypes, projectStatuses, fields }
+ */
+export function vocabularyValues(vocabulary) {
+  return {
+    symbols: vocabulary.symbols.map(entry => entry.symbol),
+    statuses: vocabulary.statuses.map(entry => entry.status),
+    priorities: vocabulary.priorities,
+    linkTypes: vocabulary.linkTypes.map(entry => entry.linkType),
+    projectStatuses: vocabulary.projectStatuses,
+    fields: vocabulary.fields.map(entry => entry.name),
+  };
+}
+
+/**
+ * Check that a new vocabulary keeps every value still in use
+ *
+ * @param {object} vocabulary - Normalized vocabulary
+ * @param {object} usage - Per section, a map of value -> number of records using it
+ *   ({ symbols: { '→': 3 }, statuses: {...}, ... })
+ */
+export function checkVocabularyUsage(vocabulary, usage) {
+  const values = vocabularyValues(vocabulary);
+  const labels = {
+    symbols: ['symbol', 'task'],
+    statuses: ['status', 'task'],
+    priorities: ['priority', 'task'],
+    linkTypes: ['link type', 'link'],
+    projectStatuses: ['project status', 'project'],
+    fields: ['field', 'record'],
+  };
+
+  Object.entries(usage).forEach(([key, counts]) => {
+    Object.entries(counts).forEach(([value, count]) => {
+      if (count > 0 && !values[key].includes(value)) {
+        const [label, record] = labels[key];
+        throw new ValidationError(`Invalid vocabulary: ${label} ${value} is still used by ${count} ${record}${count === 1 ? '' : 's'}`);
+      }
+    });
+  });
+}
+
+// Names are single words, so they can be written in dash-plus and journal notation
+function name(value, label) {
+  if (typeof value !== 'string' || !/^[a-z]\w*$/i.test(value)) {
+    throw new ValidationError(`Invalid vocabulary: ${label} ${value}`);
+  }
+  return value.toLowerCase();
+}
+
+function optionalText(value, label) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') {
+    throw new ValidationError(`Invalid vocabulary: ${label} must be a string`);
+  }
+  return value.trim() || null;
+}
+
+function unique(values, label) {
+  const seen = new Set();
+  values.forEach(value => {
+    if (seen.has(value)) {
+      throw new ValidationError(`Invalid vocabulary: duplicate ${label} ${value}`);
+    }
+    seen.add(value);
+  });
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * A symbol's definition, or undefined if the vocabulary does not have it
+ */
+export function getSymbol(vocabulary, symbol) {
+  return vocabulary.symbols.find(entry => entry.symbol === symbol);
+}
+
+/**
+ * The link type a symbol implies (null if none)
+ */
+export function getImpliedLinkType(vocabulary, symbol) {
+  const entry = getSymbol(vocabulary, symbol);
+  return entry ? entry.linkType : null;
+}
+
+/**
+ * The symbol after a task's in the status cycle, or null when the cycle
+ * ends (the task is completed next). Tasks whose symbol is not in the cycle,
+ * and completed tasks, start again at the first symbol.
+ */
+export function nextCycleSymbol(vocabulary, task) {
+  if (task.status === 'completed' || task.status === 'cancelled') {
+    return vocabulary.cycle[0];
+  }
+
+  const index = vocabulary.cycle.indexOf(task.symbol);
+  if (index === -1) return vocabulary.cycle[0];
+  return index + 1 < vocabulary.cycle.length ? vocabulary.cycle[index + 1] : null;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default {
+  TASK_TYPES,
+  FIELD_TYPES,
+  FIELD_ENTITIES,
+  DEFAULT_VOCABULARY,
+  REQUIRED_VOCABULARY,
+  normalizeVocabulary,
+  vocabularyValues,
+  checkVocabularyUsage,
+  getSymbol,
+  getImpliedLinkType,
+  nextCycleSymbol,
+};
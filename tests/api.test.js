@@ -0,0 +1,699 @@
+/**
+ * Tests for the /v1 REST API
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import { createApiRouter } from '../src/api/index.js';
+import { hashPassword, verifyPassword, signToken, verifyToken } from '../src/api/auth.js';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  AuditLogger,
+  UserManager,
+  UserStore,
+  VocabularyStore,
+  SearchStore,
+  ViewStore,
+  DailyLogStore,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { configureGraphStores } from '../src/storage/graphQueries.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+
+const SECRET = 'test-secret';
+
+let server;
+let baseUrl;
+let token;
+let currentUser;
+
+async function startServer(stores) {
+  const app = express();
+  app.use('/v1', createApiRouter(stores, { secret: SECRET }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  token = null;
+  const registered = await request('POST', '/auth/register', {
+    username: 'alice',
+    email: 'alice@example.com',
+    displayName: 'Alice',
+    password: 'correct horse',
+  });
+  token = registered.body.data.token;
+  currentUser = registered.body.data.user;
+}
+
+async function request(method, path, body, authToken = token) {
+  const headers = {};
+  if (body) headers['Content-Type'] = 'application/json';
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+describe('Passwords and tokens', () => {
+  it('should hash and verify passwords', () => {
+    const hash = hashPassword('correct horse');
+
+    expect(hash).toMatch(/^scrypt\$/);
+    expect(verifyPassword('correct horse', hash)).toBe(true);
+    expect(verifyPassword('wrong horse', hash)).toBe(false);
+    expect(() => hashPassword('short')).toThrow('Password must be at least 8 characters');
+  });
+
+  it('should sign and verify tokens', () => {
+    const signed = signToken({ id: 'user-1', username: 'alice' }, SECRET);
+    const claims = verifyToken(signed, SECRET);
+
+    expect(claims).toEqual(expect.objectContaining({ userId: 'user-1', username: 'alice' }));
+    expect(claims.exp - claims.iat).toBe(7 * 24 * 60 * 60);
+    expect(() => verifyToken(signed, 'other-secret')).toThrow('Invalid token');
+    expect(() => verifyToken(`${signed}x`, SECRET)).toThrow('Invalid token');
+
+    const expired = signToken({ id: 'user-1', username: 'alice' }, SECRET, { expiresIn: -1 });
+    expect(() => verifyToken(expired, SECRET)).toThrow('Token expired');
+  });
+});
+
+afterEach(async () => {
+  if (!server) return;
+  await new Promise(resolve => server.close(resolve));
+  server = null;
+});
+
+describe('REST API (localStorage stores)', () => {
+  beforeEach(async () => {
+    configureStorage(new MemoryAdapter());
+    configureGraphStores();
+    await startServer({
+      tasks: TaskStore,
+      projects: ProjectStore,
+      links: LinkStore,
+      audit: AuditLogger,
+      users: UserStore,
+      session: UserManager,
+      vocabulary: VocabularyStore,
+      search: SearchStore,
+      views: ViewStore,
+      dailyLog: DailyLogStore,
+    });
+  });
+
+  afterEach(() => {
+    UserManager.setCurrentUserResolver(null);
+  });
+
+  it('should require a valid bearer token', async () => {
+    const missing = await request('GET', '/tasks', undefined, null);
+    expect(missing.status).toBe(401);
+    expect(missing.body.error.code).toBe('UNAUTHORIZED');
+
+    const invalid = await request('GET', '/tasks', undefined, 'not-a-token');
+    expect(invalid.status).toBe(401);
+  });
+
+  it('should register and log in users', async () => {
+    expect(currentUser.passwordHash).toBeUndefined();
+
+    const duplicate = await request('POST', '/auth/register', {
+      username: 'Alice',
+      email: 'other@example.com',
+      password: 'correct horse',
+    });
+    expect(duplicate.status).toBe(409);
+
+    const wrongPassword = await request('POST', '/auth/login', {
+      username: 'alice',
+      password: 'wrong horse',
+    });
+    expect(wrongPassword.status).toBe(401);
+
+    const login = await request('POST', '/auth/login', {
+      username: 'alice@example.com',
+      password: 'correct horse',
+    }, null);
+    expect(login.body.data.user.lastLoginAt).not.toBeNull();
+
+    const me = await request('GET', '/users/me', undefined, login.body.data.token);
+    expect(me.body.data.username).toBe('alice');
+  });
+
+  it('should record the authenticated user and validate assignees', async () => {
+    const bob = (await request('POST', '/auth/register', {
+      username: 'bob',
+      email: 'bob@example.com',
+      password: 'hunter2hunter2',
+    })).body.data;
+
+    const task = await request('POST', '/tasks', { content: 'Review', assigneeId: bob.user.id });
+    expect(task.body.data.createdBy).toBe(currentUser.id);
+
+    const updated = await request('PATCH', `/tasks/${task.body.data.id}`, { status: 'completed' },
+      bob.token);
+    expect(updated.body.data.updatedBy).toBe(bob.user.id);
+
+    const stored = await request('GET', `/tasks/${task.body.data.id}`);
+    expect(stored.body.data.updatedBy).toBe(bob.user.id);
+
+    const project = await request('POST', '/projects', { name: 'Reviews' });
+    await request('PATCH', `/projects/${project.body.data.id}`, { description: 'Weekly' }, bob.token);
+    const storedProject = await request('GET', `/projects/${project.body.data.id}`);
+    expect(storedProject.body.data.updatedBy).toBe(bob.user.id);
+
+    const history = await request('GET', `/audit/task/${task.body.data.id}`);
+    expect(history.body.data.map(h => h.userId)).toEqual([currentUser.id, bob.user.id]);
+
+    const invalid = await request('POST', '/tasks', { content: 'Nobody', assigneeId: 'missing' });
+    expect(invalid.status).toBe(400);
+
+    const withAssignee = await request('GET', `/tasks/${task.body.data.id}?include=assignee`);
+    expect(withAssignee.body.data.assignee.username).toBe('bob');
+
+    const users = await request('GET', '/users?search=bo');
+    expect(users.body.data.map(u => u.username)).toEqual(['bob']);
+  });
+
+  it('should ignore server-owned fields in updates', async () => {
+    const task = (await request('POST', '/tasks', { content: 'Review' })).body.data;
+    const forged = {
+      content: 'Reviewed',
+      createdBy: 'someone-else',
+      createdAt: '2020-01-01T00:00:00.000Z',
+      updatedBy: 'someone-else',
+      updatedAt: '2020-01-01T00:00:00.000Z',
+    };
+
+    const updated = await request('PATCH', `/tasks/${task.id}`, forged);
+    expect(updated.body.data.content).toBe('Reviewed');
+
+    const stored = (await request('GET', `/tasks/${task.id}`)).body.data;
+    expect(stored.createdBy).toBe(currentUser.id);
+    expect(stored.createdAt).toBe(task.createdAt);
+    expect(stored.updatedBy).toBe(currentUser.id);
+    expect(stored.updatedAt).not.toBe(forged.updatedAt);
+
+    await request('POST', '/tasks/bulk', { action: 'update', ids: [task.id], data: { createdBy: 'someone-else' } });
+    expect((await request('GET', `/tasks/${task.id}`)).body.data.createdBy).toBe(currentUser.id);
+
+    const project = (await request('POST', '/projects', { name: 'Reviews' })).body.data;
+    await request('PATCH', `/projects/${project.id}`, { description: 'Weekly', createdBy: 'someone-else' });
+    expect((await request('GET', `/projects/${project.id}`)).body.data.createdBy).toBe(currentUser.id);
+
+    const onlyServerFields = await request('PATCH', `/tasks/${task.id}`, { createdBy: 'someone-else' });
+    expect(onlyServerFields.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should create, get, update and delete tasks', async () => {
+    const created = await request('POST', '/tasks', { content: 'Write API', tags: ['api'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.content).toBe('Write API');
+    expect(created.body.meta.requestId).toMatch(/^req_/);
+
+    const id = created.body.data.id;
+    const updated = await request('PATCH', `/tasks/${id}`, { status: 'completed' });
+    expect(updated.body.data.status).toBe('completed');
+
+    const fetched = await request('GET', `/tasks/${id}`);
+    expect(fetched.body.data.status).toBe('completed');
+
+    expect((await request('DELETE', `/tasks/${id}`)).status).toBe(204);
+    expect((await request('GET', `/tasks/${id}`)).status).toBe(404);
+  });
+
+  it('should regenerate recurring tasks when completed', async () => {
+    const task = (await request('POST', '/tasks', {
+      content: 'Water plants',
+      dueDate: '2025-01-15T09:00:00.000Z',
+      recurrence: 'every 3 days',
+    })).body.data;
+    expect(task.recurrence.interval).toBe(3);
+
+    const completed = await request('PATCH', `/tasks/${task.id}`, { status: 'completed' });
+    expect(completed.body.data.completedAt).not.toBeNull();
+
+    const forward = await request('GET', `/tasks/${task.id}/forwardlinks`);
+    expect(forward.body.data.forwardLinks.map(f => f.task.dueDate)).toEqual([
+      '2025-01-18T09:00:00.000Z',
+    ]);
+
+    const invalid = await request('POST', '/tasks', { content: 'Task', recurrence: 'whenever' });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should nest subtasks with progress and cascades', async () => {
+    const parent = (await request('POST', '/tasks', { content: 'Launch' })).body.data;
+    const child = (await request('POST', '/tasks', { content: 'Build', parentTaskId: parent.id })).body.data;
+    await request('POST', '/tasks', { content: 'Test', parentTaskId: parent.id });
+
+    const fetched = await request('GET', `/tasks/${parent.id}?include=subtasks,progress`);
+    expect(fetched.body.data.subtasks.map(t => t.id)).toContain(child.id);
+    expect(fetched.body.data.progress.totalSubtasks).toBe(2);
+
+    const circular = await request('PATCH', `/tasks/${parent.id}`, { parentTaskId: child.id });
+    expect(circular.status).toBe(409);
+
+    await request('PATCH', `/tasks/${parent.id}?completeSubtasks=true`, { status: 'completed' });
+    const subtasks = await request('GET', `/tasks?parentTaskId=${parent.id}`);
+    expect(subtasks.body.data.every(t => t.status === 'completed')).toBe(true);
+
+    expect((await request('DELETE', `/tasks/${parent.id}?deleteSubtasks=true`)).status).toBe(204);
+    expect((await request('GET', `/tasks/${child.id}`)).status).toBe(404);
+  });
+
+  it('should import and export Markdown journals', async () => {
+    const markdown = '# Launch\n- Build @alice\n- Ship blocks:[[Build]]\n';
+
+    const dryRun = await request('POST', '/journal/import?dryRun=true', { markdown });
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body.data.summary).toEqual(expect.objectContaining({ projects: 1, tasks: 2, links: 1 }));
+    expect((await request('GET', '/tasks')).body.data).toEqual([]);
+
+    const imported = await request('POST', '/journal/import', { markdown });
+    expect(imported.status).toBe(201);
+    expect(imported.body.data.errors).toEqual([]);
+
+    const response = await fetch(`${baseUrl}/journal`, { headers: { Authorization: `Bearer ${token}` } });
+    expect(response.headers.get('content-type')).toContain('text/markdown');
+    expect(await response.text()).toBe('# Launch\n\n- Build @alice ^t1\n- Ship blocks:[[#^t1|Build]]\n');
+
+    expect((await request('POST', '/journal/import', {})).status).toBe(400);
+
+    const failed = await request('POST', '/journal/import', { markdown: '- Later status:someday\n' });
+    expect(failed.status).toBe(400);
+    expect(failed.body.error.details.errors).toEqual([{ line: 1, message: 'Invalid status: someday' }]);
+  });
+
+  it('should read, change and reset the workspace vocabulary', async () => {
+    const vocabulary = (await request('GET', '/vocabulary')).body.data;
+    expect(vocabulary.cycle).toEqual(['-', '←', '→', '+']);
+
+    const symbols = [...vocabulary.symbols, { symbol: '★', name: 'Star' }];
+    const updated = await request('PATCH', '/vocabulary', { symbols });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.symbols.at(-1)).toEqual(expect.objectContaining({ symbol: '★', type: 'task', status: 'active' }));
+
+    expect((await request('POST', '/tasks', { content: 'Starred', symbol: '★' })).status).toBe(201);
+
+    const removed = await request('PATCH', '/vocabulary', { symbols: vocabulary.symbols });
+    expect(removed.status).toBe(400);
+    expect(removed.body.error.message).toBe('Invalid vocabulary: symbol ★ is still used by 1 task');
+
+    expect((await request('PATCH', '/vocabulary', { colours: [] })).status).toBe(400);
+    expect((await request('POST', '/vocabulary/reset')).status).toBe(400);
+  });
+
+  it('should filter and sort tasks by custom fields', async () => {
+    await request('PATCH', '/vocabulary', { fields: [{ name: 'estimate', type: 'number' }, 'customer'] });
+    await request('POST', '/tasks', { content: 'Small', customFields: { estimate: 1, customer: 'Acme' } });
+    const large = (await request('POST', '/tasks', { content: 'Large', customFields: { estimate: 8 } })).body.data;
+
+    const updated = await request('PATCH', `/tasks/${large.id}`, { customFields: { customer: 'Acme' } });
+    expect(updated.body.data.customFields).toEqual({ estimate: 8, customer: 'Acme' });
+
+    const list = await request('GET', '/tasks?customFields.customer=Acme&sort=customFields.estimate&order=asc');
+    expect(list.body.data.map(t => t.content)).toEqual(['Small', 'Large']);
+    expect((await request('GET', '/tasks?customFields.estimate=many')).status).toBe(400);
+  });
+
+  it('should filter tasks with a query', async () => {
+    await request('POST', '/tasks', { content: 'Backend', tags: ['backend'], priority: 'high' });
+    await request('POST', '/tasks', { content: 'API docs', tags: ['api'], priority: 'low' });
+    await request('POST', '/tasks', { content: 'Design', tags: ['design'], priority: 'urgent' });
+
+    const query = encodeURIComponent('(tag:backend OR tag:api) AND -priority:low');
+    const list = await request('GET', `/tasks?query=${query}`);
+    expect(list.body.data.map(t => t.content)).toEqual(['Backend']);
+
+    const invalid = await request('GET', `/tasks?query=${encodeURIComponent('colour:red')}`);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.message).toBe('Invalid query: unknown field colour');
+  });
+
+  it('should search tasks, projects and link labels', async () => {
+    const project = (await request('POST', '/projects', { name: 'Quarterly reports' })).body.data;
+    const a = (await request('POST', '/tasks', { content: 'Draft the report', projectId: project.id })).body.data;
+    const b = (await request('POST', '/tasks', { content: 'Lunch' })).body.data;
+    await request('POST', '/links', { sourceId: a.id, targetId: b.id, linkType: 'related', label: 'reported at lunch' });
+
+    const results = (await request('GET', '/search?q=reporting')).body.data;
+    expect(results.map(result => result.entityType).sort()).toEqual(['link', 'project', 'task']);
+    expect(results.find(result => result.entityType === 'task').snippet)
+      .toEqual({ text: 'Draft the report', matches: [[10, 16]] });
+
+    const tasks = (await request('GET', '/search?q=lunch&types=task')).body.data;
+    expect(tasks.map(result => result.entityId)).toEqual([b.id]);
+
+    expect((await request('GET', '/search')).status).toBe(400);
+    expect((await request('GET', '/search?q=x&types=note')).body.error.message).toBe('Invalid search type: note');
+  });
+
+  it('should save views and serve their tasks, groups and counts', async () => {
+    await request('POST', '/tasks', { content: 'Fire', priority: 'urgent' });
+    await request('POST', '/tasks', { content: 'Flood', priority: 'urgent', tags: ['ops'] });
+    await request('POST', '/tasks', { content: 'Lunch', priority: 'low' });
+
+    const created = await request('POST', '/views', {
+      name: 'Urgent unassigned',
+      filters: { query: 'priority:urgent assignee:none' },
+      sort: { field: 'content', order: 'asc' },
+      groupBy: 'tags',
+    });
+    expect(created.status).toBe(201);
+    const view = created.body.data;
+
+    const tasks = await request('GET', `/views/${view.id}/tasks?pageSize=1`);
+    expect(tasks.body.data.map(t => t.content)).toEqual(['Fire']);
+    expect(tasks.body.meta.pagination.totalItems).toBe(2);
+
+    const groups = (await request('GET', `/views/${view.id}/groups`)).body.data;
+    expect(groups.map(group => [group.key, group.count])).toEqual([['ops', 1], [null, 1]]);
+
+    const list = (await request('GET', '/views?includeTaskStats=true')).body.data;
+    expect(list[0].stats.totalTasks).toBe(2);
+
+    expect((await request('PATCH', `/views/${view.id}`, { filters: { query: 'colour:red' } })).status).toBe(400);
+    expect((await request('POST', '/views', { name: 'urgent Unassigned' })).status).toBe(409);
+    expect((await request('DELETE', `/views/${view.id}`)).status).toBe(204);
+    expect((await request('GET', `/views/${view.id}/stats`)).status).toBe(404);
+  });
+
+  it('should serve daily log pages and migrate open tasks', async () => {
+    const old = (await request('POST', '/tasks', { content: 'Call the bank', logDate: '2025-03-03' })).body.data;
+
+    const pending = await request('GET', '/daily-log/pending');
+    expect(pending.body.data.map(task => task.id)).toEqual([old.id]);
+
+    const migrated = await request('POST', '/daily-log/migrations', { taskId: old.id, action: 'carry' });
+    expect(migrated.status).toBe(200);
+    expect(migrated.body.data.link.linkType).toBe('moved');
+
+    const today = (await request('GET', '/daily-log/today')).body.data;
+    expect(today.entries.map(entry => entry.movedFrom.taskId)).toEqual([old.id]);
+    expect((await request('GET', '/daily-log/2025-03-03')).body.data.readOnly).toBe(true);
+    expect((await request('GET', '/daily-log')).body.data.map(day => day.count)).toEqual([1, 1]);
+
+    expect((await request('GET', '/daily-log/monday')).status).toBe(400);
+    expect((await request('POST', '/daily-log/migrations', { taskId: old.id, action: 'carry' })).status).toBe(400);
+    expect((await request('POST', '/daily-log/migrations', { taskId: 'missing', action: 'cancel' })).status).toBe(404);
+    expect((await request('POST', '/daily-log/migrations', { migrations: [] })).status).toBe(400);
+  });
+
+  it('should list tasks with filters and pagination', async () => {
+    await request('POST', '/tasks', { content: 'Backend', tags: ['backend'] });
+    await request('POST', '/tasks', { content: 'Docs', tags: ['docs'] });
+    await request('POST', '/tasks', { content: 'Auth', tags: ['auth'] });
+
+    const filtered = await request('GET', '/tasks?tags=docs,auth&sort=content&order=asc');
+    expect(filtered.body.data.map(t => t.content)).toEqual(['Auth', 'Docs']);
+
+    const page = await request('GET', '/tasks?page=2&pageSize=2');
+    expect(page.body.data.length).toBe(1);
+    expect(page.body.meta.pagination).toEqual(expect.objectContaining({
+      page: 2,
+      totalItems: 3,
+      hasPrevious: true,
+    }));
+
+    const invalid = await request('GET', '/tasks?page=0');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should return validation errors in the error envelope', async () => {
+    const response = await request('POST', '/tasks', { content: '' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toEqual({
+      code: 'VALIDATION_ERROR',
+      message: 'Task content cannot be empty',
+    });
+  });
+
+  it('should report unknown IDs in a body as invalid, and unknown resources as not found', async () => {
+    const task = (await request('POST', '/tasks', { content: 'Plan' })).body.data;
+
+    const badProject = await request('POST', '/tasks', { content: 'Lost', projectId: 'missing' });
+    expect(badProject.status).toBe(400);
+    expect(badProject.body.error).toEqual({ code: 'VALIDATION_ERROR', message: 'Project missing not found' });
+
+    const badParent = await request('PATCH', `/tasks/${task.id}`, { parentTaskId: 'missing' });
+    expect(badParent.status).toBe(400);
+    expect(badParent.body.error.code).toBe('VALIDATION_ERROR');
+
+    const badLink = await request('POST', '/links', { sourceId: task.id, targetId: 'missing', linkType: 'blocks' });
+    expect(badLink.status).toBe(400);
+
+    const badView = await request('POST', '/views', { name: 'Lost', filters: { projectId: 'missing' } });
+    expect(badView.status).toBe(400);
+
+    expect((await request('GET', '/tasks/missing')).status).toBe(404);
+    expect((await request('PATCH', '/tasks/missing', { content: 'Gone' })).status).toBe(404);
+  });
+
+  it('should run bulk operations', async () => {
+    const a = (await request('POST', '/tasks', { content: 'A' })).body.data;
+    const b = (await request('POST', '/tasks', { content: 'B' })).body.data;
+
+    const result = await request('POST', '/tasks/bulk', {
+      action: 'complete',
+      ids: [a.id, b.id, 'missing'],
+    });
+
+    expect(result.body.data.success).toEqual([a.id, b.id]);
+    expect(result.body.data.failed).toEqual(['missing']);
+  });
+
+  it('should manage projects with stats and trees', async () => {
+    const root = (await request('POST', '/projects', { name: 'Root' })).body.data;
+    await request('POST', '/projects', { name: 'Child', parentId: root.id });
+    await request('POST', '/tasks', { content: 'Task', projectId: root.id });
+
+    const project = await request('GET', `/projects/${root.id}?includeTaskStats=true`);
+    expect(project.body.data.stats.totalTasks).toBe(1);
+
+    const tree = await request('GET', `/projects/${root.id}/tree`);
+    expect(tree.body.data.children[0].name).toBe('Child');
+
+    const circular = await request('PATCH', `/projects/${root.id}`, { parentId: root.id });
+    expect(circular.status).toBe(409);
+    expect(circular.body.error.code).toBe('CIRCULAR_REFERENCE');
+  });
+
+  it('should suggest projects for linked tasks and create them', async () => {
+    const a = (await request('POST', '/tasks', { content: 'Draft' })).body.data;
+    const b = (await request('POST', '/tasks', { content: 'Review draft' })).body.data;
+    await request('POST', '/tasks', { content: 'Unlinked' });
+    await request('POST', '/links', { sourceId: b.id, targetId: a.id, linkType: 'waiting' });
+
+    const suggestions = await request('GET', '/projects/suggestions');
+    expect(suggestions.body.data.map(s => s.taskIds.sort())).toEqual([[a.id, b.id].sort()]);
+
+    const created = await request('POST', '/projects/from-tasks', { name: 'Drafts', taskIds: [a.id, b.id] });
+    expect(created.status).toBe(201);
+    expect(created.body.data.tasks.map(task => task.projectId)).toEqual([created.body.data.project.id, created.body.data.project.id]);
+    expect((await request('GET', '/projects/suggestions')).body.data).toEqual([]);
+
+    const invalid = await request('POST', '/projects/from-tasks', { name: 'Empty', taskIds: [] });
+    expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should schedule a project along its critical path', async () => {
+    const project = (await request('POST', '/projects', { name: 'Launch' })).body.data;
+    const build = (await request('POST', '/tasks', { content: 'Build', projectId: project.id })).body.data;
+    const ship = (await request('POST', '/tasks', { content: 'Ship', projectId: project.id })).body.data;
+    await request('POST', '/links', { sourceId: build.id, targetId: ship.id, linkType: 'blocks' });
+
+    const schedule = await request('GET', `/projects/${project.id}/schedule?startDate=2025-03-03`);
+    expect(schedule.body.data.duration).toBe(2);
+    expect(schedule.body.data.criticalPath).toEqual([build.id, ship.id]);
+
+    const invalid = await request('GET', `/projects/${project.id}/schedule?estimateUnit=weeks`);
+    expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+    expect((await request('GET', '/projects/missing/schedule')).status).toBe(404);
+  });
+
+  it('should create links idempotently and reject self-links', async () => {
+    const a = (await request('POST', '/tasks', { content: 'A' })).body.data;
+    const b = (await request('POST', '/tasks', { content: 'B' })).body.data;
+    const body = { sourceId: a.id, targetId: b.id, linkType: 'waiting' };
+
+    const first = await request('POST', '/links', body);
+    const second = await request('POST', '/links', body);
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(200);
+    expect(second.body.data.id).toBe(first.body.data.id);
+
+    const selfLink = await request('POST', '/links', { ...body, targetId: a.id });
+    expect(selfLink.status).toBe(400);
+    expect(selfLink.body.error.code).toBe('SELF_LINK');
+
+    const withTasks = await request('GET', `/links/${first.body.data.id}?include=source,target`);
+    expect(withTasks.body.data.source.content).toBe('A');
+    expect(withTasks.body.data.target.content).toBe('B');
+  });
+
+  it('should answer graph queries', async () => {
+    const a = (await request('POST', '/tasks', { content: 'A' })).body.data;
+    const b = (await request('POST', '/tasks', { content: 'B' })).body.data;
+    await request('POST', '/links/batch', {
+      links: [
+        { sourceId: a.id, targetId: b.id, linkType: 'blocks' },
+        { sourceId: b.id, targetId: a.id, linkType: 'blocks' },
+      ],
+    });
+
+    const backlinks = await request('GET', `/tasks/${b.id}/backlinks`);
+    expect(backlinks.body.data.count).toBe(1);
+
+    const cycles = await request('GET', `/tasks/${a.id}/cycles`);
+    expect(cycles.body.data.hasCycles).toBe(true);
+
+    const tooDeep = await request('GET', `/tasks/${a.id}/graph?depth=10`);
+    expect(tooDeep.body.data.nodeCount).toBe(2);
+
+    const shortest = await request('GET', `/tasks/${a.id}/paths/${b.id}`);
+    expect(shortest.body.data.paths).toEqual([expect.objectContaining({ path: [a.id, b.id], linkTypes: ['blocks'] })]);
+    const all = await request('GET', `/tasks/${a.id}/paths/${b.id}?all=true&direction=both`);
+    expect(all.body.data.count).toBe(2);
+    expect((await request('GET', `/tasks/${a.id}/paths/${b.id}?k=0`)).status).toBe(400);
+    expect((await request('GET', `/tasks/${a.id}/paths/missing`)).status).toBe(404);
+
+    expect((await request('GET', '/tasks/missing/backlinks')).status).toBe(404);
+  });
+
+  it('should return the current user and audit history', async () => {
+    const user = await request('PATCH', '/users/me', { preferences: { theme: 'dark' } });
+    expect(user.body.data.preferences.theme).toBe('dark');
+    expect(user.body.data.preferences.dateFormat).toBe('MM/DD/YYYY');
+
+    const task = (await request('POST', '/tasks', { content: 'Audited' })).body.data;
+    const history = await request('GET', `/audit/task/${task.id}`);
+    expect(history.body.data.map(h => h.action)).toEqual(['create']);
+
+    const mine = await request('GET', '/audit?userId=me&entityType=task&pageSize=1');
+    expect(mine.body.data.map(h => h.entityId)).toEqual([task.id]);
+    expect(mine.body.meta.pagination.totalItems).toBe(1);
+
+    const invalid = await request('GET', '/audit?action=rename');
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should return and revert to earlier entity states', async () => {
+    const task = (await request('POST', '/tasks', { content: 'Original' })).body.data;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const before = new Date().toISOString();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await request('PATCH', `/tasks/${task.id}`, { content: 'Edited' });
+
+    const past = await request('GET', `/audit/task/${task.id}/at?timestamp=${before}`);
+    expect(past.body.data.content).toBe('Original');
+
+    const diff = await request('GET', `/audit/task/${task.id}/diff?from=${before}`);
+    expect(diff.body.data.changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'content', oldValue: 'Original', newValue: 'Edited' }),
+    ]));
+
+    const workspace = await request('GET', `/audit/workspace?timestamp=${before}`);
+    expect(workspace.body.data.tasks.map(t => t.content)).toEqual(['Original']);
+
+    const reverted = await request('POST', `/audit/task/${task.id}/revert`, { timestamp: before });
+    expect(reverted.body.data.content).toBe('Original');
+
+    expect((await request('GET', `/audit/task/${task.id}/at`)).status).toBe(400);
+    expect((await request('GET', `/audit/project/${task.id}/at?timestamp=${before}`)).status).toBe(404);
+    expect((await request('POST', `/audit/task/${task.id}/revert`, {
+      timestamp: '2000-01-01T00:00:00.000Z',
+    })).status).toBe(400);
+  });
+
+  it('should parse natural language dates', async () => {
+    const parsed = await request('POST', '/dates/parse', {
+      input: 'tomorrow',
+      referenceDate: '2025-01-15T10:00:00.000Z',
+    });
+
+    expect(parsed.body.data.relative.days).toBeGreaterThanOrEqual(0);
+    expect(new Date(parsed.body.data.iso).getTime()).toBeGreaterThan(
+      new Date('2025-01-15T10:00:00.000Z').getTime()
+    );
+
+    const invalid = await request('POST', '/dates/parse', { input: 'whenever' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.details.suggestions).toContain('tomorrow');
+  });
+
+  it('should return 404 for unknown routes', async () => {
+    const response = await request('GET', '/nope');
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('NOT_FOUND');
+  });
+});
+
+describe('REST API (SQLite stores)', () => {
+  let stores;
+
+  beforeEach(async () => {
+    stores = createSQLiteStores(':memory:');
+    configureGraphStores(stores);
+    await startServer(stores);
+  });
+
+  afterEach(() => {
+    configureGraphStores();
+    stores.database.close();
+  });
+
+  it('should authenticate against SQLite user accounts', async () => {
+    const login = await request('POST', '/auth/login', {
+      username: 'ALICE',
+      password: 'correct horse',
+    }, null);
+
+    expect(login.status).toBe(200);
+    expect(stores.database.get('users', 'SELECT * FROM users WHERE username = ?', 'alice')
+      .passwordHash).toMatch(/^scrypt\$/);
+  });
+
+  it('should serve tasks and graph queries from SQLite', async () => {
+    const a = (await request('POST', '/tasks', { content: 'A' })).body.data;
+    const b = (await request('POST', '/tasks', { content: 'B' })).body.data;
+    await request('POST', '/links', { sourceId: a.id, targetId: b.id, linkType: 'waiting' });
+
+    const list = await request('GET', '/tasks');
+    expect(list.body.meta.pagination.totalItems).toBe(2);
+
+    const forward = await request('GET', `/tasks/${a.id}/forwardlinks`);
+    expect(forward.body.data.forwardLinks.map(l => l.task.content)).toEqual(['B']);
+
+    const me = await request('GET', '/users/me');
+    expect(me.body.data.username).toBe('alice');
+    expect(stores.tasks.getById(a.id).createdBy).toBe(me.body.data.id);
+  });
+
+  it('should search the SQLite full-text index', async () => {
+    await request('POST', '/tasks', { content: 'Draft the report', description: 'For the board' });
+    await request('POST', '/projects', { name: 'Board meetings' });
+
+    const results = (await request('GET', '/search?q=boards')).body.data;
+    expect(results.map(result => [result.entityType, result.field])).toEqual([
+      ['project', 'name'],
+      ['task', 'description'],
+    ]);
+    expect(results[1].snippet).toEqual({ text: 'For the board', matches: [[8, 13]] });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Tests for JSON backup and restore
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  UserStore,
+  VocabularyStore,
+  AuditLogger,
+  STORAGE_KEYS,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  LEGACY_TASKS_KEY,
+  createBackup,
+  upgradeBackup,
+  restoreBackup,
+} from '../src/storage/backup.js';
+
+const LEGACY_TASKS = [
+  { id: 1736935200000, content: 'Call Bob', status: 'active', parentId: null },
+  { id: 1736935300000, content: 'Notes', status: 'reference', parentId: 1736935200000 },
+];
+
+/**
+ * Start a fresh "browser" with its own storage
+ */
+function newBrowser() {
+  const adapter = new MemoryAdapter();
+  configureStorage(adapter);
+  Storage.clearAll();
+  return adapter;
+}
+
+/**
+ * A workspace with one project, two linked tasks and index.html tasks
+ */
+function seedWorkspace(adapter) {
+  const project = ProjectStore.create({ name: 'Website' });
+  const draft = TaskStore.create({ content: 'Draft copy', projectId: project.id });
+  const publish = TaskStore.create({ content: 'Publish', projectId: project.id, parentTaskId: draft.id });
+  const link = LinkStore.create({ sourceId: draft.id, targetId: publish.id, linkType: 'blocks' });
+  adapter.set(LEGACY_TASKS_KEY, LEGACY_TASKS);
+  return { project, draft, publish, link };
+}
+
+describe('createBackup', () => {
+  it('should bundle every collection with the format version', () => {
+    const adapter = newBrowser();
+    const { project, draft, link } = seedWorkspace(adapter);
+
+    const backup = createBackup();
+
+    expect(backup).toEqual(expect.objectContaining({ format: BACKUP_FORMAT, version: BACKUP_VERSION }));
+    expect(backup.data.projects).toEqual([project]);
+    expect(backup.data.tasks.map(task => task.id)).toContain(draft.id);
+    expect(backup.data.links).toEqual([link]);
+    expect(backup.data.users.map(user => user.username)).toEqual(['demo']);
+    expect(backup.data.auditLogs).toHaveLength(AuditLogger.getAll().length);
+    expect(backup.data.legacyTasks).toEqual(LEGACY_TASKS);
+    expect(backup.data.vocabulary).toEqual(VocabularyStore.get());
+  });
+});
+
+describe('upgradeBackup', () => {
+  it('should upgrade a bare dashplus-tasks copy', () => {
+    expect(upgradeBackup(LEGACY_TASKS)).toEqual({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: null,
+      data: {
+        vocabulary: null,
+        users: [],
+        projects: [],
+        tasks: [],
+        links: [],
+        views: [],
+        auditLogs: [],
+        legacyTasks: LEGACY_TASKS,
+      },
+    });
+  });
+
+  it('should reject unknown formats and versions', () => {
+    expect(() => upgradeBackup({ tasks: [] })).toThrow('Invalid backup: not a Dash-Plus backup');
+    expect(() => upgradeBackup({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1 }))
+      .toThrow(`Invalid backup version: ${BACKUP_VERSION + 1}`);
+    expect(() => upgradeBackup({ format: BACKUP_FORMAT, version: 1, data: { tasks: {} } }))
+      .toThrow('Invalid backup: tasks must be an array');
+    expect(() => upgradeBackup({ format: BACKUP_FORMAT, version: 2, data: { vocabulary: [] } }))
+      .toThrow('Invalid backup: vocabulary must be an object');
+  });
+});
+
+describe('restoreBackup', () => {
+  let adapter;
+  let backup;
+  let seeded;
+
+  beforeEach(() => {
+    adapter = newBrowser();
+    seeded = seedWorkspace(adapter);
+    backup = JSON.parse(JSON.stringify(createBackup()));
+    adapter = newBrowser();
+  });
+
+  it('should replace all data in another browser', () => {
+    TaskStore.create({ content: 'Local only' });
+
+    const result = restoreBackup(backup, { mode: 'replace' });
+
+    expect(result.restored).toEqual(expect.objectContaining({ tasks: 2, links: 1, legacyTasks: 2 }));
+    expect(createBackup().data).toEqual(backup.data);
+    expect(TaskStore.getSubtasks(seeded.draft.id).map(task => task.id)).toEqual([seeded.publish.id]);
+    expect(adapter.get(LEGACY_TASKS_KEY)).toEqual(LEGACY_TASKS);
+  });
+
+  it('should merge, skipping or overwriting records with existing IDs', () => {
+    restoreBackup(backup);
+    TaskStore.update(seeded.draft.id, { content: 'Local edit' });
+    const local = TaskStore.create({ content: 'Local only' });
+
+    const skipped = restoreBackup(backup);
+    expect(skipped.restored.tasks).toBe(0);
+    expect(skipped.conflicts).toContainEqual({ collection: 'tasks', id: seeded.draft.id, resolution: 'skipped' });
+    expect(TaskStore.getById(seeded.draft.id).content).toBe('Local edit');
+
+    restoreBackup(backup, { conflict: 'overwrite' });
+    expect(TaskStore.getById(seeded.draft.id).content).toBe('Draft copy');
+    expect(TaskStore.getById(local.id).content).toBe('Local only');
+  });
+
+  it('should restore conflicting records under new IDs with references updated', () => {
+    restoreBackup(backup);
+
+    const result = restoreBackup(backup, { conflict: 'duplicate' });
+
+    const newId = (collection, id) => result.conflicts
+      .find(c => c.collection === collection && c.id === id).newId;
+    const draftId = newId('tasks', seeded.draft.id);
+    const publish = TaskStore.getById(newId('tasks', seeded.publish.id));
+
+    expect(TaskStore.getAll().meta.totalItems).toBe(4);
+    expect(publish.parentTaskId).toBe(draftId);
+    expect(publish.projectId).toBe(newId('projects', seeded.project.id));
+    expect(LinkStore.getById(newId('links', seeded.link.id))).toEqual(expect.objectContaining({
+      sourceId: draftId,
+      targetId: publish.id,
+    }));
+    expect(AuditLogger.getHistory('task', draftId).map(entry => entry.action)).toEqual(['create']);
+
+    const legacy = adapter.get(LEGACY_TASKS_KEY);
+    expect(legacy).toHaveLength(4);
+    expect(legacy[3].parentId).toBe(legacy[2].id);
+  });
+
+  it('should match users by username', () => {
+    const alice = { ...UserStore.build({ username: 'alice', email: 'alice@example.com' }) };
+    backup.data.users.push(alice);
+    backup.data.tasks[0].assigneeId = alice.id;
+    const localAlice = UserStore.create({ username: 'Alice', email: 'alice@example.org' });
+
+    const result = restoreBackup(backup);
+
+    expect(result.conflicts).toContainEqual({
+      collection: 'users',
+      id: alice.id,
+      resolution: 'matched',
+      newId: localAlice.id,
+    });
+    expect(TaskStore.getById(backup.data.tasks[0].id).assigneeId).toBe(localAlice.id);
+  });
+
+  it('should validate every record and roll back on failure', () => {
+    const local = TaskStore.create({ content: 'Local only' });
+    backup.data.links[0].targetId = 'missing';
+
+    expect(() => restoreBackup(backup, { mode: 'replace' }))
+      .toThrow(`Invalid backup record in links (${seeded.link.id}): Task missing not found`);
+    expect(TaskStore.getAll().data.map(task => task.id)).toEqual([local.id]);
+    expect(adapter.get(LEGACY_TASKS_KEY)).toEqual([]);
+
+    backup.data.links[0].targetId = seeded.publish.id;
+    backup.data.legacyTasks[0].status = 'someday';
+    expect(() => restoreBackup(backup)).toThrow('Invalid status: someday');
+
+    expect(() => restoreBackup(backup, { mode: 'append' })).toThrow('Invalid restore mode: append');
+  });
+
+  it('should restore custom fields into an empty workspace', () => {
+    newBrowser();
+    VocabularyStore.update({ fields: [{ name: 'estimate', type: 'number' }] });
+    const task = TaskStore.create({ content: 'Estimate', customFields: { estimate: 3 } });
+    const withFields = JSON.parse(JSON.stringify(createBackup()));
+
+    newBrowser();
+    const result = restoreBackup(withFields);
+
+    expect(result.restored.tasks).toBe(1);
+    expect(VocabularyStore.get().fields.map(field => field.name)).toEqual(['estimate']);
+    expect(TaskStore.getById(task.id).customFields).toEqual({ estimate: 3 });
+  });
+
+  it('should merge field definitions by name', () => {
+    VocabularyStore.update({ fields: [{ name: 'sprint', type: 'enum', options: ['s1', 's2'] }] });
+    TaskStore.create({ content: 'Local', customFields: { sprint: 's2' } });
+    backup.data.vocabulary.fields = [
+      { name: 'estimate', type: 'number' },
+      { name: 'sprint', type: 'enum', options: ['s1'] },
+    ];
+    backup.data.tasks[0].customFields = { estimate: 5, sprint: 's1' };
+
+    const result = restoreBackup(backup);
+
+    expect(result.conflicts).toContainEqual({ collection: 'vocabulary', id: 'fields.sprint', resolution: 'skipped' });
+    expect(VocabularyStore.get().fields.map(field => [field.name, field.options]))
+      .toEqual([['sprint', ['s1', 's2']], ['estimate', null]]);
+    expect(TaskStore.getById(backup.data.tasks[0].id).customFields).toEqual({ estimate: 5, sprint: 's1' });
+
+    // Overwriting sprint would drop an option a local task uses
+    const vocabulary = VocabularyStore.get();
+    expect(() => restoreBackup(backup, { conflict: 'overwrite' }))
+      .toThrow('Invalid value for custom field sprint: "s2"');
+    expect(VocabularyStore.get()).toEqual(vocabulary);
+  });
+
+  it('should keep the current vocabulary for a version 1 backup', () => {
+    VocabularyStore.update({ priorities: ['low', 'high'] });
+    const { vocabulary, ...data } = backup.data;
+
+    restoreBackup({ ...backup, version: 1, data }, { mode: 'replace' });
+
+    expect(VocabularyStore.get().priorities).toEqual(['low', 'high']);
+    expect(vocabulary.priorities).toEqual(['low', 'medium', 'high', 'urgent']);
+  });
+
+  it('should sign out a current user missing from a replaced user list', () => {
+    const user = UserStore.create({ username: 'carol', email: 'carol@example.com' });
+    adapter.set(STORAGE_KEYS.CURRENT_USER, user.id);
+
+    restoreBackup(backup, { mode: 'replace' });
+
+    expect(adapter.get(STORAGE_KEYS.CURRENT_USER)).toBeNull();
+    expect(Storage.getCurrentUser().username).toBe('demo');
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for custom fields on tasks and projects
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  UserStore,
+  AuditLogger,
+  VocabularyStore,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { HistoryService } from '../src/storage/history.js';
+import { UndoManager } from '../src/storage/undo.js';
+import { createBackup, restoreBackup } from '../src/storage/backup.js';
+import { normalizeVocabulary } from '../src/utils/vocabulary.js';
+import {
+  validateCustomFields,
+  mergeCustomFieldUpdates,
+  parseCustomFieldFilters,
+} from '../src/utils/customFields.js';
+
+const FIELDS = [
+  { name: 'estimate', label: 'Estimate (hours)', type: 'number' },
+  { name: 'customer', entities: ['task', 'project'] },
+  { name: 'sprint', type: 'enum', options: ['s1', 's2'] },
+  { name: 'reviewer', type: 'user' },
+  { name: 'launch', type: 'date', entities: ['project'] },
+];
+
+describe('custom field definitions and values', () => {
+  const vocabulary = normalizeVocabulary({ fields: FIELDS });
+
+  it('should normalize definitions', () => {
+    expect(vocabulary.fields[0]).toEqual({
+      name: 'estimate',
+      label: 'Estimate (hours)',
+      type: 'number',
+      entities: ['task'],
+      options: null,
+    });
+    expect(vocabulary.fields[1]).toEqual(expect.objectContaining({ label: 'customer', type: 'text' }));
+
+    expect(() => normalizeVocabulary({ fields: [{ name: 'size', type: 'enum' }] }))
+      .toThrow('Invalid vocabulary: enum field size must have options');
+    expect(() => normalizeVocabulary({ fields: [{ name: 'size', type: 'money' }] }))
+      .toThrow('Invalid vocabulary: field size has type money');
+    expect(() => normalizeVocabulary({ fields: [{ name: 'size', entities: ['link'] }] }))
+      .toThrow('Invalid vocabulary: field size must be on tasks and/or projects');
+    expect(() => normalizeVocabulary({ fields: ['size', 'Size'] }))
+      .toThrow('Invalid vocabulary: duplicate field size');
+  });
+
+  it('should validate values by type and entity', () => {
+    expect(() => validateCustomFields({ estimate: 2.5, sprint: 's1', customer: 'Acme' }, 'task', vocabulary))
+      .not.toThrow();
+    expect(() => validateCustomFields({ launch: '2025-03-01' }, 'project', vocabulary)).not.toThrow();
+
+    expect(() => validateCustomFields({ estimate: '3' }, 'task', vocabulary))
+      .toThrow('Invalid value for custom field estimate: "3"');
+    expect(() => validateCustomFields({ sprint: 's3' }, 'task', vocabulary))
+      .toThrow('Invalid value for custom field sprint: "s3"');
+    expect(() => validateCustomFields({ launch: 'March' }, 'project', vocabulary))
+      .toThrow('Invalid value for custom field launch: "March"');
+    expect(() => validateCustomFields({ launch: '2025-03-01' }, 'task', vocabulary))
+      .toThrow('Invalid custom field: launch');
+    expect(() => validateCustomFields(['Acme'], 'task', vocabulary))
+      .toThrow('Invalid custom fields: expected an object');
+  });
+
+  it('should merge updates into the current values', () => {
+    const task = { customFields: { estimate: 3, customer: 'Acme' } };
+
+    expect(mergeCustomFieldUpdates({ customFields: { estimate: 5, customer: null } }, task))
+      .toEqual({ customFields: { estimate: 5 } });
+    expect(mergeCustomFieldUpdates({ 'customFields.sprint': 's1', content: 'x' }, task))
+      .toEqual({ content: 'x', customFields: { estimate: 3, customer: 'Acme', sprint: 's1' } });
+    expect(mergeCustomFieldUpdates({ customFields: null }, task)).toEqual({ customFields: {} });
+    expect(mergeCustomFieldUpdates({ content: 'x' }, task)).toEqual({ content: 'x' });
+
+    const updates = { 'customFields.estimate': 5 };
+    mergeCustomFieldUpdates(updates, task);
+    expect(updates).toEqual({ 'customFields.estimate': 5 });
+  });
+
+  it('should parse filter values by type', () => {
+    expect(parseCustomFieldFilters({ estimate: '3', sprint: 's2' }, 'task', vocabulary))
+      .toEqual([{ name: 'estimate', value: 3 }, { name: 'sprint', value: 's2' }]);
+    expect(() => parseCustomFieldFilters({ estimate: 'many' }, 'task', vocabulary))
+      .toThrow('Invalid value for custom field estimate: "many"');
+  });
+});
+
+describe('custom fields (localStorage stores)', () => {
+  let bob;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-03-03T09:00:00.000Z'));
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+    VocabularyStore.update({ fields: FIELDS });
+    bob = UserStore.create({ username: 'bob', email: 'bob@example.com' });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should store and validate values on tasks and projects', () => {
+    const project = ProjectStore.create({ name: 'Launch', customFields: { customer: 'Acme', launch: '2025-04-01' } });
+    const task = TaskStore.create({ content: 'Estimate', customFields: { estimate: 3, reviewer: bob.id, sprint: '' } });
+
+    expect(project.customFields).toEqual({ customer: 'Acme', launch: '2025-04-01' });
+    expect(TaskStore.getById(task.id).customFields).toEqual({ estimate: 3, reviewer: bob.id });
+    expect(TaskStore.create({ content: 'Plain' }).customFields).toEqual({});
+
+    expect(() => TaskStore.create({ content: 'Bad', customFields: { reviewer: 'nobody' } }))
+      .toThrow('User nobody not found');
+    expect(() => TaskStore.update(task.id, { customFields: { sprint: 's9' } }))
+      .toThrow('Invalid value for custom field sprint: "s9"');
+    expect(() => ProjectStore.update(project.id, { customFields: { estimate: 1 } }))
+      .toThrow('Invalid custom field: estimate');
+  });
+
+  it('should filter and sort tasks by custom fields', () => {
+    TaskStore.create({ content: 'Small', customFields: { estimate: 1, sprint: 's1' } });
+    TaskStore.create({ content: 'Large', customFields: { estimate: 8, sprint: 's2' } });
+    TaskStore.create({ content: 'Medium', customFields: { estimate: 3, sprint: 's2' } });
+    TaskStore.create({ content: 'Unsized' });
+
+    const sorted = TaskStore.getAll({ sort: 'customFields.estimate', order: 'asc' }).data;
+    expect(sorted.map(task => task.content)).toEqual(['Small', 'Medium', 'Large', 'Unsized']);
+
+    const sprint = TaskStore.getAll({ customFields: { sprint: 's2', estimate: '8' } }).data;
+    expect(sprint.map(task => task.content)).toEqual(['Large']);
+    expect(() => TaskStore.getAll({ customFields: { launch: '2025-04-01' } }))
+      .toThrow('Invalid custom field: launch');
+  });
+
+  it('should audit each field as its own change and undo it', () => {
+    const task = TaskStore.create({ content: 'Estimate', customFields: { estimate: 3, customer: 'Acme' } });
+    const undo = new UndoManager();
+
+    AuditLogger.batch(() => TaskStore.update(task.id, { customFields: { estimate: 5, customer: null } }));
+
+    const [update] = AuditLogger.getHistory('task', task.id).filter(entry => entry.action === 'update');
+    expect(update.changes.filter(change => change.field !== 'updatedAt')).toEqual([
+      { field: 'customFields.estimate', oldValue: 3, newValue: 5 },
+      { field: 'customFields.customer', oldValue: 'Acme', newValue: undefined },
+    ]);
+
+    undo.undo();
+    expect(TaskStore.getById(task.id).customFields).toEqual({ estimate: 3, customer: 'Acme' });
+    undo.redo();
+    expect(TaskStore.getById(task.id).customFields).toEqual({ estimate: 5 });
+  });
+
+  it('should materialize and revert custom fields from history', () => {
+    const history = new HistoryService();
+    const task = TaskStore.create({ content: 'Estimate', customFields: { estimate: 3 } });
+
+    vi.setSystemTime(new Date('2025-03-04T09:00:00.000Z'));
+    TaskStore.update(task.id, { 'customFields.estimate': 5, 'customFields.sprint': 's1' });
+
+    expect(history.getEntityAt(task.id, '2025-03-03T12:00:00.000Z').customFields).toEqual({ estimate: 3 });
+
+    history.revertTo(task.id, '2025-03-03T12:00:00.000Z');
+    expect(TaskStore.getById(task.id).customFields).toEqual({ estimate: 3 });
+  });
+
+  it('should keep each task\'s other fields in a bulk update', () => {
+    const acme = TaskStore.create({ content: 'Acme', customFields: { customer: 'Acme' } });
+    const globex = TaskStore.create({ content: 'Globex', customFields: { customer: 'Globex', sprint: 's1' } });
+
+    const results = TaskStore.bulkUpdate([acme.id, globex.id], { 'customFields.estimate': 5 });
+
+    expect(results.failed).toEqual([]);
+    expect(TaskStore.getById(acme.id).customFields).toEqual({ customer: 'Acme', estimate: 5 });
+    expect(TaskStore.getById(globex.id).customFields).toEqual({ customer: 'Globex', sprint: 's1', estimate: 5 });
+  });
+
+  it('should keep fields in use in the vocabulary', () => {
+    TaskStore.create({ content: 'Estimate', customFields: { estimate: 3 } });
+
+    expect(() => VocabularyStore.update({ fields: FIELDS.slice(1) }))
+      .toThrow('Invalid vocabulary: field estimate is still used by 1 record');
+  });
+
+  it('should remap user fields when a backup matches users', () => {
+    TaskStore.create({ content: 'Review', customFields: { reviewer: bob.id } });
+    const backup = JSON.parse(JSON.stringify(createBackup()));
+
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+    VocabularyStore.update({ fields: FIELDS });
+    const localBob = UserStore.create({ username: 'Bob', email: 'bob@example.org' });
+
+    restoreBackup(backup);
+
+    expect(TaskStore.getAll().data[0].customFields).toEqual({ reviewer: localBob.id });
+  });
+});
+
+describe('custom fields (SQLite stores)', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createSQLiteStores(':memory:');
+    db.vocabulary.update({ fields: FIELDS });
+  });
+
+  afterEach(() => {
+    db.database.close();
+  });
+
+  it('should store, filter and sort custom fields', () => {
+    const project = db.projects.create({ name: 'Launch', customFields: { launch: '2025-04-01' } });
+    const small = db.tasks.create({ content: 'Small', customFields: { estimate: 1, sprint: 's1' } });
+    db.tasks.create({ content: 'Large', customFields: { estimate: 8, sprint: 's2' } });
+    db.tasks.create({ content: 'Unsized' });
+
+    expect(db.projects.getById(project.id).customFields).toEqual({ launch: '2025-04-01' });
+    expect(db.tasks.getAll({ sort: 'customFields.estimate', order: 'desc' }).data.map(t => t.content))
+      .toEqual(['Large', 'Small', 'Unsized']);
+    expect(db.tasks.getAll({ customFields: { estimate: '1' } }).data.map(t => t.id)).toEqual([small.id]);
+    expect(() => db.tasks.getAll({ sort: 'customFields.launch' })).toThrow('Invalid custom field: launch');
+
+    db.tasks.update(small.id, { customFields: { sprint: null } });
+    expect(db.tasks.getById(small.id).customFields).toEqual({ estimate: 1 });
+    expect(db.audit.getHistory('task', small.id).at(-1).changes)
+      .toContainEqual({ field: 'customFields.sprint', oldValue: 's1', newValue: undefined });
+
+    expect(() => db.tasks.create({ content: 'Bad', customFields: { reviewer: 'nobody' } }))
+      .toThrow('User nobody not found');
+    expect(() => db.vocabulary.update({ fields: [] }))
+      .toThrow('Invalid vocabulary: field estimate is still used by 2 records');
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Tests for the daily log
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  TaskStore,
+  LinkStore,
+  DailyLogStore,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { toDayKey, isDayKey, getLogDate, findPending, checkMigrations } from '../src/utils/dailyLog.js';
+
+// Monday 3 March 2025, then Wednesday 5 March
+const MONDAY = new Date(2025, 2, 3, 9, 0);
+const WEDNESDAY = new Date(2025, 2, 5, 9, 0);
+
+describe('daily log helpers', () => {
+  it('should read and check day keys', () => {
+    expect(toDayKey(new Date(2025, 0, 9, 23, 30))).toBe('2025-01-09');
+    expect(isDayKey('2025-02-28')).toBe(true);
+    expect(isDayKey('2025-02-30')).toBe(false);
+    expect(isDayKey('5 March')).toBe(false);
+    expect(getLogDate({ createdAt: new Date(2025, 0, 9, 12).toISOString() })).toBe('2025-01-09');
+    expect(getLogDate({ logDate: '2025-01-10', createdAt: new Date(2025, 0, 9).toISOString() })).toBe('2025-01-10');
+  });
+
+  it('should list open tasks from earlier days, oldest first, without their subtasks', () => {
+    const task = (id, logDate, fields = {}) => ({ id, logDate, type: 'task', status: 'active', parentTaskId: null, createdAt: `${logDate}T09:00:00.000Z`, ...fields });
+    const tasks = [
+      task('b', '2025-03-04'),
+      task('a', '2025-03-03'),
+      task('a1', '2025-03-03', { parentTaskId: 'a' }),
+      task('done', '2025-03-03', { status: 'completed' }),
+      task('note', '2025-03-03', { type: 'note' }),
+      task('today', '2025-03-05'),
+    ];
+
+    expect(findPending(tasks, '2025-03-05').map(t => t.id)).toEqual(['a', 'b']);
+  });
+
+  it('should reject batches that migrate a task twice or with a task it moves with', () => {
+    const task = (id, fields = {}) => ({ id, logDate: '2025-03-03', type: 'task', status: 'active', parentTaskId: null, createdAt: '2025-03-03T09:00:00.000Z', ...fields });
+    const tasks = [
+      task('a'),
+      task('a1', { parentTaskId: 'a' }),
+      task('a1x', { parentTaskId: 'a1' }),
+      task('b', { status: 'completed' }),
+      task('b1', { parentTaskId: 'b' }),
+    ];
+    const check = migrations => checkMigrations(migrations, tasks, '2025-03-05');
+
+    expect(() => check([{ taskId: 'a', action: 'carry' }, { taskId: 'a', action: 'cancel' }]))
+      .toThrow('Task a cannot be migrated twice in one batch');
+    expect(() => check([{ taskId: 'a1', action: 'cancel' }, { taskId: 'a', action: 'carry' }]))
+      .toThrow('Task a1 cannot be migrated with task a: it moves with it');
+    expect(() => check([{ taskId: 'a', action: 'carry' }, { taskId: 'a1x', action: 'carry' }]))
+      .toThrow('Task a1x cannot be migrated with task a: it moves with it');
+    expect(() => check([{ taskId: 'missing', action: 'carry' }])).toThrow('Task missing not found');
+
+    // A subtask of a closed task stays behind when its parent is migrated
+    expect(() => check([{ taskId: 'a1', action: 'carry' }, { taskId: 'b1', action: 'carry' }])).not.toThrow();
+  });
+});
+
+describe('DailyLogStore (localStorage)', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(MONDAY);
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should put new tasks on today\'s page', () => {
+    const task = TaskStore.create({ content: 'Plan the week' });
+    expect(task.logDate).toBe('2025-03-03');
+    expect(() => TaskStore.create({ content: 'X', logDate: 'monday' })).toThrow('Invalid log date: monday');
+
+    const day = DailyLogStore.getDay();
+    expect(day).toEqual(expect.objectContaining({ date: '2025-03-03', isToday: true, readOnly: false }));
+    expect(day.entries.map(entry => entry.task.id)).toEqual([task.id]);
+  });
+
+  it('should carry open tasks forward and keep the old page as it was', () => {
+    const parent = TaskStore.create({ content: 'Ship release' });
+    const open = TaskStore.create({ content: 'Write notes', parentTaskId: parent.id });
+    TaskStore.complete(TaskStore.create({ content: 'Tag build', parentTaskId: parent.id }).id);
+    const waiting = TaskStore.create({ content: 'Hear back from legal', symbol: '←', status: 'waiting' });
+    TaskStore.create({ content: 'Meeting notes', type: 'note', symbol: '+' });
+
+    vi.setSystemTime(WEDNESDAY);
+    expect(DailyLogStore.getPending().map(task => task.id)).toEqual([parent.id, waiting.id]);
+
+    const { task, copy, link } = DailyLogStore.migrate(parent.id, { action: 'carry' });
+    expect(task.status).toBe('cancelled');
+    expect(copy).toEqual(expect.objectContaining({ content: 'Ship release', status: 'active', logDate: '2025-03-05' }));
+    expect(link).toEqual(expect.objectContaining({ sourceId: parent.id, targetId: copy.id, linkType: 'moved', label: 'Carried forward' }));
+
+    // The open subtask moves with it, the completed one stays
+    const subtasks = TaskStore.getSubtasks(copy.id);
+    expect(subtasks.map(t => t.content)).toEqual(['Write notes']);
+    expect(TaskStore.getById(open.id).status).toBe('cancelled');
+
+    const today = DailyLogStore.getDay();
+    expect(today.pending.map(t => t.id)).toEqual([waiting.id]);
+    expect(today.entries.find(entry => entry.task.id === copy.id).movedFrom)
+      .toEqual({ taskId: parent.id, date: '2025-03-03', label: 'Carried forward' });
+
+    const monday = DailyLogStore.getDay('2025-03-03');
+    expect(monday.readOnly).toBe(true);
+    expect(monday.pending).toEqual([]);
+    expect(monday.entries.find(entry => entry.task.id === parent.id).movedTo)
+      .toEqual({ taskId: copy.id, date: '2025-03-05', label: 'Carried forward' });
+    expect(DailyLogStore.getDays()).toEqual([{ date: '2025-03-05', count: 2 }, { date: '2025-03-03', count: 5 }]);
+  });
+
+  it('should schedule and cancel tasks', () => {
+    const later = TaskStore.create({ content: 'Renew passport' });
+    const dropped = TaskStore.create({ content: 'Old idea' });
+    vi.setSystemTime(WEDNESDAY);
+
+    const results = DailyLogStore.migrateAll([
+      { taskId: later.id, action: 'schedule', date: '2025-03-10' },
+      { taskId: dropped.id, action: 'cancel' },
+    ]);
+
+    expect(results[0].copy.logDate).toBe('2025-03-10');
+    expect(results[0].link.label).toBe('Scheduled for 2025-03-10');
+    expect(results[1]).toEqual({ task: expect.objectContaining({ status: 'cancelled' }), copy: null, link: null });
+    expect(DailyLogStore.getPending()).toEqual([]);
+    expect(DailyLogStore.getDay('2025-03-10').entries.map(entry => entry.task.content)).toEqual(['Renew passport']);
+    expect(LinkStore.getAll({ linkType: 'moved' }).data).toHaveLength(1);
+  });
+
+  it('should cancel open subtasks with their parent', () => {
+    const parent = TaskStore.create({ content: 'Old plan' });
+    const open = TaskStore.create({ content: 'Step one', parentTaskId: parent.id });
+    const done = TaskStore.create({ content: 'Step two', parentTaskId: parent.id });
+    TaskStore.complete(done.id);
+    vi.setSystemTime(WEDNESDAY);
+
+    DailyLogStore.migrate(parent.id, { action: 'cancel' });
+
+    expect(TaskStore.getById(open.id).status).toBe('cancelled');
+    expect(TaskStore.getById(done.id).status).toBe('completed');
+    expect(DailyLogStore.getPending()).toEqual([]);
+    expect(LinkStore.getAll({ linkType: 'moved' }).data).toEqual([]);
+  });
+
+  it('should reject a batch with a task twice or with its parent, changing nothing', () => {
+    const parent = TaskStore.create({ content: 'Ship release' });
+    const subtask = TaskStore.create({ content: 'Write notes', parentTaskId: parent.id });
+    vi.setSystemTime(WEDNESDAY);
+
+    expect(() => DailyLogStore.migrateAll([
+      { taskId: parent.id, action: 'carry' },
+      { taskId: parent.id, action: 'carry' },
+    ])).toThrow('cannot be migrated twice in one batch');
+    expect(() => DailyLogStore.migrateAll([
+      { taskId: parent.id, action: 'carry' },
+      { taskId: subtask.id, action: 'schedule', date: '2025-03-10' },
+    ])).toThrow(`cannot be migrated with task ${parent.id}`);
+
+    expect(TaskStore.getAll().data.map(task => task.status)).toEqual(['active', 'active']);
+    expect(LinkStore.getAll().data).toEqual([]);
+  });
+
+  it('should reject migrations that do not apply', () => {
+    const old = TaskStore.create({ content: 'Old' });
+    const done = TaskStore.create({ content: 'Done' });
+    TaskStore.complete(done.id);
+    vi.setSystemTime(WEDNESDAY);
+    const fresh = TaskStore.create({ content: 'Fresh' });
+
+    expect(() => DailyLogStore.migrate(old.id, { action: 'move' })).toThrow('Invalid migration action: move');
+    expect(() => DailyLogStore.migrate(done.id, { action: 'carry' })).toThrow(`Task ${done.id} cannot be migrated: it is completed`);
+    expect(() => DailyLogStore.migrate(fresh.id, { action: 'carry' })).toThrow('cannot be carried forward');
+    expect(() => DailyLogStore.migrate(old.id, { action: 'schedule' })).toThrow('A date is required to schedule a task');
+    expect(() => DailyLogStore.migrate(old.id, { action: 'schedule', date: '2025-03-05' }))
+      .toThrow('Schedule date must be after today: 2025-03-05');
+    expect(() => DailyLogStore.getDay('yesterday')).toThrow('Invalid date: yesterday');
+
+    // Nothing is changed when one migration of several fails
+    expect(() => DailyLogStore.migrateAll([
+      { taskId: old.id, action: 'carry' },
+      { taskId: done.id, action: 'carry' },
+    ])).toThrow('cannot be migrated');
+    expect(TaskStore.getById(old.id).status).toBe('active');
+  });
+});
+
+describe('SQLiteDailyLogStore', () => {
+  let db;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(MONDAY);
+    db = createSQLiteStores(':memory:');
+  });
+
+  afterEach(() => {
+    db.database.close();
+    vi.useRealTimers();
+  });
+
+  it('should carry tasks forward in one transaction', () => {
+    const parent = db.tasks.create({ content: 'Ship release' });
+    db.tasks.create({ content: 'Write notes', parentTaskId: parent.id });
+    const other = db.tasks.create({ content: 'Call the bank' });
+    expect(db.tasks.getById(parent.id).logDate).toBe('2025-03-03');
+
+    vi.setSystemTime(WEDNESDAY);
+    expect(db.dailyLog.getPending().map(task => task.id)).toEqual([parent.id, other.id]);
+
+    const [{ copy }] = db.dailyLog.migrateAll([{ taskId: parent.id, action: 'carry' }]);
+    expect(db.tasks.getSubtasks(copy.id).map(task => task.logDate)).toEqual(['2025-03-05']);
+
+    expect(() => db.dailyLog.migrateAll([
+      { taskId: other.id, action: 'carry' },
+      { taskId: parent.id, action: 'carry' },
+    ])).toThrow('cannot be migrated: it is cancelled');
+    expect(db.tasks.getById(other.id).status).toBe('active');
+
+    const day = db.dailyLog.getDay('2025-03-05');
+    expect(day.entries.map(entry => [entry.task.content, entry.movedFrom && entry.movedFrom.date]))
+      .toEqual([['Ship release', '2025-03-03'], ['Write notes', '2025-03-03']]);
+    expect(day.pending.map(task => task.id)).toEqual([other.id]);
+    expect(db.dailyLog.getDays()).toEqual([{ date: '2025-03-05', count: 2 }, { date: '2025-03-03', count: 3 }]);
+  });
+
+  it('should cancel open subtasks and reject overlapping batches', () => {
+    const parent = db.tasks.create({ content: 'Old plan' });
+    const subtask = db.tasks.create({ content: 'Step one', parentTaskId: parent.id });
+    vi.setSystemTime(WEDNESDAY);
+
+    expect(() => db.dailyLog.migrateAll([
+      { taskId: subtask.id, action: 'cancel' },
+      { taskId: parent.id, action: 'carry' },
+    ])).toThrow(`cannot be migrated with task ${parent.id}`);
+    expect(() => db.dailyLog.migrateAll([
+      { taskId: parent.id, action: 'cancel' },
+      { taskId: parent.id, action: 'cancel' },
+    ])).toThrow('cannot be migrated twice in one batch');
+    expect(db.tasks.getById(parent.id).status).toBe('active');
+
+    db.dailyLog.migrateAll([{ taskId: parent.id, action: 'cancel' }]);
+    expect(db.tasks.getById(subtask.id).status).toBe('cancelled');
+    expect(db.dailyLog.getPending()).toEqual([]);
+    expect(db.links.getAll({ linkType: 'moved' }).data).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for the dash-plus notation parser and serializer
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseDashPlus, serializeDashPlus } from '../src/utils/dashPlus.js';
+import { TaskStore, Storage, configureStorage } from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+
+// Wednesday, January 15, 2025
+const referenceDate = new Date(2025, 0, 15, 10, 0);
+
+describe('parseDashPlus', () => {
+  it('should parse symbols and metadata', () => {
+    const task = parseDashPlus('→ Get quote from vendor @alice #procurement due:friday !high', {
+      referenceDate,
+    });
+
+    expect(task).toEqual({
+      symbol: '→',
+      type: 'task',
+      status: 'waiting',
+      content: 'Get quote from vendor',
+      tags: ['procurement'],
+      assignee: 'alice',
+      dueDate: new Date(2025, 0, 17, 9, 0).toISOString(),
+      priority: 'high',
+    });
+  });
+
+  it('should default to a task and accept ASCII symbols', () => {
+    expect(parseDashPlus('Buy milk')).toEqual(expect.objectContaining({
+      symbol: '-',
+      content: 'Buy milk',
+    }));
+    expect(parseDashPlus('+ Meeting notes').type).toBe('note');
+    expect(parseDashPlus('<- Waiting on legal').symbol).toBe('←');
+    expect(parseDashPlus('Δ Ship it').symbol).toBe('△');
+    expect(parseDashPlus('   ')).toBeNull();
+  });
+
+  it('should parse projects and multi-word due dates', () => {
+    expect(parseDashPlus('- Draft spec +website due:next-monday', { referenceDate }))
+      .toEqual(expect.objectContaining({
+        project: 'website',
+        dueDate: new Date(2025, 0, 20, 9, 0).toISOString(),
+      }));
+    expect(parseDashPlus('- Plan project:"Q3 Planning" due:"in 3 days"', { referenceDate }))
+      .toEqual(expect.objectContaining({
+        content: 'Plan',
+        project: 'Q3 Planning',
+        dueDate: new Date(2025, 0, 18, 10, 0).toISOString(),
+      }));
+  });
+
+  it('should keep unknown and escaped tokens as content', () => {
+    const task = parseDashPlus('- Fix bug \\#12 due:someday !important');
+
+    expect(task.content).toBe('Fix bug #12 due:someday !important');
+    expect(task.tags).toEqual([]);
+    expect(task.dueDate).toBeUndefined();
+    expect(task.priority).toBeUndefined();
+  });
+
+  it('should resolve assignees and projects to IDs', () => {
+    const task = parseDashPlus('- Review @bob +ops', {
+      resolveUser: username => (username === 'bob' ? 'user-1' : null),
+      resolveProject: name => (name === 'missing' ? null : `project-${name}`),
+    });
+
+    expect(task.assigneeId).toBe('user-1');
+    expect(task.projectId).toBe('project-ops');
+  });
+});
+
+describe('serializeDashPlus', () => {
+  it('should write a task as a dash-plus line', () => {
+    const line = serializeDashPlus({
+      symbol: '→',
+      content: 'Get quote',
+      assigneeId: 'user-1',
+      projectId: 'project-1',
+      tags: ['procurement'],
+      dueDate: '2025-01-17T00:00:00.000Z',
+      priority: 'high',
+    }, {
+      getUserName: () => 'alice',
+      getProjectName: () => 'Q3 Planning',
+    });
+
+    expect(line).toBe('→ Get quote @alice #procurement due:2025-01-17 !high project:"Q3 Planning"');
+  });
+
+  it('should round-trip through the parser', () => {
+    const original = {
+      symbol: '○',
+      type: 'task',
+      status: 'active',
+      content: 'Read about #hashtags and email me@home',
+      tags: ['reading', 'later'],
+      assignee: 'carol',
+      dueDate: '2025-02-01T15:30:00.000Z',
+      priority: 'low',
+      project: 'books',
+    };
+
+    const line = serializeDashPlus(original);
+
+    expect(line).toContain('\\#hashtags');
+    expect(parseDashPlus(line)).toEqual(original);
+  });
+});
+
+describe('parseDashPlus with TaskStore', () => {
+  beforeEach(() => {
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+  });
+
+  it('should produce valid TaskStore.create data', () => {
+    const task = TaskStore.create(parseDashPlus('△ Renew domain #ops !urgent due:2025-03-01'));
+
+    expect(task).toEqual(expect.objectContaining({
+      symbol: '△',
+      content: 'Renew domain',
+      tags: ['ops'],
+      priority: 'urgent',
+      dueDate: '2025-03-01T00:00:00.000Z',
+    }));
+    expect(serializeDashPlus(task)).toBe('△ Renew domain #ops due:2025-03-01 !urgent');
+  });
+});
@@ -10,6 +10,9 @@ import {
   isOverdue,
   isDueSoon,
   isValidDateString,
+  parseRecurrence,
+  normalizeRecurrenceRule,
+  nextOccurrence,
 } from '../src/utils/dateParser.js';
 
 describe('parseNaturalDate - Basic Dates', () => {
@@ -69,6 +72,18 @@ describe('parseNaturalDate - Weekdays', () => {
     expect(result.getDate()).toBe(13);
     expect(result.getDay()).toBe(1); // Monday
   });
+
+  it('should parse a bare weekday as the next one', () => {
+    const result = parseNaturalDate('friday', referenceDate);
+    expect(result.getDate()).toBe(17);
+    expect(result.getDay()).toBe(5); // Friday
+  });
+
+  it('should not parse text that only starts with a weekday', () => {
+    expect(parseNaturalDate('sunday brunch', referenceDate)).toBeNull();
+    expect(parseNaturalDate('monday-ish', referenceDate)).toBeNull();
+    expect(parseNaturalDate('next fridays', referenceDate)).toBeNull();
+  });
 });
 
 describe('parseNaturalDate - Relative Dates', () => {
@@ -351,3 +366,73 @@ describe('isValidDateString', () => {
     expect(isValidDateString('')).toBe(false);
   });
 });
+
+describe('parseRecurrence', () => {
+  it('should parse daily and weekly phrases', () => {
+    expect(parseRecurrence('every 3 days')).toEqual(expect.objectContaining({
+      frequency: 'daily',
+      interval: 3,
+    }));
+    expect(parseRecurrence('every other Friday')).toEqual(expect.objectContaining({
+      frequency: 'weekly',
+      interval: 2,
+      weekdays: [5],
+    }));
+    expect(parseRecurrence('weekly on Mon, Wed and Fri').weekdays).toEqual([1, 3, 5]);
+    expect(parseRecurrence('every weekday').weekdays).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('should parse monthly and yearly phrases', () => {
+    expect(parseRecurrence('monthly on the 15th')).toEqual(expect.objectContaining({
+      frequency: 'monthly',
+      monthDay: 15,
+    }));
+    expect(parseRecurrence('every last Friday of the month')).toEqual(expect.objectContaining({
+      frequency: 'monthly',
+      weekOfMonth: -1,
+      weekdays: [5],
+    }));
+    expect(parseRecurrence('every 2 years')).toEqual(expect.objectContaining({
+      frequency: 'yearly',
+      interval: 2,
+    }));
+  });
+
+  it('should parse end dates and counts', () => {
+    expect(parseRecurrence('every day for 5 times').count).toBe(5);
+
+    const until = new Date(parseRecurrence('every week until 2025-06-30').until);
+    expect(until.getHours()).toBe(23);
+  });
+
+  it('should return null for unknown phrases', () => {
+    expect(parseRecurrence('sometimes')).toBeNull();
+    expect(parseRecurrence('every blue moon')).toBeNull();
+    expect(parseRecurrence('daily on the 15th')).toBeNull();
+    expect(normalizeRecurrenceRule({ frequency: 'hourly' })).toBeNull();
+    expect(normalizeRecurrenceRule({ frequency: 'weekly', weekdays: [7] })).toBeNull();
+  });
+});
+
+describe('nextOccurrence', () => {
+  // Friday, January 31, 2025, 9:00 AM
+  const friday = new Date(2025, 0, 31, 9, 0);
+
+  it('should step daily and weekly rules', () => {
+    expect(nextOccurrence(parseRecurrence('every 3 days'), friday)).toEqual(new Date(2025, 1, 3, 9, 0));
+    expect(nextOccurrence(parseRecurrence('every other Friday'), friday)).toEqual(new Date(2025, 1, 14, 9, 0));
+    expect(nextOccurrence(parseRecurrence('weekly on Friday and Saturday'), friday)).toEqual(new Date(2025, 1, 1, 9, 0));
+    expect(nextOccurrence(parseRecurrence('every 2 weeks on Tuesday'), friday)).toEqual(new Date(2025, 1, 11, 9, 0));
+  });
+
+  it('should step monthly rules, clamping to the month length', () => {
+    expect(nextOccurrence(parseRecurrence('monthly'), friday)).toEqual(new Date(2025, 1, 28, 9, 0));
+    expect(nextOccurrence(parseRecurrence('monthly on the 15th'), friday)).toEqual(new Date(2025, 1, 15, 9, 0));
+    expect(nextOccurrence(parseRecurrence('every first Monday'), friday)).toEqual(new Date(2025, 1, 3, 9, 0));
+    expect(nextOccurrence(parseRecurrence('every last Friday of the month'), friday)).toEqual(new Date(2025, 1, 28, 9, 0));
+  });
+
+  it('should stop after the end date', () => {
+    expect(nextOccurrence(parseRecurrence('yearly until 2025-12-31'), friday)).toBeNull();
+  });
+});
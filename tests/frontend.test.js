@@ -0,0 +1,101 @@
+/**
+ * Tests for the front-end files the server serves
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFrontendRouter, isServedPath } from '../src/frontend.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+describe('createFrontendRouter', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(createFrontendRouter(ROOT_DIR));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const status = async urlPath => (await fetch(`${baseUrl}${urlPath}`)).status;
+
+  it('should serve the app and the modules it loads', async () => {
+    const index = await fetch(`${baseUrl}/`);
+    expect(index.status).toBe(200);
+    expect(await index.text()).toContain('<script type="module">');
+
+    expect(await status('/index.html')).toBe(200);
+    expect(await status('/manifest.json')).toBe(200);
+    expect(await status('/serviceworker.js')).toBe(200);
+    expect(await status('/src/storage/localStorage.js')).toBe(200);
+    expect(await status('/src/utils/dashPlus.js')).toBe(200);
+    expect(await status('/src/vendor/uuid/index.js')).toBe(200);
+  });
+
+  it('should not serve anything else in the project directory', async () => {
+    expect(await status('/package.json')).toBe(404);
+    expect(await status('/requests.jsonl')).toBe(404);
+    expect(await status('/server.js')).toBe(404);
+    expect(await status('/tests/frontend.test.js')).toBe(404);
+    expect(await status('/src/api/auth.js')).toBe(404);
+    expect(await status('/src/storage/../../package.json')).toBe(404);
+    expect(await status('/src/storage/%2e%2e/%2e%2e/package.json')).toBe(404);
+  });
+});
+
+describe('data files', () => {
+  let rootDir;
+  let server;
+  let baseUrl;
+
+  // A project directory with a data file left where the server used to keep it
+  beforeAll(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashplus-'));
+    fs.writeFileSync(path.join(rootDir, 'index.html'), '<!DOCTYPE html>');
+    fs.mkdirSync(path.join(rootDir, 'data'));
+    fs.writeFileSync(path.join(rootDir, 'data', 'dashplus.json'), JSON.stringify({
+      'dashplus:users': [{ id: 'user-1', username: 'alice', passwordHash: 'scrypt$salt$hash' }],
+    }));
+
+    const app = express();
+    app.use(createFrontendRouter(rootDir));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should not serve the data directory', async () => {
+    const response = await fetch(`${baseUrl}/data/dashplus.json`);
+
+    expect(response.status).toBe(404);
+    expect(await response.text()).not.toContain('passwordHash');
+    expect((await fetch(`${baseUrl}/data/`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/data`)).status).toBe(404);
+  });
+
+  it('should tell which files are served', () => {
+    expect(isServedPath(rootDir, path.join(rootDir, 'data', 'dashplus.json'))).toBe(false);
+    expect(isServedPath(rootDir, path.join(os.homedir(), '.local', 'share', 'dash-plus-notes', 'dashplus.json'))).toBe(false);
+    expect(isServedPath(rootDir, path.join(rootDir, 'src', 'storage', 'dashplus.json'))).toBe(true);
+    expect(isServedPath(rootDir, path.join(rootDir, 'src', 'vendor', 'data', 'dashplus.db'))).toBe(true);
+    expect(isServedPath(rootDir, path.join(rootDir, 'manifest.json'))).toBe(true);
+  });
+});
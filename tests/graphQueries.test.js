@@ -2,9 +2,9 @@
  * Tests for graph query functions
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
-import { TaskStore, LinkStore, Storage } from '../src/storage/localStorage.js';
-import { GraphQueries, GraphUtils } from '../src/storage/graphQueries.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TaskStore, LinkStore, ProjectStore, VocabularyStore, Storage } from '../src/storage/localStorage.js';
+import { GraphQueries, GraphUtils, clearGraphMetrics } from '../src/storage/graphQueries.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -421,3 +421,343 @@ describe('GraphUtils - Export Formats', () => {
     expect(mermaid).toContain('Task B');
   });
 });
+
+describe('GraphQueries - Schedule', () => {
+  let project;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2025, 2, 3, 9, 0)); // Monday 3 March 2025
+    Storage.clearAll();
+    VocabularyStore.update({ fields: [{ name: 'estimate', type: 'number' }] });
+    project = ProjectStore.create({ name: 'Launch' });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const create = (content, estimate, fields = {}) => TaskStore.create({
+    content,
+    projectId: project.id,
+    customFields: estimate === undefined ? {} : { estimate },
+    ...fields,
+  });
+
+  it('should compute earliest and latest times, slack and the critical path', () => {
+    const design = create('Design', 2);
+    const build = create('Build', 3);
+    const docs = create('Docs');
+    const ship = create('Ship', 1);
+    TaskStore.complete(create('Kickoff', 1).id);
+    create('Notes', 5, { type: 'note', symbol: '+' });
+    TaskStore.create({ content: 'Elsewhere', customFields: { estimate: 9 } });
+
+    LinkStore.create({ sourceId: design.id, targetId: build.id, linkType: 'blocks' });
+    LinkStore.create({ sourceId: build.id, targetId: ship.id, linkType: 'blocks' });
+    LinkStore.create({ sourceId: ship.id, targetId: docs.id, linkType: 'waiting' });
+
+    const schedule = GraphQueries.getSchedule(project.id);
+    const byId = Object.fromEntries(schedule.tasks.map(entry => [entry.taskId, entry]));
+
+    expect(schedule.tasks).toHaveLength(4);
+    expect(schedule.duration).toBe(6);
+    expect(schedule.startDate).toBe('2025-03-03T00:00:00.000Z');
+    expect(schedule.finishDate).toBe('2025-03-09T00:00:00.000Z');
+    expect(schedule.criticalPath).toEqual([design.id, build.id, ship.id]);
+    expect(byId[build.id]).toEqual(expect.objectContaining({
+      duration: 3, earliestStart: 2, earliestFinish: 5, latestStart: 2, latestFinish: 5, slack: 0, critical: true,
+    }));
+    expect(byId[docs.id]).toEqual(expect.objectContaining({
+      duration: 1, earliestStart: 0, latestStart: 4, slack: 4, critical: false,
+    }));
+    expect(schedule.conflicts).toEqual([]);
+
+    const order = schedule.tasks.map(entry => entry.taskId);
+    expect(order.indexOf(design.id)).toBeLessThan(order.indexOf(build.id));
+    expect(order.indexOf(docs.id)).toBeLessThan(order.indexOf(ship.id));
+  });
+
+  it('should flag due dates the dependencies make impossible', () => {
+    const design = create('Design', 16);
+    const build = create('Build', 24);
+    const ship = create('Ship', 8, { dueDate: '2025-03-07' });
+    const docs = create('Docs', 8);
+    LinkStore.create({ sourceId: design.id, targetId: build.id, linkType: 'blocks' });
+    LinkStore.create({ sourceId: ship.id, targetId: build.id, linkType: 'waiting' });
+    LinkStore.create({ sourceId: ship.id, targetId: docs.id, linkType: 'waiting' });
+
+    const schedule = GraphQueries.getSchedule(project.id, { estimateUnit: 'hours' });
+
+    expect(schedule.duration).toBe(6);
+    expect(schedule.conflicts).toEqual([{
+      taskId: ship.id,
+      dueDate: ship.dueDate,
+      earliestFinish: '2025-03-09T00:00:00.000Z',
+      lateBy: 1,
+      blockedBy: [build.id],
+    }]);
+    expect(schedule.tasks.find(entry => entry.taskId === design.id).slack).toBe(-1);
+    expect(schedule.tasks.find(entry => entry.taskId === docs.id).slack).toBe(3);
+  });
+
+  it('should refuse to schedule circular dependencies', () => {
+    const a = create('A');
+    const b = create('B');
+    LinkStore.create({ sourceId: a.id, targetId: b.id, linkType: 'blocks' });
+    LinkStore.create({ sourceId: a.id, targetId: b.id, linkType: 'waiting' });
+
+    expect(() => GraphQueries.getSchedule(project.id)).toThrow('Cannot schedule circular dependencies');
+    expect(() => GraphQueries.getSchedule(project.id, { startDate: 'soon' })).toThrow('Invalid start date: soon');
+  });
+});
+
+describe('GraphQueries - Next Actions', () => {
+  beforeEach(() => {
+    Storage.clearAll();
+  });
+
+  it('should list active tasks whose dependencies are done, most important first', () => {
+    const design = TaskStore.create({ content: 'Design', priority: 'low' });
+    const build = TaskStore.create({ content: 'Build', priority: 'urgent' });
+    const review = TaskStore.create({ content: 'Review', priority: 'high', dueDate: '2025-03-10' });
+    const docs = TaskStore.create({ content: 'Docs', priority: 'high', dueDate: '2025-03-07' });
+    const plain = TaskStore.create({ content: 'Plain' });
+    const legal = TaskStore.create({ content: 'Legal', status: 'waiting', symbol: '←' });
+    const spec = TaskStore.create({ content: 'Spec' });
+    TaskStore.complete(spec.id);
+
+    LinkStore.create({ sourceId: design.id, targetId: build.id, linkType: 'blocks' });
+    LinkStore.create({ sourceId: docs.id, targetId: spec.id, linkType: 'waiting' });
+    LinkStore.create({ sourceId: review.id, targetId: legal.id, linkType: 'waiting' });
+
+    const next = GraphQueries.getNextActions();
+
+    expect(next.tasks.map(t => t.content)).toEqual(['Docs', 'Design', 'Plain']);
+    expect(next.count).toBe(3);
+    expect(next.blocked.map(({ task, blockedBy }) => [task.content, blockedBy]))
+      .toEqual([['Build', [design.id]], ['Review', [legal.id]]]);
+    expect(next.order.indexOf(design.id)).toBeLessThan(next.order.indexOf(build.id));
+    expect(next.order).toHaveLength(6);
+    expect(next.cycles).toEqual([]);
+
+    expect(GraphQueries.getNextActions({ limit: 1 }).tasks.map(t => t.content)).toEqual(['Docs']);
+  });
+
+  it('should report cycles that keep tasks from being ordered', () => {
+    const a = TaskStore.create({ content: 'A' });
+    const b = TaskStore.create({ content: 'B' });
+    const c = TaskStore.create({ content: 'C' });
+    const free = TaskStore.create({ content: 'Free' });
+    LinkStore.create({ sourceId: a.id, targetId: b.id, linkType: 'blocks' });
+    LinkStore.create({ sourceId: b.id, targetId: a.id, linkType: 'blocks' });
+    LinkStore.create({ sourceId: b.id, targetId: c.id, linkType: 'blocks' });
+
+    const next = GraphQueries.getNextActions();
+
+    expect(next.tasks.map(t => t.id)).toEqual([free.id]);
+    expect(next.order).toEqual([free.id]);
+    expect(next.cycles).toHaveLength(1);
+    expect(next.cycles[0].path).toHaveLength(3);
+    expect(next.blocked.map(({ task }) => task.id).sort()).toEqual([a.id, b.id, c.id].sort());
+  });
+});
+
+describe('GraphQueries - Influence', () => {
+  beforeEach(() => {
+    Storage.clearAll();
+    clearGraphMetrics();
+  });
+
+  it('should compute PageRank, betweenness and degrees over the whole graph', () => {
+    const a = TaskStore.create({ content: 'A' });
+    const b = TaskStore.create({ content: 'B' });
+    const c = TaskStore.create({ content: 'C' });
+    const d = TaskStore.create({ content: 'D' });
+    LinkStore.create({ sourceId: b.id, targetId: a.id, linkType: 'waiting' });
+    LinkStore.create({ sourceId: c.id, targetId: a.id, linkType: 'waiting' });
+    LinkStore.create({ sourceId: d.id, targetId: b.id, linkType: 'waiting' });
+
+    const metrics = GraphQueries.getGraphMetrics();
+    const byId = Object.fromEntries(metrics.tasks.map(entry => [entry.taskId, entry]));
+
+    expect(metrics.nodeCount).toBe(4);
+    expect(metrics.edgeCount).toBe(3);
+    expect(metrics.tasks[0].taskId).toBe(a.id);
+    expect(metrics.tasks.reduce((sum, entry) => sum + entry.pageRank, 0)).toBeCloseTo(1, 6);
+    expect(byId[b.id].pageRank).toBeGreaterThan(byId[c.id].pageRank);
+    expect(byId[b.id].betweenness).toBeCloseTo(1 / 6, 6);
+    expect(byId[a.id].betweenness).toBe(0);
+    expect(byId[a.id]).toEqual(expect.objectContaining({ inDegree: 2, outDegree: 0 }));
+
+    const bridges = GraphQueries.getInfluentialTasks({ sortBy: 'betweenness', limit: 1 });
+    expect(bridges.map(entry => entry.task.content)).toEqual(['B']);
+    expect(() => GraphQueries.getInfluentialTasks({ sortBy: 'fame' })).toThrow('Invalid influence metric: fame');
+  });
+
+  it('should weigh links by strength and credit blockers', () => {
+    const hub = TaskStore.create({ content: 'Hub' });
+    const strong = TaskStore.create({ content: 'Strong' });
+    const weak = TaskStore.create({ content: 'Weak' });
+    const blocker = TaskStore.create({ content: 'Blocker' });
+    const blocked = TaskStore.create({ content: 'Blocked' });
+    LinkStore.create({ sourceId: hub.id, targetId: strong.id, linkType: 'references', strength: 1 });
+    LinkStore.create({ sourceId: hub.id, targetId: weak.id, linkType: 'waiting', strength: 0.2 });
+    LinkStore.create({ sourceId: blocker.id, targetId: blocked.id, linkType: 'blocks' });
+
+    const ranked = GraphQueries.getInfluentialTasks({ limit: null }).map(entry => entry.task.content);
+
+    expect(ranked.indexOf('Strong')).toBeLessThan(ranked.indexOf('Weak'));
+    expect(ranked.indexOf('Blocker')).toBeLessThan(ranked.indexOf('Blocked'));
+  });
+
+  it('should cache the metrics until the links or tasks change', () => {
+    const a = TaskStore.create({ content: 'A' });
+    const b = TaskStore.create({ content: 'B' });
+
+    const first = GraphQueries.getGraphMetrics();
+    expect(GraphQueries.getGraphMetrics()).toBe(first);
+
+    TaskStore.update(a.id, { content: 'A (renamed)' });
+    expect(GraphQueries.getGraphMetrics()).toBe(first);
+
+    const link = LinkStore.create({ sourceId: a.id, targetId: b.id, linkType: 'waiting' });
+    const linked = GraphQueries.getGraphMetrics();
+    expect(linked).not.toBe(first);
+    expect(linked.edgeCount).toBe(1);
+
+    LinkStore.delete(link.id);
+    expect(GraphQueries.getGraphMetrics().edgeCount).toBe(0);
+
+    TaskStore.create({ content: 'C' });
+    expect(GraphQueries.getGraphMetrics().nodeCount).toBe(3);
+  });
+});
+
+describe('GraphQueries - Paths', () => {
+  let a, b, c, d;
+
+  beforeEach(() => {
+    Storage.clearAll();
+    a = TaskStore.create({ content: 'A' });
+    b = TaskStore.create({ content: 'B' });
+    c = TaskStore.create({ content: 'C' });
+    d = TaskStore.create({ content: 'D' });
+    LinkStore.create({ sourceId: a.id, targetId: b.id, linkType: 'waiting' });
+    LinkStore.create({ sourceId: b.id, targetId: d.id, linkType: 'waiting' });
+    LinkStore.create({ sourceId: a.id, targetId: c.id, linkType: 'references', strength: 0.5 });
+    LinkStore.create({ sourceId: c.id, targetId: d.id, linkType: 'blocks' });
+    LinkStore.create({ sourceId: a.id, targetId: d.id, linkType: 'related', strength: 0.1 });
+  });
+
+  it('should find the shortest path, by links or by strength', () => {
+    const direct = GraphQueries.findShortestPath(a.id, d.id);
+    expect(direct).toEqual(expect.objectContaining({ path: [a.id, d.id], linkTypes: ['related'], length: 1, cost: 1 }));
+
+    const strongest = GraphQueries.findShortestPath(a.id, d.id, { weighted: true });
+    expect(strongest).toEqual(expect.objectContaining({
+      path: [a.id, b.id, d.id],
+      linkTypes: ['waiting', 'waiting'],
+      directions: ['outgoing', 'outgoing'],
+      cost: 2,
+    }));
+
+    expect(GraphQueries.findShortestPath(a.id, d.id, { linkTypes: ['references', 'blocks'] }).path).toEqual([a.id, c.id, d.id]);
+    expect(GraphQueries.findShortestPath(d.id, a.id)).toBeNull();
+
+    const back = GraphQueries.findShortestPath(d.id, b.id, { direction: 'incoming' });
+    expect(back).toEqual(expect.objectContaining({ path: [d.id, b.id], directions: ['incoming'] }));
+    expect(() => GraphQueries.findShortestPath(a.id, d.id, { direction: 'sideways' })).toThrow('Invalid direction: sideways');
+  });
+
+  it('should find the k shortest paths', () => {
+    const paths = GraphQueries.findKShortestPaths(a.id, d.id, 5, { weighted: true });
+
+    expect(paths.map(p => p.path)).toEqual([[a.id, b.id, d.id], [a.id, c.id, d.id], [a.id, d.id]]);
+    expect(paths.map(p => p.cost)).toEqual([2, 3, 10]);
+    expect(GraphQueries.findKShortestPaths(a.id, d.id, 2).map(p => p.length)).toEqual([1, 2]);
+    expect(GraphQueries.findKShortestPaths(d.id, a.id, 3)).toEqual([]);
+  });
+
+  it('should find all paths up to a depth', () => {
+    const all = GraphQueries.findAllPaths(a.id, d.id);
+    expect(all.count).toBe(3);
+    expect(all.paths[0].path).toEqual([a.id, d.id]);
+    expect(all.truncated).toBe(false);
+
+    expect(GraphQueries.findAllPaths(a.id, d.id, { maxDepth: 1 }).count).toBe(1);
+    expect(GraphQueries.findAllPaths(a.id, d.id, { limit: 2 })).toEqual(expect.objectContaining({ count: 2, truncated: true }));
+
+    // Both ways, B reaches C through A or through D
+    expect(GraphQueries.findAllPaths(b.id, c.id, { direction: 'both' }).paths.map(p => p.path))
+      .toEqual(expect.arrayContaining([[b.id, a.id, c.id], [b.id, d.id, c.id]]));
+  });
+});
+
+describe('GraphQueries - Clusters', () => {
+  let project;
+  let api, auth, docs, blog, lonely;
+
+  beforeEach(() => {
+    Storage.clearAll();
+    project = ProjectStore.create({ name: 'Existing' });
+
+    // Two tightly linked groups joined by one weak link
+    api = ['Design the API', 'Write endpoints', 'Test endpoints']
+      .map(content => TaskStore.create({ content, tags: ['backend'] }));
+    auth = TaskStore.create({ content: 'Add login' });
+    docs = ['Outline docs', 'Write guide', 'Publish docs'].map(content => TaskStore.create({ content }));
+    blog = TaskStore.create({ content: 'Blog post', projectId: project.id });
+    lonely = TaskStore.create({ content: 'Lonely' });
+
+    const link = (a, b, fields = {}) => LinkStore.create({ sourceId: a.id, targetId: b.id, linkType: 'related', ...fields });
+    link(api[0], api[1]);
+    link(api[1], api[2]);
+    link(api[0], api[2]);
+    link(auth, api[1], { linkType: 'blocks' });
+    link(docs[0], docs[1]);
+    link(docs[1], docs[2]);
+    link(docs[0], docs[2]);
+    link(docs[2], blog, { linkType: 'references' });
+    link(api[2], docs[0], { strength: 0.1 });
+  });
+
+  it('should find connected components', () => {
+    const { components, count } = GraphQueries.getConnectedComponents();
+    expect(count).toBe(1);
+    expect(components[0].size).toBe(8);
+
+    const related = GraphQueries.getConnectedComponents({ linkTypes: ['related'] });
+    expect(related.components.map(c => c.size)).toEqual([6]);
+    expect(GraphQueries.getConnectedComponents({ minSize: 1 }).count).toBe(2);
+  });
+
+  it('should detect communities with their modularity', () => {
+    const { communities, modularity } = GraphQueries.detectCommunities();
+
+    expect(communities.map(c => c.taskIds.sort())).toEqual(expect.arrayContaining([
+      [...api, auth].map(t => t.id).sort(),
+      [...docs, blog].map(t => t.id).sort(),
+    ]));
+    expect(communities).toHaveLength(2);
+    expect(communities.find(c => c.size === 4 && c.taskIds.includes(auth.id)).links).toBe(4);
+    expect(modularity).toBeGreaterThan(0.3);
+  });
+
+  it('should suggest projects for tasks outside projects and create them', () => {
+    const suggestions = GraphQueries.suggestProjects();
+
+    expect(suggestions.map(s => s.name)).toEqual(['backend', 'Outline docs']);
+    expect(suggestions[1].taskIds.sort()).toEqual(docs.map(t => t.id).sort());
+    expect(suggestions.flatMap(s => s.taskIds)).not.toContain(lonely.id);
+
+    const { project: created, tasks } = GraphQueries.createProjectFromTasks(suggestions[0].taskIds, { name: suggestions[0].name });
+    expect(tasks.every(task => task.projectId === created.id)).toBe(true);
+    expect(ProjectStore.getById(created.id).name).toBe('backend');
+    expect(GraphQueries.suggestProjects().map(s => s.name)).toEqual(['Outline docs']);
+
+    expect(() => GraphQueries.createProjectFromTasks([])).toThrow('taskIds must be a non-empty array');
+    expect(() => GraphQueries.createProjectFromTasks([lonely.id, 'missing'], { name: 'X' })).toThrow('not found');
+    expect(ProjectStore.getAll().data.map(p => p.name)).not.toContain('X');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for point-in-time history
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { HistoryService } from '../src/storage/history.js';
+
+const MONDAY = '2025-03-03T09:00:00.000Z';
+const TUESDAY = '2025-03-04T09:00:00.000Z';
+const WEDNESDAY = '2025-03-05T09:00:00.000Z';
+const THURSDAY = '2025-03-06T09:00:00.000Z';
+
+/**
+ * Run store operations as if at a given time
+ */
+function at(timestamp, fn) {
+  vi.setSystemTime(new Date(timestamp));
+  return fn();
+}
+
+describe('HistoryService (localStorage stores)', () => {
+  let history;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    configureStorage(new MemoryAdapter());
+    history = new HistoryService();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should materialize an entity as of a timestamp', () => {
+    const task = at(MONDAY, () => TaskStore.create({ content: 'Draft', tags: ['a'] }));
+    at(TUESDAY, () => TaskStore.update(task.id, { content: 'Final', priority: 'high' }));
+    at(WEDNESDAY, () => TaskStore.complete(task.id));
+
+    expect(history.getEntityAt(task.id, '2025-03-01T00:00:00.000Z')).toBeNull();
+    expect(history.getEntityAt(task.id, MONDAY)).toEqual(task);
+    expect(history.getEntityAt(task.id, '2025-03-04T12:00:00.000Z')).toEqual(expect.objectContaining({
+      content: 'Final',
+      priority: 'high',
+      status: 'active',
+    }));
+    expect(history.getEntityAt(task.id, THURSDAY)).toEqual(TaskStore.getById(task.id));
+  });
+
+  it('should materialize deleted entities from their snapshot', () => {
+    const task = at(MONDAY, () => TaskStore.create({ content: 'Gone' }));
+    at(TUESDAY, () => TaskStore.delete(task.id));
+
+    expect(history.getEntityAt(task.id, MONDAY)).toEqual(task);
+    expect(history.getEntityAt(task.id, WEDNESDAY)).toBeNull();
+  });
+
+  it('should diff an entity between two timestamps', () => {
+    const task = at(MONDAY, () => TaskStore.create({ content: 'Task' }));
+    at(TUESDAY, () => TaskStore.update(task.id, { status: 'waiting' }));
+    at(WEDNESDAY, () => TaskStore.update(task.id, { status: 'cancelled', content: 'Later' }));
+
+    const diff = history.diff(task.id, MONDAY, WEDNESDAY);
+    expect(diff.entityType).toBe('task');
+    expect(diff.changes).toEqual(expect.arrayContaining([
+      { field: 'status', oldValue: 'active', newValue: 'cancelled' },
+      { field: 'content', oldValue: 'Task', newValue: 'Later' },
+    ]));
+  });
+
+  it('should materialize and diff the whole workspace', () => {
+    const project = at(MONDAY, () => ProjectStore.create({ name: 'Project' }));
+    const task1 = at(MONDAY, () => TaskStore.create({ content: 'Task 1', projectId: project.id }));
+    const task2 = at(TUESDAY, () => TaskStore.create({ content: 'Task 2' }));
+    at(TUESDAY, () => LinkStore.create({ sourceId: task1.id, targetId: task2.id, linkType: 'blocks' }));
+    at(WEDNESDAY, () => ProjectStore.delete(project.id));
+
+    const monday = history.getWorkspaceAt(MONDAY);
+    expect(monday.tasks.map(t => t.content)).toEqual(['Task 1']);
+    expect(monday.projects.map(p => p.name)).toEqual(['Project']);
+    expect(monday.links).toEqual([]);
+
+    const diff = history.diffWorkspace(MONDAY, THURSDAY);
+    expect(diff.created.map(c => c.entityType).sort()).toEqual(['link', 'task']);
+    expect(diff.deleted).toEqual([{ entityType: 'project', entity: project }]);
+    expect(diff.updated).toEqual([expect.objectContaining({
+      entityType: 'task',
+      entityId: task1.id,
+      changes: expect.arrayContaining([
+        { field: 'projectId', oldValue: project.id, newValue: null },
+      ]),
+    })]);
+  });
+
+  it('should revert an entity with a new audited update', () => {
+    const task = at(MONDAY, () => TaskStore.create({ content: 'Task' }));
+    at(TUESDAY, () => TaskStore.update(task.id, { content: 'Edited', priority: 'high' }));
+
+    const reverted = at(WEDNESDAY, () => history.revertTo(task.id, MONDAY));
+    expect(reverted).toEqual(expect.objectContaining({ content: 'Task', priority: null }));
+
+    const entries = Storage.getAuditHistory('task', task.id);
+    expect(entries.map(e => e.action)).toEqual(['create', 'update', 'update']);
+    expect(entries[2].timestamp).toBe(WEDNESDAY);
+
+    // Reverting to the current state writes nothing
+    at(THURSDAY, () => history.revertTo(task.id, WEDNESDAY));
+    expect(Storage.getAuditHistory('task', task.id).length).toBe(3);
+  });
+
+  it('should revert a deleted entity by restoring it', () => {
+    const task = at(MONDAY, () => TaskStore.create({ content: 'Task' }));
+    at(TUESDAY, () => TaskStore.delete(task.id));
+
+    at(WEDNESDAY, () => history.revertTo(task.id, MONDAY));
+    expect(TaskStore.getById(task.id)).toEqual(task);
+  });
+
+  it('should reject reverting to before an entity existed', () => {
+    const task = at(TUESDAY, () => TaskStore.create({ content: 'Task' }));
+
+    expect(() => history.revertTo(task.id, MONDAY)).toThrow('did not exist');
+    expect(() => history.getEntityAt('missing', MONDAY)).toThrow('Entity missing not found');
+    expect(() => history.getEntityAt(task.id, 'last tuesday')).toThrow('Invalid timestamp');
+  });
+});
+
+describe('HistoryService (SQLite stores)', () => {
+  let db;
+  let history;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    db = createSQLiteStores(':memory:');
+    history = new HistoryService(db);
+  });
+
+  afterEach(() => {
+    db.database.close();
+    vi.useRealTimers();
+  });
+
+  it('should materialize and revert entities', () => {
+    const task = at(MONDAY, () => db.tasks.create({ content: 'Task', tags: ['a'] }));
+    at(TUESDAY, () => db.tasks.update(task.id, { tags: ['a', 'b'], status: 'waiting' }));
+
+    expect(history.getEntityAt(task.id, MONDAY)).toEqual(task);
+
+    at(WEDNESDAY, () => history.revertTo(task.id, MONDAY));
+    expect(db.tasks.getById(task.id)).toEqual(expect.objectContaining({
+      tags: ['a'],
+      status: 'active',
+    }));
+  });
+
+  it('should include deleted links in an earlier workspace', () => {
+    const task1 = at(MONDAY, () => db.tasks.create({ content: 'Task 1' }));
+    const task2 = at(MONDAY, () => db.tasks.create({ content: 'Task 2' }));
+    const link = at(MONDAY, () => db.links.create({ sourceId: task1.id, targetId: task2.id, linkType: 'waiting' }));
+    at(TUESDAY, () => db.tasks.delete(task1.id));
+
+    const monday = history.getWorkspaceAt(MONDAY);
+    expect(monday.tasks.length).toBe(2);
+    expect(monday.links).toEqual([link]);
+    expect(history.getWorkspaceAt(WEDNESDAY).links).toEqual([]);
+  });
+});
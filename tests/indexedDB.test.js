@@ -0,0 +1,220 @@
+/**
+ * Tests for IndexedDB storage backend
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { TaskStore, Storage, configureStorage } from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createIndexedDBStores, migrateFromLocalStorage } from '../src/storage/indexedDB.js';
+
+const USER_ID = '00000000-0000-0000-0000-000000000001';
+
+let db;
+
+beforeEach(() => {
+  db = createIndexedDBStores({
+    indexedDB: new IDBFactory(),
+    IDBKeyRange,
+    userId: USER_ID,
+  });
+});
+
+afterEach(() => {
+  db.storage.close();
+});
+
+describe('IndexedDBTaskStore', () => {
+  it('should create and get a task', async () => {
+    const task = await db.tasks.create({ content: 'Stored in IndexedDB', symbol: '→' });
+
+    const retrieved = await db.tasks.getById(task.id);
+
+    expect(retrieved.content).toBe('Stored in IndexedDB');
+    expect(retrieved.symbol).toBe('→');
+    expect(retrieved.createdBy).toBe(USER_ID);
+  });
+
+  it('should reject invalid tasks', async () => {
+    await expect(db.tasks.create({ content: '' })).rejects.toThrow('Task content cannot be empty');
+    await expect(db.tasks.create({ content: 'Test', projectId: 'missing' })).rejects.toThrow(
+      'Project missing not found'
+    );
+  });
+
+  it('should filter tasks by project and status', async () => {
+    const project = await db.projects.create({ name: 'Backend' });
+
+    await db.tasks.create({ content: 'Task 1', projectId: project.id });
+    await db.tasks.create({ content: 'Task 2', projectId: project.id, status: 'completed' });
+    await db.tasks.create({ content: 'Task 3' });
+
+    const projectTasks = await db.tasks.getAll({ projectId: project.id });
+    const completed = await db.tasks.getAll({ status: 'completed' });
+    const unassigned = await db.tasks.getAll({ projectId: null });
+
+    expect(projectTasks.data.length).toBe(2);
+    expect(completed.data.map(t => t.content)).toEqual(['Task 2']);
+    expect(unassigned.data.map(t => t.content)).toEqual(['Task 3']);
+  });
+
+  it('should get tasks due in a range', async () => {
+    await db.tasks.create({ content: 'Early', dueDate: '2025-01-10' });
+    await db.tasks.create({ content: 'Middle', dueDate: '2025-01-15' });
+    await db.tasks.create({ content: 'Late', dueDate: '2025-02-01' });
+
+    const due = await db.tasks.getDueBetween('2025-01-01', '2025-01-20');
+
+    expect(due.map(t => t.content)).toEqual(['Early', 'Middle']);
+  });
+
+  it('should update a task and record changes', async () => {
+    const task = await db.tasks.create({ content: 'Original' });
+
+    const updated = await db.tasks.update(task.id, { content: 'Updated' });
+    const logs = await db.storage.getAll('audit_logs', 'entityId', task.id);
+
+    expect(updated.content).toBe('Updated');
+    expect(logs.map(l => l.action)).toEqual(expect.arrayContaining(['create', 'update']));
+    expect(logs.find(l => l.action === 'update').changes).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field: 'content', oldValue: 'Original', newValue: 'Updated' }),
+      ])
+    );
+  });
+
+  it('should complete a task', async () => {
+    const task = await db.tasks.create({ content: 'Finish me' });
+
+    const completed = await db.tasks.complete(task.id);
+
+    expect(completed.status).toBe('completed');
+    expect(completed.completedAt).toBeDefined();
+  });
+
+  it('should create the next occurrence of a recurring task', async () => {
+    const task = await db.tasks.create({
+      content: 'Invoice',
+      dueDate: '2025-01-15T09:00:00.000Z',
+      recurrence: { frequency: 'monthly', monthDay: 15 },
+    });
+
+    await db.tasks.complete(task.id);
+
+    const [link] = (await db.links.getAll({ sourceId: task.id })).data;
+    const next = await db.tasks.getById(link.targetId);
+    expect(link.linkType).toBe('moved');
+    expect(next.dueDate).toBe('2025-02-15T09:00:00.000Z');
+  });
+
+  it('should delete a task and cascade its links', async () => {
+    const task1 = await db.tasks.create({ content: 'Task 1' });
+    const task2 = await db.tasks.create({ content: 'Task 2' });
+    const link = await db.links.create({ sourceId: task1.id, targetId: task2.id, linkType: 'waiting' });
+
+    await db.tasks.delete(task2.id);
+
+    await expect(db.tasks.getById(task2.id)).rejects.toThrow('not found');
+    await expect(db.links.getById(link.id)).rejects.toThrow('not found');
+  });
+});
+
+describe('IndexedDBTaskStore - Subtasks', () => {
+  it('should nest, order and roll up subtasks', async () => {
+    const parent = await db.tasks.create({ content: 'Launch' });
+    const first = await db.tasks.create({ content: 'Design', parentTaskId: parent.id });
+    const second = await db.tasks.create({ content: 'Build', parentTaskId: parent.id });
+
+    expect([first.position, second.position]).toEqual([0, 1]);
+    expect((await db.tasks.getAll({ parentTaskId: parent.id })).data).toHaveLength(2);
+
+    await db.tasks.complete(first.id);
+    expect((await db.tasks.getProgress(parent.id)).percentComplete).toBe(50);
+
+    await expect(db.tasks.update(parent.id, { parentTaskId: second.id }))
+      .rejects.toThrow('Circular task nesting detected');
+  });
+
+  it('should move subtasks up when their parent is deleted', async () => {
+    const parent = await db.tasks.create({ content: 'Parent' });
+    const child = await db.tasks.create({ content: 'Child', parentTaskId: parent.id });
+
+    await db.tasks.delete(parent.id);
+
+    expect((await db.tasks.getById(child.id)).parentTaskId).toBeNull();
+  });
+});
+
+describe('IndexedDBLinkStore', () => {
+  it('should filter links bidirectionally', async () => {
+    const task1 = await db.tasks.create({ content: 'Task 1' });
+    const task2 = await db.tasks.create({ content: 'Task 2' });
+    const task3 = await db.tasks.create({ content: 'Task 3' });
+
+    await db.links.create({ sourceId: task1.id, targetId: task2.id, linkType: 'waiting' });
+    await db.links.create({ sourceId: task3.id, targetId: task1.id, linkType: 'references' });
+    await db.links.create({ sourceId: task2.id, targetId: task3.id, linkType: 'blocks' });
+
+    const links = await db.links.getAll({ entityId: task1.id });
+    const waiting = await db.links.getAll({ sourceId: task1.id, linkType: 'waiting' });
+
+    expect(links.data.length).toBe(2);
+    expect(waiting.data.length).toBe(1);
+  });
+
+  it('should prevent self-loops', async () => {
+    const task = await db.tasks.create({ content: 'Task' });
+
+    await expect(
+      db.links.create({ sourceId: task.id, targetId: task.id, linkType: 'waiting' })
+    ).rejects.toThrow('Cannot create self-loop');
+  });
+});
+
+describe('IndexedDBProjectStore', () => {
+  it('should prevent circular nesting', async () => {
+    const project1 = await db.projects.create({ name: 'Project 1' });
+    const project2 = await db.projects.create({ name: 'Project 2', parentId: project1.id });
+
+    await expect(
+      db.projects.update(project1.id, { parentId: project2.id })
+    ).rejects.toThrow('Project cannot be its own parent');
+  });
+
+  it('should orphan tasks when a project is deleted', async () => {
+    const project = await db.projects.create({ name: 'Temporary' });
+    const task = await db.tasks.create({ content: 'Task', projectId: project.id });
+
+    await db.projects.delete(project.id);
+
+    expect((await db.tasks.getById(task.id)).projectId).toBeNull();
+  });
+});
+
+describe('migrateFromLocalStorage', () => {
+  beforeEach(() => {
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+  });
+
+  it('should copy dashplus collections once', async () => {
+    const task = TaskStore.create({ content: 'Legacy task' });
+
+    const first = await migrateFromLocalStorage(db.storage);
+    const second = await migrateFromLocalStorage(db.storage);
+
+    expect(first.migrated).toBe(true);
+    expect(first.counts.tasks).toBe(1);
+    expect(first.counts.users).toBe(1);
+    expect(second.migrated).toBe(false);
+    expect((await db.tasks.getById(task.id)).content).toBe('Legacy task');
+  });
+
+  it('should remove legacy keys when requested', async () => {
+    TaskStore.create({ content: 'Legacy task' });
+
+    await migrateFromLocalStorage(db.storage, { removeLegacy: true });
+
+    expect(Storage.getAdapter().get('dashplus:tasks')).toBeNull();
+  });
+});
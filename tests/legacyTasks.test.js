@@ -0,0 +1,156 @@
+/**
+ * Tests for migrating index.html's original task list onto TaskStore
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  UserStore,
+  AuditLogger,
+  STORAGE_KEYS,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import {
+  LEGACY_TASKS_KEY,
+  LEGACY_STATUSES,
+  fromLegacyStatus,
+  toLegacyStatus,
+  findOrCreateUser,
+  migrateLegacyTasks,
+} from '../src/storage/legacyTasks.js';
+
+// Newest first, as index.html kept them
+const LEGACY_TASKS = [
+  {
+    id: 1736935300000,
+    content: 'Send contract',
+    status: 'delegated',
+    delegatedTo: 'Zoë Ng',
+    dueDate: '2025-02-01',
+    project: 'Legal',
+    parentId: null,
+    createdAt: '2025-01-15T10:01:40.000Z',
+  },
+  { id: 1736935250000, content: 'Sign', status: 'done', parentId: 1736935200000, createdAt: '2025-01-15T10:00:50.000Z' },
+  { id: 1736935220000, content: 'Read', status: 'waiting', parentId: 1736935200000, createdAt: '2025-01-15T10:00:20.000Z' },
+  {
+    id: 1736935200000,
+    content: 'Review lease',
+    status: 'reference',
+    dueDate: 'after the move',
+    parentId: null,
+    createdAt: '2025-01-15T10:00:00.000Z',
+  },
+];
+
+describe('legacy statuses', () => {
+  it('should map every status onto the model and back', () => {
+    LEGACY_STATUSES.forEach(status => {
+      expect(toLegacyStatus(fromLegacyStatus(status))).toBe(status);
+    });
+
+    expect(fromLegacyStatus('delegated')).toEqual({ type: 'task', symbol: '→', status: 'waiting' });
+    expect(fromLegacyStatus('reference')).toEqual({ type: 'note', symbol: '+', status: 'active' });
+    expect(fromLegacyStatus('active', { symbol: '△' }).symbol).toBe('△');
+    expect(fromLegacyStatus('done', { type: 'note', symbol: '+' }))
+      .toEqual({ type: 'note', symbol: '+', status: 'completed' });
+    expect(toLegacyStatus({ type: 'task', symbol: '-', status: 'cancelled' })).toBe('done');
+    expect(() => fromLegacyStatus('someday')).toThrow('Invalid legacy status: someday');
+  });
+});
+
+describe('findOrCreateUser', () => {
+  beforeEach(() => {
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+  });
+
+  it('should match users by username or display name and create the rest', () => {
+    const bob = UserStore.create({ username: 'bob', email: 'bob@example.com', displayName: 'Bob Smith' });
+
+    expect(findOrCreateUser('@Bob').id).toBe(bob.id);
+    expect(findOrCreateUser('bob smith').id).toBe(bob.id);
+
+    const zoe = findOrCreateUser('Zoë Ng');
+    expect(zoe).toEqual(expect.objectContaining({ username: 'zoe.ng', displayName: 'Zoë Ng' }));
+    expect(findOrCreateUser('Zoe Ng').username).toBe('zoe.ng2');
+  });
+});
+
+describe('migrateLegacyTasks', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new MemoryAdapter();
+    configureStorage(adapter);
+    Storage.clearAll();
+    adapter.set(LEGACY_TASKS_KEY, LEGACY_TASKS);
+  });
+
+  it('should move every task into TaskStore, keeping order, nesting and dates', () => {
+    const report = migrateLegacyTasks();
+
+    expect(report).toEqual({ migrated: 4, skipped: 0, errors: [] });
+
+    const topLevel = TaskStore.sortSiblings(TaskStore.getAll({ parentTaskId: null }).data);
+    expect(topLevel.map(task => task.content)).toEqual(['Send contract', 'Review lease']);
+
+    const [contract, lease] = topLevel;
+    expect(contract).toEqual(expect.objectContaining({
+      symbol: '→',
+      status: 'waiting',
+      dueDate: '2025-02-01T00:00:00.000Z',
+      createdAt: '2025-01-15T10:01:40.000Z',
+      assigneeId: UserStore.getByUsername('zoe.ng').id,
+      projectId: ProjectStore.getAll({ search: 'Legal' }).data[0].id,
+    }));
+    expect(lease).toEqual(expect.objectContaining({
+      type: 'note',
+      dueDate: null,
+      description: 'Due: after the move',
+    }));
+
+    const subtasks = TaskStore.getSubtasks(lease.id);
+    expect(subtasks.map(task => [task.content, toLegacyStatus(task)]))
+      .toEqual([['Sign', 'done'], ['Read', 'waiting']]);
+    expect(subtasks[0].completedAt).not.toBeNull();
+  });
+
+  it('should log the migration as one change', () => {
+    migrateLegacyTasks();
+
+    const batches = new Set(AuditLogger.getAll()
+      .filter(entry => entry.entityType === 'task')
+      .map(entry => entry.batchId));
+    expect(batches.size).toBe(1);
+  });
+
+  it('should keep the original list and migrate it only once', () => {
+    migrateLegacyTasks();
+
+    expect(adapter.get(LEGACY_TASKS_KEY)).toBeNull();
+    expect(adapter.get(STORAGE_KEYS.LEGACY_MIGRATION).tasks).toEqual(LEGACY_TASKS);
+    expect(migrateLegacyTasks()).toBeNull();
+
+    // The same list again, e.g. restored from an old backup
+    adapter.set(LEGACY_TASKS_KEY, LEGACY_TASKS);
+    expect(migrateLegacyTasks()).toEqual({ migrated: 0, skipped: 4, errors: [] });
+    expect(TaskStore.getAll().meta.totalItems).toBe(4);
+  });
+
+  it('should report tasks that cannot be migrated and keep their subtasks', () => {
+    adapter.set(LEGACY_TASKS_KEY, [
+      { id: 1, content: '', status: 'active', parentId: null },
+      { id: 2, content: 'Orphan', status: 'active', parentId: 1 },
+    ]);
+
+    const report = migrateLegacyTasks();
+
+    expect(report.migrated).toBe(1);
+    expect(report.errors).toEqual([{ id: 1, message: expect.any(String) }]);
+    expect(TaskStore.getAll().data[0]).toEqual(expect.objectContaining({ content: 'Orphan', parentTaskId: null }));
+  });
+});
@@ -2,8 +2,16 @@
  * Tests for localStorage implementation
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
-import { TaskStore, ProjectStore, LinkStore, Storage } from '../src/storage/localStorage.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  UserStore,
+  UserManager,
+  AuditLogger,
+  Storage,
+} from '../src/storage/localStorage.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -81,6 +89,44 @@ describe('TaskStore', () => {
     expect(completed.completedAt).toBeDefined();
   });
 
+  it('should create the next occurrence when completing a recurring task', () => {
+    const task = TaskStore.create({
+      content: 'Weekly report',
+      dueDate: '2025-01-31T09:00:00.000Z',
+      recurrence: 'every other Friday, 2 times',
+      tags: ['reports'],
+    });
+    expect(task.recurrence).toEqual(expect.objectContaining({ frequency: 'weekly', count: 2 }));
+
+    TaskStore.complete(task.id);
+
+    const [link] = LinkStore.getAll({ sourceId: task.id }).data;
+    expect(link).toEqual(expect.objectContaining({ linkType: 'moved' }));
+
+    const next = TaskStore.getById(link.targetId);
+    expect(next).toEqual(expect.objectContaining({
+      content: 'Weekly report',
+      status: 'active',
+      dueDate: '2025-02-14T09:00:00.000Z',
+      tags: ['reports'],
+    }));
+    expect(next.recurrence.count).toBe(1);
+
+    // The last occurrence does not continue, and re-completing does nothing
+    TaskStore.complete(next.id);
+    TaskStore.complete(task.id);
+    expect(TaskStore.getAll().data.length).toBe(2);
+  });
+
+  it('should reject invalid recurrences', () => {
+    expect(() => TaskStore.create({ content: 'Task', recurrence: 'now and then' })).toThrow(
+      'Invalid recurrence: now and then'
+    );
+    expect(() => TaskStore.create({ content: 'Task', recurrence: { frequency: 'hourly' } })).toThrow(
+      'Invalid recurrence'
+    );
+  });
+
   it('should filter tasks by status', () => {
     TaskStore.create({ content: 'Task 1', status: 'active' });
     TaskStore.create({ content: 'Task 2', status: 'completed' });
@@ -167,6 +213,121 @@ describe('TaskStore', () => {
   });
 });
 
+describe('TaskStore - Subtasks', () => {
+  beforeEach(() => {
+    Storage.clearAll();
+  });
+
+  it('should order subtasks by position', () => {
+    const parent = TaskStore.create({ content: 'Release' });
+    const first = TaskStore.create({ content: 'Write notes', parentTaskId: parent.id });
+    const second = TaskStore.create({ content: 'Tag build', parentTaskId: parent.id });
+    const top = TaskStore.create({ content: 'Top level' });
+
+    expect([first.position, second.position]).toEqual([0, 1]);
+    expect(top.position).toBe(1);
+
+    TaskStore.update(second.id, { position: -1 });
+
+    expect(TaskStore.getSubtasks(parent.id).map(t => t.content)).toEqual(['Tag build', 'Write notes']);
+    expect(TaskStore.getAll({ parentTaskId: null }).data).toHaveLength(2);
+    expect(TaskStore.getTree(parent.id).subtasks).toHaveLength(2);
+  });
+
+  it('should prevent circular task nesting', () => {
+    const parent = TaskStore.create({ content: 'Parent' });
+    const child = TaskStore.create({ content: 'Child', parentTaskId: parent.id });
+    const grandchild = TaskStore.create({ content: 'Grandchild', parentTaskId: child.id });
+
+    expect(() => TaskStore.update(parent.id, { parentTaskId: grandchild.id }))
+      .toThrow('Circular task nesting detected');
+    expect(() => TaskStore.update(parent.id, { parentTaskId: parent.id }))
+      .toThrow('Task cannot be its own parent');
+    expect(() => TaskStore.create({ content: 'Lost', parentTaskId: 'missing' }))
+      .toThrow('Task missing not found');
+  });
+
+  it('should move a re-parented task to the end of its new siblings', () => {
+    const parent = TaskStore.create({ content: 'Parent' });
+    TaskStore.create({ content: 'Existing', parentTaskId: parent.id });
+    const task = TaskStore.create({ content: 'Indented' });
+
+    const moved = TaskStore.update(task.id, { parentTaskId: parent.id });
+
+    expect(moved.position).toBe(1);
+    expect(TaskStore.update(task.id, { parentTaskId: null }).parentTaskId).toBeNull();
+  });
+
+  it('should give each bulk-moved task its own position', () => {
+    const parent = TaskStore.create({ content: 'Parent' });
+    TaskStore.create({ content: 'Existing', parentTaskId: parent.id });
+    const first = TaskStore.create({ content: 'First' });
+    const second = TaskStore.create({ content: 'Second' });
+
+    TaskStore.bulkUpdate([first.id, second.id], { parentTaskId: parent.id });
+
+    expect(TaskStore.getSubtasks(parent.id).map(t => [t.content, t.position])).toEqual([
+      ['Existing', 0],
+      ['First', 1],
+      ['Second', 2],
+    ]);
+  });
+
+  it('should roll up completion from nested subtasks', () => {
+    const parent = TaskStore.create({ content: 'Launch' });
+    const design = TaskStore.create({ content: 'Design', parentTaskId: parent.id });
+    const build = TaskStore.create({ content: 'Build', parentTaskId: parent.id });
+    TaskStore.create({ content: 'Dropped', parentTaskId: parent.id, status: 'cancelled' });
+    const api = TaskStore.create({ content: 'API', parentTaskId: build.id });
+    TaskStore.create({ content: 'UI', parentTaskId: build.id });
+
+    TaskStore.complete(design.id);
+    TaskStore.complete(api.id);
+
+    expect(TaskStore.getProgress(build.id)).toEqual(expect.objectContaining({
+      totalSubtasks: 2,
+      completedSubtasks: 1,
+      percentComplete: 50,
+    }));
+    expect(TaskStore.getProgress(parent.id)).toEqual(expect.objectContaining({
+      totalSubtasks: 2,
+      completedSubtasks: 1,
+      completionRate: 0.75,
+      percentComplete: 75,
+    }));
+  });
+
+  it('should complete open subtasks when asked to', () => {
+    const parent = TaskStore.create({ content: 'Parent' });
+    const child = TaskStore.create({ content: 'Child', parentTaskId: parent.id });
+    const grandchild = TaskStore.create({ content: 'Grandchild', parentTaskId: child.id });
+
+    TaskStore.complete(parent.id, {}, { completeSubtasks: true });
+
+    expect(TaskStore.getById(child.id).status).toBe('completed');
+    expect(TaskStore.getById(grandchild.id).status).toBe('completed');
+    expect(TaskStore.getProgress(parent.id).percentComplete).toBe(100);
+  });
+
+  it('should move subtasks up or delete them with their parent', () => {
+    const root = TaskStore.create({ content: 'Root' });
+    const parent = TaskStore.create({ content: 'Parent', parentTaskId: root.id });
+    const child = TaskStore.create({ content: 'Child', parentTaskId: parent.id });
+
+    TaskStore.delete(parent.id);
+
+    expect(TaskStore.getById(child.id).parentTaskId).toBe(root.id);
+    expect(AuditLogger.getHistory('task', child.id).pop().changes).toEqual([
+      { field: 'parentTaskId', oldValue: parent.id, newValue: root.id },
+      { field: 'position', oldValue: 0, newValue: 1 },
+    ]);
+
+    TaskStore.delete(root.id, { deleteSubtasks: true });
+
+    expect(() => TaskStore.getById(child.id)).toThrow('not found');
+  });
+});
+
 describe('ProjectStore', () => {
   beforeEach(() => {
     Storage.clearAll();
@@ -382,4 +543,169 @@ describe('Audit Logs', () => {
     expect(history.length).toBe(2);
     expect(history[1].action).toBe('delete');
   });
+
+  it('should query entries across entities with pagination', () => {
+    const task = TaskStore.create({ content: 'Task' });
+    const project = ProjectStore.create({ name: 'Project' });
+    TaskStore.update(task.id, { content: 'Edited' });
+    AuditLogger.log('task', 'other', 'update', []);
+
+    const updates = AuditLogger.query({ action: 'update' });
+    expect(updates.data.map(e => e.entityId)).toEqual(['other', task.id]);
+
+    const mine = AuditLogger.query({
+      userId: UserManager.DEMO_USER_ID,
+      entityType: ['task', 'project'],
+      from: new Date(Date.now() - 60000),
+      order: 'asc',
+      pageSize: 2,
+    });
+    expect(mine.data.map(e => e.entityId)).toEqual([task.id, project.id]);
+    expect(mine.meta).toEqual(expect.objectContaining({ totalItems: 4, hasNext: true }));
+
+    expect(AuditLogger.query({ to: '2000-01-01' }).data).toEqual([]);
+    expect(() => AuditLogger.query({ action: 'rename' })).toThrow('Invalid action: rename');
+  });
+
+  it('should compact consecutive updates to the same entity', () => {
+    // One timestamp throughout, so the cancelled-out updates leave updatedAt as it was
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-03-03T09:00:00.000Z'));
+
+    const task = TaskStore.create({ content: 'Task' });
+    TaskStore.update(task.id, { content: 'Edit 1' });
+    TaskStore.update(task.id, { content: 'Edit 2', priority: 'high' });
+    TaskStore.update(task.id, { priority: null });
+    TaskStore.complete(task.id);
+
+    const other = TaskStore.create({ content: 'Other' });
+    TaskStore.update(other.id, { status: 'waiting' });
+    TaskStore.update(other.id, { status: 'active' });
+
+    expect(AuditLogger.compact()).toBe(5);
+
+    const history = Storage.getAuditHistory('task', task.id);
+    expect(history.map(h => h.action)).toEqual(['create', 'update']);
+    expect(history[1].changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'content', oldValue: 'Task', newValue: 'Edit 2' }),
+      expect.objectContaining({ field: 'status', oldValue: 'active', newValue: 'completed' }),
+    ]));
+    expect(history[1].changes.map(c => c.field)).not.toContain('priority');
+
+    // Updates that cancel out are dropped entirely
+    expect(Storage.getAuditHistory('task', other.id).map(h => h.action)).toEqual(['create']);
+    vi.useRealTimers();
+  });
+
+  it('should only compact entries before a timestamp', () => {
+    const task = TaskStore.create({ content: 'Task' });
+    TaskStore.update(task.id, { content: 'Edit 1' });
+    TaskStore.update(task.id, { content: 'Edit 2' });
+
+    expect(AuditLogger.compact({ before: '2000-01-01' })).toBe(0);
+    expect(Storage.getAuditHistory('task', task.id).length).toBe(3);
+  });
+});
+
+describe('Audit Log Retention', () => {
+  beforeEach(() => {
+    Storage.clearAll();
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    AuditLogger.configureRetention({});
+    vi.useRealTimers();
+  });
+
+  it('should keep only the newest entries', () => {
+    AuditLogger.configureRetention({ maxEntries: 2 });
+
+    const task = TaskStore.create({ content: 'Task' });
+    TaskStore.update(task.id, { content: 'Edit 1' });
+    TaskStore.update(task.id, { content: 'Edit 2' });
+
+    const history = Storage.getAuditHistory('task', task.id);
+    expect(history.map(h => h.changes.find(c => c.field === 'content').newValue)).toEqual([
+      'Edit 1',
+      'Edit 2',
+    ]);
+  });
+
+  it('should drop entries older than the maximum age', () => {
+    vi.setSystemTime(new Date('2025-01-01T00:00:00.000Z'));
+    const task = TaskStore.create({ content: 'Old' });
+
+    vi.setSystemTime(new Date('2025-02-01T00:00:00.000Z'));
+    TaskStore.update(task.id, { content: 'New' });
+
+    expect(AuditLogger.prune({ maxAgeDays: 30 })).toBe(1);
+    expect(Storage.getAuditHistory('task', task.id).map(h => h.action)).toEqual(['update']);
+    expect(() => AuditLogger.configureRetention({ maxEntries: 0 })).toThrow('Invalid maxEntries');
+  });
+});
+
+describe('UserStore', () => {
+  beforeEach(() => {
+    Storage.clearAll();
+    UserManager.setCurrentUserResolver(null);
+  });
+
+  it('should create users without exposing password hashes', () => {
+    const user = UserStore.create({
+      username: 'alice',
+      email: 'Alice@Example.com',
+      passwordHash: 'scrypt$salt$hash',
+    });
+
+    expect(user.displayName).toBe('alice');
+    expect(user.email).toBe('alice@example.com');
+    expect(user.passwordHash).toBeUndefined();
+    expect(UserStore.getById(user.id).passwordHash).toBeUndefined();
+    expect(UserStore.getCredentials('ALICE').passwordHash).toBe('scrypt$salt$hash');
+  });
+
+  it('should reject invalid and duplicate users', () => {
+    UserStore.create({ username: 'alice', email: 'alice@example.com' });
+
+    expect(() => UserStore.create({ username: 'al', email: 'al@example.com' })).toThrow(
+      'Username must be between 3 and 50 characters'
+    );
+    expect(() => UserStore.create({ username: 'bob', email: 'not-an-email' })).toThrow(
+      'Invalid email'
+    );
+    expect(() => UserStore.create({ username: 'Alice', email: 'other@example.com' })).toThrow(
+      'Username Alice already exists'
+    );
+  });
+
+  it('should list and search users', () => {
+    UserStore.create({ username: 'carol', email: 'carol@example.com' });
+    UserStore.create({ username: 'bob', email: 'bob@example.com', displayName: 'Bobby' });
+
+    expect(UserStore.getAll().data.map(u => u.username)).toEqual(['bob', 'carol']);
+    expect(UserStore.getAll({ search: 'bobby' }).data.length).toBe(1);
+  });
+
+  it('should act as the resolved current user', () => {
+    const user = UserStore.create({ username: 'alice', email: 'alice@example.com' });
+    UserManager.setCurrentUserResolver(() => user.id);
+
+    const task = TaskStore.create({ content: 'Owned' });
+
+    expect(task.createdBy).toBe(user.id);
+    expect(Storage.getAuditHistory('task', task.id)[0].userId).toBe(user.id);
+
+    UserManager.setCurrentUserResolver(null);
+    expect(Storage.getCurrentUser().username).toBe('demo');
+  });
+
+  it('should validate task assignees against real users', () => {
+    const user = UserStore.create({ username: 'alice', email: 'alice@example.com' });
+
+    expect(TaskStore.create({ content: 'Assigned', assigneeId: user.id }).assigneeId).toBe(user.id);
+    expect(() => TaskStore.create({ content: 'Nobody', assigneeId: 'missing' })).toThrow(
+      'User missing not found'
+    );
+  });
 });
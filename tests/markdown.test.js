@@ -0,0 +1,255 @@
+/**
+ * Tests for Markdown journal import/export
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  UserStore,
+  AuditLogger,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { MarkdownJournal } from '../src/storage/markdown.js';
+
+const JOURNAL = `- Inbox item
+
+# Website
+Relaunch of the marketing site
+
+- Draft copy @alice #content due:2025-02-01 blocks:[[#^t1|Publish]]
+  - Collect quotes status:completed
+→ Publish ^t1
+
+## Launch
+
+* [x] Book venue
+- Announce related:[[Draft copy]] see [[Budget]]
+`;
+
+describe('MarkdownJournal (localStorage stores)', () => {
+  let journal;
+
+  beforeEach(() => {
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+    journal = new MarkdownJournal();
+  });
+
+  it('should export projects as headings and tasks as dash-plus lines', () => {
+    const alice = UserStore.create({ username: 'alice', email: 'alice@example.com' });
+    const website = ProjectStore.create({ name: 'Website', description: 'Relaunch' });
+    const launch = ProjectStore.create({ name: 'Launch', parentId: website.id });
+
+    TaskStore.create({ content: 'Inbox item' });
+    const draft = TaskStore.create({
+      content: 'Draft copy',
+      projectId: website.id,
+      assigneeId: alice.id,
+      tags: ['content'],
+    });
+    const quotes = TaskStore.create({ content: 'Collect quotes', projectId: website.id, parentTaskId: draft.id });
+    TaskStore.complete(quotes.id);
+    const publish = TaskStore.create({ content: 'Publish', symbol: '→', projectId: website.id });
+    TaskStore.create({ content: 'Book venue', projectId: launch.id });
+    LinkStore.create({ sourceId: draft.id, targetId: publish.id, linkType: 'blocks' });
+
+    expect(journal.export()).toBe([
+      '- Inbox item',
+      '',
+      '# Website',
+      'Relaunch',
+      '',
+      '- Draft copy @alice #content blocks:[[#^t1|Publish]]',
+      '  - Collect quotes status:completed',
+      '→ Publish status:active ^t1',
+      '',
+      '## Launch',
+      '',
+      '- Book venue',
+      '',
+    ].join('\n'));
+
+    expect(journal.export({ projectId: launch.id })).toBe('# Launch\n\n- Book venue\n');
+  });
+
+  it('should import projects, tasks, subtasks and links', () => {
+    const alice = UserStore.create({ username: 'alice', email: 'alice@example.com' });
+    const budget = TaskStore.create({ content: 'Budget' });
+
+    const report = journal.import(JOURNAL);
+
+    expect(report.errors).toEqual([]);
+    expect(report.summary).toEqual(expect.objectContaining({ projects: 2, tasks: 6, links: 3 }));
+
+    const [website, launch] = ProjectStore.getAll().data;
+    expect(website.description).toBe('Relaunch of the marketing site');
+    expect(launch.parentId).toBe(website.id);
+
+    const byContent = content => TaskStore.getAll({ search: content }).data
+      .find(task => task.content === content);
+    const draft = byContent('Draft copy');
+    expect(draft).toEqual(expect.objectContaining({
+      projectId: website.id,
+      assigneeId: alice.id,
+      tags: ['content'],
+      dueDate: '2025-02-01T00:00:00.000Z',
+    }));
+    expect(byContent('Collect quotes')).toEqual(expect.objectContaining({
+      parentTaskId: draft.id,
+      status: 'completed',
+    }));
+    expect(byContent('Book venue').status).toBe('completed');
+    expect(byContent('Book venue').completedAt).toBeTruthy();
+    expect(byContent('Inbox item').projectId).toBeNull();
+
+    const announce = byContent('Announce see Budget');
+    expect(announce.projectId).toBe(launch.id);
+    expect(LinkStore.getAll({ sourceId: announce.id }).data.map(link => [link.linkType, link.targetId]))
+      .toEqual([['related', draft.id], ['references', budget.id]]);
+    expect(LinkStore.getAll({ sourceId: draft.id }).data[0]).toEqual(expect.objectContaining({
+      linkType: 'blocks',
+      targetId: byContent('Publish').id,
+    }));
+  });
+
+  it('should report without creating anything on a dry run', () => {
+    const report = journal.import(JOURNAL, { dryRun: true });
+
+    expect(report.dryRun).toBe(true);
+    expect(report.projects.map(project => [project.name, project.parent, project.action])).toEqual([
+      ['Website', null, 'create'],
+      ['Launch', 'Website', 'create'],
+    ]);
+    expect(report.tasks.map(task => task.content)).toEqual([
+      'Inbox item', 'Draft copy', 'Collect quotes', 'Publish', 'Book venue', 'Announce see Budget',
+    ]);
+    expect(report.links.map(link => `${link.source} ${link.linkType} ${link.target}`)).toEqual([
+      'Draft copy blocks Publish',
+      'Announce see Budget related Draft copy',
+    ]);
+    expect(report.warnings).toEqual([{ line: 6, message: 'Unknown user @alice' }]);
+    expect(report.errors).toEqual([{ line: 13, message: 'Unresolved reference [[Budget]]' }]);
+
+    expect(TaskStore.getAll().data).toEqual([]);
+    expect(ProjectStore.getAll().data).toEqual([]);
+    expect(AuditLogger.getAll()).toEqual([]);
+  });
+
+  it('should reuse existing projects and save nothing when a line is invalid', () => {
+    const website = ProjectStore.create({ name: 'Website' });
+    const auditEntries = AuditLogger.getAll().length;
+
+    const failed = journal.import('# website\n- Ship it related:[[Ship it]]\n- Later status:someday\n');
+
+    expect(failed.errors).toEqual([
+      { line: 2, message: 'Cannot create self-loop: source and target cannot be the same' },
+      { line: 3, message: 'Invalid status: someday' },
+    ]);
+    expect(failed.dryRun).toBe(false);
+    expect(failed.tasks).toEqual([]);
+    expect(TaskStore.getAll().data).toEqual([]);
+    expect(AuditLogger.getAll()).toHaveLength(auditEntries);
+
+    const report = journal.import('# website\n- Ship it\n');
+
+    expect(report.projects).toEqual([
+      { line: 1, name: 'website', parent: null, action: 'existing', id: website.id },
+    ]);
+    expect(TaskStore.getAll({ projectId: website.id }).data).toHaveLength(1);
+  });
+
+  it('should roll back a save that fails after the dry run', () => {
+    const create = TaskStore.create;
+    TaskStore.create = data => {
+      if (data.content === 'Second') throw new Error('Invalid task: disk full');
+      return create.call(TaskStore, data);
+    };
+
+    try {
+      const report = journal.import('# Website\n- First\n- Second\n');
+
+      expect(report.errors).toEqual([{ line: 3, message: 'Invalid task: disk full' }]);
+    } finally {
+      TaskStore.create = create;
+    }
+
+    expect(ProjectStore.getAll().data).toEqual([]);
+    expect(TaskStore.getAll().data).toEqual([]);
+    expect(AuditLogger.getAll()).toEqual([]);
+  });
+
+  it('should round-trip an export', () => {
+    journal.import(JOURNAL.replace(' see [[Budget]]', ''));
+    const markdown = journal.export();
+
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+    const report = journal.import(markdown);
+
+    expect(report.errors).toEqual([]);
+    expect(journal.export()).toBe(markdown);
+  });
+
+  it('should round-trip bracketed text and link labels', () => {
+    const weird = TaskStore.create({ content: 'Read [[weird]] notes' });
+    const target = TaskStore.create({ content: 'Publish' });
+    const other = TaskStore.create({ content: 'Archive' });
+    LinkStore.create({ sourceId: weird.id, targetId: target.id, linkType: 'blocks', label: 'Needs sign-off' });
+    LinkStore.create({ sourceId: weird.id, targetId: other.id, linkType: 'related' });
+    const markdown = journal.export();
+
+    expect(markdown).toContain('- Read \\[[weird]] notes blocks:[[#^t1|Needs sign-off]] related:[[#^t2|Archive]]');
+
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+    const report = journal.import(markdown);
+
+    expect(report.errors).toEqual([]);
+    const imported = TaskStore.getAll().data.find(task => task.content === 'Read [[weird]] notes');
+    expect(LinkStore.getAll({ sourceId: imported.id }).data.map(link => [link.linkType, link.label]))
+      .toEqual([['blocks', 'Needs sign-off'], ['related', null]]);
+    expect(journal.export()).toBe(markdown);
+  });
+});
+
+describe('MarkdownJournal (SQLite stores)', () => {
+  let db;
+  let journal;
+
+  beforeEach(() => {
+    db = createSQLiteStores(':memory:');
+    journal = new MarkdownJournal(db);
+  });
+
+  afterEach(() => {
+    db.database.close();
+  });
+
+  it('should import and export through the SQLite stores', () => {
+    const report = journal.import(JOURNAL.replace(' see [[Budget]]', ''));
+
+    expect(report.errors).toEqual([]);
+    expect(db.tasks.getAll().meta.totalItems).toBe(6);
+    expect(db.links.getAll().data).toHaveLength(2);
+    expect(journal.export()).toContain('## Launch\n\n- Book venue status:completed\n');
+  });
+
+  it('should roll back a failed save in one transaction', () => {
+    const create = db.tasks.create.bind(db.tasks);
+    db.tasks.create = data => {
+      if (data.content === 'Second') throw new Error('Invalid task: disk full');
+      return create(data);
+    };
+
+    const report = journal.import('# Website\n- First\n- Second\n');
+
+    expect(report.errors).toEqual([{ line: 3, message: 'Invalid task: disk full' }]);
+    expect(db.projects.getAll().data).toEqual([]);
+    expect(db.tasks.getAll().meta.totalItems).toBe(0);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests for the task query language
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  UserStore,
+  VocabularyStore,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { normalizeVocabulary } from '../src/utils/vocabulary.js';
+import { parseQuery, compileQuery } from '../src/utils/query.js';
+
+// Wednesday 5 March 2025, 10:00 local time
+const NOW = new Date(2025, 2, 5, 10, 0);
+
+const day = (date, hours = 12) => new Date(2025, 2, date, hours).toISOString();
+
+describe('parseQuery', () => {
+  it('should parse operators with AND binding tighter than OR', () => {
+    expect(parseQuery('status:active AND (tag:backend OR tag:api) -project:archive')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'term', field: 'status', operator: ':', value: 'active' },
+        {
+          type: 'or',
+          children: [
+            { type: 'term', field: 'tag', operator: ':', value: 'backend' },
+            { type: 'term', field: 'tag', operator: ':', value: 'api' },
+          ],
+        },
+        { type: 'not', child: { type: 'term', field: 'project', operator: ':', value: 'archive' } },
+      ],
+    });
+
+    expect(parseQuery('a or b c')).toEqual({
+      type: 'or',
+      children: [
+        { type: 'text', value: 'a' },
+        { type: 'and', children: [{ type: 'text', value: 'b' }, { type: 'text', value: 'c' }] },
+      ],
+    });
+    expect(parseQuery('  ')).toBeNull();
+  });
+
+  it('should read multi-word dates and quoted values', () => {
+    expect(parseQuery('due<next friday AND report')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'term', field: 'due', operator: '<', value: 'next friday' },
+        { type: 'text', value: 'report' },
+      ],
+    });
+    expect(parseQuery('due<"friday" report').children[1]).toEqual({ type: 'text', value: 'report' });
+    expect(parseQuery('project:"Q3 launch" NOT "team lunch"')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'term', field: 'project', operator: ':', value: 'Q3 launch' },
+        { type: 'not', child: { type: 'text', value: 'team lunch' } },
+      ],
+    });
+  });
+
+  it('should reject malformed queries', () => {
+    expect(() => parseQuery('(tag:api')).toThrow('Invalid query: missing )');
+    expect(() => parseQuery('tag:api)')).toThrow('Invalid query: unexpected )');
+    expect(() => parseQuery('tag:api AND')).toThrow('Invalid query: expected a term at the end');
+    expect(() => parseQuery('OR tag:api')).toThrow('Invalid query: unexpected OR');
+    expect(() => parseQuery('"open')).toThrow('Invalid query: unclosed quote');
+    expect(() => parseQuery('due<')).toThrow('Invalid query: missing value for due');
+  });
+});
+
+describe('compileQuery', () => {
+  const vocabulary = normalizeVocabulary({
+    fields: [{ name: 'estimate', type: 'number' }, { name: 'sprint', type: 'enum', options: ['s1', 's2'] }],
+  });
+  const projects = [
+    { id: 'p1', name: 'Archive', parentId: null },
+    { id: 'p2', name: 'Old', parentId: 'p1' },
+    { id: 'p3', name: 'Work', parentId: null },
+  ];
+  const users = [{ id: 'u1', username: 'bob', displayName: 'Bob Smith' }];
+  const tasks = [
+    { id: 'a', content: 'Write report', status: 'active', tags: ['Backend'], priority: 'high', projectId: 'p3', dueDate: day(6), customFields: { estimate: 3 } },
+    { id: 'b', content: 'File taxes', status: 'waiting', tags: ['api'], priority: 'low', projectId: 'p2', assigneeId: 'u1', dueDate: day(7, 9), customFields: {} },
+    { id: 'c', content: 'Plan', description: 'Quarterly report', status: 'active', tags: [], priority: null, projectId: null, dueDate: null, customFields: { estimate: 8, sprint: 's2' } },
+  ];
+
+  const run = query => tasks
+    .filter(compileQuery(query, { vocabulary, projects, users, referenceDate: NOW }))
+    .map(task => task.id);
+
+  it('should match fields, text and boolean operators', () => {
+    expect(run('')).toEqual(['a', 'b', 'c']);
+    expect(run('status:active AND (tag:backend OR tag:api)')).toEqual(['a']);
+    expect(run('report')).toEqual(['a', 'c']);
+    expect(run('report -project:work')).toEqual(['c']);
+    expect(run('NOT status:waiting OR assignee:@bob')).toEqual(['a', 'b', 'c']);
+    expect(run('assignee:"Bob Smith"')).toEqual(['b']);
+    expect(run('project:archive')).toEqual(['b']);
+    expect(run('project:none assignee:none')).toEqual(['c']);
+    expect(run('priority>=high')).toEqual(['a']);
+    expect(run('priority:none')).toEqual(['c']);
+  });
+
+  it('should compare dates by day', () => {
+    expect(run('due:tomorrow')).toEqual(['a']);
+    expect(run('due<next friday')).toEqual(['a']);
+    expect(run('due<=friday')).toEqual(['a', 'b']);
+    expect(run('due<=2025-03-07')).toEqual(['a', 'b']);
+    expect(run('due>thursday')).toEqual(['b']);
+    expect(run('-due:none due>=today')).toEqual(['a', 'b']);
+  });
+
+  it('should match custom fields by type', () => {
+    expect(run('estimate>3')).toEqual(['c']);
+    expect(run('estimate<=3 OR sprint:s2')).toEqual(['a', 'c']);
+    expect(run('customFields.estimate:none')).toEqual(['b']);
+  });
+
+  it('should reject unknown fields and values', () => {
+    const compile = query => compileQuery(query, { vocabulary, projects, users, referenceDate: NOW });
+
+    expect(() => compile('colour:red')).toThrow('Invalid query: unknown field colour');
+    expect(() => compile('status:paused')).toThrow('Invalid query: unknown status paused');
+    expect(() => compile('priority>critical')).toThrow('Invalid query: unknown priority critical');
+    expect(() => compile('tag>api')).toThrow('Invalid query: tag cannot be compared with >');
+    expect(() => compile('due<someday soon')).toThrow('Invalid query: cannot parse date "someday soon"');
+    expect(() => compile('estimate>lots')).toThrow('Invalid query: estimate must be a number, not lots');
+  });
+});
+
+describe('TaskStore.getAll with a query', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should resolve projects and users and combine with other filters', () => {
+    const archive = ProjectStore.create({ name: 'Archive' });
+    const bob = UserStore.create({ username: 'bob', email: 'bob@example.com' });
+    TaskStore.create({ content: 'Old report', projectId: archive.id, tags: ['api'] });
+    TaskStore.create({ content: 'New report', assigneeId: bob.id, tags: ['api'], dueDate: '2025-03-06' });
+    TaskStore.create({ content: 'Lunch', tags: ['api'] });
+
+    expect(TaskStore.getAll({ query: 'tag:api -project:archive', sort: 'content', order: 'asc' })
+      .data.map(task => task.content)).toEqual(['Lunch', 'New report']);
+    expect(TaskStore.getAll({ query: 'assignee:bob due<next friday' }).data.map(task => task.content))
+      .toEqual(['New report']);
+    expect(TaskStore.getAll({ query: 'report', search: 'old' }).meta.totalItems).toBe(1);
+    expect(() => TaskStore.getAll({ query: 'status:' })).toThrow('Invalid query: missing value for status');
+  });
+
+  it('should use the workspace vocabulary', () => {
+    VocabularyStore.update({ fields: [{ name: 'estimate', type: 'number' }] });
+    TaskStore.create({ content: 'Small', customFields: { estimate: 1 } });
+    TaskStore.create({ content: 'Large', customFields: { estimate: 8 } });
+
+    expect(TaskStore.getAll({ query: 'estimate>2' }).data.map(task => task.content)).toEqual(['Large']);
+  });
+});
+
+describe('SQLiteTaskStore.getAll with a query', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createSQLiteStores(':memory:');
+  });
+
+  afterEach(() => {
+    db.database.close();
+  });
+
+  it('should filter, sort and paginate query matches', () => {
+    const work = db.projects.create({ name: 'Work' });
+    ['One', 'Two', 'Three'].forEach(content => db.tasks.create({ content, projectId: work.id, priority: 'high' }));
+    db.tasks.create({ content: 'Elsewhere', priority: 'high' });
+
+    const page = db.tasks.getAll({ query: 'project:work priority:high', sort: 'content', order: 'asc', pageSize: 2, page: 2 });
+
+    expect(page.data.map(task => task.content)).toEqual(['Two']);
+    expect(page.meta).toEqual(expect.objectContaining({ totalItems: 3, totalPages: 2, hasPrevious: true }));
+    expect(db.tasks.getAll({ query: 'elsewhere OR three', status: 'active' }).meta.totalItems).toBe(2);
+  });
+});
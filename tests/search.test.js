@@ -0,0 +1,259 @@
+/**
+ * Tests for full-text search
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  SearchStore,
+  STORAGE_KEYS,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { createBackup, restoreBackup } from '../src/storage/backup.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { createIndexedDBStores } from '../src/storage/indexedDB.js';
+import { tokenize, stem, snippet, SearchIndex } from '../src/utils/search.js';
+
+describe('text processing', () => {
+  it('should split, fold and stem words', () => {
+    expect(tokenize('Café reports, 100% done!')).toEqual([
+      { word: 'cafe', term: 'caf', start: 0, end: 4 },
+      { word: 'reports', term: 'report', start: 5, end: 12 },
+      { word: '100', term: '100', start: 14, end: 17 },
+      { word: 'done', term: 'don', start: 19, end: 23 },
+    ]);
+
+    expect(['report', 'reports', 'reported', 'reporting'].map(stem)).toEqual(Array(4).fill('report'));
+    expect(['running', 'classes', 'stories', 'quickly', 'status'].map(stem))
+      .toEqual(['run', 'class', 'story', 'quick', 'status']);
+  });
+
+  it('should cut snippets around the first match', () => {
+    const text = `${'Lorem ipsum dolor sit amet. '.repeat(4)}Fix the login report before ${'the launch. '.repeat(10)}`;
+    const result = snippet(text, 'reporting', { length: 80 });
+
+    expect(result.text.startsWith('…')).toBe(true);
+    expect(result.text.endsWith('…')).toBe(true);
+    expect(result.matches).toHaveLength(1);
+    const [start, end] = result.matches[0];
+    expect(result.text.slice(start, end)).toBe('report');
+
+    expect(snippet('Short text', 'text')).toEqual({ text: 'Short text', matches: [[6, 10]] });
+    expect(snippet('Short text', 'missing')).toBeNull();
+  });
+});
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.sync('task', [
+      { id: 't1', content: 'Write the quarterly report', description: '' },
+      { id: 't2', content: 'Lunch', description: 'Discuss the report over lunch' },
+      { id: 't3', content: 'Fix login bug', description: null },
+    ]);
+    index.sync('project', [{ id: 'p1', name: 'Reports', description: 'Monthly reporting' }]);
+  });
+
+  it('should rank title matches above description matches', () => {
+    expect(index.search('reporting', { types: ['task'] }).map(result => result.entityId))
+      .toEqual(['t1', 't2']);
+    expect(index.search('reports').map(result => result.entityId)).toEqual(['p1', 't1', 't2']);
+    expect(index.search('report', { limit: 1 })).toHaveLength(1);
+  });
+
+  it('should require every word, as a word or a prefix', () => {
+    expect(index.search('quart rep').map(result => result.entityId)).toEqual(['t1']);
+    expect(index.search('report login')).toEqual([]);
+    expect(index.search('LOG')).toEqual([expect.objectContaining({ entityId: 't3' })]);
+    expect(index.search('  !! ')).toEqual([]);
+  });
+
+  it('should re-index changed records and drop deleted ones', () => {
+    index.sync('task', [
+      { id: 't1', content: 'Write the annual summary', description: '' },
+      { id: 't3', content: 'Fix login bug', description: null },
+    ]);
+
+    expect(index.search('report', { types: ['task'] })).toEqual([]);
+    expect(index.search('annual').map(result => result.entityId)).toEqual(['t1']);
+    expect(index.totals.get('task').count).toBe(2);
+  });
+});
+
+describe('search (localStorage stores)', () => {
+  beforeEach(() => {
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+  });
+
+  it('should order task matches by relevance unless sorted', () => {
+    const other = TaskStore.create({ content: 'Lunch', description: 'Talk about the report' });
+    const best = TaskStore.create({ content: 'Report', description: 'The report on reports' });
+    TaskStore.create({ content: 'Unrelated' });
+
+    expect(TaskStore.getAll({ search: 'report' }).data.map(task => task.id)).toEqual([best.id, other.id]);
+    expect(TaskStore.getAll({ search: 'report', sort: 'content', order: 'asc' }).data.map(task => task.id))
+      .toEqual([other.id, best.id]);
+    expect(TaskStore.getAll({ search: 'report', status: 'completed' }).data).toEqual([]);
+  });
+
+  it('should follow updates and deletes', () => {
+    const task = TaskStore.create({ content: 'Draft the report' });
+    expect(TaskStore.getAll({ search: 'draft' }).meta.totalItems).toBe(1);
+
+    TaskStore.update(task.id, { content: 'Send the report' });
+    expect(TaskStore.getAll({ search: 'draft' }).meta.totalItems).toBe(0);
+    expect(TaskStore.getAll({ search: 'sending' }).meta.totalItems).toBe(1);
+
+    TaskStore.delete(task.id);
+    expect(TaskStore.getAll({ search: 'report' }).meta.totalItems).toBe(0);
+    expect(SearchStore.index.documents.has(`task:${task.id}`)).toBe(false);
+  });
+
+  it('should index each write without re-reading every record', () => {
+    const draft = TaskStore.create({ content: 'Draft the report' });
+    expect(SearchStore.search('report')).toHaveLength(1);
+
+    const sync = vi.spyOn(SearchStore.index, 'sync');
+    const add = vi.spyOn(SearchStore.index, 'add');
+    try {
+      const sent = TaskStore.create({ content: 'Send the report' });
+      ProjectStore.create({ name: 'Reporting' });
+
+      expect(TaskStore.getAll({ search: 'report' }).data.map(task => task.id)).toEqual([draft.id, sent.id]);
+      expect(ProjectStore.getAll({ search: 'report' }).data).toHaveLength(1);
+      expect(add).toHaveBeenCalledTimes(2);
+      expect(sync).not.toHaveBeenCalled();
+    } finally {
+      sync.mockRestore();
+      add.mockRestore();
+    }
+  });
+
+  it('should sync in full after a restore or an adapter change', () => {
+    TaskStore.create({ content: 'Draft the report' });
+    const backup = createBackup();
+    expect(SearchStore.search('report')).toHaveLength(1);
+
+    configureStorage(new MemoryAdapter());
+    expect(SearchStore.search('report')).toEqual([]);
+    expect(SearchStore.index.documents.size).toBe(0);
+
+    restoreBackup(backup);
+    expect(SearchStore.search('report')).toHaveLength(1);
+
+    Storage.getAdapter().set(STORAGE_KEYS.TASKS, []);
+    SearchStore.reset();
+    expect(SearchStore.search('report')).toEqual([]);
+  });
+
+  it('should search projects and link labels with snippets', () => {
+    const project = ProjectStore.create({ name: 'Launch', description: 'Everything for the launch' });
+    ProjectStore.create({ name: 'Hiring' });
+    const a = TaskStore.create({ content: 'Plan the launch party', projectId: project.id });
+    const b = TaskStore.create({ content: 'Book a venue' });
+    const link = LinkStore.create({ sourceId: a.id, targetId: b.id, linkType: 'related', label: 'venue for the launch' });
+
+    expect(ProjectStore.getAll({ search: 'launching' }).data.map(p => p.id)).toEqual([project.id]);
+
+    const results = SearchStore.search('launch');
+    expect(results.map(result => result.entityId).sort())
+      .toEqual([project.id, a.id, link.id].sort());
+    expect(results.find(result => result.entityId === a.id)).toEqual(expect.objectContaining({
+      entityType: 'task',
+      field: 'content',
+      snippet: { text: 'Plan the launch party', matches: [[9, 15]] },
+    }));
+    expect(SearchStore.search('venue', { types: ['link'] }).map(result => result.field)).toEqual(['label']);
+    expect(() => SearchStore.search('launch', { types: ['note'] })).toThrow('Invalid search type: note');
+  });
+});
+
+describe('search (SQLite stores)', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createSQLiteStores(':memory:');
+  });
+
+  afterEach(() => {
+    db.database.close();
+  });
+
+  it('should keep the full-text index current and rank matches', () => {
+    const other = db.tasks.create({ content: 'Lunch', description: 'Talk about the report' });
+    const best = db.tasks.create({ content: 'Report', description: 'The report on reports' });
+    db.tasks.create({ content: 'Unrelated' });
+
+    const page = db.tasks.getAll({ search: 'reporting', pageSize: 1 });
+    expect(page.data.map(task => task.id)).toEqual([best.id]);
+    expect(page.meta.totalItems).toBe(2);
+    expect(db.tasks.getAll({ search: 'rep', sort: 'content', order: 'asc' }).data.map(task => task.id))
+      .toEqual([other.id, best.id]);
+
+    db.tasks.update(best.id, { content: 'Summary', description: null });
+    expect(db.tasks.getAll({ search: 'report' }).data.map(task => task.id)).toEqual([other.id]);
+
+    db.tasks.delete(other.id);
+    expect(db.tasks.getAll({ search: 'report' }).data).toEqual([]);
+    expect(db.tasks.getAll({ search: '%' }).data).toEqual([]);
+  });
+
+  it('should search projects and link labels with snippets', () => {
+    const project = db.projects.create({ name: 'Launch', description: 'Everything for the launch' });
+    const a = db.tasks.create({ content: 'Plan the launch party', projectId: project.id });
+    const b = db.tasks.create({ content: 'Book a venue' });
+    const link = db.links.create({ sourceId: a.id, targetId: b.id, linkType: 'related', label: 'venue for the launch' });
+
+    expect(db.projects.getAll({ search: 'launching' }).data.map(p => p.id)).toEqual([project.id]);
+
+    const results = db.search.search('launch');
+    expect(results.map(result => result.entityId).sort())
+      .toEqual([project.id, a.id, link.id].sort());
+    expect(results.find(result => result.entityId === a.id)).toEqual(expect.objectContaining({
+      entityType: 'task',
+      field: 'content',
+      snippet: { text: 'Plan the launch party', matches: [[9, 15]] },
+      record: expect.objectContaining({ content: 'Plan the launch party' }),
+    }));
+    expect(db.search.search('venue', { types: ['link'] }).map(result => result.field)).toEqual(['label']);
+    expect(db.search.search('launch', { limit: 1 })).toHaveLength(1);
+  });
+});
+
+describe('search (IndexedDB stores)', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createIndexedDBStores({ indexedDB: new IDBFactory(), IDBKeyRange });
+  });
+
+  afterEach(() => {
+    db.storage.close();
+  });
+
+  it('should search tasks and projects', async () => {
+    const project = await db.projects.create({ name: 'Reports' });
+    const task = await db.tasks.create({ content: 'Write the report', projectId: project.id });
+    await db.tasks.create({ content: 'Lunch' });
+
+    expect((await db.tasks.getAll({ search: 'reporting' })).data.map(t => t.id)).toEqual([task.id]);
+    expect((await db.tasks.getAll({ search: 'report', projectId: project.id })).data).toHaveLength(1);
+
+    await db.tasks.update(task.id, { content: 'Write the summary' });
+    expect((await db.search.search('report')).map(result => result.entityId)).toEqual([project.id]);
+
+    const sync = vi.spyOn(db.storage.searchIndex, 'sync');
+    await db.projects.delete(project.id);
+    expect(await db.search.search('report')).toEqual([]);
+    expect(sync).not.toHaveBeenCalled();
+    sync.mockRestore();
+  });
+});
@@ -0,0 +1,357 @@
+/**
+ * Tests for SQLite persistence layer
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+
+let db;
+
+beforeEach(() => {
+  db = createSQLiteStores(':memory:');
+});
+
+afterEach(() => {
+  db.database.close();
+});
+
+describe('SQLiteDatabase', () => {
+  it('should create the schema and seed the demo user', () => {
+    expect(db.database.getSchemaVersion()).toBeGreaterThanOrEqual(1);
+
+    const user = db.database.get('users', 'SELECT * FROM users WHERE username = ?', 'demo');
+    expect(user.displayName).toBe('Demo User');
+    expect(user.preferences.theme).toBe('light');
+  });
+
+  it('should persist data to a file across reopen', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashplus-'));
+    const filename = path.join(tempDir, 'dashplus.sqlite');
+
+    try {
+      const first = createSQLiteStores(filename);
+      const task = first.tasks.create({ content: 'Persisted', tags: ['sql'] });
+      first.database.close();
+
+      const second = createSQLiteStores(filename);
+      expect(second.tasks.getById(task.id)).toEqual(task);
+      expect(second.database.migrate()).toBe(second.database.getSchemaVersion());
+      second.database.close();
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('SQLiteTaskStore', () => {
+  it('should store recurrence rules and regenerate recurring tasks', () => {
+    const task = db.tasks.create({
+      content: 'Daily standup',
+      dueDate: '2025-01-15T09:00:00.000Z',
+      recurrence: 'every weekday',
+    });
+    expect(db.tasks.getById(task.id).recurrence).toEqual(task.recurrence);
+
+    db.tasks.complete(task.id);
+
+    const [link] = db.links.getAll({ sourceId: task.id }).data;
+    expect(link.linkType).toBe('moved');
+    expect(db.tasks.getById(link.targetId).dueDate).toBe('2025-01-16T09:00:00.000Z');
+
+    const entries = db.audit.getAll();
+    expect(new Set(entries.slice(-3).map(e => e.batchId)).size).toBe(1);
+  });
+
+  it('should create and get a task', () => {
+    const task = db.tasks.create({ content: 'Test task', symbol: '△', tags: ['a', 'b'] });
+
+    const retrieved = db.tasks.getById(task.id);
+
+    expect(retrieved).toEqual(task);
+    expect(retrieved.tags).toEqual(['a', 'b']);
+  });
+
+  it('should validate tasks', () => {
+    expect(() => db.tasks.create({ content: '' })).toThrow('Task content cannot be empty');
+    expect(() => db.tasks.create({ content: 'Test', projectId: 'missing' })).toThrow(
+      'Project missing not found'
+    );
+  });
+
+  it('should filter, search and paginate tasks', () => {
+    const project = db.projects.create({ name: 'Backend' });
+
+    db.tasks.create({ content: 'Fix 100% of bugs', projectId: project.id, tags: ['backend'] });
+    db.tasks.create({ content: 'Write docs', status: 'completed', tags: ['docs'] });
+    db.tasks.create({ content: 'Fix login', projectId: project.id, tags: ['auth'] });
+
+    expect(db.tasks.getAll({ projectId: project.id }).data.length).toBe(2);
+    expect(db.tasks.getAll({ projectId: null }).data.length).toBe(1);
+    expect(db.tasks.getAll({ status: 'completed' }).data[0].content).toBe('Write docs');
+    expect(db.tasks.getAll({ tags: ['docs', 'auth'] }).data.length).toBe(2);
+    expect(db.tasks.getAll({ search: 'fix' }).data.length).toBe(2);
+    expect(db.tasks.getAll({ search: '100%' }).data.length).toBe(1);
+
+    const page = db.tasks.getAll({ page: 2, pageSize: 2, sort: 'content', order: 'asc' });
+    expect(page.data.map(t => t.content)).toEqual(['Write docs']);
+    expect(page.meta).toEqual(expect.objectContaining({
+      totalItems: 3,
+      totalPages: 2,
+      hasNext: false,
+      hasPrevious: true,
+    }));
+  });
+
+  it('should update a task and audit the changes', () => {
+    const task = db.tasks.create({ content: 'Original' });
+
+    db.tasks.update(task.id, { content: 'Updated', dueDate: '2025-01-15' });
+
+    const history = db.audit.getHistory('task', task.id);
+    expect(history.map(h => h.action)).toEqual(['create', 'update']);
+    expect(history[1].changes).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field: 'content', oldValue: 'Original', newValue: 'Updated' }),
+      ])
+    );
+    expect(db.tasks.getById(task.id).dueDate).toBe(new Date('2025-01-15').toISOString());
+  });
+
+  it('should delete a task with its links', () => {
+    const task1 = db.tasks.create({ content: 'Task 1' });
+    const task2 = db.tasks.create({ content: 'Task 2' });
+    const link = db.links.create({ sourceId: task1.id, targetId: task2.id, linkType: 'blocks' });
+
+    expect(() => db.tasks.delete(task1.id, { cascade: false })).toThrow('still has 1 link');
+
+    db.tasks.delete(task1.id);
+
+    expect(() => db.tasks.getById(task1.id)).toThrow('not found');
+    expect(() => db.links.getById(link.id)).toThrow('not found');
+    expect(db.audit.getHistory('link', link.id).map(h => h.action)).toEqual(['create', 'delete']);
+  });
+});
+
+describe('SQLiteTaskStore - Subtasks', () => {
+  it('should nest and order subtasks', () => {
+    const parent = db.tasks.create({ content: 'Release' });
+    const first = db.tasks.create({ content: 'Write notes', parentTaskId: parent.id });
+    const second = db.tasks.create({ content: 'Tag build', parentTaskId: parent.id });
+
+    expect([first.position, second.position]).toEqual([0, 1]);
+
+    db.tasks.update(second.id, { position: -1 });
+
+    expect(db.tasks.getSubtasks(parent.id).map(t => t.content)).toEqual(['Tag build', 'Write notes']);
+    expect(db.tasks.getAll({ parentTaskId: parent.id, sort: 'position', order: 'asc' }).data
+      .map(t => t.id)).toEqual([second.id, first.id]);
+    expect(db.tasks.getTree(parent.id).subtasks).toHaveLength(2);
+  });
+
+  it('should prevent circular task nesting', () => {
+    const parent = db.tasks.create({ content: 'Parent' });
+    const child = db.tasks.create({ content: 'Child', parentTaskId: parent.id });
+
+    expect(() => db.tasks.update(parent.id, { parentTaskId: child.id }))
+      .toThrow('Circular task nesting detected');
+    expect(() => db.database.db
+      .prepare('UPDATE tasks SET parent_task_id = ? WHERE id = ?')
+      .run(child.id, parent.id)).toThrow('Circular task nesting detected');
+  });
+
+  it('should roll up progress and complete subtasks', () => {
+    const parent = db.tasks.create({ content: 'Launch' });
+    const build = db.tasks.create({ content: 'Build', parentTaskId: parent.id });
+    const api = db.tasks.create({ content: 'API', parentTaskId: build.id });
+    db.tasks.create({ content: 'UI', parentTaskId: build.id });
+
+    db.tasks.complete(api.id);
+    expect(db.tasks.getProgress(parent.id).completionRate).toBe(0.5);
+
+    db.tasks.complete(parent.id, {}, { completeSubtasks: true });
+    expect(db.tasks.getProgress(parent.id).percentComplete).toBe(100);
+  });
+
+  it('should move subtasks up or delete them with their parent', () => {
+    const parent = db.tasks.create({ content: 'Parent' });
+    const child = db.tasks.create({ content: 'Child', parentTaskId: parent.id });
+    const grandchild = db.tasks.create({ content: 'Grandchild', parentTaskId: child.id });
+
+    db.tasks.delete(child.id);
+    expect(db.tasks.getById(grandchild.id).parentTaskId).toBe(parent.id);
+
+    db.tasks.delete(parent.id, { deleteSubtasks: true });
+    expect(() => db.tasks.getById(grandchild.id)).toThrow('not found');
+  });
+});
+
+describe('SQLiteProjectStore', () => {
+  it('should build project trees and stats', () => {
+    const root = db.projects.create({ name: 'Root' });
+    const child = db.projects.create({ name: 'Child', parentId: root.id });
+    db.projects.create({ name: 'Grandchild', parentId: child.id });
+
+    db.tasks.create({ content: 'Task 1', projectId: root.id, status: 'completed' });
+    db.tasks.create({ content: 'Task 2', projectId: root.id });
+
+    const tree = db.projects.getTree(root.id);
+    const stats = db.projects.getStats(root.id);
+
+    expect(tree.children[0].children[0].name).toBe('Grandchild');
+    expect(stats).toEqual({
+      totalTasks: 2,
+      completedTasks: 1,
+      activeTasks: 1,
+      waitingTasks: 0,
+      completionRate: 0.5,
+    });
+  });
+
+  it('should prevent circular nesting', () => {
+    const project1 = db.projects.create({ name: 'Project 1' });
+    const project2 = db.projects.create({ name: 'Project 2', parentId: project1.id });
+
+    expect(() => {
+      db.projects.update(project1.id, { parentId: project2.id });
+    }).toThrow('Circular project nesting detected');
+  });
+
+  it('should enforce circular nesting in the database trigger', () => {
+    const project1 = db.projects.create({ name: 'Project 1' });
+    const project2 = db.projects.create({ name: 'Project 2', parentId: project1.id });
+
+    expect(() => {
+      db.database.update('projects', { id: project1.id, parentId: project2.id });
+    }).toThrow('Circular project nesting detected');
+  });
+
+  it('should orphan or cascade tasks on delete', () => {
+    const kept = db.projects.create({ name: 'Orphaned' });
+    const removed = db.projects.create({ name: 'Cascaded' });
+    const orphan = db.tasks.create({ content: 'Orphan', projectId: kept.id });
+    const cascaded = db.tasks.create({ content: 'Cascaded', projectId: removed.id });
+
+    db.projects.delete(kept.id);
+    db.projects.delete(removed.id, { deleteTasks: true });
+
+    expect(db.tasks.getById(orphan.id).projectId).toBeNull();
+    expect(() => db.tasks.getById(cascaded.id)).toThrow('not found');
+  });
+});
+
+describe('SQLiteLinkStore', () => {
+  it('should create and filter links', () => {
+    const task1 = db.tasks.create({ content: 'Task 1' });
+    const task2 = db.tasks.create({ content: 'Task 2' });
+    const task3 = db.tasks.create({ content: 'Task 3' });
+
+    db.links.create({ sourceId: task1.id, targetId: task2.id, linkType: 'waiting', strength: 0.5 });
+    db.links.create({ sourceId: task3.id, targetId: task1.id, linkType: 'references' });
+
+    expect(db.links.getAll({ entityId: task1.id }).data.length).toBe(2);
+    expect(db.links.getAll({ sourceId: task1.id }).data[0].strength).toBe(0.5);
+  });
+
+  it('should reject duplicate links and self-loops', () => {
+    const task1 = db.tasks.create({ content: 'Task 1' });
+    const task2 = db.tasks.create({ content: 'Task 2' });
+
+    db.links.create({ sourceId: task1.id, targetId: task2.id, linkType: 'waiting' });
+
+    expect(() => {
+      db.links.create({ sourceId: task1.id, targetId: task2.id, linkType: 'waiting' });
+    }).toThrow('already exists');
+    expect(() => {
+      db.links.create({ sourceId: task1.id, targetId: task1.id, linkType: 'waiting' });
+    }).toThrow('Cannot create self-loop');
+  });
+
+  it('should batch create links atomically', () => {
+    const task1 = db.tasks.create({ content: 'Task 1' });
+    const task2 = db.tasks.create({ content: 'Task 2' });
+
+    expect(() => db.links.batchCreate([
+      { sourceId: task1.id, targetId: task2.id, linkType: 'waiting' },
+      { sourceId: task1.id, targetId: 'missing', linkType: 'waiting' },
+    ])).toThrow('Target task missing not found');
+
+    expect(db.links.getAll().data.length).toBe(0);
+  });
+});
+
+describe('SQLiteUserStore', () => {
+  it('should create, find and update users', () => {
+    const user = db.users.create({
+      username: 'alice',
+      email: 'alice@example.com',
+      passwordHash: 'scrypt$salt$hash',
+    });
+
+    expect(user.passwordHash).toBeUndefined();
+    expect(db.users.getByUsername('ALICE').id).toBe(user.id);
+    expect(db.users.getCredentials('alice@example.com').passwordHash).toBe('scrypt$salt$hash');
+    expect(db.users.getAll({ search: 'ali' }).data.map(u => u.username)).toEqual(['alice']);
+
+    expect(() => db.users.create({ username: 'Alice', email: 'a2@example.com' })).toThrow(
+      'Username Alice already exists'
+    );
+    expect(db.users.recordLogin(user.id).lastLoginAt).not.toBeNull();
+  });
+
+  it('should record the resolved current user', () => {
+    const user = db.users.create({ username: 'alice', email: 'alice@example.com' });
+    db.session.setCurrentUserResolver(() => user.id);
+
+    const task = db.tasks.create({ content: 'Owned', assigneeId: user.id });
+
+    expect(task.createdBy).toBe(user.id);
+    expect(db.session.getCurrentUser().username).toBe('alice');
+    expect(() => db.tasks.create({ content: 'Nobody', assigneeId: 'missing' })).toThrow(
+      'User missing not found'
+    );
+  });
+});
+
+describe('SQLiteAuditLogger', () => {
+  it('should query entries across entities with pagination', () => {
+    const task = db.tasks.create({ content: 'Task' });
+    db.projects.create({ name: 'Project' });
+    db.tasks.update(task.id, { content: 'Edited' });
+
+    const taskEntries = db.audit.query({ entityType: 'task', order: 'asc' });
+    expect(taskEntries.data.map(e => e.action)).toEqual(['create', 'update']);
+
+    const page = db.audit.query({ action: ['create', 'update'], page: 2, pageSize: 2 });
+    expect(page.data.map(e => e.action)).toEqual(['create']);
+    expect(page.meta).toEqual(expect.objectContaining({ totalItems: 3, hasPrevious: true }));
+    expect(db.audit.query({ userId: 'someone-else' }).data).toEqual([]);
+  });
+
+  it('should compact consecutive updates', () => {
+    const task = db.tasks.create({ content: 'Task' });
+    db.tasks.update(task.id, { content: 'Edit 1' });
+    db.tasks.update(task.id, { content: 'Edit 2' });
+
+    expect(db.audit.compact()).toBe(1);
+
+    const history = db.audit.getHistory('task', task.id);
+    expect(history.length).toBe(2);
+    expect(history[1].changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'content', oldValue: 'Task', newValue: 'Edit 2' }),
+    ]));
+  });
+
+  it('should apply retention when logging', () => {
+    db.audit.configureRetention({ maxEntries: 2 });
+
+    const task = db.tasks.create({ content: 'Task' });
+    db.tasks.update(task.id, { content: 'Edit 1' });
+    db.tasks.update(task.id, { content: 'Edit 2' });
+
+    expect(db.audit.getHistory('task', task.id).map(h => h.action)).toEqual(['update', 'update']);
+    expect(db.audit.prune({ maxAgeDays: 1 })).toBe(0);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for storage adapters
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TaskStore, Storage, configureStorage } from '../src/storage/localStorage.js';
+import { MemoryAdapter, BrowserStorageAdapter } from '../src/storage/adapters.js';
+import { JsonFileAdapter, defaultDataFile } from '../src/storage/jsonFileAdapter.js';
+
+describe('MemoryAdapter', () => {
+  it('should store and return copies of values', () => {
+    const adapter = new MemoryAdapter();
+    const items = [{ id: '1', content: 'Task' }];
+
+    adapter.set('dashplus:tasks', items);
+    items[0].content = 'Mutated';
+
+    const stored = adapter.get('dashplus:tasks');
+    stored.push({ id: '2' });
+
+    expect(adapter.get('dashplus:tasks')).toEqual([{ id: '1', content: 'Task' }]);
+  });
+
+  it('should return null for missing keys', () => {
+    const adapter = new MemoryAdapter();
+    expect(adapter.get('missing')).toBeNull();
+  });
+
+  it('should remove keys', () => {
+    const adapter = new MemoryAdapter({ a: 1, b: 2 });
+    adapter.remove('a');
+
+    expect(adapter.keys()).toEqual(['b']);
+  });
+});
+
+describe('BrowserStorageAdapter', () => {
+  let storage;
+
+  beforeEach(() => {
+    const store = {};
+    storage = {
+      getItem: (key) => (key in store ? store[key] : null),
+      setItem: (key, value) => { store[key] = String(value); },
+      removeItem: (key) => { delete store[key]; },
+    };
+  });
+
+  it('should serialize values as JSON', () => {
+    const adapter = new BrowserStorageAdapter(storage);
+    adapter.set('dashplus:tasks', [{ id: '1' }]);
+
+    expect(storage.getItem('dashplus:tasks')).toBe('[{"id":"1"}]');
+    expect(adapter.get('dashplus:tasks')).toEqual([{ id: '1' }]);
+  });
+
+  it('should read legacy plain string values', () => {
+    storage.setItem('dashplus:current_user', '00000000-0000-0000-0000-000000000001');
+    const adapter = new BrowserStorageAdapter(storage);
+
+    expect(adapter.get('dashplus:current_user')).toBe('00000000-0000-0000-0000-000000000001');
+  });
+});
+
+describe('JsonFileAdapter', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashplus-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should persist values to disk', () => {
+    const filePath = path.join(tempDir, 'data.json');
+    const adapter = new JsonFileAdapter(filePath);
+
+    adapter.set('dashplus:tasks', [{ id: '1' }]);
+
+    const reopened = new JsonFileAdapter(filePath);
+    expect(reopened.get('dashplus:tasks')).toEqual([{ id: '1' }]);
+  });
+
+  it('should start empty when the file does not exist', () => {
+    const adapter = new JsonFileAdapter(path.join(tempDir, 'nested', 'data.json'));
+
+    expect(adapter.keys()).toEqual([]);
+    expect(adapter.get('dashplus:tasks')).toBeNull();
+  });
+
+  it('should reject invalid JSON files', () => {
+    const filePath = path.join(tempDir, 'data.json');
+    fs.writeFileSync(filePath, '{not json');
+
+    expect(() => new JsonFileAdapter(filePath)).toThrow('Invalid JSON');
+  });
+
+  it('should default to a file in the user data directory', () => {
+    expect(defaultDataFile({ XDG_DATA_HOME: '/var/lib' })).toBe(path.join('/var/lib', 'dash-plus-notes', 'dashplus.json'));
+    expect(defaultDataFile({})).toBe(path.join(os.homedir(), '.local', 'share', 'dash-plus-notes', 'dashplus.json'));
+  });
+});
+
+describe('configureStorage', () => {
+  it('should run stores against the configured adapter', () => {
+    const adapter = new MemoryAdapter();
+    configureStorage(adapter);
+    Storage.clearAll();
+
+    const task = TaskStore.create({ content: 'Stored in memory' });
+
+    expect(adapter.get('dashplus:tasks')).toEqual([task]);
+    expect(Storage.getAdapter()).toBe(adapter);
+  });
+
+  it('should reject incomplete adapters', () => {
+    expect(() => configureStorage({ get: () => null })).toThrow('Invalid storage adapter');
+  });
+});
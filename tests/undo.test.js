@@ -0,0 +1,189 @@
+/**
+ * Tests for undo/redo
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  LinkStore,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { UndoManager } from '../src/storage/undo.js';
+
+describe('UndoManager (localStorage stores)', () => {
+  let undo;
+
+  beforeEach(() => {
+    configureStorage(new MemoryAdapter());
+    undo = new UndoManager();
+  });
+
+  afterEach(() => {
+    undo.dispose();
+  });
+
+  it('should undo and redo updates', () => {
+    const task = TaskStore.create({ content: 'Task' });
+    TaskStore.update(task.id, { status: 'waiting' });
+    TaskStore.update(task.id, { status: 'completed', priority: 'high' });
+
+    undo.undo();
+    expect(TaskStore.getById(task.id)).toEqual(expect.objectContaining({
+      status: 'waiting',
+      priority: null,
+    }));
+
+    undo.undo();
+    expect(TaskStore.getById(task.id).status).toBe('active');
+
+    undo.redo(2);
+    expect(TaskStore.getById(task.id).status).toBe('completed');
+    expect(undo.canRedo()).toBe(false);
+  });
+
+  it('should undo and redo creates', () => {
+    const task = TaskStore.create({ content: 'Task', tags: ['a'] });
+
+    undo.undo();
+    expect(() => TaskStore.getById(task.id)).toThrow('not found');
+
+    undo.redo();
+    expect(TaskStore.getById(task.id)).toEqual(task);
+  });
+
+  it('should restore a deleted task together with its cascaded links', () => {
+    const task1 = TaskStore.create({ content: 'Task 1' });
+    const task2 = TaskStore.create({ content: 'Task 2' });
+    const link = LinkStore.create({ sourceId: task1.id, targetId: task2.id, linkType: 'blocks' });
+
+    TaskStore.delete(task1.id);
+    expect(LinkStore.getAll().data.length).toBe(0);
+
+    undo.undo();
+    expect(TaskStore.getById(task1.id)).toEqual(task1);
+    expect(LinkStore.getById(link.id)).toEqual(link);
+
+    undo.redo();
+    expect(() => TaskStore.getById(task1.id)).toThrow('not found');
+    expect(LinkStore.getAll().data.length).toBe(0);
+  });
+
+  it('should restore orphaned tasks when undoing a project delete', () => {
+    const project = ProjectStore.create({ name: 'Project' });
+    const task = TaskStore.create({ content: 'Task', projectId: project.id });
+
+    ProjectStore.delete(project.id);
+    expect(TaskStore.getById(task.id).projectId).toBeNull();
+
+    undo.undo();
+    expect(ProjectStore.getById(project.id).name).toBe('Project');
+    expect(TaskStore.getById(task.id).projectId).toBe(project.id);
+  });
+
+  it('should restore subtasks under their parent when undoing a task delete', () => {
+    const parent = TaskStore.create({ content: 'Parent' });
+    const child = TaskStore.create({ content: 'Child', parentTaskId: parent.id });
+
+    TaskStore.delete(parent.id);
+    expect(TaskStore.getById(child.id).parentTaskId).toBeNull();
+
+    undo.undo();
+    expect(TaskStore.getById(child.id)).toEqual(expect.objectContaining({
+      parentTaskId: parent.id,
+      position: child.position,
+    }));
+  });
+
+  it('should undo the last N operations and clear redo on new changes', () => {
+    const task = TaskStore.create({ content: 'Task' });
+    TaskStore.update(task.id, { content: 'Edited' });
+    TaskStore.complete(task.id);
+
+    expect(undo.undo(2).length).toBe(2);
+    expect(TaskStore.getById(task.id).content).toBe('Task');
+
+    TaskStore.update(task.id, { priority: 'low' });
+    expect(undo.canRedo()).toBe(false);
+  });
+
+  it('should audit undo operations', () => {
+    const task = TaskStore.create({ content: 'Task' });
+    TaskStore.update(task.id, { status: 'waiting' });
+
+    undo.undo();
+
+    const history = Storage.getAuditHistory('task', task.id);
+    expect(history.map(h => h.action)).toEqual(['create', 'update', 'update']);
+    expect(history[2].changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'status', oldValue: 'waiting', newValue: 'active' }),
+    ]));
+  });
+
+  it('should keep an operation on the stack when it cannot be applied', () => {
+    const task = TaskStore.create({ content: 'Task' });
+    TaskStore.update(task.id, { status: 'waiting' });
+
+    undo.undoStack[1].entries[0].entityId = 'missing';
+
+    expect(() => undo.undo()).toThrow('Task missing not found');
+    expect(undo.undoStack.length).toBe(2);
+    expect(undo.canRedo()).toBe(false);
+  });
+
+  it('should drop the oldest operations beyond the limit', () => {
+    undo.dispose();
+    undo = new UndoManager({}, { limit: 2 });
+
+    TaskStore.create({ content: 'Task 1' });
+    TaskStore.create({ content: 'Task 2' });
+    TaskStore.create({ content: 'Task 3' });
+
+    expect(undo.undo(5).length).toBe(2);
+    expect(TaskStore.getAll().data.map(t => t.content)).toEqual(['Task 1']);
+  });
+});
+
+describe('UndoManager (SQLite stores)', () => {
+  let db;
+  let undo;
+
+  beforeEach(() => {
+    db = createSQLiteStores(':memory:');
+    undo = new UndoManager(db);
+  });
+
+  afterEach(() => {
+    undo.dispose();
+    db.database.close();
+  });
+
+  it('should undo a cascaded delete in one transaction', () => {
+    const task1 = db.tasks.create({ content: 'Task 1' });
+    const task2 = db.tasks.create({ content: 'Task 2' });
+    const link = db.links.create({ sourceId: task1.id, targetId: task2.id, linkType: 'waiting' });
+
+    db.tasks.delete(task1.id);
+    undo.undo();
+
+    expect(db.tasks.getById(task1.id)).toEqual(task1);
+    expect(db.links.getById(link.id)).toEqual(link);
+  });
+
+  it('should not record operations that were rolled back', () => {
+    const task1 = db.tasks.create({ content: 'Task 1' });
+    const task2 = db.tasks.create({ content: 'Task 2' });
+
+    expect(() => db.links.batchCreate([
+      { sourceId: task1.id, targetId: task2.id, linkType: 'waiting' },
+      { sourceId: task1.id, targetId: task1.id, linkType: 'waiting' },
+    ])).toThrow('self-loop');
+
+    expect(undo.undoStack.length).toBe(2);
+    undo.undo();
+    expect(() => db.tasks.getById(task2.id)).toThrow('not found');
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests for saved views
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  TaskStore,
+  ProjectStore,
+  UserStore,
+  ViewStore,
+  VocabularyStore,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { createBackup, restoreBackup } from '../src/storage/backup.js';
+import { groupTasks, buildViewFilters } from '../src/utils/views.js';
+
+// Wednesday 5 March 2025
+const NOW = new Date(2025, 2, 5, 10, 0);
+
+describe('view helpers', () => {
+  it('should drop empty filters', () => {
+    expect(buildViewFilters({ status: '', tags: [], customFields: {}, projectId: null, query: 'tag:api' }))
+      .toEqual({ projectId: null, query: 'tag:api' });
+    expect(buildViewFilters(undefined)).toEqual({});
+  });
+
+  it('should group tasks in order with ungrouped tasks last', () => {
+    const tasks = [
+      { id: 'a', tags: [], projectId: null },
+      { id: 'b', tags: ['api', 'docs'], projectId: 'p1' },
+      { id: 'c', tags: ['docs'], projectId: 'p2' },
+    ];
+
+    expect(groupTasks(tasks, 'tags').map(group => [group.key, group.tasks.map(t => t.id)])).toEqual([
+      ['api', ['b']],
+      ['docs', ['b', 'c']],
+      [null, ['a']],
+    ]);
+    expect(groupTasks(tasks, 'projectId', { projects: [{ id: 'p1', name: 'Work' }] })
+      .map(group => group.label)).toEqual(['Work', 'p2', 'None']);
+  });
+});
+
+describe('ViewStore (localStorage)', () => {
+  let bob;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+    bob = UserStore.create({ username: 'bob', email: 'bob@example.com' });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should save views and list them in position order', () => {
+    const urgent = ViewStore.create({
+      name: 'Urgent unassigned',
+      filters: { query: 'priority:urgent assignee:none', tags: [] },
+    });
+    const waiting = ViewStore.create({
+      name: ' Waiting on others this week ',
+      filters: { query: 'status:waiting due<=sunday' },
+      sort: { field: 'dueDate', order: 'asc' },
+      groupBy: 'assigneeId',
+    });
+
+    expect(urgent).toEqual(expect.objectContaining({
+      filters: { query: 'priority:urgent assignee:none' },
+      sort: null,
+      groupBy: null,
+      position: 0,
+    }));
+    expect(waiting.name).toBe('Waiting on others this week');
+    expect(waiting.position).toBe(1);
+
+    ViewStore.update(waiting.id, { position: 0 });
+    ViewStore.update(urgent.id, { position: 1 });
+    expect(ViewStore.getAll().data.map(view => view.name)).toEqual(['Waiting on others this week', 'Urgent unassigned']);
+
+    ViewStore.delete(urgent.id);
+    expect(() => ViewStore.getById(urgent.id)).toThrow(`View ${urgent.id} not found`);
+  });
+
+  it('should reject invalid views', () => {
+    ViewStore.create({ name: 'Mine', filters: { assigneeId: bob.id } });
+
+    expect(() => ViewStore.create({ name: 'mine' })).toThrow('A view named mine already exists');
+    expect(() => ViewStore.create({ name: '' })).toThrow('View name cannot be empty');
+    expect(() => ViewStore.create({ name: 'X', filters: { colour: 'red' } })).toThrow('Invalid view filter: colour');
+    expect(() => ViewStore.create({ name: 'X', filters: { status: 'paused' } })).toThrow('Invalid status: paused');
+    expect(() => ViewStore.create({ name: 'X', filters: { query: 'due<' } }))
+      .toThrow('Invalid query: missing value for due');
+    expect(() => ViewStore.create({ name: 'X', filters: { projectId: 'missing' } })).toThrow('Project missing not found');
+    expect(() => ViewStore.create({ name: 'X', sort: { field: 'colour', order: 'asc' } }))
+      .toThrow('Invalid sort field: colour');
+    expect(() => ViewStore.create({ name: 'X', sort: { field: 'dueDate', order: 'up' } }))
+      .toThrow('Invalid sort order: up');
+    expect(() => ViewStore.create({ name: 'X', groupBy: 'content' })).toThrow('Invalid group field: content');
+  });
+
+  it('should list, group and count a view\'s tasks', () => {
+    const work = ProjectStore.create({ name: 'Work' });
+    TaskStore.create({ content: 'Chase invoice', symbol: '←', status: 'waiting', assigneeId: bob.id, dueDate: '2025-03-07' });
+    TaskStore.create({ content: 'Contract review', symbol: '←', status: 'waiting', dueDate: '2025-03-06', projectId: work.id });
+    TaskStore.create({ content: 'Next quarter', symbol: '←', status: 'waiting', dueDate: '2025-04-01' });
+    TaskStore.create({ content: 'Write docs', dueDate: '2025-03-06' });
+
+    const view = ViewStore.create({
+      name: 'Waiting on others this week',
+      filters: { query: 'status:waiting due<=sunday' },
+      sort: { field: 'dueDate', order: 'asc' },
+      groupBy: 'assigneeId',
+    });
+
+    expect(ViewStore.getTasks(view.id).data.map(task => task.content)).toEqual(['Contract review', 'Chase invoice']);
+    expect(ViewStore.getTasks(view.id, { pageSize: 1, page: 2 }).data.map(task => task.content))
+      .toEqual(['Chase invoice']);
+    expect(ViewStore.getGroups(view.id).map(group => [group.label, group.count])).toEqual([
+      ['bob', 1],
+      ['None', 1],
+    ]);
+    expect(ViewStore.getStats(view.id)).toEqual({
+      totalTasks: 2,
+      completedTasks: 0,
+      activeTasks: 0,
+      waitingTasks: 2,
+      completionRate: 0,
+    });
+
+    const ungrouped = ViewStore.create({ name: 'Work', filters: { projectId: work.id } });
+    expect(ViewStore.getGroups(ungrouped.id)).toEqual([
+      expect.objectContaining({ key: null, label: 'Work', count: 1 }),
+    ]);
+  });
+
+  it('should group by custom fields', () => {
+    VocabularyStore.update({ fields: [{ name: 'sprint', type: 'enum', options: ['s1', 's2'] }] });
+    TaskStore.create({ content: 'A', customFields: { sprint: 's2' } });
+    TaskStore.create({ content: 'B', customFields: { sprint: 's1' } });
+
+    const view = ViewStore.create({
+      name: 'Sprints',
+      sort: { field: 'customFields.sprint', order: 'asc' },
+      groupBy: 'customFields.sprint',
+    });
+
+    expect(ViewStore.getGroups(view.id).map(group => group.key)).toEqual(['s1', 's2']);
+    expect(() => ViewStore.create({ name: 'Bad', groupBy: 'customFields.size' }))
+      .toThrow('Invalid custom field: size');
+  });
+
+  it('should back up and restore views', () => {
+    const work = ProjectStore.create({ name: 'Work' });
+    ViewStore.create({ name: 'Work', filters: { projectId: work.id } });
+    const backup = JSON.parse(JSON.stringify(createBackup()));
+
+    const duplicated = restoreBackup(backup, { conflict: 'duplicate' });
+    expect(duplicated.restored.views).toBe(1);
+    const copy = ViewStore.getAll().data.find(view => view.name === 'Work (2)');
+    expect(copy.filters.projectId).not.toBe(work.id);
+    expect(ProjectStore.getById(copy.filters.projectId).name).toBe('Work');
+
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+    ViewStore.create({ name: 'work' });
+    const skipped = restoreBackup(backup);
+    expect(skipped.restored.views).toBe(0);
+    expect(skipped.conflicts).toContainEqual({ collection: 'views', id: backup.data.views[0].id, resolution: 'skipped' });
+  });
+});
+
+describe('SQLiteViewStore', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createSQLiteStores(':memory:');
+  });
+
+  afterEach(() => {
+    db.database.close();
+  });
+
+  it('should save views and read their tasks past one page', () => {
+    const work = db.projects.create({ name: 'Work' });
+    for (let i = 0; i < 210; i++) {
+      db.tasks.create({ content: `Task ${i}`, projectId: i % 2 === 0 ? work.id : null, priority: i % 3 === 0 ? 'urgent' : 'low' });
+    }
+
+    const view = db.views.create({
+      name: 'Work by priority',
+      filters: { projectId: work.id },
+      sort: { field: 'content', order: 'asc' },
+      groupBy: 'priority',
+    });
+
+    expect(db.views.getById(view.id)).toEqual(view);
+    expect(db.views.getTasks(view.id, { pageSize: 2 }).meta.totalItems).toBe(105);
+    expect(db.views.getGroups(view.id).map(group => [group.key, group.count])).toEqual([
+      ['urgent', 35],
+      ['low', 70],
+    ]);
+    expect(db.views.getStats(view.id).totalTasks).toBe(105);
+
+    const updated = db.views.update(view.id, { name: 'Work', filters: { query: 'project:work priority:urgent' } });
+    expect(db.views.getById(view.id).filters).toEqual(updated.filters);
+    expect(db.views.getStats(view.id).totalTasks).toBe(35);
+
+    expect(() => db.views.create({ name: 'WORK' })).toThrow('A view named WORK already exists');
+    expect(db.views.delete(view.id)).toBe(true);
+    expect(db.views.getAll().data).toEqual([]);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for the workspace vocabulary
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  TaskStore,
+  LinkStore,
+  ProjectStore,
+  VocabularyStore,
+  Storage,
+  configureStorage,
+} from '../src/storage/localStorage.js';
+import { MemoryAdapter } from '../src/storage/adapters.js';
+import { GraphQueries, GraphUtils, configureGraphStores } from '../src/storage/graphQueries.js';
+import { MarkdownJournal } from '../src/storage/markdown.js';
+import { createSQLiteStores } from '../src/storage/sqlite.js';
+import { parseDashPlus, serializeDashPlus } from '../src/utils/dashPlus.js';
+import {
+  DEFAULT_VOCABULARY,
+  normalizeVocabulary,
+  checkVocabularyUsage,
+  getImpliedLinkType,
+  nextCycleSymbol,
+} from '../src/utils/vocabulary.js';
+
+// The default vocabulary plus a ★ starred symbol and a duplicates link type
+const STARRED = {
+  symbols: [
+    ...DEFAULT_VOCABULARY.symbols,
+    { symbol: '★', name: 'Starred', status: 'active', linkType: 'duplicates' },
+  ],
+  cycle: ['-', '★'],
+  statuses: [...DEFAULT_VOCABULARY.statuses, { status: 'review', color: 'pink' }],
+  linkTypes: [
+    ...DEFAULT_VOCABULARY.linkTypes,
+    { linkType: 'duplicates', directional: false, dot: 'style=dotted, color=gray', mermaid: '--x' },
+  ],
+};
+
+describe('normalizeVocabulary', () => {
+  it('should default missing sections and optional fields', () => {
+    expect(normalizeVocabulary()).toEqual(DEFAULT_VOCABULARY);
+
+    const vocabulary = normalizeVocabulary({ symbols: ['-', { symbol: '?', type: 'note' }], cycle: ['-'] });
+    expect(vocabulary.symbols[1]).toEqual({
+      symbol: '?',
+      name: '?',
+      description: null,
+      type: 'note',
+      status: 'active',
+      linkType: null,
+    });
+    expect(vocabulary.linkTypes).toEqual(DEFAULT_VOCABULARY.linkTypes);
+    expect(normalizeVocabulary({ priorities: ['Low', 'High'] }).priorities).toEqual(['low', 'high']);
+  });
+
+  it('should reject invalid vocabularies', () => {
+    expect(() => normalizeVocabulary({ colours: [] })).toThrow('Invalid vocabulary: unknown section colours');
+    expect(() => normalizeVocabulary({ priorities: [] }))
+      .toThrow('Invalid vocabulary: priorities must be a non-empty array');
+    expect(() => normalizeVocabulary({ symbols: ['#'] })).toThrow('Invalid vocabulary: symbol #');
+    expect(() => normalizeVocabulary({ symbols: ['-', { symbol: '?', status: 'paused' }] }))
+      .toThrow('Invalid vocabulary: symbol ? has unknown status paused');
+    expect(() => normalizeVocabulary({ cycle: ['-', '★'] }))
+      .toThrow('Invalid vocabulary: cycle has unknown symbol ★');
+    expect(() => normalizeVocabulary({ statuses: ['active', 'completed', 'cancelled', 'waiting', 'active'] }))
+      .toThrow('Invalid vocabulary: duplicate status active');
+    expect(() => normalizeVocabulary({ linkTypes: ['blocks'], symbols: ['-'], cycle: ['-'] }))
+      .toThrow('Invalid vocabulary: linkTypes must include moved');
+  });
+
+  it('should report values still in use', () => {
+    const vocabulary = normalizeVocabulary();
+    expect(() => checkVocabularyUsage(vocabulary, { symbols: { '★': 2 } }))
+      .toThrow('Invalid vocabulary: symbol ★ is still used by 2 tasks');
+    expect(() => checkVocabularyUsage(vocabulary, { linkTypes: { duplicates: 1 } }))
+      .toThrow('Invalid vocabulary: link type duplicates is still used by 1 link');
+    expect(() => checkVocabularyUsage(vocabulary, { symbols: { '★': 0, '-': 4 } })).not.toThrow();
+  });
+});
+
+describe('vocabulary lookups', () => {
+  it('should cycle through symbols and then complete', () => {
+    const vocabulary = normalizeVocabulary(STARRED);
+
+    expect(nextCycleSymbol(vocabulary, { symbol: '-', status: 'active' })).toBe('★');
+    expect(nextCycleSymbol(vocabulary, { symbol: '★', status: 'active' })).toBeNull();
+    expect(nextCycleSymbol(vocabulary, { symbol: '△', status: 'active' })).toBe('-');
+    expect(nextCycleSymbol(vocabulary, { symbol: '★', status: 'completed' })).toBe('-');
+    expect(getImpliedLinkType(vocabulary, '★')).toBe('duplicates');
+    expect(getImpliedLinkType(vocabulary, '-')).toBeNull();
+  });
+});
+
+describe('VocabularyStore', () => {
+  beforeEach(() => {
+    configureStorage(new MemoryAdapter());
+    Storage.clearAll();
+    configureGraphStores();
+  });
+
+  it('should validate records against the workspace vocabulary', () => {
+    expect(() => TaskStore.create({ content: 'Starred', symbol: '★' })).toThrow('Invalid symbol: ★');
+
+    VocabularyStore.update(STARRED);
+
+    const task = TaskStore.create({ content: 'Starred', symbol: '★', status: 'review' });
+    const other = TaskStore.create({ content: 'Copy' });
+    expect(LinkStore.create({ sourceId: task.id, targetId: other.id, linkType: 'duplicates' }).linkType)
+      .toBe('duplicates');
+    expect(VocabularyStore.getUsage().symbols).toEqual({ '★': 1, '-': 1 });
+  });
+
+  it('should keep values in use', () => {
+    VocabularyStore.update(STARRED);
+    TaskStore.create({ content: 'Starred', symbol: '★' });
+
+    expect(() => VocabularyStore.update({ symbols: DEFAULT_VOCABULARY.symbols, cycle: ['-'] }))
+      .toThrow('Invalid vocabulary: symbol ★ is still used by 1 task');
+    expect(() => VocabularyStore.reset()).toThrow('Invalid vocabulary: symbol ★ is still used by 1 task');
+    expect(VocabularyStore.get().cycle).toEqual(['-', '★']);
+  });
+
+  it('should reset to the defaults', () => {
+    VocabularyStore.update({ priorities: ['low', 'high'] });
+    expect(() => ProjectStore.create({ name: 'Paused', status: 'paused' })).toThrow('Invalid status: paused');
+
+    expect(VocabularyStore.reset()).toEqual(DEFAULT_VOCABULARY);
+    expect(TaskStore.create({ content: 'Urgent', priority: 'urgent' }).priority).toBe('urgent');
+  });
+
+  it('should style graph exports from the vocabulary', () => {
+    VocabularyStore.update(STARRED);
+    const a = TaskStore.create({ content: 'A', symbol: '★', status: 'review' });
+    const b = TaskStore.create({ content: 'B' });
+    LinkStore.create({ sourceId: a.id, targetId: b.id, linkType: 'duplicates' });
+
+    const graph = GraphQueries.getRelatedGraph(a.id);
+
+    expect(GraphUtils.toDOT(graph)).toContain(`"${a.id}" [label="★ A", style=filled, fillcolor="pink"]`);
+    expect(GraphUtils.toDOT(graph)).toContain(`"${a.id}" -> "${b.id}" [style=dotted, color=gray]`);
+    expect(GraphUtils.toMermaid(graph)).toContain(`${a.id} --x ${b.id}`);
+  });
+
+  it('should parse custom symbols and their implied links in journals', () => {
+    VocabularyStore.update(STARRED);
+    const journal = new MarkdownJournal();
+
+    const report = journal.import('- Original\n★ Copy [[Original]]\n');
+
+    expect(report.errors).toEqual([]);
+    const copy = TaskStore.getAll({ search: 'Copy' }).data[0];
+    expect(copy.symbol).toBe('★');
+    expect(LinkStore.getAll().data.map(link => link.linkType)).toEqual(['duplicates']);
+    expect(journal.export()).toContain('★ Copy');
+  });
+});
+
+describe('dash-plus with a vocabulary', () => {
+  it('should parse and serialize the vocabulary\'s symbols', () => {
+    const vocabulary = normalizeVocabulary({
+      ...STARRED,
+      symbols: [...STARRED.symbols, { symbol: '?!', name: 'Question', type: 'note', status: 'waiting' }],
+    });
+
+    expect(parseDashPlus('★ Ship it !high', { vocabulary }))
+      .toEqual(expect.objectContaining({ symbol: '★', type: 'task', status: 'active', priority: 'high' }));
+    expect(parseDashPlus('?! Why', { vocabulary }))
+      .toEqual(expect.objectContaining({ symbol: '?!', type: 'note', status: 'waiting', content: 'Why' }));
+    expect(parseDashPlus('★ Ship it').content).toBe('★ Ship it');
+    expect(serializeDashPlus({ symbol: '★', content: 'Ship it', priority: 'high' }, { vocabulary })).toBe('★ Ship it !high');
+  });
+});
+
+describe('SQLiteVocabularyStore', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createSQLiteStores(':memory:');
+  });
+
+  afterEach(() => {
+    db.database.close();
+  });
+
+  it('should validate SQLite records against the stored vocabulary', () => {
+    expect(() => db.tasks.create({ content: 'Starred', symbol: '★' })).toThrow('Invalid symbol: ★');
+
+    db.vocabulary.update(STARRED);
+    const task = db.tasks.create({ content: 'Starred', symbol: '★', status: 'review' });
+    const other = db.tasks.create({ content: 'Copy' });
+    db.links.create({ sourceId: task.id, targetId: other.id, linkType: 'duplicates' });
+
+    expect(db.tasks.getById(task.id).status).toBe('review');
+    expect(() => db.vocabulary.reset()).toThrow('Invalid vocabulary: symbol ★ is still used by 1 task');
+
+    db.tasks.delete(task.id);
+    expect(db.vocabulary.reset()).toEqual(DEFAULT_VOCABULARY);
+  });
+});